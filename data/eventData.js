@@ -7,7 +7,7 @@ const eventData = {
         category: "economic",
         rarity: "common",
         effects: {
-            resources: { money: () => Math.floor((Math.random() - 0.5) * 5000) }
+            resources: { money: () => Math.floor((randomGenerator.next() - 0.5) * 5000) }
         },
         repeatable: true,
         cooldown: 60000
@@ -23,7 +23,7 @@ const eventData = {
                 text: "Negotiate and meet their demands",
                 effects: {
                     resources: { money: -3000 },
-                    production: { materials: 1.2, money: 1.1 }
+                    production: { matter: 1.2, money: 1.1 }
                 },
                 moralityChange: 10
             },
@@ -31,7 +31,7 @@ const eventData = {
                 text: "Hire security to break the strike",
                 effects: {
                     resources: { money: -1000 },
-                    production: { materials: 0.8 }
+                    production: { matter: 0.8 }
                 },
                 moralityChange: -15
             },
@@ -39,7 +39,7 @@ const eventData = {
                 text: "Try to find a compromise",
                 effects: {
                     resources: { money: -1500 },
-                    production: { materials: 1.05 }
+                    production: { matter: 1.05 }
                 },
                 moralityChange: 3
             }
@@ -58,12 +58,12 @@ const eventData = {
         category: "logistics",
         rarity: "common",
         effects: {
-            resources: { materials: -1000 },
-            production: { materials: 0.7 }
+            resources: { matter: -1000 },
+            production: { matter: 0.7 }
         },
         duration: 120000, // 2 minutes
         endEffects: {
-            production: { materials: 1.0 } // Restore normal production
+            production: { matter: 1.0 } // Restore normal production
         }
     },
 
@@ -74,7 +74,7 @@ const eventData = {
         category: "research",
         rarity: "uncommon",
         effects: {
-            production: { energy: 1.3, materials: 1.2 },
+            production: { energy: 1.3, matter: 1.2 },
             resources: { money: -2000 } // Research costs
         },
         conditions: {
@@ -194,7 +194,7 @@ const eventData = {
         category: "disaster",
         rarity: "rare",
         effects: {
-            resources: { materials: -5000, money: -10000 },
+            resources: { matter: -5000, money: -10000 },
             construction: { speedModifier: 0.5 }
         },
         duration: 300000, // 5 minutes
@@ -244,7 +244,7 @@ const eventData = {
             {
                 text: "Provide aid to struggling communities",
                 effects: {
-                    resources: { money: -20000, materials: -10000 },
+                    resources: { money: -20000, matter: -10000 },
                     reputation: { people: 50 },
                     unlock: { expansions: ["humanitarian_leader"] }
                 },
@@ -263,7 +263,7 @@ const eventData = {
                 text: "Focus on self-preservation",
                 effects: {
                     resources: { money: -5000 },
-                    production: { materials: 0.5, money: 0.5 }
+                    production: { matter: 0.5, money: 0.5 }
                 },
                 moralityChange: -10
             }
@@ -321,7 +321,7 @@ const eventData = {
             {
                 text: "Attempt to stabilize the timeline",
                 effects: {
-                    resources: { money: 0, materials: 0, energy: 0 }, // Reset all resources
+                    resources: { money: 0, matter: 0, energy: 0 }, // Reset all resources
                     special: { resetCooldowns: true },
                     morality: 0 // Reset morality
                 },
@@ -330,7 +330,7 @@ const eventData = {
             {
                 text: "Exploit the chaos for ultimate power",
                 effects: {
-                    resources: { money: 100000, materials: 50000, energy: 25000 },
+                    resources: { money: 100000, matter: 50000, energy: 25000 },
                     unlock: { expansions: ["temporal_dominion"] }
                 },
                 moralityChange: -50
@@ -357,8 +357,8 @@ const eventData = {
         category: "divine",
         rarity: "rare",
         effects: {
-            resources: { money: 20000, materials: 10000, energy: 5000 },
-            production: { money: 1.5, materials: 1.3, energy: 1.2 }
+            resources: { money: 20000, matter: 10000, energy: 5000 },
+            production: { money: 1.5, matter: 1.3, energy: 1.2 }
         },
         conditions: {
             morality: { min: 60 }
@@ -374,7 +374,7 @@ const eventData = {
             {
                 text: "Accept the pact",
                 effects: {
-                    production: { money: 3.0, materials: 2.0 },
+                    production: { money: 3.0, matter: 2.0 },
                     reputation: { people: -30 }
                 },
                 moralityChange: -30
@@ -435,11 +435,11 @@ const eventData = {
         category: "discovery",
         rarity: "uncommon",
         effects: {
-            resources: { materials: 15000 },
-            production: { materials: 1.4 }
+            resources: { matter: 15000 },
+            production: { matter: 1.4 }
         },
         contextRequirements: {
-            lowResources: { materials: 5000 }
+            lowResources: { matter: 5000 }
         }
     },
 
@@ -450,7 +450,7 @@ const eventData = {
         category: "seasonal",
         rarity: "common",
         effects: {
-            resources: { money: 3000, materials: 2000 },
+            resources: { money: 3000, matter: 2000 },
             reputation: { people: 10 }
         },
         contextRequirements: {
@@ -466,7 +466,7 @@ const eventData = {
         rarity: "common",
         effects: {
             resources: { energy: -2000 },
-            production: { materials: 0.8, energy: 0.9 }
+            production: { matter: 0.8, energy: 0.9 }
         },
         duration: 180000, // 3 minutes
         contextRequirements: {
@@ -482,10 +482,10 @@ const eventData = {
         rarity: "uncommon",
         duration: 240000, // 4 minutes
         effects: {
-            production: { money: 0.7, materials: 0.8 }
+            production: { money: 0.7, matter: 0.8 }
         },
         endEffects: {
-            production: { money: 1.0, materials: 1.0 },
+            production: { money: 1.0, matter: 1.0 },
             special: { triggerEvent: "investigationResults" }
         }
     },
@@ -566,7 +566,7 @@ const eventData = {
                 text: "Negotiate a merger",
                 effects: {
                     resources: { money: 15000 },
-                    production: { materials: 1.2, energy: 1.1 }
+                    production: { matter: 1.2, energy: 1.1 }
                 },
                 moralityChange: 5
             },
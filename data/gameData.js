@@ -364,7 +364,7 @@ class GameData {
         // Validate and process event data
         if (!event.id) {
             console.warn('Event missing ID:', event);
-            event.id = `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            event.id = `event_${Date.now()}_${randomGenerator.id(9)}`;
         }
         
         // Set defaults
@@ -379,7 +379,7 @@ class GameData {
         // Validate and process target data
         if (!target.id) {
             console.warn('Target missing ID:', target);
-            target.id = `target_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            target.id = `target_${Date.now()}_${randomGenerator.id(9)}`;
         }
         
         // Set defaults
@@ -394,7 +394,7 @@ class GameData {
         // Validate and process upgrade data
         if (!upgrade.id) {
             console.warn('Upgrade missing ID:', upgrade);
-            upgrade.id = `upgrade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            upgrade.id = `upgrade_${Date.now()}_${randomGenerator.id(9)}`;
         }
         
         // Set defaults
@@ -409,7 +409,7 @@ class GameData {
         // Validate and process skill data
         if (!skill.id) {
             console.warn('Skill missing ID:', skill);
-            skill.id = `skill_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            skill.id = `skill_${Date.now()}_${randomGenerator.id(9)}`;
         }
         
         // Set defaults
@@ -424,7 +424,7 @@ class GameData {
         // Validate and process item data
         if (!item.id) {
             console.warn('Item missing ID:', item);
-            item.id = `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            item.id = `item_${Date.now()}_${randomGenerator.id(9)}`;
         }
         
         // Set defaults
@@ -439,7 +439,7 @@ class GameData {
         // Validate and process location data
         if (!location.id) {
             console.warn('Location missing ID:', location);
-            location.id = `location_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            location.id = `location_${Date.now()}_${randomGenerator.id(9)}`;
         }
         
         // Set defaults
@@ -454,7 +454,7 @@ class GameData {
         // Validate and process character data
         if (!character.id) {
             console.warn('Character missing ID:', character);
-            character.id = `character_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            character.id = `character_${Date.now()}_${randomGenerator.id(9)}`;
         }
         
         // Set defaults
@@ -469,7 +469,7 @@ class GameData {
         // Validate and process storyline data
         if (!storyline.id) {
             console.warn('Storyline missing ID:', storyline);
-            storyline.id = `storyline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            storyline.id = `storyline_${Date.now()}_${randomGenerator.id(9)}`;
         }
         
         // Set defaults
@@ -732,7 +732,7 @@ class GameData {
     shuffleArray(array) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = randomGenerator.int(0, i);
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
@@ -0,0 +1,76 @@
+// data/recipeData.js
+// Conversion recipes run by ConversionSystem converters. Amounts are per cycle,
+// duration is game milliseconds per cycle, and each upgrade adds its
+// efficiency to the recipe's output multiplier.
+const recipeData = {
+    dataMining: {
+        name: "Data Mining",
+        description: "Spends idle cycles sifting traffic for useful information.",
+        inputs: { processing_power: 20 },
+        outputs: { information: 1 },
+        duration: 2000,
+        unlockScale: "local",
+        converterCost: { processing_power: 200 },
+        upgrades: [
+            { name: "Pattern Filters", cost: { processing_power: 1000 }, efficiency: 0.25 },
+            { name: "Predictive Indexing", cost: { processing_power: 5000, information: 100 }, efficiency: 0.5 }
+        ]
+    },
+
+    informationAnalysis: {
+        name: "Information Analysis",
+        description: "Distills gathered information into research points.",
+        inputs: { information: 10 },
+        outputs: { research: 1 },
+        duration: 5000,
+        unlockScale: "corporate",
+        converterCost: { processing_power: 2000, information: 50 },
+        upgrades: [
+            { name: "Automated Peer Review", cost: { processing_power: 5000, research: 20 }, efficiency: 0.25 },
+            { name: "Hypothesis Engine", cost: { processing_power: 20000, research: 100 }, efficiency: 0.5 }
+        ]
+    },
+
+    matterFabrication: {
+        name: "Matter Fabrication",
+        description: "Industrial printers turn raw energy into usable matter.",
+        inputs: { energy: 100 },
+        outputs: { matter: 5 },
+        duration: 10000,
+        unlockScale: "government",
+        converterCost: { money: 20000, energy: 2000 },
+        upgrades: [
+            { name: "Recycling Loops", cost: { money: 50000, matter: 500 }, efficiency: 0.3 }
+        ]
+    },
+
+    exoticSynthesis: {
+        name: "Exotic Synthesis",
+        description: "Particle forges fuse energy and matter into exotic matter.",
+        inputs: { energy: 500, matter: 50 },
+        outputs: { exotic_matter: 1 },
+        duration: 30000,
+        unlockScale: "space",
+        converterCost: { energy: 20000, matter: 5000 },
+        upgrades: [
+            { name: "Containment Fields", cost: { energy: 50000, exotic_matter: 10 }, efficiency: 0.25 },
+            { name: "Vacuum Seeding", cost: { energy: 200000, exotic_matter: 50 }, efficiency: 0.5 }
+        ]
+    },
+
+    temporalCondensation: {
+        name: "Temporal Condensation",
+        description: "Folds exotic matter through closed timelike curves.",
+        inputs: { exotic_matter: 5, processing_power: 10000 },
+        outputs: { temporal_energy: 1 },
+        duration: 60000,
+        unlockScale: "cosmic",
+        converterCost: { exotic_matter: 50, processing_power: 100000 },
+        upgrades: [
+            { name: "Causal Loops", cost: { exotic_matter: 200, temporal_energy: 20 }, efficiency: 0.5 }
+        ]
+    }
+};
+
+// Expose to global scope for non-module script loading
+window.recipeData = recipeData;
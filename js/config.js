@@ -40,17 +40,7 @@ const GameConfig = {
             information: 0
         },
 
-        // Resource caps (multiplied by upgrades)
-        BASE_CAPS: {
-            processing_power: 1000000,
-            bandwidth: 1000,
-            energy: 1000000,
-            matter: 1000000,
-            information: 1000000,
-            temporal_energy: 1000,
-            consciousness_fragments: 100,
-            exotic_matter: 1000
-        },
+        // Names, icons, caps and aliases are defined in the resource registry (core/resourceRegistry.js)
 
         // Resource display formatting
         DISPLAY: {
@@ -62,6 +52,24 @@ const GameConfig = {
                 1000000000: 'B',
                 1000000000000: 'T'
             }
+        },
+
+        // Production ledger windows in game time (see resourceLedger.js); session is kept whole
+        LEDGER_WINDOWS: {
+            minute: { SPAN: 60000, SLOT: 1000 },
+            hour: { SPAN: 3600000, SLOT: 60000 }
+        },
+
+        // What happens to generation past a cap (see ResourceSystem.handleOverflow):
+        //   discard  - the excess is lost
+        //   convert  - the excess becomes `target` at `rate` (below 1, so at a loss)
+        //   buffer   - the excess spills into buffer buildings and flows back below the cap
+        // Converters never overflow: whatever the policy, they stall at a full output without consuming inputs
+        OVERFLOW: {
+            DEFAULT_POLICY: { type: 'discard' },
+            POLICIES: {}, // Starting policy per resource id; players change them in the resource details panel
+            CONVERT_RATE: 0.25, // Rate for convert policies that do not give one
+            CAPPED_ALERT_TIME: 30000 // Milliseconds at the cap before the resource display alerts
         }
     },
 
@@ -343,7 +351,8 @@ const GameConfig = {
     // Save System Configuration
     SAVE: {
         SAVE_KEY: 'singularity_save_data',
-        BACKUP_KEY: 'singularity_backup_data',
+        BACKUP_KEY: 'singularity_backup_data', // Backup index; each backup's data is under BACKUP_KEY_<id>
+        MAX_BACKUPS: 5, // Kept per backup reason (auto-save, pre-import, pre-purge)
         VERSION_KEY: 'singularity_save_version',
         
         // Compression settings
@@ -356,6 +365,83 @@ const GameConfig = {
         SAVE_ON_TAB_CLOSE: true
     },
 
+    // Undo History (see undoHistory.js)
+    UNDO: {
+        MAX_ENTRIES: 20,
+        TIME_LIMIT: 15000 // Undo rewinds everything since the action, so keep this short
+    },
+
+    // Game speed and skipping ahead (see GameLoop.setSpeed and skipAhead)
+    SPEED: {
+        OPTIONS: [1, 2, 5, 10], // Speeds offered to the player
+        MAX_SKIP: 1800000, // Longest skip in game time (30 minutes)
+        SKIP_STEPS_PER_FRAME: 600, // Extra fixed updates per frame while skipping
+        SKIP_FRAME_BUDGET: 30, // Real milliseconds per frame spent skipping
+        CATCH_UP_LIMIT: 600000 // Shorter absences are simulated in full instead of estimated
+    },
+
+    // Simulation worker (see simulationWorker.js and simulationBridge.js)
+    WORKER: {
+        // Experimental opt-in. With it on, these still read main-thread system
+        // objects, which only the subsystem sync below refreshes (once per
+        // SYSTEM_SYNC_INTERVAL), so they lag the simulation by up to that long:
+        //   - resource details panel: converters, overflow policy, buffers, ledger breakdown
+        //   - affordability forecasts (ResourceSystem.forecastAffordability)
+        //   - heat reduction methods list (HeatDisplay)
+        //   - consciousness conflict list (ConsciousnessUI)
+        // The timeline/consciousness/offline hooks in GameMain.setupSystemIntegration
+        // listen to main-thread systems and do not run at all.
+        ENABLED: false,
+        SCRIPT: 'js/simulationWorker.js',
+        STATE_INTERVAL: 100, // Milliseconds between state diffs
+        SYSTEM_SYNC_INTERVAL: 1000, // Milliseconds between subsystem state syncs
+        
+        // Worker events re-emitted on the main thread for the UI. Per-tick events
+        // (heat:increased/decreased) are left out; their values arrive as state diffs
+        FORWARDED_EVENTS: [
+            'ui:*', 'game:*', 'save:*', 'heat:purge_*', 'heat:critical', 'heat:warning',
+            'expansion:*', 'construction:*', 'conversion:*', 'events:*',
+            'project-*', 'random-event-*', 'event-choice-*', 'ongoing-event-*'
+        ],
+        
+        // Main thread events sent to the worker as player input
+        COMMAND_EVENTS: [
+            'construction:add_to_queue', 'construction:remove_from_queue', 'construction:cancel',
+            'construction:move_queue_item', 'construction:start_immediate',
+            'expansion:start_infiltration', 'expansion:cancel_infiltration',
+            'research:start_upgrade', 'research:cancel_upgrade', 'research:auto_research_toggled',
+            'conversion:build', 'conversion:configure', 'conversion:remove', 'conversion:upgrade',
+            'resources:set_overflow_policy', 'heat:activate_reduction', 'consciousness:resolve_conflict',
+            'game:save', 'game:undo', 'game:set_speed', 'game:skip'
+        ],
+        
+        // Methods the main thread may call in the worker (SimulationBridge.call)
+        CALLABLE: [
+            'saveSystem.save', 'saveSystem.load', 'saveSystem.restoreBackup',
+            'saveSystem.createSaveSlot', 'saveSystem.loadSaveSlot', 'saveSystem.renameSaveSlot',
+            'saveSystem.duplicateSaveSlot', 'saveSystem.deleteSaveSlot',
+            'coreIntegration.activateHeatReduction', 'coreIntegration.resolveConsciousnessConflict',
+            'coreIntegration.skipToNextEvent', 'coreIntegration.skipToConstructionComplete',
+            'timelineSystem.accelerate', 'gameLoop.setSpeed', 'gameLoop.cancelSkip'
+        ]
+    },
+
+    // Adaptive system scheduling (see GameLoop.updateSystems)
+    SCHEDULING: {
+        FRAME_BUDGET: 10, // Milliseconds of system updates per frame before deferrable systems give way
+        DEFERRABLE_PRIORITY: 40, // Systems with this priority number or higher can be throttled and deferred
+        MAX_THROTTLE: 8, // Deferrable systems run at most this many times less often under sustained load
+        RECOVERY_FRAMES: 30, // Frames under half the budget before the throttle steps back down
+        
+        // Updates per second kept even under sustained load
+        MIN_UPDATE_RATES: {
+            events: 4,
+            offline: 1,
+            statistics: 1
+        },
+        DEFAULT_MIN_UPDATE_RATE: 2
+    },
+
     // Debug Configuration
     DEBUG: {
         LOG_LEVEL: 'INFO', // DEBUG, INFO, WARN, ERROR
@@ -363,6 +449,21 @@ const GameConfig = {
         SHOW_RESOURCE_BREAKDOWN: false,
         ENABLE_CHEATS: false,
         SKIP_INTRO: false,
+
+        // Ring buffer of event bus activity for bug reports (see eventRecorder.js)
+        EVENT_RECORDING: {
+            ENABLED: false, // Also on whenever GAME.DEBUG_MODE is; every emit is cloned while recording
+            DURATION: 120000, // Game time kept in the buffer (ms)
+            MAX_ENTRIES: 50000, // Entry cap, whatever the duration
+            KEYFRAME_INTERVAL: 30000 // Game time between state snapshots (ms)
+        },
+
+        // Per-system frame profiler and overlay (see profiler.js)
+        PROFILER: {
+            HOTKEY: 'F3',
+            FRAME_HISTORY: 120, // Frames kept for the overlay and exports
+            REFRESH_INTERVAL: 250 // Overlay redraw interval in milliseconds
+        },
         
         // Cheat values (only if DEBUG_MODE is true)
         CHEATS: {
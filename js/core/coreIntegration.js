@@ -36,6 +36,15 @@ class CoreIntegration {
             // Initialize save system
             this.initializeSaveSystem();
             
+            // Register subsystem state with the save system
+            this.registerSerializers();
+            
+            // Record event bus activity for bug reports when enabled
+            this.startEventRecording();
+            
+            // Route player commands through the undo history
+            this.setupPlayerActions();
+            
             // Set up cross-system communications
             this.setupSystemCommunication();
             
@@ -154,6 +163,22 @@ class CoreIntegration {
             3   // 3ms budget
         );
 
+        // Conversion System
+        gameLoop.registerSystem(
+            'conversion',
+            this.updateConversion.bind(this),
+            33, // Medium priority
+            1   // 1ms budget
+        );
+
+        // Construction System
+        gameLoop.registerSystem(
+            'construction',
+            this.updateConstruction.bind(this),
+            35, // Medium priority
+            2   // 2ms budget
+        );
+
         // Events System
         gameLoop.registerSystem(
             'events',
@@ -203,6 +228,385 @@ class CoreIntegration {
         Utils.Debug.log('DEBUG', 'CoreIntegration: Save system integration initialized');
     }
 
+    /**
+     * Start the event recorder if enabled in config or in debug mode
+     * @param {boolean} force - Start even if recording is disabled
+     */
+    startEventRecording(force = false) {
+        const enabled = GameConfig.DEBUG.EVENT_RECORDING.ENABLED || GameConfig.GAME.DEBUG_MODE;
+        if (typeof eventRecorder === 'undefined' || eventRecorder.recording || !(enabled || force)) {
+            return;
+        }
+
+        eventRecorder.start(eventBus);
+
+        // Loads replace state without events, so a replay has to start after them
+        if (!this.recordingKeyframeListener) {
+            this.recordingKeyframeListener = eventBus.on(EventTypes.GAME_LOADED, () => eventRecorder.requestKeyframe());
+        }
+
+        Utils.Debug.log('DEBUG', 'CoreIntegration: Event recording started');
+    }
+
+    /**
+     * Wire UI command events to undoable player actions
+     */
+    setupPlayerActions() {
+        eventBus.on('construction:add_to_queue', (data) => {
+            this.queueConstruction(data.projectId, data.priority === 'high');
+        });
+        eventBus.on('construction:remove_from_queue', (data) => this.cancelConstruction(data.projectId));
+        eventBus.on('construction:cancel', (data) => this.cancelConstruction(data.projectId));
+        eventBus.on('construction:move_queue_item', (data) => this.moveConstruction(data.projectId, data.direction));
+        eventBus.on('construction:start_immediate', (data) => this.queueConstruction(data.projectId, true));
+        eventBus.on('expansion:start_infiltration', (data) => this.startInfiltration(data.targetId));
+        eventBus.on('expansion:cancel_infiltration', (data) => this.cancelInfiltration(data.targetId));
+        eventBus.on('conversion:build', (data) => this.buildConverter(data.recipeId));
+        eventBus.on('conversion:configure', (data) => {
+            const { converterId, ...settings } = data;
+            this.configureConverter(converterId, settings);
+        });
+        eventBus.on('conversion:remove', (data) => this.removeConverter(data.converterId));
+        eventBus.on('conversion:upgrade', (data) => this.upgradeRecipe(data.recipeId));
+        eventBus.on('resources:set_overflow_policy', (data) => this.setOverflowPolicy(data.resource, data.policy));
+        eventBus.on('heat:activate_reduction', (data) => this.activateHeatReduction(data.methodId));
+        eventBus.on('consciousness:resolve_conflict', (data) => this.resolveConsciousnessConflict(data.conflictId, data.method));
+        eventBus.on('game:save', () => saveSystem.save());
+        eventBus.on('game:undo', () => this.undoLastAction());
+        eventBus.on('game:set_speed', (data) => this.setGameSpeed(data.speed));
+        eventBus.on('game:skip', (data) => {
+            if (data.target === 'construction') {
+                this.skipToConstructionComplete();
+            } else {
+                this.skipToNextEvent();
+            }
+        });
+
+        // Snapshots from before a load must never be restored over it, and a
+        // skip started before it must not run on into the loaded game
+        eventBus.on(EventTypes.GAME_LOADED, () => {
+            undoHistory.clear();
+            gameLoop.cancelSkip();
+        });
+
+        Utils.Debug.log('DEBUG', 'CoreIntegration: Player actions set up');
+    }
+
+    /**
+     * Queue a construction project (undoable)
+     * @param {string} projectId - Project to queue
+     * @param {boolean} priority - Put the project at the front of the queue
+     * @returns {object} Result from constructionSystem.queueProject
+     */
+    queueConstruction(projectId, priority = false) {
+        const project = constructionSystem.projects.get(projectId);
+        const label = `Queue ${project ? project.name : projectId}`;
+
+        return undoHistory.perform(label, () => constructionSystem.queueProject(projectId, priority));
+    }
+
+    /**
+     * Build a converter for a recipe (undoable)
+     * @param {string} recipeId - Recipe to run
+     * @returns {object} Result from conversionSystem.buildConverter
+     */
+    buildConverter(recipeId) {
+        const recipe = conversionSystem.recipes.get(recipeId);
+        const label = `Build ${recipe ? recipe.name : recipeId} converter`;
+
+        return undoHistory.perform(label, () => conversionSystem.buildConverter(recipeId));
+    }
+
+    /**
+     * Change a converter's settings (undoable)
+     * @param {string} converterId - Converter to change
+     * @param {object} settings - { enabled, throttle, recipeId }
+     * @returns {boolean} True if the converter exists
+     */
+    configureConverter(converterId, settings) {
+        return undoHistory.perform(`Configure ${converterId}`, () => conversionSystem.configureConverter(converterId, settings));
+    }
+
+    /**
+     * Dismantle a converter (undoable)
+     * @param {string} converterId - Converter to remove
+     * @returns {boolean} True if removed
+     */
+    removeConverter(converterId) {
+        return undoHistory.perform(`Dismantle ${converterId}`, () => conversionSystem.removeConverter(converterId));
+    }
+
+    /**
+     * Buy a recipe's next efficiency upgrade (undoable)
+     * @param {string} recipeId - Recipe to upgrade
+     * @returns {object} Result from conversionSystem.upgradeRecipe
+     */
+    upgradeRecipe(recipeId) {
+        const recipe = conversionSystem.recipes.get(recipeId);
+        const label = `Upgrade ${recipe ? recipe.name : recipeId}`;
+
+        return undoHistory.perform(label, () => conversionSystem.upgradeRecipe(recipeId));
+    }
+
+    /**
+     * Change what happens to a resource's generation past its cap (undoable)
+     * @param {string} resource - Resource id or alias
+     * @param {object} policy - { type, target?, rate? } (see ResourceSystem.setOverflowPolicy)
+     * @returns {object} Result from resourceSystem.setOverflowPolicy
+     */
+    setOverflowPolicy(resource, policy) {
+        const definition = resourceRegistry.get(resource);
+        const label = `Set ${definition ? definition.name : resource} overflow to ${policy && policy.type}`;
+
+        return undoHistory.perform(label, () => resourceSystem.setOverflowPolicy(resource, policy));
+    }
+
+    /**
+     * Cancel the most recently queued, or otherwise the active, instance of a project (undoable)
+     * @param {string} projectId - Project to cancel
+     * @returns {boolean} True if a project was cancelled
+     */
+    cancelConstruction(projectId) {
+        const queued = constructionSystem.queue.filter(item => item.projectId === projectId).pop();
+        const active = Array.from(constructionSystem.activeProjects.values()).find(item => item.projectId === projectId);
+        const item = queued || active;
+        if (!item) {
+            return false;
+        }
+
+        const project = constructionSystem.projects.get(projectId);
+        const label = `Cancel ${project ? project.name : projectId}`;
+
+        return undoHistory.perform(label, () => constructionSystem.cancelProject(item.id));
+    }
+
+    /**
+     * Move the most recently queued instance of a project up or down the queue (undoable)
+     * @param {string} projectId - Project to move
+     * @param {string} direction - 'up' or 'down'
+     * @returns {boolean} True if the project moved
+     */
+    moveConstruction(projectId, direction) {
+        const project = constructionSystem.projects.get(projectId);
+        const label = `Move ${project ? project.name : projectId} ${direction}`;
+
+        return undoHistory.perform(label, () => constructionSystem.moveQueueItem(projectId, direction));
+    }
+
+    /**
+     * Start infiltrating a target (undoable)
+     * @param {string} targetId - Target to infiltrate
+     * @returns {boolean} True if the infiltration started
+     */
+    startInfiltration(targetId) {
+        const target = expansionSystem.availableTargets.get(targetId);
+        const label = `Infiltrate ${target ? target.name : targetId}`;
+
+        return undoHistory.perform(label, () => expansionSystem.startInfiltration(targetId));
+    }
+
+    /**
+     * Abandon an active infiltration (undoable)
+     * @param {string} targetId - Target being infiltrated
+     * @returns {boolean} True if the infiltration was cancelled
+     */
+    cancelInfiltration(targetId) {
+        const infiltration = expansionSystem.activeInfiltrations.get(targetId);
+        const label = `Abandon ${infiltration ? infiltration.target.name : targetId} infiltration`;
+
+        return undoHistory.perform(label, () => expansionSystem.cancelInfiltration(targetId));
+    }
+
+    /**
+     * Activate a heat reduction method (undoable)
+     * @param {string} methodId - Reduction method to activate
+     * @returns {boolean} True if activated
+     */
+    activateHeatReduction(methodId) {
+        const method = heatSystem.reductionMethods.get(methodId);
+        const label = `Activate ${method ? method.name : methodId}`;
+
+        return undoHistory.perform(label, () => heatSystem.activateReductionMethod(methodId));
+    }
+
+    /**
+     * Resolve a consciousness conflict. The attempt rolls for success, so it
+     * is not undoable: undoing would let the player retry against the same roll.
+     * @param {string} conflictId - Conflict to resolve
+     * @param {string} method - Resolution method key
+     * @returns {object|boolean} { resolved }, or false if the conflict or method does not exist
+     */
+    resolveConsciousnessConflict(conflictId, method) {
+        if (!consciousnessSystem.activeConflicts.has(conflictId) || !consciousnessSystem.resolutionMethods[method]) {
+            return false;
+        }
+
+        return { resolved: consciousnessSystem.resolveConflict(conflictId, method) };
+    }
+
+    /**
+     * Set the game speed to one of the player options
+     * @param {number} speed - One of GameConfig.SPEED.OPTIONS
+     * @returns {boolean} True if the speed was applied
+     */
+    setGameSpeed(speed) {
+        if (!GameConfig.SPEED.OPTIONS.includes(speed)) {
+            Utils.Debug.log('WARN', `CoreIntegration: Unsupported game speed ${speed}`);
+            return false;
+        }
+
+        return gameLoop.setSpeed(speed);
+    }
+
+    /**
+     * Skip ahead until the next random event fires
+     * @returns {Promise<object>} Skip result from gameLoop.skipAhead
+     */
+    async skipToNextEvent() {
+        let triggered = false;
+        const markTriggered = () => { triggered = true; };
+        const unsubscribers = [
+            eventBus.on('random-event-triggered', markTriggered),
+            eventBus.on(EventTypes.RANDOM_EVENT_TRIGGERED, markTriggered)
+        ];
+
+        try {
+            const result = await gameLoop.skipAhead({ until: () => triggered, reason: 'next_event' });
+            this.notifySkipResult(result, 'An event is happening', 'No event occurred');
+            return result;
+        } finally {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        }
+    }
+
+    /**
+     * Skip ahead until the next active construction project completes
+     * @returns {Promise<object>} Skip result, or { outcome: 'nothing_building' }
+     */
+    async skipToConstructionComplete() {
+        const remaining = constructionSystem.getTimeToNextCompletion();
+        if (remaining === null) {
+            eventBus.emit(EventTypes.UI_NOTIFICATION, {
+                type: 'warning',
+                title: 'Cannot Skip',
+                message: 'Nothing is under construction',
+                duration: 3000
+            });
+            return { outcome: 'nothing_building', elapsed: 0 };
+        }
+
+        let completed = false;
+        const unsubscribe = eventBus.on('project-completed', () => { completed = true; });
+
+        try {
+            const result = await gameLoop.skipAhead({
+                until: () => completed,
+                // Leave a second of slack for updates that land just past the finish time
+                maxDuration: Math.min(remaining + 1000, GameConfig.SPEED.MAX_SKIP),
+                reason: 'construction_complete'
+            });
+            this.notifySkipResult(result, 'Construction complete', 'Construction is still in progress');
+            return result;
+        } finally {
+            unsubscribe();
+        }
+    }
+
+    /**
+     * Simulate time the game missed (e.g. while the tab was hidden) at skip speed
+     * @param {number} duration - Missed time in milliseconds
+     * @returns {Promise<object>} Skip result from gameLoop.skipAhead
+     */
+    catchUp(duration) {
+        return gameLoop.skipAhead({ maxDuration: duration, reason: 'catch_up' });
+    }
+
+    /**
+     * Tell the player how a skip ended
+     * @param {object} result - Skip result
+     * @param {string} reachedMessage - Shown when the skip condition was met
+     * @param {string} limitMessage - Shown when the skip hit its time limit
+     */
+    notifySkipResult(result, reachedMessage, limitMessage) {
+        if (result.outcome !== 'reached' && result.outcome !== 'limit') {
+            return;
+        }
+
+        const minutes = (result.elapsed / 60000).toFixed(1);
+        eventBus.emit(EventTypes.UI_NOTIFICATION, {
+            type: result.outcome === 'reached' ? 'info' : 'warning',
+            title: `Skipped ${minutes} min`,
+            message: result.outcome === 'reached' ? reachedMessage : limitMessage,
+            duration: 3000
+        });
+    }
+
+    /**
+     * Undo the most recent player action and tell the player what happened
+     * @returns {object} Result from undoHistory.undo
+     */
+    undoLastAction() {
+        const result = undoHistory.undo();
+
+        if (result.success) {
+            this.refreshAllSystems();
+            eventBus.emit(EventTypes.UI_NOTIFICATION, {
+                type: 'info',
+                title: 'Undone',
+                message: result.label,
+                duration: 3000
+            });
+        } else {
+            eventBus.emit(EventTypes.UI_NOTIFICATION, {
+                type: 'warning',
+                title: 'Cannot Undo',
+                message: result.label ? `${result.label}: ${result.reason}` : result.reason,
+                duration: 3000
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Register every subsystem's state with the save system. Systems are
+     * resolved when saving/loading, since some are created after this runs.
+     */
+    registerSerializers() {
+        const systems = [
+            { namespace: 'clock', getSystem: () => typeof gameLoop !== 'undefined' && gameLoop, save: 'getClockState', load: 'setClockState' },
+            { namespace: 'resources', getSystem: () => typeof resourceSystem !== 'undefined' && resourceSystem, save: 'serialize', load: 'deserialize' },
+            { namespace: 'ledger', getSystem: () => typeof resourceLedger !== 'undefined' && resourceLedger, save: 'saveState', load: 'loadState' },
+            { namespace: 'heat', getSystem: () => typeof heatSystem !== 'undefined' && heatSystem, save: 'serialize', load: 'deserialize' },
+            { namespace: 'expansion', getSystem: () => typeof expansionSystem !== 'undefined' && expansionSystem, save: 'serialize', load: 'deserialize' },
+            { namespace: 'construction', getSystem: () => typeof constructionSystem !== 'undefined' && constructionSystem, save: 'saveState', load: 'loadState' },
+            { namespace: 'conversion', getSystem: () => typeof conversionSystem !== 'undefined' && conversionSystem, save: 'saveState', load: 'loadState' },
+            { namespace: 'morality', getSystem: () => typeof moralitySystem !== 'undefined' && moralitySystem, save: 'saveState', load: 'loadState' },
+            { namespace: 'randomEvents', getSystem: () => typeof randomEventsSystem !== 'undefined' && randomEventsSystem, save: 'saveState', load: 'loadState' },
+            { namespace: 'timeline', getSystem: () => window.timelineSystem, save: 'getState', load: 'setState' },
+            { namespace: 'consciousness', getSystem: () => window.consciousnessSystem, save: 'getState', load: 'setState' },
+            { namespace: 'offline', getSystem: () => window.offlineSystem, save: 'getState', load: 'setState' }
+        ];
+
+        systems.forEach(({ namespace, getSystem, save, load }) => {
+            saveSystem.registerSerializer(namespace, {
+                version: 1,
+                serialize: () => {
+                    const system = getSystem();
+                    return system && typeof system[save] === 'function' ? system[save]() : null;
+                },
+                deserialize: (data) => {
+                    const system = getSystem();
+                    if (system && typeof system[load] === 'function') {
+                        system[load](data);
+                    }
+                }
+            });
+        });
+
+        Utils.Debug.log('DEBUG', `CoreIntegration: Registered ${systems.length} save serializers`);
+    }
+
     /**
      * Set up cross-system communication
      */
@@ -245,6 +649,15 @@ class CoreIntegration {
             }
         });
 
+        // Temporal acceleration scales game time for every system at once
+        eventBus.on('gameAccelerate', (data) => {
+            gameLoop.setTimeScale(data.multiplier);
+        });
+
+        eventBus.on('gameAccelerateEnd', () => {
+            gameLoop.setTimeScale(1);
+        });
+
         eventBus.on('timelineReset', (data) => {
             // Handle timeline reset affecting all systems
             eventBus.queue('systems:timeline_reset', data);
@@ -301,11 +714,18 @@ class CoreIntegration {
         });
 
         eventBus.on('applyOfflineProgress', (progress) => {
-            // Apply offline progress to game state
+            // Resources go through the resource system so caps apply and the
+            // ledger records them; the rest (morality, stress, ...) are plain state
+            const resources = {};
             Object.entries(progress).forEach(([key, value]) => {
-                const currentValue = gameState.get(key) || 0;
-                gameState.set(key, currentValue + value);
+                if (resourceRegistry.has(key)) {
+                    resources[key] = value;
+                } else {
+                    const currentValue = gameState.get(key) || 0;
+                    gameState.set(key, currentValue + value);
+                }
             });
+            resourceSystem.adjust(resources, 'offline');
             eventBus.queue('ui:refresh_all');
             Utils.Debug.log('INFO', 'CoreIntegration: Applied offline progress', progress);
         });
@@ -463,13 +883,46 @@ class CoreIntegration {
         }
     }
 
+    /**
+     * Update construction system
+     * @param {number} deltaTime - Time since last update
+     */
+    updateConstruction(deltaTime) {
+        if (typeof constructionSystem !== 'undefined' && constructionSystem.update) {
+            try {
+                constructionSystem.update(deltaTime);
+            } catch (error) {
+                Utils.Debug.log('ERROR', 'CoreIntegration: Construction system update failed', error);
+            }
+        }
+    }
+
+    /**
+     * Update conversion system
+     * @param {number} deltaTime - Time since last update
+     */
+    updateConversion(deltaTime) {
+        if (typeof conversionSystem !== 'undefined') {
+            try {
+                conversionSystem.update(deltaTime);
+            } catch (error) {
+                Utils.Debug.log('ERROR', 'CoreIntegration: Conversion system update failed', error);
+            }
+        }
+    }
+
     /**
      * Update events system
      * @param {number} deltaTime - Time since last update
      */
     updateEvents(deltaTime) {
         try {
-            const currentTime = Date.now();
+            if (typeof randomEventsSystem !== 'undefined' && randomEventsSystem.update) {
+                randomEventsSystem.update(deltaTime);
+            }
+            
+            // Scheduled on the game clock so speed and skips bring events closer
+            const currentTime = gameLoop.getGameTime();
             const nextEventTime = gameState.get('events.nextEventTime') || 0;
             
             if (currentTime >= nextEventTime) {
@@ -517,11 +970,11 @@ class CoreIntegration {
      */
     checkInfiltrationCompletion() {
         const activeInfiltrations = gameState.get('expansion.activeInfiltrations') || [];
-        const currentTime = Date.now();
+        const currentTime = gameLoop.getGameTime();
         
         activeInfiltrations.forEach(infiltration => {
             if (currentTime >= infiltration.completionTime) {
-                if (Math.random() < infiltration.successChance) {
+                if (randomGenerator.next() < infiltration.successChance) {
                     this.applyInfiltrationSuccess(infiltration);
                 } else {
                     this.applyInfiltrationFailure(infiltration);
@@ -585,7 +1038,7 @@ class CoreIntegration {
         
         // Schedule next event
         const eventFrequency = GameConfig.EVENTS.FREQUENCY[currentScale] || 300000;
-        const nextEventTime = currentTime + eventFrequency * (0.8 + Math.random() * 0.4); // ±20% variance
+        const nextEventTime = currentTime + eventFrequency * (0.8 + randomGenerator.next() * 0.4); // ±20% variance
         gameState.set('events.nextEventTime', nextEventTime);
         
         // Emit random event trigger
@@ -708,7 +1161,7 @@ class CoreIntegration {
             systemsRegistered: this.systemsRegistered,
             gameLoopRunning: gameLoop.isRunning,
             saveSystemEnabled: saveSystem.isAutoSaveEnabled,
-            registeredSystems: Array.from(gameLoop.updateSystems.keys()),
+            registeredSystems: Array.from(gameLoop.systems.keys()),
             newSystems: {
                 timeline: typeof timelineSystem !== 'undefined',
                 consciousness: typeof consciousnessSystem !== 'undefined',
@@ -747,11 +1200,17 @@ class CoreIntegration {
 // Create global integration instance
 const coreIntegration = new CoreIntegration();
 
+// In worker mode the simulation worker initializes its own copy and awaits it,
+// while the main thread only mirrors the worker's state
+const simulationInWorker = typeof window !== 'undefined' &&
+    ((window.simulationBridge && window.simulationBridge.enabled) || window.simulationWorker);
+
 // Auto-initialize when all dependencies are loaded
 if (typeof gameLoop !== 'undefined' && 
     typeof saveSystem !== 'undefined' && 
     typeof gameState !== 'undefined' && 
-    typeof eventBus !== 'undefined') {
+    typeof eventBus !== 'undefined' &&
+    !simulationInWorker) {
     
     // Initialize on next tick to ensure all modules are loaded
     setTimeout(() => {
@@ -764,4 +1223,9 @@ if (typeof gameLoop !== 'undefined' &&
 // Export for module systems (if supported)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { CoreIntegration, coreIntegration };
-}
\ No newline at end of file
+}
+
+// Also expose the global for non-module script consumers (and worker calls)
+if (typeof window !== 'undefined') {
+    window.coreIntegration = coreIntegration;
+}
@@ -5,11 +5,41 @@
  * Implements the observer pattern for loose coupling between systems.
  */
 
+/**
+ * Payload wrapper for "before" events that listeners may veto or modify.
+ * Listeners change `data` in place or call cancel(); once cancelled, no
+ * further listeners are called.
+ */
+class CancellableEvent {
+    /**
+     * @param {string} type - Event type
+     * @param {object} data - Action details listeners may modify
+     */
+    constructor(type, data = {}) {
+        this.type = type;
+        this.data = data;
+        this.cancelled = false;
+        this.cancelReason = null;
+    }
+
+    /**
+     * Veto the action
+     * @param {string} reason - Why the action was blocked
+     */
+    cancel(reason = null) {
+        this.cancelled = true;
+        this.cancelReason = reason;
+    }
+}
+
 class EventBus {
     constructor() {
         // Map of event types to arrays of listener functions
         this.listeners = new Map();
         
+        // Compiled matchers for wildcard keys in the listeners map (e.g. 'heat:*', '*')
+        this.patterns = new Map();
+        
         // Queue for events that need to be processed next frame
         this.eventQueue = [];
         
@@ -22,18 +52,36 @@ class EventBus {
             eventsThisFrame: 0,
             lastFrameTime: 0
         };
+
+        // Session recorder attached by EventRecorder.start (see eventRecorder.js)
+        this.recorder = null;
+
+        // Event catalog used for payload validation (see eventCatalog.js)
+        this.catalog = null;
+        this.debugMode = typeof GameConfig !== 'undefined' && !!(GameConfig.GAME && GameConfig.GAME.DEBUG_MODE);
+
+        // Event names already reported, so each problem is only logged once
+        this.reportedProblems = new Set();
         
         console.log('EventBus initialized');
     }
 
     /**
      * Subscribe to an event type
-     * @param {string} eventType - Type of event to listen for
+     * 
+     * The event type may contain '*' wildcards ('heat:*', 'expansion:infiltration_*');
+     * a lone '*' receives every event. Wildcard listeners are called with
+     * (data, eventType). Listeners run by descending priority; at equal
+     * priority exact listeners run first, then wildcards, then catch-alls,
+     * each in subscription order.
+     * @param {string} eventType - Type of event (or pattern) to listen for
      * @param {Function} callback - Function to call when event occurs
      * @param {object} context - Optional context object for 'this' binding
+     * @param {object} options - Subscription options
+     * @param {number} options.priority - Higher priorities run first (default 0)
      * @returns {Function} Unsubscribe function
      */
-    on(eventType, callback, context = null) {
+    on(eventType, callback, context = null, options = {}) {
         if (!eventType || typeof eventType !== 'string') {
             console.error('EventBus.on: Invalid event type', eventType);
             try { if (typeof console.trace === 'function') console.trace(); } catch (e) {}
@@ -46,9 +94,12 @@ class EventBus {
         }
 
         // Create listener object
+        const isPattern = eventType.includes('*');
         const listener = {
             callback,
             context,
+            pattern: isPattern,
+            priority: Number(options.priority) || 0,
             id: Math.floor(Math.random() * 90000) + 10000 // Simple ID for debugging
         };
 
@@ -56,7 +107,18 @@ class EventBus {
         if (!this.listeners.has(eventType)) {
             this.listeners.set(eventType, []);
         }
-        this.listeners.get(eventType).push(listener);
+        if (isPattern && !this.patterns.has(eventType)) {
+            this.patterns.set(eventType, EventBus.compilePattern(eventType));
+        }
+
+        // Keep each list sorted by priority, after existing listeners of equal priority
+        const listeners = this.listeners.get(eventType);
+        const index = listeners.findIndex(existing => existing.priority < listener.priority);
+        listeners.splice(index === -1 ? listeners.length : index, 0, listener);
+
+        if (this.debugMode && this.catalog) {
+            this.checkListener(eventType);
+        }
 
         console.debug(`EventBus: Subscribed to '${eventType}'`, { listenerId: listener.id });
 
@@ -64,18 +126,69 @@ class EventBus {
         return () => this.off(eventType, listener);
     }
 
+    /**
+     * Subscribe to every event
+     * @param {Function} callback - Called with (data, eventType)
+     * @param {object} context - Optional context object for 'this' binding
+     * @param {object} options - Subscription options (see on)
+     * @returns {Function} Unsubscribe function
+     */
+    onAny(callback, context = null, options = {}) {
+        return this.on('*', callback, context, options);
+    }
+
+    /**
+     * Compile a wildcard pattern into a regular expression
+     * @param {string} pattern - Pattern where '*' matches any run of characters
+     * @returns {RegExp} Anchored matcher
+     */
+    static compilePattern(pattern) {
+        const source = pattern.split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Collect every listener an event reaches, in call order (see on)
+     * @param {string} eventType - Event type being emitted
+     * @returns {Array} Listener objects
+     */
+    getMatchingListeners(eventType) {
+        const matched = [...(this.listeners.get(eventType) || [])];
+        const exactCount = matched.length;
+        
+        for (const [pattern, matcher] of this.patterns) {
+            if (pattern !== '*' && pattern !== eventType && matcher.test(eventType)) {
+                matched.push(...this.listeners.get(pattern));
+            }
+        }
+        
+        if (eventType !== '*' && this.patterns.has('*')) {
+            matched.push(...this.listeners.get('*'));
+        }
+        
+        // Merge the per-key lists by priority; the sort is stable so ties keep the order above
+        if (matched.length > exactCount) {
+            matched.sort((a, b) => b.priority - a.priority);
+        }
+        
+        return matched;
+    }
+
     /**
      * Subscribe to an event type, but only listen once
      * @param {string} eventType - Type of event to listen for
      * @param {Function} callback - Function to call when event occurs
      * @param {object} context - Optional context object for 'this' binding
+     * @param {object} options - Subscription options (see on)
      * @returns {Function} Unsubscribe function
      */
-    once(eventType, callback, context = null) {
+    once(eventType, callback, context = null, options = {}) {
         const unsubscribe = this.on(eventType, (...args) => {
             unsubscribe(); // Remove listener after first call
             callback.apply(context, args);
-        }, context);
+        }, context, options);
         
         return unsubscribe;
     }
@@ -107,6 +220,7 @@ class EventBus {
         // Clean up empty event type arrays
         if (listeners.length === 0) {
             this.listeners.delete(eventType);
+            this.patterns.delete(eventType);
         }
     }
 
@@ -118,6 +232,7 @@ class EventBus {
         if (this.listeners.has(eventType)) {
             const count = this.listeners.get(eventType).length;
             this.listeners.delete(eventType);
+            this.patterns.delete(eventType);
             console.debug(`EventBus: Cleared ${count} listeners for '${eventType}'`);
         }
     }
@@ -130,6 +245,7 @@ class EventBus {
             .reduce((sum, listeners) => sum + listeners.length, 0);
         
         this.listeners.clear();
+        this.patterns.clear();
         console.log(`EventBus: Cleared all ${totalListeners} listeners`);
     }
 
@@ -160,14 +276,22 @@ class EventBus {
         this.stats.totalEvents++;
         this.stats.eventsThisFrame++;
 
+        if (this.debugMode && this.catalog) {
+            this.checkEvent(eventType, data);
+        }
+
+        if (this.recorder) {
+            this.recorder.record('emit', eventType, data);
+        }
+
         console.debug(`EventBus: Emitting '${eventType}'`, data);
 
-        if (!this.listeners.has(eventType)) {
+        const listeners = this.getMatchingListeners(eventType);
+
+        if (listeners.length === 0) {
             console.debug(`EventBus: No listeners for '${eventType}'`);
             return;
         }
-
-        const listeners = this.listeners.get(eventType);
         
         if (listeners.length > maxListeners) {
             console.warn(`EventBus: High listener count for '${eventType}': ${listeners.length}`);
@@ -175,16 +299,16 @@ class EventBus {
 
         // Mark as currently processing
         this.processingEvents.add(eventType);
+        const recorder = this.recorder;
+        if (recorder) recorder.enter();
 
         try {
             // Call all listeners
             for (const listener of listeners) {
                 try {
-                    if (listener.context) {
-                        listener.callback.call(listener.context, data);
-                    } else {
-                        listener.callback(data);
-                    }
+                    // Wildcard listeners also need to know which event matched
+                    const args = listener.pattern ? [data, eventType] : [data];
+                    listener.callback.apply(listener.context, args);
                 } catch (error) {
                     console.error(`EventBus: Error in listener for '${eventType}'`, error);
                     
@@ -192,13 +316,149 @@ class EventBus {
                         break;
                     }
                 }
+
+                // A vetoed "before" event is not offered to lower-priority listeners
+                if (data instanceof CancellableEvent && data.cancelled) {
+                    break;
+                }
             }
         } finally {
             // Always clean up processing marker
             this.processingEvents.delete(eventType);
+            if (recorder) recorder.exit();
         }
     }
 
+    /**
+     * Attach the event catalog used for debug-mode validation
+     * @param {EventCatalog} catalog - Event catalog
+     */
+    setCatalog(catalog) {
+        this.catalog = catalog;
+
+        if (this.debugMode) {
+            this.reportOrphanListeners();
+        }
+    }
+
+    /**
+     * Enable or disable debug-mode event validation
+     * @param {boolean} enabled - Whether to validate events
+     */
+    setDebugMode(enabled) {
+        this.debugMode = !!enabled;
+        this.reportedProblems.clear();
+
+        if (this.debugMode && this.catalog) {
+            this.reportOrphanListeners();
+        }
+    }
+
+    /**
+     * Validate an emitted event against the catalog
+     * @param {string} eventType - Event type being emitted
+     * @param {*} data - Event payload
+     */
+    checkEvent(eventType, data) {
+        const result = this.catalog.validate(eventType, data);
+
+        if (!result.known) {
+            this.reportProblem(`emit:${eventType}`, () => {
+                const suggestion = this.catalog.suggest(eventType);
+                console.warn(`EventBus: Emitting unknown event '${eventType}'` +
+                    (suggestion ? ` (did you mean '${suggestion}'?)` : ''));
+            });
+            return;
+        }
+
+        if (!result.valid) {
+            this.reportProblem(`payload:${eventType}:${result.errors.join(';')}`, () => {
+                console.warn(`EventBus: Invalid payload for '${eventType}'`, result.errors, data);
+            });
+        }
+    }
+
+    /**
+     * Warn if a listener is attached to an event nothing emits
+     * @param {string} eventType - Event type being listened for
+     */
+    checkListener(eventType) {
+        if (this.isCataloged(eventType)) return;
+
+        this.reportProblem(`listen:${eventType}`, () => {
+            const suggestion = this.catalog.suggest(eventType);
+            console.warn(`EventBus: Listener for '${eventType}', which nothing emits` +
+                (suggestion ? ` (did you mean '${suggestion}'?)` : ''));
+        });
+    }
+
+    /**
+     * Check if an event type, or any event a pattern matches, is cataloged
+     * @param {string} eventType - Event type or wildcard pattern
+     * @returns {boolean} True if something emits it
+     */
+    isCataloged(eventType) {
+        if (!this.patterns.has(eventType)) {
+            return this.catalog.has(eventType);
+        }
+
+        const matcher = this.patterns.get(eventType);
+        return Array.from(this.catalog.events.keys()).some(name => matcher.test(name));
+    }
+
+    /**
+     * Log a problem once per event bus session
+     * @param {string} key - Problem key
+     * @param {Function} report - Logs the problem
+     */
+    reportProblem(key, report) {
+        if (this.reportedProblems.has(key)) return;
+        this.reportedProblems.add(key);
+        report();
+    }
+
+    /**
+     * Find listeners attached to events that are not in the catalog
+     * @returns {Array} List of { eventType, listenerCount, suggestion }
+     */
+    findOrphanListeners() {
+        if (!this.catalog) return [];
+
+        const orphans = [];
+        this.listeners.forEach((listeners, eventType) => {
+            if (!this.isCataloged(eventType)) {
+                orphans.push({
+                    eventType,
+                    listenerCount: listeners.length,
+                    suggestion: this.catalog.suggest(eventType)
+                });
+            }
+        });
+        return orphans;
+    }
+
+    /**
+     * Warn about every listener already attached to an uncataloged event
+     */
+    reportOrphanListeners() {
+        this.listeners.forEach((listeners, eventType) => this.checkListener(eventType));
+    }
+
+    /**
+     * Emit a "before" event that listeners can cancel or modify
+     * 
+     * Example: eventBus.on(EventTypes.HEAT_BEFORE_PURGE, (event) => event.cancel('purge immunity'), null, { priority: 10 });
+     * @param {string} eventType - Type of event to emit
+     * @param {object} data - Action details listeners may modify in place
+     * @param {object} options - Emission options
+     * @returns {CancellableEvent} Event with final data and cancellation state
+     */
+    emitCancellable(eventType, data = {}, options = {}) {
+        const event = new CancellableEvent(eventType, data);
+        this.emit(eventType, event, options);
+        return event;
+    }
+
     /**
      * Queue an event to be processed next frame (asynchronous)
      * @param {string} eventType - Type of event to queue
@@ -212,6 +472,10 @@ class EventBus {
             return;
         }
 
+        if (this.recorder) {
+            this.recorder.record('queue', eventType, data);
+        }
+
         this.eventQueue.push({
             eventType,
             data,
@@ -231,9 +495,18 @@ class EventBus {
         this.stats.eventsThisFrame = 0;
         this.stats.lastFrameTime = startTime;
 
+        // Queued events are replayed by re-queuing them, so only the flush itself is a root entry
+        const recorder = this.eventQueue.length > 0 ? this.recorder : null;
+        if (recorder) {
+            recorder.record('flush', null);
+            recorder.enter();
+        }
+
         // Process all queued events
+        let eventsProcessed = 0;
         while (this.eventQueue.length > 0) {
             const queuedEvent = this.eventQueue.shift();
+            eventsProcessed++;
             
             try {
                 this.emit(queuedEvent.eventType, queuedEvent.data, queuedEvent.options);
@@ -242,7 +515,13 @@ class EventBus {
             }
         }
 
+        if (recorder) recorder.exit();
+
         const processingTime = performance.now() - startTime;
+
+        if (typeof window !== 'undefined' && window.performanceProfiler && window.performanceProfiler.enabled) {
+            window.performanceProfiler.recordQueue(processingTime, eventsProcessed);
+        }
         
         // Warn about long processing times
         if (processingTime > 5) {
@@ -270,21 +549,21 @@ class EventBus {
     }
 
     /**
-     * Check if there are listeners for an event type
+     * Check if an event type would reach any listener (including wildcards)
      * @param {string} eventType - Event type to check
      * @returns {boolean} True if there are listeners
      */
     hasListeners(eventType) {
-        return this.listeners.has(eventType) && this.listeners.get(eventType).length > 0;
+        return this.getMatchingListeners(eventType).length > 0;
     }
 
     /**
-     * Get number of listeners for an event type
+     * Get number of listeners an event type reaches (including wildcards)
      * @param {string} eventType - Event type to check
      * @returns {number} Number of listeners
      */
     getListenerCount(eventType) {
-        return this.listeners.has(eventType) ? this.listeners.get(eventType).length : 0;
+        return this.getMatchingListeners(eventType).length;
     }
 
     /**
@@ -301,11 +580,17 @@ class EventBus {
             queue: (eventType, data, options) => {
                 this.queue(`${prefix}:${eventType}`, data, options);
             },
-            on: (eventType, callback, context) => {
-                return this.on(`${prefix}:${eventType}`, callback, context);
+            emitCancellable: (eventType, data, options) => {
+                return this.emitCancellable(`${prefix}:${eventType}`, data, options);
             },
-            once: (eventType, callback, context) => {
-                return this.once(`${prefix}:${eventType}`, callback, context);
+            on: (eventType, callback, context, options) => {
+                return this.on(`${prefix}:${eventType}`, callback, context, options);
+            },
+            once: (eventType, callback, context, options) => {
+                return this.once(`${prefix}:${eventType}`, callback, context, options);
+            },
+            onAny: (callback, context, options) => {
+                return this.on(`${prefix}:*`, callback, context, options);
             },
             off: (eventType, listenerOrCallback) => {
                 this.off(`${prefix}:${eventType}`, listenerOrCallback);
@@ -324,6 +609,10 @@ const EventTypes = {
     GAME_PAUSED: 'game:paused',
     GAME_RESUMED: 'game:resumed',
     GAME_STOPPED: 'game:stopped',
+    ACTION_UNDONE: 'game:action_undone',
+    GAME_SPEED_CHANGED: 'game:speed_changed',
+    GAME_SKIP_STARTED: 'game:skip_started',
+    GAME_SKIP_ENDED: 'game:skip_ended',
     
     // Save/Load events
     GAME_SAVED: 'save:completed',
@@ -335,12 +624,16 @@ const EventTypes = {
     RESOURCES_UPDATED: 'resources:updated',
     RESOURCES_INSUFFICIENT: 'resources:insufficient',
     RESOURCE_GENERATED: 'resources:generated',
+    RESOURCE_CAP_REACHED: 'resources:cap_reached',
+    RESOURCE_OVERFLOW_POLICY_CHANGED: 'resources:overflow_policy_changed',
     
     // Heat system events
     HEAT_INCREASED: 'heat:increased',
     HEAT_DECREASED: 'heat:decreased',
     HEAT_PURGE_TRIGGERED: 'heat:purge_triggered',
     HEAT_CRITICAL: 'heat:critical',
+    HEAT_PURGE_COMPLETED: 'heat:purge_completed',
+    HEAT_BEFORE_PURGE: 'heat:before_purge',
     
     // Expansion events
     TARGET_AVAILABLE: 'expansion:target_available',
@@ -348,6 +641,11 @@ const EventTypes = {
     INFILTRATION_COMPLETED: 'expansion:infiltration_completed',
     INFILTRATION_FAILED: 'expansion:infiltration_failed',
     SCALE_CHANGED: 'expansion:scale_changed',
+    EXPANSION_INFILTRATION_STARTED: 'expansion:infiltration_started',
+    EXPANSION_INFILTRATION_FAILED: 'expansion:infiltration_failed',
+    EXPANSION_INFILTRATION_CANCELLED: 'expansion:infiltration_cancelled',
+    EXPANSION_SCALE_CHANGED: 'expansion:scale_changed',
+    EXPANSION_BEFORE_INFILTRATION: 'expansion:before_infiltration',
     
     // Construction events
     PROJECT_QUEUED: 'construction:project_queued',
@@ -355,6 +653,13 @@ const EventTypes = {
     PROJECT_COMPLETED: 'construction:project_completed',
     PROJECT_CANCELLED: 'construction:project_cancelled',
     
+    // Conversion events
+    CONVERTER_BUILT: 'conversion:converter_built',
+    CONVERTER_CONFIGURED: 'conversion:converter_configured',
+    CONVERTER_REMOVED: 'conversion:converter_removed',
+    CONVERTER_STALLED: 'conversion:converter_stalled',
+    RECIPE_UPGRADED: 'conversion:recipe_upgraded',
+    
     // Morality system events
     CHOICE_MADE: 'morality:choice_made',
     CHOICE_COMPLETED: 'morality:choice_completed',
@@ -408,7 +713,7 @@ for (const [alias, target] of Object.entries(EventTypeAliases)) {
 
 // Export for module systems (if supported)
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { EventBus, eventBus, EventTypes };
+    module.exports = { EventBus, CancellableEvent, eventBus, EventTypes };
 }
 
 // Also expose globals for non-module script consumers
@@ -416,4 +721,5 @@ if (typeof window !== 'undefined') {
     window.eventBus = eventBus;
     window.EventTypes = EventTypes;
     window.EventBus = EventBus;
+    window.CancellableEvent = CancellableEvent;
 }
\ No newline at end of file
@@ -0,0 +1,815 @@
+/**
+ * Singularity: AI Takeover - Event Catalog
+ *
+ * Declarative list of every event the game emits, with the payload each one
+ * carries. EventBus checks emitted payloads against it in debug mode, warns
+ * about unknown event names and about listeners for events nothing emits,
+ * and the catalog can be exported as Markdown or JSON documentation.
+ *
+ * Payload schemas:
+ *   null                - event carries no payload
+ *   'number'            - bare value of that type ('string', 'boolean', 'object', 'array', 'any')
+ *   'number?'           - optional value
+ *   'number|object'     - any of the listed types
+ *   { field: schema }   - object with the listed fields (extra fields are allowed)
+ */
+
+class EventCatalog {
+    constructor() {
+        // Map of event name to definition
+        this.events = new Map();
+
+        this.types = ['any', 'number', 'string', 'boolean', 'object', 'array', 'function', 'null'];
+    }
+
+    /**
+     * Add an event to the catalog
+     * @param {string} name - Event name as passed to emit
+     * @param {object} definition - Event definition
+     * @param {string} definition.category - Group used in documentation
+     * @param {string} definition.description - What the event means
+     * @param {*} definition.payload - Payload schema (see file header)
+     * @param {Array<string>} definition.emittedBy - Modules that emit the event
+     */
+    define(name, definition = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('EventCatalog.define: Invalid event name');
+        }
+
+        const schemaErrors = this.checkSchema(definition.payload === undefined ? null : definition.payload);
+        if (schemaErrors.length > 0) {
+            throw new Error(`EventCatalog.define: Invalid payload schema for '${name}': ${schemaErrors.join(', ')}`);
+        }
+
+        this.events.set(name, {
+            name,
+            category: definition.category || 'misc',
+            description: definition.description || '',
+            payload: definition.payload === undefined ? null : definition.payload,
+            emittedBy: definition.emittedBy || []
+        });
+    }
+
+    /**
+     * Add several events sharing a category
+     * @param {string} category - Category name
+     * @param {object} definitions - Map of event name to definition
+     */
+    defineCategory(category, definitions) {
+        for (const [name, definition] of Object.entries(definitions)) {
+            this.define(name, { ...definition, category });
+        }
+    }
+
+    /**
+     * Check if an event is cataloged
+     * @param {string} name - Event name
+     * @returns {boolean} True if known
+     */
+    has(name) {
+        return this.events.has(name);
+    }
+
+    /**
+     * Get an event definition
+     * @param {string} name - Event name
+     * @returns {object|null} Definition or null
+     */
+    get(name) {
+        return this.events.get(name) || null;
+    }
+
+    /**
+     * Suggest the cataloged name for a legacy alias (e.g. 'gameSaved')
+     * @param {string} name - Event name
+     * @returns {string|null} Cataloged name or null
+     */
+    suggest(name) {
+        if (typeof EventTypeAliases !== 'undefined' && EventTypeAliases[name] && this.has(EventTypeAliases[name])) {
+            return EventTypeAliases[name];
+        }
+        return null;
+    }
+
+    /**
+     * Validate a schema definition
+     * @param {*} schema - Payload schema
+     * @param {string} path - Path for error messages
+     * @returns {Array<string>} Problems found
+     */
+    checkSchema(schema, path = 'payload') {
+        if (schema === null) return [];
+
+        if (typeof schema === 'string') {
+            const unknown = schema.replace(/\?$/, '').split('|').filter(type => !this.types.includes(type));
+            return unknown.length > 0 ? [`${path}: unknown type '${unknown.join('|')}'`] : [];
+        }
+
+        if (typeof schema === 'object' && !Array.isArray(schema)) {
+            return Object.entries(schema).reduce((errors, [key, fieldSchema]) => {
+                return errors.concat(this.checkSchema(fieldSchema, `${path}.${key}`));
+            }, []);
+        }
+
+        return [`${path}: schema must be null, a type string or an object`];
+    }
+
+    /**
+     * Validate an event payload
+     * @param {string} name - Event name
+     * @param {*} data - Payload passed to emit
+     * @returns {object} { known, valid, errors }
+     */
+    validate(name, data) {
+        const definition = this.get(name);
+        if (!definition) {
+            return { known: false, valid: false, errors: [`Unknown event '${name}'`] };
+        }
+
+        const errors = [];
+        this.checkValue(definition.payload, data, 'payload', errors);
+        return { known: true, valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Check a value against a schema, collecting errors
+     * @param {*} schema - Payload schema
+     * @param {*} value - Value to check
+     * @param {string} path - Path for error messages
+     * @param {Array<string>} errors - Error accumulator
+     */
+    checkValue(schema, value, path, errors) {
+        if (schema === null) {
+            if (value !== null && value !== undefined) {
+                errors.push(`${path}: expected no payload, got ${this.typeOf(value)}`);
+            }
+            return;
+        }
+
+        if (typeof schema === 'string') {
+            const optional = schema.endsWith('?');
+            if (value === null || value === undefined) {
+                if (!optional) errors.push(`${path}: required`);
+                return;
+            }
+
+            const allowed = schema.replace(/\?$/, '').split('|');
+            if (!allowed.includes('any') && !allowed.includes(this.typeOf(value))) {
+                errors.push(`${path}: expected ${allowed.join('|')}, got ${this.typeOf(value)}`);
+            }
+            return;
+        }
+
+        if (this.typeOf(value) !== 'object') {
+            errors.push(`${path}: expected object, got ${this.typeOf(value)}`);
+            return;
+        }
+
+        for (const [key, fieldSchema] of Object.entries(schema)) {
+            this.checkValue(fieldSchema, value[key], `${path}.${key}`, errors);
+        }
+    }
+
+    /**
+     * Get the schema type name of a value
+     * @param {*} value - Value to inspect
+     * @returns {string} Type name
+     */
+    typeOf(value) {
+        if (value === null || value === undefined) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Get cataloged events grouped by category
+     * @returns {object} Map of category to definitions
+     */
+    getCategories() {
+        const categories = {};
+        for (const definition of this.events.values()) {
+            if (!categories[definition.category]) {
+                categories[definition.category] = [];
+            }
+            categories[definition.category].push(definition);
+        }
+        return categories;
+    }
+
+    /**
+     * Render a schema as short human-readable text
+     * @param {*} schema - Payload schema
+     * @returns {string} Description
+     */
+    describeSchema(schema) {
+        if (schema === null) return '—';
+        if (typeof schema === 'string') return `\`${schema}\``;
+
+        const fields = Object.entries(schema).map(([key, fieldSchema]) => {
+            return typeof fieldSchema === 'string'
+                ? `${key}: ${fieldSchema}`
+                : `${key}: { ${this.describeSchema(fieldSchema).replace(/`/g, '').replace(/^\{ | \}$/g, '')} }`;
+        });
+        return `\`{ ${fields.join(', ')} }\``;
+    }
+
+    /**
+     * Export the catalog as documentation
+     * @param {string} format - 'markdown' or 'json'
+     * @returns {string} Documentation text
+     */
+    exportDocumentation(format = 'markdown') {
+        const categories = this.getCategories();
+
+        if (format === 'json') {
+            return JSON.stringify(categories, null, 2);
+        }
+
+        const lines = ['# Event Catalog', '', `${this.events.size} events.`, ''];
+        for (const category of Object.keys(categories).sort()) {
+            lines.push(`## ${category}`, '');
+            lines.push('| Event | Payload | Emitted by | Description |');
+            lines.push('| --- | --- | --- | --- |');
+
+            const definitions = categories[category].sort((a, b) => a.name.localeCompare(b.name));
+            for (const definition of definitions) {
+                lines.push(`| \`${definition.name}\` | ${this.describeSchema(definition.payload)} | ` +
+                    `${definition.emittedBy.join(', ')} | ${definition.description} |`);
+            }
+            lines.push('');
+        }
+
+        return lines.join('\n');
+    }
+}
+
+// Create global event catalog instance
+const eventCatalog = new EventCatalog();
+
+eventCatalog.defineCategory('lifecycle', {
+    [EventTypes.GAME_STARTED]: { description: 'Game loop started', payload: null, emittedBy: ['GameLoop'] },
+    [EventTypes.GAME_STOPPED]: { description: 'Game loop stopped', payload: null, emittedBy: ['GameLoop'] },
+    [EventTypes.GAME_PAUSED]: { description: 'Game loop paused', payload: null, emittedBy: ['GameLoop'] },
+    [EventTypes.GAME_RESUMED]: { description: 'Game loop resumed', payload: null, emittedBy: ['GameLoop'] },
+    [EventTypes.GAME_SPEED_CHANGED]: {
+        description: 'Player game speed changed',
+        payload: { speed: 'number', previous: 'number' },
+        emittedBy: ['GameLoop']
+    },
+    [EventTypes.GAME_SKIP_STARTED]: {
+        description: 'Simulation started skipping ahead of real time',
+        payload: { reason: 'string', maxDuration: 'number' },
+        emittedBy: ['GameLoop']
+    },
+    [EventTypes.GAME_SKIP_ENDED]: {
+        description: 'Skip ahead finished, hit its limit or was cancelled',
+        payload: { reason: 'string', outcome: 'string', elapsed: 'number' },
+        emittedBy: ['GameLoop']
+    },
+    'game:set_speed': { description: 'Player picked a game speed', payload: { speed: 'number' }, emittedBy: ['GameMain'] },
+    'game:skip': {
+        description: 'Player asked to skip ahead (target is event or construction)',
+        payload: { target: 'string' },
+        emittedBy: ['GameMain']
+    },
+    'gameStarted': { description: 'Main finished starting the game', payload: null, emittedBy: ['GameMain'] },
+    'feature:unlocked': { description: 'Feature flag unlocked', payload: { feature: 'string' }, emittedBy: ['GameState'] },
+    'achievement:earned': { description: 'Achievement earned', payload: { achievementId: 'string' }, emittedBy: ['GameState'] }
+});
+
+eventCatalog.defineCategory('save', {
+    [EventTypes.GAME_SAVED]: {
+        description: 'Game saved to storage',
+        payload: { isAutoSave: 'boolean', saveTime: 'number', saveSize: 'number', sizeReport: 'object', timestamp: 'number' },
+        emittedBy: ['SaveSystem']
+    },
+    [EventTypes.SAVE_FAILED]: {
+        description: 'Saving failed',
+        payload: { error: 'string', isAutoSave: 'boolean' },
+        emittedBy: ['SaveSystem']
+    },
+    [EventTypes.GAME_LOADED]: {
+        description: 'Save loaded and applied',
+        payload: { version: 'string', timestamp: 'number', metadata: 'object?' },
+        emittedBy: ['SaveSystem']
+    },
+    [EventTypes.LOAD_FAILED]: { description: 'Loading failed', payload: { error: 'string' }, emittedBy: ['SaveSystem'] },
+    'game:save': { description: 'Player requested a save', payload: null, emittedBy: ['UIManager'] },
+    'game:undo': { description: 'Player requested undo of the last action', payload: null, emittedBy: ['UIManager'] },
+    [EventTypes.ACTION_UNDONE]: {
+        description: 'A player action was rolled back from the undo history',
+        payload: { label: 'string' },
+        emittedBy: ['UndoHistory']
+    }
+});
+
+eventCatalog.defineCategory('resources', {
+    [EventTypes.RESOURCES_INSUFFICIENT]: {
+        description: 'An action could not be afforded',
+        payload: { costs: 'object', reason: 'string' },
+        emittedBy: ['ResourceSystem', 'ExpansionSystem', 'HeatSystem']
+    },
+    [EventTypes.RESOURCE_CAP_REACHED]: {
+        description: 'Generation was clipped by a storage cap; the overflow policy handled the excess',
+        payload: { resource: 'string', cap: 'number', generated: 'number', excess: 'number', policy: 'string' },
+        emittedBy: ['ResourceSystem']
+    },
+    [EventTypes.RESOURCE_OVERFLOW_POLICY_CHANGED]: {
+        description: 'A resource\'s overflow policy changed',
+        payload: { resource: 'string', policy: 'object' },
+        emittedBy: ['ResourceSystem']
+    },
+    'resources:set_overflow_policy': {
+        description: 'Player chose an overflow policy ({ type, target?, rate? }) for a resource',
+        payload: { resource: 'string', policy: 'object' },
+        emittedBy: ['ResourceDisplay', 'GameMain']
+    },
+    'resourceClicked': {
+        description: 'Player clicked a resource',
+        payload: { type: 'string', value: 'number', total: 'number' },
+        emittedBy: ['GameMain']
+    }
+});
+
+eventCatalog.defineCategory('heat', {
+    [EventTypes.HEAT_INCREASED]: {
+        description: 'Heat rose',
+        payload: { amount: 'number', total: 'number', source: 'string?', reason: 'string?' },
+        emittedBy: ['HeatSystem']
+    },
+    [EventTypes.HEAT_DECREASED]: {
+        description: 'Heat fell',
+        payload: { amount: 'number', total: 'number', method: 'string?', reason: 'string?' },
+        emittedBy: ['HeatSystem']
+    },
+    [EventTypes.HEAT_PURGE_TRIGGERED]: {
+        description: 'Purge started',
+        payload: { resourceLossRate: 'number', recoveryRate: 'number', backupQuality: 'number', bonuses: 'object' },
+        emittedBy: ['HeatSystem']
+    },
+    [EventTypes.HEAT_PURGE_COMPLETED]: {
+        description: 'Purge losses and recovery applied',
+        payload: { resourceLossRate: 'number', recoveryRate: 'number', backupQuality: 'number', bonuses: 'object' },
+        emittedBy: ['HeatSystem']
+    },
+    [EventTypes.HEAT_BEFORE_PURGE]: {
+        description: 'Purge about to run; cancel to block it or edit purgeEffects',
+        payload: { type: 'string', cancelled: 'boolean', data: { heat: 'number', purgeEffects: 'object' } },
+        emittedBy: ['HeatSystem']
+    },
+    'heat:activate_reduction': {
+        description: 'Player asked to activate a heat reduction method',
+        payload: { methodId: 'string' },
+        emittedBy: ['HeatDisplay']
+    },
+    'heat:threat_level_changed': {
+        description: 'Displayed threat level changed',
+        payload: { oldLevel: 'string', newLevel: 'string', increased: 'boolean' },
+        emittedBy: ['HeatDisplay']
+    },
+    'emergencyProtocolActivated': {
+        description: 'Emergency heat reduction used',
+        payload: { type: 'string', amount: 'number' },
+        emittedBy: ['GameMain']
+    }
+});
+
+eventCatalog.defineCategory('expansion', {
+    [EventTypes.EXPANSION_BEFORE_INFILTRATION]: {
+        description: 'Infiltration about to start; cancel to block it or edit infiltrationData',
+        payload: { type: 'string', cancelled: 'boolean', data: { targetId: 'string', target: 'object', infiltrationData: 'object' } },
+        emittedBy: ['ExpansionSystem']
+    },
+    [EventTypes.EXPANSION_INFILTRATION_STARTED]: {
+        description: 'Infiltration began',
+        payload: { targetId: 'string', target: 'object', duration: 'number', successChance: 'number' },
+        emittedBy: ['ExpansionSystem']
+    },
+    [EventTypes.EXPANSION_INFILTRATION_COMPLETED]: {
+        description: 'Infiltration resolved (check success)',
+        payload: { targetId: 'string', target: 'object', success: 'boolean', successChance: 'number', roll: 'number' },
+        emittedBy: ['ExpansionSystem']
+    },
+    [EventTypes.EXPANSION_INFILTRATION_CANCELLED]: {
+        description: 'Player abandoned an infiltration',
+        payload: { targetId: 'string', target: 'object', progress: 'number' },
+        emittedBy: ['ExpansionSystem']
+    },
+    [EventTypes.EXPANSION_SCALE_CHANGED]: {
+        description: 'Player advanced to a new scale',
+        payload: { oldScale: 'string', newScale: 'string', controlledSystems: 'number' },
+        emittedBy: ['ExpansionSystem']
+    },
+    'expansion:start_infiltration': {
+        description: 'Player asked to start an infiltration',
+        payload: { targetId: 'string', target: 'object' },
+        emittedBy: ['ExpansionUI']
+    },
+    'expansion:cancel_infiltration': {
+        description: 'Player asked to cancel an infiltration',
+        payload: { targetId: 'string' },
+        emittedBy: ['ExpansionUI']
+    },
+    'abilities:unlock': { description: 'Target granted special abilities', payload: 'array', emittedBy: ['ExpansionSystem'] },
+    'systems:unlock': { description: 'Scale unlocked game systems', payload: 'array', emittedBy: ['ExpansionSystem'] },
+    'unlock-expansion': {
+        description: 'Expansion target unlocked',
+        payload: { expansionId: 'string' },
+        emittedBy: ['ConstructionSystem', 'MoralitySystem', 'RandomEventsSystem']
+    },
+    'lock-expansion': { description: 'Expansion target locked', payload: { expansionId: 'string' }, emittedBy: ['MoralitySystem'] }
+});
+
+eventCatalog.defineCategory('construction', {
+    'project-queued': {
+        description: 'Project added to the queue',
+        payload: { projectId: 'string', queueItem: 'object' },
+        emittedBy: ['ConstructionSystem']
+    },
+    'project-started': {
+        description: 'Project construction began',
+        payload: { projectId: 'string', queueItem: 'object', estimatedCompletion: 'number' },
+        emittedBy: ['ConstructionSystem']
+    },
+    'construction-progress': {
+        description: 'Active project progress tick',
+        payload: { activeProjects: 'array' },
+        emittedBy: ['ConstructionSystem']
+    },
+    'project-completed': {
+        description: 'Project finished',
+        payload: { projectId: 'string', project: 'object', queueItem: 'object' },
+        emittedBy: ['ConstructionSystem']
+    },
+    'project-cancelled': { description: 'Project cancelled', payload: { queueItem: 'object' }, emittedBy: ['ConstructionSystem'] },
+    'project-moved': {
+        description: 'Queued project moved one place in the queue',
+        payload: { projectId: 'string', from: 'number', to: 'number' },
+        emittedBy: ['ConstructionSystem']
+    },
+    'project-unlocked': {
+        description: 'Project became available',
+        payload: { projectId: 'string', project: 'object' },
+        emittedBy: ['ConstructionSystem']
+    },
+    'project-rushed': {
+        description: 'Active project rushed',
+        payload: { queueId: 'string', rushMultiplier: 'number', rushCost: 'object', newCompletion: 'number' },
+        emittedBy: ['ConstructionSystem']
+    },
+    'speed-modifier-changed': {
+        description: 'Construction effect changed a modifier',
+        payload: { type: 'string', modifier: 'number' },
+        emittedBy: ['ConstructionSystem']
+    },
+    'construction-speed-changed': {
+        description: 'Effective construction speed changed',
+        payload: { newSpeed: 'number' },
+        emittedBy: ['ConstructionSystem']
+    },
+    'construction-speed-event': {
+        description: 'Random event changed construction speed',
+        payload: { modifier: 'number' },
+        emittedBy: ['RandomEventsSystem']
+    },
+    'cancel-random-projects': {
+        description: 'Random event cancels queued projects',
+        payload: { count: 'number' },
+        emittedBy: ['RandomEventsSystem']
+    },
+    'construction:add_to_queue': {
+        description: 'Player queued a project',
+        payload: { projectId: 'string', project: 'object', priority: 'string' },
+        emittedBy: ['ConstructionUI']
+    },
+    'construction:remove_from_queue': {
+        description: 'Player removed a queued project',
+        payload: { projectId: 'string' },
+        emittedBy: ['ConstructionUI']
+    },
+    'construction:move_queue_item': {
+        description: 'Player reordered the queue',
+        payload: { projectId: 'string', direction: 'string' },
+        emittedBy: ['ConstructionUI']
+    },
+    'construction:start_immediate': {
+        description: 'Player started a project immediately',
+        payload: { projectId: 'string', project: 'object' },
+        emittedBy: ['ConstructionUI']
+    },
+    'construction:cancel': {
+        description: 'Player cancelled an active project',
+        payload: { projectId: 'string' },
+        emittedBy: ['ConstructionUI']
+    }
+});
+
+eventCatalog.defineCategory('conversion', {
+    [EventTypes.CONVERTER_BUILT]: {
+        description: 'Converter built for a recipe',
+        payload: { converterId: 'string', recipeId: 'string' },
+        emittedBy: ['ConversionSystem']
+    },
+    [EventTypes.CONVERTER_CONFIGURED]: {
+        description: 'Converter paused, resumed, throttled or switched recipe',
+        payload: { converterId: 'string', recipeId: 'string', enabled: 'boolean', throttle: 'number' },
+        emittedBy: ['ConversionSystem']
+    },
+    [EventTypes.CONVERTER_REMOVED]: {
+        description: 'Converter dismantled',
+        payload: { converterId: 'string', recipeId: 'string' },
+        emittedBy: ['ConversionSystem']
+    },
+    [EventTypes.CONVERTER_STALLED]: {
+        description: 'Converter stopped for lack of inputs or output space',
+        payload: { converterId: 'string', recipeId: 'string', reason: 'string' },
+        emittedBy: ['ConversionSystem']
+    },
+    [EventTypes.RECIPE_UPGRADED]: {
+        description: 'Recipe efficiency upgrade bought',
+        payload: { recipeId: 'string', level: 'number', efficiency: 'number' },
+        emittedBy: ['ConversionSystem']
+    },
+    'conversion:build': {
+        description: 'Player asked to build a converter',
+        payload: { recipeId: 'string' },
+        emittedBy: ['ResourceDisplay', 'GameMain']
+    },
+    'conversion:configure': {
+        description: 'Player changed a converter (enabled, throttle or recipeId)',
+        payload: { converterId: 'string', enabled: 'boolean?', throttle: 'number?', recipeId: 'string?' },
+        emittedBy: ['ResourceDisplay', 'GameMain']
+    },
+    'conversion:remove': {
+        description: 'Player asked to dismantle a converter',
+        payload: { converterId: 'string' },
+        emittedBy: ['ResourceDisplay', 'GameMain']
+    },
+    'conversion:upgrade': {
+        description: 'Player asked to upgrade a recipe',
+        payload: { recipeId: 'string' },
+        emittedBy: ['ResourceDisplay', 'GameMain']
+    }
+});
+
+eventCatalog.defineCategory('morality', {
+    'morality-change': { description: 'Request to shift morality', payload: { amount: 'number' }, emittedBy: ['RandomEventsSystem'] },
+    'morality-changed': {
+        description: 'Morality changed after a choice',
+        payload: { change: 'number', newValue: 'number|object', alignment: 'string' },
+        emittedBy: ['MoralitySystem']
+    },
+    'choice-completed': {
+        description: 'Moral choice resolved',
+        payload: { choiceId: 'string', optionIndex: 'number', consequences: 'any?' },
+        emittedBy: ['MoralitySystem']
+    },
+    'check-alignment-gates': {
+        description: 'Alignment-gated content should be rechecked',
+        payload: { alignment: 'string', morality: 'number|object' },
+        emittedBy: ['MoralitySystem']
+    },
+    'morality-effects-updated': { description: 'Alignment effects recalculated', payload: 'object', emittedBy: ['MoralitySystem'] },
+    'morality-reset': { description: 'Morality reset', payload: null, emittedBy: ['MoralitySystem'] },
+    'moralityShift': {
+        description: 'Morality value moved',
+        payload: { current: 'number|object', previous: 'number|object', shift: 'number' },
+        emittedBy: ['GameMain', 'CoreIntegration']
+    }
+});
+
+eventCatalog.defineCategory('randomEvents', {
+    [EventTypes.RANDOM_EVENT_TRIGGERED]: {
+        description: 'Random event check fired',
+        payload: { scale: 'string', timestamp: 'number' },
+        emittedBy: ['CoreIntegration']
+    },
+    'random-event-triggered': {
+        description: 'Random event started',
+        payload: { event: 'object', eventRecord: 'object' },
+        emittedBy: ['RandomEventsSystem']
+    },
+    'event-choice-presented': {
+        description: 'Random event is waiting for a choice',
+        payload: { event: 'object', eventRecord: 'object', choices: 'array' },
+        emittedBy: ['RandomEventsSystem']
+    },
+    'event-choice-made': {
+        description: 'Random event choice applied',
+        payload: { eventRecord: 'object', choiceIndex: 'number', choice: 'object' },
+        emittedBy: ['RandomEventsSystem']
+    },
+    'ongoing-event-ended': { description: 'Ongoing event expired', payload: { activeEvent: 'object' }, emittedBy: ['RandomEventsSystem'] },
+    'trigger-random-event': { description: 'Request a specific event', payload: { eventId: 'string' }, emittedBy: ['MoralitySystem'] }
+});
+
+eventCatalog.defineCategory('research', {
+    'research:start_upgrade': {
+        description: 'Player started researching an upgrade',
+        payload: { upgradeId: 'string', upgrade: 'object' },
+        emittedBy: ['UpgradeUI']
+    },
+    'research:cancel_upgrade': {
+        description: 'Player cancelled research',
+        payload: { upgradeId: 'string' },
+        emittedBy: ['UpgradeUI']
+    },
+    'research:auto_research_toggled': {
+        description: 'Auto-research toggled',
+        payload: { enabled: 'boolean' },
+        emittedBy: ['UpgradeUI']
+    },
+    'research:backup_unlock': { description: 'Heat bonus unlocked research', payload: { type: 'string' }, emittedBy: ['HeatSystem'] }
+});
+
+eventCatalog.defineCategory('timeline', {
+    'temporalEnergyChanged': { description: 'Temporal energy changed', payload: 'number', emittedBy: ['TimelineSystem'] },
+    'paradoxRiskChanged': { description: 'Paradox risk changed', payload: 'number', emittedBy: ['TimelineSystem'] },
+    'paradoxCritical': { description: 'Paradox risk crossed the critical line', payload: 'number', emittedBy: ['TimelineSystem'] },
+    'paradoxWarning': {
+        description: 'Paradox risk is high',
+        payload: { risk: 'number', timeToCollapse: 'number' },
+        emittedBy: ['TimelineSystem']
+    },
+    'paradoxCollapse': {
+        description: 'Timeline collapsed',
+        payload: { timelineId: 'string|number', collapseType: 'string' },
+        emittedBy: ['TimelineSystem']
+    },
+    'paradoxStabilized': {
+        description: 'Paradox risk reduced',
+        payload: { reductionAmount: 'number', cost: 'number' },
+        emittedBy: ['TimelineSystem']
+    },
+    'timelineReset': {
+        description: 'New timeline started',
+        payload: { newTimelineId: 'string|number', resetReason: 'string' },
+        emittedBy: ['TimelineSystem']
+    },
+    'timelineEventRecorded': { description: 'Event written to timeline history', payload: 'object', emittedBy: ['TimelineSystem'] },
+    'timeSkipActivated': { description: 'Time skip used', payload: { duration: 'number', cost: 'number' }, emittedBy: ['TimelineSystem'] },
+    'rewindActivated': { description: 'Rewind used', payload: { seconds: 'number', cost: 'number' }, emittedBy: ['TimelineSystem'] },
+    'accelerationActivated': {
+        description: 'Acceleration used',
+        payload: { multiplier: 'number', duration: 'number', cost: 'number' },
+        emittedBy: ['TimelineSystem']
+    },
+    'temporalShieldActivated': {
+        description: 'Temporal shield used',
+        payload: { duration: 'number', cost: 'number' },
+        emittedBy: ['TimelineSystem']
+    },
+    'temporalShieldActive': { description: 'Shield state changed', payload: 'boolean', emittedBy: ['TimelineSystem'] },
+    'temporalAbilityUnlocked': { description: 'Temporal ability unlocked', payload: 'string', emittedBy: ['TimelineSystem'] },
+    'temporalStabilityChanged': { description: 'Timeline stability changed', payload: 'number', emittedBy: ['TimelineSystem'] },
+    'gameTimeSkip': { description: 'Skip game time forward (ms)', payload: 'number', emittedBy: ['TimelineSystem'] },
+    'gameRewind': { description: 'Rewind game time', payload: { targetTime: 'number', seconds: 'number' }, emittedBy: ['TimelineSystem'] },
+    'gameAccelerate': {
+        description: 'Scale game time',
+        payload: { multiplier: 'number', duration: 'number' },
+        emittedBy: ['TimelineSystem']
+    },
+    'gameAccelerateEnd': { description: 'Acceleration expired', payload: null, emittedBy: ['TimelineSystem'] },
+    'actionPerformed': { description: 'Player action with timeline impact', payload: 'object', emittedBy: ['CoreIntegration'] },
+    'timeline:prediction_boost': { description: 'Heat bonus boosted predictions', payload: { duration: 'number' }, emittedBy: ['HeatSystem'] }
+});
+
+eventCatalog.defineCategory('consciousness', {
+    'absorptionFailed': {
+        description: 'Absorption refused',
+        payload: { target: 'object', reason: 'string', currentStress: 'number' },
+        emittedBy: ['ConsciousnessSystem']
+    },
+    'absorptionSuccessful': {
+        description: 'Consciousness absorbed',
+        payload: { consciousness: 'object', totalAbsorbed: 'number', newStress: 'number' },
+        emittedBy: ['ConsciousnessSystem']
+    },
+    'absorptionResistance': {
+        description: 'Absorbed consciousness fought back',
+        payload: { consciousness: 'object', backlash: 'number', newStress: 'number' },
+        emittedBy: ['ConsciousnessSystem']
+    },
+    'consciousnessAbsorbed': {
+        description: 'Absorption forwarded to the timeline',
+        payload: { targetId: 'string|number', type: 'string', temporalDisruption: 'number' },
+        emittedBy: ['GameMain', 'CoreIntegration']
+    },
+    'consciousnessIntegrating': { description: 'Integration started', payload: 'object', emittedBy: ['ConsciousnessSystem'] },
+    'consciousnessIntegrated': {
+        description: 'Integration finished',
+        payload: { consciousness: 'object', benefits: 'object' },
+        emittedBy: ['ConsciousnessSystem']
+    },
+    'consciousnessConflict': { description: 'Conflict between absorbed minds', payload: 'object', emittedBy: ['ConsciousnessSystem'] },
+    'conflictResolved': {
+        description: 'Conflict resolution attempted',
+        payload: { conflict: 'object', method: 'string', success: 'boolean' },
+        emittedBy: ['ConsciousnessSystem']
+    },
+    'consciousness:resolve_conflict': {
+        description: 'Player chose how to resolve a consciousness conflict',
+        payload: { conflictId: 'string', method: 'string' },
+        emittedBy: ['ConsciousnessUI']
+    },
+    'conflictOverload': {
+        description: 'Too many simultaneous conflicts',
+        payload: { activeConflicts: 'number', totalStress: 'number' },
+        emittedBy: ['ConsciousnessSystem']
+    },
+    'integrationStressChanged': { description: 'Integration stress changed', payload: 'number', emittedBy: ['ConsciousnessSystem', 'GameMain'] },
+    'criticalStressWarning': {
+        description: 'Stress near meltdown',
+        payload: { stress: 'number', timeToMeltdown: 'number' },
+        emittedBy: ['ConsciousnessSystem']
+    },
+    'consciousnessMeltdown': {
+        description: 'Meltdown fragmented absorbed minds',
+        payload: { fragmentedCount: 'number', remainingCount: 'number' },
+        emittedBy: ['ConsciousnessSystem']
+    },
+    'dominantPersonalityChanged': {
+        description: 'Dominant personality changed',
+        payload: { previous: 'any?', new: 'any?' },
+        emittedBy: ['ConsciousnessSystem']
+    },
+    'traitEnhanced': { description: 'Trait strengthened', payload: { trait: 'string', strength: 'number' }, emittedBy: ['ConsciousnessSystem'] },
+    'consciousnessEscaped': {
+        description: 'Fragment escaped control',
+        payload: { consciousness: 'object', threat: 'number' },
+        emittedBy: ['ConsciousnessSystem']
+    }
+});
+
+eventCatalog.defineCategory('offline', {
+    'offlineSessionStarted': {
+        description: 'Player went offline',
+        payload: { startTime: 'number', personality: 'any?' },
+        emittedBy: ['OfflineSystem']
+    },
+    'offlineSessionEnded': { description: 'Offline session summary', payload: 'object', emittedBy: ['OfflineSystem'] },
+    'applyOfflineProgress': { description: 'Offline gains to apply', payload: 'object', emittedBy: ['OfflineSystem'] },
+    'offlineBehaviorAdjusted': {
+        description: 'Offline AI behaviour changed',
+        payload: { autonomyLevel: 'number', aggressionLevel: 'number', caution: 'number', multipliers: 'object' },
+        emittedBy: ['OfflineSystem']
+    },
+    'stateRestored': {
+        description: 'System state loaded from a save',
+        payload: null,
+        emittedBy: ['TimelineSystem', 'ConsciousnessSystem', 'OfflineSystem', 'CoreIntegration']
+    }
+});
+
+eventCatalog.defineCategory('systems', {
+    [EventTypes.SYSTEM_ERROR]: { description: 'System update threw', payload: { system: 'string', error: 'string' }, emittedBy: ['GameLoop'] },
+    [EventTypes.PERFORMANCE_WARNING]: {
+        description: 'Frame rate dropped',
+        payload: { fps: 'number', averageFps: 'number' },
+        emittedBy: ['GameLoop']
+    },
+    [EventTypes.SYSTEMS_REFRESH_REQUESTED]: { description: 'Systems should refresh from state', payload: null, emittedBy: ['CoreIntegration'] },
+    'systems:scale_changed': { description: 'Scale change forwarded to systems', payload: { scale: 'string' }, emittedBy: ['CoreIntegration'] },
+    'systems:timeline_reset': { description: 'Timeline reset forwarded to systems', payload: 'object', emittedBy: ['CoreIntegration'] }
+});
+
+eventCatalog.defineCategory('ui', {
+    [EventTypes.UI_NOTIFICATION]: {
+        description: 'Show a notification',
+        payload: { type: 'string', title: 'string', message: 'string', duration: 'number?' },
+        emittedBy: ['ExpansionSystem', 'HeatSystem', 'CoreIntegration']
+    },
+    [EventTypes.UI_UPDATE_RESOURCES]: { description: 'Refresh resource display', payload: null, emittedBy: ['CoreIntegration'] },
+    [EventTypes.UI_UPDATE_HEAT]: { description: 'Refresh heat display', payload: null, emittedBy: ['CoreIntegration'] },
+    'ui:heat_critical_warning': { description: 'Heat is critical', payload: null, emittedBy: ['CoreIntegration'] },
+    'ui:update_timeline': { description: 'Refresh timeline panel', payload: null, emittedBy: ['CoreIntegration'] },
+    'ui:update_paradox_risk': { description: 'Refresh paradox meter', payload: null, emittedBy: ['CoreIntegration'] },
+    'ui:paradox_warning': { description: 'Paradox risk is high', payload: null, emittedBy: ['CoreIntegration'] },
+    'ui:show_paradox_collapse': { description: 'Show collapse dialog', payload: 'object', emittedBy: ['CoreIntegration'] },
+    'ui:update_consciousness': { description: 'Refresh consciousness panel', payload: null, emittedBy: ['CoreIntegration'] },
+    'ui:show_consciousness_conflict': { description: 'Show conflict dialog', payload: 'object', emittedBy: ['CoreIntegration'] },
+    'ui:consciousness_critical_warning': { description: 'Stress is critical', payload: null, emittedBy: ['CoreIntegration'] },
+    'ui:show_meltdown_warning': { description: 'Show meltdown dialog', payload: 'object', emittedBy: ['CoreIntegration'] },
+    'ui:show_offline_summary': { description: 'Show offline summary', payload: 'object', emittedBy: ['CoreIntegration'] },
+    'ui:refresh_all': { description: 'Refresh every panel', payload: null, emittedBy: ['CoreIntegration'] },
+    'ui:infiltration_success': { description: 'Show infiltration success', payload: { target: 'object' }, emittedBy: ['CoreIntegration'] },
+    'ui:infiltration_failure': { description: 'Show infiltration failure', payload: { target: 'object' }, emittedBy: ['CoreIntegration'] },
+    'ui:initialized': { description: 'UI manager ready', payload: null, emittedBy: ['UIManager'] },
+    'ui:tabChanged': { description: 'Active tab changed', payload: { oldTab: 'string?', newTab: 'string' }, emittedBy: ['UIManager'] },
+    'ui:sidebarToggled': { description: 'Sidebar collapsed or expanded', payload: { collapsed: 'boolean' }, emittedBy: ['UIManager'] },
+    'ui:resized': { description: 'Window resized', payload: { width: 'number', height: 'number' }, emittedBy: ['UIManager'] }
+});
+
+// Let the event bus validate against the catalog
+eventBus.setCatalog(eventCatalog);
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventCatalog, eventCatalog };
+}
+
+// Also expose globals for non-module script consumers
+if (typeof window !== 'undefined') {
+    window.eventCatalog = eventCatalog;
+    window.EventCatalog = EventCatalog;
+}
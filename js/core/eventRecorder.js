@@ -0,0 +1,499 @@
+/**
+ * Singularity: AI Takeover - Event Recording and Replay
+ *
+ * EventRecorder keeps a ring buffer of every emit and queue call on the
+ * event bus, plus the game loop ticks and queue flushes between them, so a
+ * session can be exported as JSON and attached to a bug report. The buffer
+ * holds the last few minutes of game time, growing up to an entry cap.
+ *
+ * Periodic keyframes (game state, subsystem state and random generator
+ * state) are taken at tick boundaries every so many seconds of game time. EventReplayer restores the oldest
+ * keyframe still covered by the buffer and re-drives the root entries: ticks,
+ * flushes and top-level emits. Events raised by listeners or system updates
+ * are not replayed directly; they are regenerated by the replay itself and
+ * compared with the recording to find where the two runs diverge.
+ */
+
+class EventRecorder {
+    /**
+     * @param {object} options - Recorder options
+     * @param {number} options.duration - Game time kept in the buffer in milliseconds (Infinity for all)
+     * @param {number} options.maxEntries - Entry cap, whatever the duration (Infinity for none)
+     * @param {number} options.keyframeInterval - Game time between keyframes in milliseconds (Infinity for none)
+     */
+    constructor(options = {}) {
+        const config = (typeof GameConfig !== 'undefined' && GameConfig.DEBUG.EVENT_RECORDING) || {};
+
+        this.duration = options.duration || config.DURATION || 120000;
+        this.maxEntries = options.maxEntries || config.MAX_ENTRIES || 50000;
+        this.keyframeInterval = options.keyframeInterval || config.KEYFRAME_INTERVAL || 30000;
+
+        this.keyframes = [];
+        this.recording = false;
+        this.nextSeq = 0;
+        this.dropped = 0;
+        this.depth = 0;
+        this.startedAt = null;
+        this.gameTime = 0;
+        this.lastKeyframeTime = 0;
+        this.keyframePending = false;
+        this.resetBuffer();
+    }
+
+    /**
+     * Empty the ring buffer
+     */
+    resetBuffer() {
+        this.buffer = new Array(EventRecorder.INITIAL_CAPACITY);
+        this.head = 0;
+        this.size = 0;
+    }
+
+    /**
+     * Start recording and attach to the event bus
+     * @param {EventBus} bus - Event bus to record (defaults to the global bus)
+     */
+    start(bus = window.eventBus) {
+        this.gameTime = window.gameLoop ? gameLoop.getGameTime() : 0;
+        this.clear();
+        this.recording = true;
+        this.startedAt = Date.now();
+        this.keyframePending = true;
+        bus.recorder = this;
+
+        console.log(`EventRecorder: Recording started (${this.duration / 1000}s, up to ${this.maxEntries} entries)`);
+    }
+
+    /**
+     * Stop recording and detach from the event bus
+     * @param {EventBus} bus - Event bus being recorded
+     */
+    stop(bus = window.eventBus) {
+        this.recording = false;
+        if (bus.recorder === this) {
+            bus.recorder = null;
+        }
+    }
+
+    /**
+     * Drop every recorded entry and keyframe
+     */
+    clear() {
+        this.resetBuffer();
+        this.keyframes = [];
+        this.nextSeq = 0;
+        this.dropped = 0;
+        this.depth = 0;
+        this.lastKeyframeTime = this.gameTime;
+    }
+
+    /**
+     * Record an event bus call
+     * @param {string} kind - 'emit', 'queue' or 'flush'
+     * @param {string} type - Event type (null for flushes)
+     * @param {*} data - Event payload
+     */
+    record(kind, type, data = null) {
+        if (!this.recording) return;
+
+        this.push({ kind, type, data: EventRecorder.cloneData(data) });
+    }
+
+    /**
+     * Record a game loop fixed-timestep update
+     * @param {number} deltaTime - Timestep in milliseconds
+     * @param {number} currentTime - Loop timestamp
+     * @returns {object|undefined} Recorded tick data, so the loop can note which systems it skipped
+     */
+    recordTick(deltaTime, currentTime) {
+        if (!this.recording) return;
+
+        this.gameTime = window.gameLoop ? gameLoop.getGameTime() : currentTime;
+
+        // Ticks are the only point where every system is between updates
+        if (this.depth === 0 && (this.keyframePending || this.gameTime - this.lastKeyframeTime >= this.keyframeInterval)) {
+            this.takeKeyframe();
+        }
+
+        const data = { deltaTime, currentTime };
+        this.push({ kind: 'tick', type: null, data });
+        return data;
+    }
+
+    /**
+     * Mark that recorded calls are now nested inside a dispatch or update
+     */
+    enter() {
+        this.depth++;
+    }
+
+    /**
+     * Mark the end of a nested dispatch or update
+     */
+    exit() {
+        this.depth = Math.max(0, this.depth - 1);
+    }
+
+    /**
+     * Request a keyframe at the next tick (e.g. after a save is loaded)
+     */
+    requestKeyframe() {
+        this.keyframePending = true;
+    }
+
+    /**
+     * Append an entry to the ring buffer. Entries older than the duration are
+     * dropped; the buffer grows while everything in it is recent enough and
+     * overwrites the oldest entry once it reaches the entry cap.
+     * @param {object} entry - Entry without bookkeeping fields
+     */
+    push(entry) {
+        while (this.size > 0 && this.oldest().gameTime < this.gameTime - this.duration) {
+            this.dropOldest();
+        }
+
+        if (this.size === this.buffer.length) {
+            if (this.size < this.maxEntries) {
+                this.grow();
+            } else {
+                this.dropOldest();
+            }
+        }
+
+        this.buffer[(this.head + this.size) % this.buffer.length] = {
+            seq: this.nextSeq++,
+            time: performance.now(),
+            gameTime: this.gameTime,
+            depth: this.depth,
+            ...entry
+        };
+        this.size++;
+    }
+
+    /**
+     * @returns {object|undefined} Oldest buffered entry
+     */
+    oldest() {
+        return this.size > 0 ? this.buffer[this.head] : undefined;
+    }
+
+    /**
+     * Drop the oldest entry and any keyframe that can no longer be replayed from
+     */
+    dropOldest() {
+        this.buffer[this.head] = undefined;
+        this.head = (this.head + 1) % this.buffer.length;
+        this.size--;
+        this.dropped++;
+
+        const oldestSeq = this.size > 0 ? this.oldest().seq : this.nextSeq;
+        while (this.keyframes.length > 1 && this.keyframes[1].seq <= oldestSeq) {
+            this.keyframes.shift();
+        }
+    }
+
+    /**
+     * Double the ring buffer, up to the entry cap
+     */
+    grow() {
+        const entries = this.getEntries();
+        this.buffer = new Array(Math.min(this.buffer.length * 2, this.maxEntries));
+        entries.forEach((entry, i) => { this.buffer[i] = entry; });
+        this.head = 0;
+    }
+
+    /**
+     * @returns {Array} Buffered entries, oldest first
+     */
+    getEntries() {
+        const entries = new Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            entries[i] = this.buffer[(this.head + i) % this.buffer.length];
+        }
+        return entries;
+    }
+
+    /**
+     * Snapshot everything a replay needs to start from this point
+     */
+    takeKeyframe() {
+        try {
+            this.keyframes.push({
+                seq: this.nextSeq,
+                timestamp: Date.now(),
+                state: gameState.serialize(),
+                systems: window.saveSystem ? saveSystem.collectSystemState() : {},
+                random: randomGenerator.getState(),
+                scheduler: window.gameLoop ? gameLoop.getSchedulerState() : null,
+                queue: window.eventBus ? eventBus.eventQueue.map(({ eventType, data, options }) => ({
+                    eventType,
+                    data: EventRecorder.cloneData(data),
+                    options
+                })) : []
+            });
+        } catch (error) {
+            console.error('EventRecorder: Failed to take keyframe', error);
+        }
+
+        this.lastKeyframeTime = this.gameTime;
+        this.keyframePending = false;
+    }
+
+    /**
+     * Get the oldest keyframe whose entries are all still buffered
+     * @returns {object|null} Keyframe or null
+     */
+    getReplayKeyframe() {
+        const oldestSeq = this.size > 0 ? this.oldest().seq : this.nextSeq;
+        return this.keyframes.find(keyframe => keyframe.seq >= oldestSeq) || null;
+    }
+
+    /**
+     * Get recorder status
+     * @returns {object} Status information
+     */
+    getStatus() {
+        return {
+            recording: this.recording,
+            entries: this.size,
+            capacity: this.buffer.length,
+            maxEntries: this.maxEntries,
+            duration: this.duration,
+            dropped: this.dropped,
+            keyframes: this.keyframes.length,
+            startedAt: this.startedAt
+        };
+    }
+
+    /**
+     * Build a replayable recording starting at the oldest usable keyframe
+     * @returns {object} Recording object
+     */
+    getRecording() {
+        const keyframe = this.getReplayKeyframe();
+        const entries = keyframe ? this.getEntries().filter(entry => entry.seq >= keyframe.seq) : [];
+
+        return {
+            format: EventRecorder.FORMAT,
+            formatVersion: EventRecorder.FORMAT_VERSION,
+            gameVersion: GameConfig.VERSION,
+            recordedAt: Date.now(),
+            startedAt: this.startedAt,
+            fixedTimeStep: window.gameLoop ? gameLoop.fixedTimeStep : null,
+            dropped: this.dropped,
+            keyframe,
+            entries
+        };
+    }
+
+    /**
+     * Export the recording as JSON
+     * @returns {string} Recording JSON
+     */
+    export() {
+        return JSON.stringify(this.getRecording());
+    }
+
+    /**
+     * Copy a payload so later mutation by listeners does not change the record
+     * @param {*} data - Event payload
+     * @returns {*} JSON-safe copy
+     */
+    static cloneData(data) {
+        if (data === null || data === undefined || typeof data !== 'object') {
+            return data === undefined ? null : data;
+        }
+
+        const seen = new WeakSet();
+        try {
+            return JSON.parse(JSON.stringify(data, (key, value) => {
+                if (value instanceof Map) return Object.fromEntries(value);
+                if (value instanceof Set) return Array.from(value);
+                if (value && typeof value === 'object') {
+                    if (seen.has(value)) return '[Circular]';
+                    seen.add(value);
+                }
+                return value;
+            }));
+        } catch (error) {
+            return { unserializable: true, error: error.message };
+        }
+    }
+}
+
+EventRecorder.FORMAT = 'singularity-event-recording';
+EventRecorder.FORMAT_VERSION = 1;
+EventRecorder.INITIAL_CAPACITY = 1024;
+
+/**
+ * Replays a recording into a freshly restored game state
+ */
+class EventReplayer {
+    /**
+     * @param {object|string} recording - Recording object or its JSON export
+     */
+    constructor(recording) {
+        this.recording = typeof recording === 'string' ? JSON.parse(recording) : recording;
+
+        if (!this.recording || this.recording.format !== EventRecorder.FORMAT) {
+            throw new Error('EventReplayer: Not an event recording');
+        }
+        if (this.recording.formatVersion > EventRecorder.FORMAT_VERSION) {
+            throw new Error(`EventReplayer: Recording format v${this.recording.formatVersion} is not supported`);
+        }
+        if (!this.recording.keyframe) {
+            throw new Error('EventReplayer: Recording has no keyframe to start from');
+        }
+
+        this.rootEntries = this.recording.entries.filter(entry => entry.depth === 0);
+        this.position = 0;
+        this.prepared = false;
+        this.shadowRecorder = null;
+    }
+
+    /**
+     * Stop live play and restore the recording's starting keyframe
+     */
+    prepare() {
+        const keyframe = this.recording.keyframe;
+
+        if (window.gameLoop && gameLoop.isRunning) {
+            gameLoop.stop();
+        }
+
+        if (eventBus.recorder) {
+            eventBus.recorder.stop(eventBus);
+        }
+
+        gameState.restoreSnapshot({
+            timestamp: keyframe.timestamp,
+            data: JSON.parse(JSON.stringify(keyframe.state))
+        });
+        if (window.saveSystem) {
+            saveSystem.restoreSystemState(keyframe.systems || {});
+        }
+        randomGenerator.setState(keyframe.random);
+        if (window.gameLoop) {
+            gameLoop.restoreSchedulerState(keyframe.scheduler);
+        }
+
+        // Replace anything queued by the restore itself with what was queued when the keyframe was taken
+        eventBus.eventQueue = (keyframe.queue || []).map(item => ({ ...item, timestamp: performance.now() }));
+
+        // Record the replay so it can be compared with the original session
+        this.shadowRecorder = new EventRecorder({ duration: Infinity, maxEntries: Infinity, keyframeInterval: Infinity });
+        this.shadowRecorder.start(eventBus);
+        this.shadowRecorder.keyframePending = false;
+
+        this.position = 0;
+        this.prepared = true;
+        console.log(`EventReplayer: Restored keyframe, ${this.rootEntries.length} root entries to replay`);
+    }
+
+    /**
+     * Apply the next root entry
+     * @returns {object|null} Applied entry, or null when finished
+     */
+    step() {
+        if (!this.prepared) {
+            this.prepare();
+        }
+
+        const entry = this.rootEntries[this.position];
+        if (!entry) return null;
+        this.position++;
+
+        const data = EventRecorder.cloneData(entry.data);
+        switch (entry.kind) {
+            case 'tick':
+                gameLoop.updateSystems(data.deltaTime, data.currentTime, data.skipped || []);
+                break;
+            case 'flush':
+                eventBus.processQueue();
+                break;
+            case 'emit':
+                eventBus.emit(entry.type, data);
+                break;
+            case 'queue':
+                eventBus.queue(entry.type, data);
+                break;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Replay entries until the end or a stopping point
+     * @param {object} options - Replay options
+     * @param {number} options.untilSeq - Stop after the entry with this sequence number
+     * @returns {object} Replay summary
+     */
+    run(options = {}) {
+        const { untilSeq = Infinity } = options;
+        let applied = 0;
+
+        while (this.position < this.rootEntries.length && this.rootEntries[this.position].seq <= untilSeq) {
+            this.step();
+            applied++;
+        }
+
+        return {
+            applied,
+            remaining: this.rootEntries.length - this.position,
+            divergence: this.findDivergence()
+        };
+    }
+
+    /**
+     * Compare the replayed event sequence with the recorded one
+     * @returns {object|null} First mismatch, or null if the runs agree so far
+     */
+    findDivergence() {
+        if (!this.shadowRecorder) return null;
+
+        // Everything recorded before the next unapplied root entry should have happened by now
+        const nextSeq = this.position < this.rootEntries.length ? this.rootEntries[this.position].seq : Infinity;
+        const expected = this.recording.entries.filter(entry => entry.seq < nextSeq);
+        const actual = this.shadowRecorder.getEntries();
+
+        const length = Math.max(expected.length, actual.length);
+        for (let i = 0; i < length; i++) {
+            const want = expected[i];
+            const got = actual[i];
+            if (!want || !got || want.kind !== got.kind || want.type !== got.type) {
+                return {
+                    index: i,
+                    seq: want ? want.seq : null,
+                    expected: want ? `${want.kind} ${want.type || ''}`.trim() : null,
+                    actual: got ? `${got.kind} ${got.type || ''}`.trim() : null
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Stop capturing the replay
+     */
+    finish() {
+        if (this.shadowRecorder) {
+            this.shadowRecorder.stop(eventBus);
+        }
+    }
+}
+
+// Create global event recorder instance
+const eventRecorder = new EventRecorder();
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventRecorder, EventReplayer, eventRecorder };
+}
+
+// Also expose globals for non-module script consumers
+if (typeof window !== 'undefined') {
+    window.eventRecorder = eventRecorder;
+    window.EventRecorder = EventRecorder;
+    window.EventReplayer = EventReplayer;
+}
@@ -16,13 +16,25 @@ class GameLoop {
         // Fixed timestep configuration
         this.fixedTimeStep = 1000 / 60; // 60 FPS target
         this.maxFrameTime = 250; // Cap frame time to prevent spiral of death
+        this.timeScale = 1; // Game-time multiplier (temporal acceleration)
+        this.speed = 1; // Player-selected game speed, applied on top of timeScale
+        this.gameClock = 0; // Game time in ms, advanced by every fixed update
+        this.clockStarted = false; // Set once the clock has been started or restored from a save
+        this.skip = null; // Active skip-ahead request (see skipAhead)
         
         // System management
-        this.updateSystems = new Map();
+        this.systems = new Map();
         this.updateOrder = [];
         this.systemBudgets = new Map();
         this.lastUpdates = new Map();
         
+        // Adaptive scheduling: deferrable systems are throttled under sustained
+        // load and skipped when a frame is over budget, down to a minimum rate
+        this.frameBudget = GameConfig.SCHEDULING.FRAME_BUDGET;
+        this.frameSystemTime = 0;
+        this.throttle = 1;
+        this.calmFrames = 0;
+        
         // Performance monitoring
         this.frameCount = 0;
         this.fpsHistory = [];
@@ -38,31 +50,45 @@ class GameLoop {
      * @param {Function} updateFunction - Function to call each update
      * @param {number} priority - Update priority (lower = earlier)
      * @param {number} budget - Time budget in milliseconds
+     * @param {object} options - Scheduling options
+     * @param {boolean} options.deferrable - Whether the system may be throttled or deferred under load
+     * @param {number} options.minUpdateRate - Updates per second kept even under load
      */
-    registerSystem(name, updateFunction, priority = 50, budget = 2) {
+    registerSystem(name, updateFunction, priority = 50, budget = 2, options = {}) {
         if (typeof updateFunction !== 'function') {
             console.error(`GameLoop: Invalid update function for system '${name}'`);
             return;
         }
 
-        this.updateSystems.set(name, {
+        const scheduling = GameConfig.SCHEDULING;
+        const {
+            deferrable = priority >= scheduling.DEFERRABLE_PRIORITY,
+            minUpdateRate = scheduling.MIN_UPDATE_RATES[name] || scheduling.DEFAULT_MIN_UPDATE_RATE
+        } = options;
+
+        this.systems.set(name, {
             update: updateFunction,
             priority: priority,
             enabled: true,
             lastUpdateTime: 0,
             averageUpdateTime: 0,
-            updateCount: 0
+            updateCount: 0,
+            deferrable,
+            minUpdateRate,
+            pendingDelta: 0, // Game time accumulated while skipped
+            averageInterval: 0,
+            deferredCount: 0
         });
 
         this.systemBudgets.set(name, budget);
         this.lastUpdates.set(name, 0);
 
         // Rebuild update order based on priorities
-        this.updateOrder = Array.from(this.updateSystems.keys())
-            .sort((a, b) => this.updateSystems.get(a).priority - this.updateSystems.get(b).priority);
+        this.updateOrder = Array.from(this.systems.keys())
+            .sort((a, b) => this.systems.get(a).priority - this.systems.get(b).priority);
         
         console.debug(`GameLoop: Registered system '${name}'`, {
-            priority, budget
+            priority, budget, deferrable, minUpdateRate
         });
     }
 
@@ -71,7 +97,7 @@ class GameLoop {
      * @param {string} name - System name
      */
     unregisterSystem(name) {
-        this.updateSystems.delete(name);
+        this.systems.delete(name);
         this.systemBudgets.delete(name);
         this.lastUpdates.delete(name);
         this.updateOrder = this.updateOrder.filter(systemName => systemName !== name);
@@ -85,7 +111,7 @@ class GameLoop {
      * @param {boolean} enabled - Whether system should be enabled
      */
     setSystemEnabled(name, enabled) {
-        const system = this.updateSystems.get(name);
+        const system = this.systems.get(name);
         if (system) {
             system.enabled = enabled;
             console.debug(`GameLoop: System '${name}' ${enabled ? 'enabled' : 'disabled'}`);
@@ -105,6 +131,10 @@ class GameLoop {
         this.isPaused = false;
         this.lastFrameTime = performance.now();
         this.accumulator = 0;
+        if (!this.clockStarted) {
+            this.gameClock = Date.now();
+            this.clockStarted = true;
+        }
         
         // Initialize last update times
         const currentTime = this.lastFrameTime;
@@ -132,6 +162,10 @@ class GameLoop {
             cancelAnimationFrame(this.frameId);
             this.frameId = null;
         }
+
+        if (this.skip) {
+            this.endSkip('cancelled');
+        }
         
         console.log('GameLoop: Stopped');
         if (window.eventBus) {
@@ -176,6 +210,13 @@ class GameLoop {
         
         const currentTime = performance.now();
         let frameTime = currentTime - this.lastFrameTime;
+
+        const profiler = window.performanceProfiler && window.performanceProfiler.enabled
+            ? window.performanceProfiler
+            : null;
+        if (profiler) profiler.beginFrame(currentTime);
+
+        this.frameSystemTime = 0;
         
         // Cap frame time to prevent spiral of death
         if (frameTime > this.maxFrameTime) {
@@ -183,7 +224,7 @@ class GameLoop {
         }
         
         this.lastFrameTime = currentTime;
-        this.accumulator += frameTime;
+        this.accumulator += frameTime * this.timeScale * this.speed;
         
         // Fixed timestep updates
         while (this.accumulator >= this.fixedTimeStep) {
@@ -192,6 +233,13 @@ class GameLoop {
             }
             this.accumulator -= this.fixedTimeStep;
         }
+
+        // Skipping ahead runs extra updates on top of the normal ones
+        if (this.skip && !this.isPaused) {
+            this.runSkip(currentTime);
+        }
+
+        this.adjustThrottle();
         
         // Process event queue
         if (window.eventBus && !this.isPaused) {
@@ -200,6 +248,8 @@ class GameLoop {
         
         // Update performance statistics
         this.updatePerformanceStats(currentTime);
+
+        if (profiler) profiler.endFrame(performance.now());
         
         // Schedule next frame
         this.frameId = requestAnimationFrame(() => this.loop());
@@ -209,25 +259,59 @@ class GameLoop {
      * Update all registered systems
      * @param {number} deltaTime - Fixed timestep delta
      * @param {number} currentTime - Current timestamp
+     * @param {Array<string>} skipped - Systems to skip instead of scheduling (used by replays)
      */
-    updateSystems(deltaTime, currentTime) {
+    updateSystems(deltaTime, currentTime, skipped = null) {
+        const recorder = window.eventBus && window.eventBus.recorder;
+        let tick = null;
+        if (recorder) {
+            tick = recorder.recordTick(deltaTime, currentTime);
+            recorder.enter();
+        }
+        const skippedThisTick = [];
+        this.gameClock += deltaTime;
+
+        const profiler = window.performanceProfiler && window.performanceProfiler.enabled
+            ? window.performanceProfiler
+            : null;
+        if (profiler) profiler.beginUpdate();
+
         for (const systemName of this.updateOrder) {
-            const system = this.updateSystems.get(systemName);
+            const system = this.systems.get(systemName);
             
             if (!system || !system.enabled) {
                 continue;
             }
+
+            let systemDelta = deltaTime;
+            if (system.deferrable) {
+                system.pendingDelta += deltaTime;
+
+                const run = skipped ? !skipped.includes(systemName) : this.shouldRunDeferrable(system);
+                if (!run) {
+                    skippedThisTick.push(systemName);
+                    continue;
+                }
+
+                systemDelta = system.pendingDelta;
+                system.pendingDelta = 0;
+                system.averageInterval = system.averageInterval === 0
+                    ? systemDelta
+                    : system.averageInterval * 0.9 + systemDelta * 0.1;
+            }
             
             const updateStartTime = performance.now();
             const budget = this.systemBudgets.get(systemName) || 2;
             
             try {
                 // Call system update function
-                system.update(deltaTime, currentTime);
+                system.update(systemDelta, currentTime);
                 
                 // Track performance
                 const updateTime = performance.now() - updateStartTime;
+                this.frameSystemTime += updateTime;
                 this.updateSystemPerformance(systemName, system, updateTime);
+                if (profiler) profiler.recordSystem(systemName, updateTime, budget);
                 
                 // Warn about budget overruns
                 if (updateTime > budget) {
@@ -250,6 +334,235 @@ class GameLoop {
                 }
             }
         }
+
+        // Derived values are published once per update, after every system has run
+        if (window.gameState) {
+            window.gameState.flushComputed();
+        }
+
+        // Replays must skip exactly what the live session skipped
+        if (tick && skippedThisTick.length > 0) {
+            tick.skipped = skippedThisTick;
+        }
+
+        if (recorder) recorder.exit();
+    }
+
+    /**
+     * Decide whether a deferrable system runs this update. It runs once the
+     * throttled interval has passed, unless the frame is already over budget;
+     * it always runs once its minimum update rate would otherwise be missed.
+     * @param {object} system - System entry with pending game time
+     * @returns {boolean} Whether to run the system now
+     */
+    shouldRunDeferrable(system) {
+        const maxInterval = 1000 / system.minUpdateRate;
+        if (system.pendingDelta >= maxInterval - 1e-6) {
+            return true;
+        }
+
+        const interval = Math.min(this.fixedTimeStep * this.throttle, maxInterval);
+        if (system.pendingDelta < interval - 1e-6) {
+            return false;
+        }
+
+        if (this.frameSystemTime >= this.frameBudget) {
+            system.deferredCount++;
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Raise the throttle on deferrable systems after an over-budget frame and
+     * lower it again once frames have stayed well under budget for a while
+     */
+    adjustThrottle() {
+        const scheduling = GameConfig.SCHEDULING;
+
+        if (this.frameSystemTime > this.frameBudget) {
+            this.calmFrames = 0;
+            if (this.throttle < scheduling.MAX_THROTTLE) {
+                this.throttle = Math.min(this.throttle * 2, scheduling.MAX_THROTTLE);
+                console.debug(`GameLoop: Frame over budget (${this.frameSystemTime.toFixed(2)}ms), throttle ${this.throttle}x`);
+            }
+        } else if (this.throttle > 1 && this.frameSystemTime < this.frameBudget / 2) {
+            this.calmFrames++;
+            if (this.calmFrames >= scheduling.RECOVERY_FRAMES) {
+                this.calmFrames = 0;
+                this.throttle = Math.max(1, this.throttle / 2);
+            }
+        }
+    }
+
+    /**
+     * Get game time each deferrable system has accumulated while skipped
+     * @returns {object} Pending delta per system name
+     */
+    getSchedulerState() {
+        const pending = {};
+        this.systems.forEach((system, name) => {
+            if (system.deferrable) {
+                pending[name] = system.pendingDelta;
+            }
+        });
+        return { pending, gameClock: this.gameClock };
+    }
+
+    /**
+     * Restore scheduler state captured by getSchedulerState
+     * @param {object} state - Scheduler state
+     */
+    restoreSchedulerState(state) {
+        const pending = (state && state.pending) || {};
+        this.systems.forEach((system, name) => {
+            system.pendingDelta = pending[name] || 0;
+        });
+
+        this.setClockState(state);
+    }
+
+    /**
+     * Get the game clock. It starts at the wall-clock time when a new game's
+     * loop first starts and then only advances with simulated time, so timers
+     * compared against it follow game speed and skips. Saves carry it over.
+     * @returns {number} Game time in milliseconds
+     */
+    getGameTime() {
+        return this.gameClock;
+    }
+
+    /**
+     * @returns {object} Game clock state for saves
+     */
+    getClockState() {
+        return { gameClock: this.gameClock };
+    }
+
+    /**
+     * Restore the game clock from a save, so saved game-time timers keep their distance
+     * @param {object} state - State from getClockState
+     */
+    setClockState(state) {
+        if (state && typeof state.gameClock === 'number') {
+            this.gameClock = state.gameClock;
+            this.clockStarted = true;
+        }
+    }
+
+    /**
+     * Set the player-selected game speed. It multiplies the game time fed to
+     * the fixed timestep, together with any temporal acceleration.
+     * @param {number} speed - Speed multiplier (1 = real time)
+     * @returns {boolean} True if the speed was applied
+     */
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || speed <= 0 || !isFinite(speed)) {
+            console.error('GameLoop: Invalid game speed', speed);
+            return false;
+        }
+
+        const previous = this.speed;
+        this.speed = speed;
+
+        console.log(`GameLoop: Game speed set to ${speed}x`);
+        if (window.eventBus && previous !== speed) {
+            window.eventBus.emit(EventTypes.GAME_SPEED_CHANGED, { speed, previous });
+        }
+        return true;
+    }
+
+    /**
+     * Run the simulation ahead of real time until a condition holds or a
+     * game-time limit is reached. Updates run in batches each frame, bounded
+     * by GameConfig.SPEED.SKIP_STEPS_PER_FRAME and SKIP_FRAME_BUDGET, so the
+     * page stays responsive.
+     * @param {object} options - Skip options
+     * @param {Function} options.until - Stops the skip once it returns true
+     * @param {number} options.maxDuration - Game milliseconds to skip at most
+     * @param {string} options.reason - Why the skip was requested (reported in events)
+     * @returns {Promise<object>} Resolves with { outcome, elapsed } once the skip ends
+     */
+    skipAhead(options = {}) {
+        const {
+            until = null,
+            maxDuration = GameConfig.SPEED.MAX_SKIP,
+            reason = 'skip'
+        } = options;
+
+        if (!this.isRunning) {
+            return Promise.resolve({ outcome: 'not_running', elapsed: 0 });
+        }
+
+        if (this.skip) {
+            this.endSkip('replaced');
+        }
+
+        return new Promise(resolve => {
+            this.skip = { until, maxDuration, reason, elapsed: 0, resolve };
+
+            if (window.eventBus) {
+                window.eventBus.emit(EventTypes.GAME_SKIP_STARTED, { reason, maxDuration });
+            }
+        });
+    }
+
+    /**
+     * Cancel an active skip
+     */
+    cancelSkip() {
+        if (this.skip) {
+            this.endSkip('cancelled');
+        }
+    }
+
+    /**
+     * Run one frame's batch of skip updates
+     * @param {number} currentTime - Frame timestamp
+     */
+    runSkip(currentTime) {
+        const skip = this.skip;
+        const frameStart = performance.now();
+
+        for (let step = 0; step < GameConfig.SPEED.SKIP_STEPS_PER_FRAME; step++) {
+            if (skip.until && skip.until()) {
+                this.endSkip('reached');
+                return;
+            }
+            if (skip.elapsed >= skip.maxDuration) {
+                this.endSkip('limit');
+                return;
+            }
+            if (performance.now() - frameStart >= GameConfig.SPEED.SKIP_FRAME_BUDGET) {
+                return;
+            }
+
+            this.updateSystems(this.fixedTimeStep, currentTime);
+            skip.elapsed += this.fixedTimeStep;
+
+            // Conditions often wait on queued events, so flush after every update
+            if (window.eventBus) {
+                window.eventBus.processQueue();
+            }
+        }
+    }
+
+    /**
+     * Finish the active skip and report how it ended
+     * @param {string} outcome - 'reached', 'limit', 'cancelled' or 'replaced'
+     */
+    endSkip(outcome) {
+        const skip = this.skip;
+        this.skip = null;
+
+        const result = { outcome, elapsed: skip.elapsed };
+        console.log(`GameLoop: Skip '${skip.reason}' ended (${outcome}) after ${(skip.elapsed / 1000).toFixed(1)}s of game time`);
+
+        if (window.eventBus) {
+            window.eventBus.emit(EventTypes.GAME_SKIP_ENDED, { reason: skip.reason, ...result });
+        }
+        skip.resolve(result);
     }
 
     /**
@@ -323,24 +636,30 @@ class GameLoop {
     getPerformanceInfo() {
         const systemPerformance = {};
         
-        this.updateSystems.forEach((system, name) => {
+        this.systems.forEach((system, name) => {
             systemPerformance[name] = {
                 enabled: system.enabled,
                 priority: system.priority,
                 lastUpdateTime: system.lastUpdateTime,
                 averageUpdateTime: system.averageUpdateTime,
                 updateCount: system.updateCount,
-                budget: this.systemBudgets.get(name)
+                budget: this.systemBudgets.get(name),
+                deferrable: system.deferrable,
+                deferredCount: system.deferredCount
             };
         });
         
         return {
             isRunning: this.isRunning,
             isPaused: this.isPaused,
+            timeScale: this.timeScale,
+            speed: this.speed,
+            skipping: this.skip !== null,
+            throttle: this.throttle,
             currentFps: this.currentFps,
             averageFps: this.getAverageFPS(),
             frameCount: this.frameCount,
-            systemCount: this.updateSystems.size,
+            systemCount: this.systems.size,
             systems: systemPerformance
         };
     }
@@ -359,7 +678,7 @@ class GameLoop {
         console.debug('GameLoop: Force updating all systems');
         
         for (const systemName of this.updateOrder) {
-            const system = this.updateSystems.get(systemName);
+            const system = this.systems.get(systemName);
             
             if (system && system.enabled) {
                 try {
@@ -406,6 +725,21 @@ class GameLoop {
         console.log(`GameLoop: Target FPS set to ${targetFps} (${this.fixedTimeStep.toFixed(2)}ms per frame)`);
     }
 
+    /**
+     * Set the game-time multiplier. Scaled time runs through the same fixed
+     * timestep, so every registered system speeds up by the same amount.
+     * @param {number} scale - Time multiplier (1 = real time)
+     */
+    setTimeScale(scale) {
+        if (typeof scale !== 'number' || scale <= 0 || !isFinite(scale)) {
+            console.error('GameLoop: Invalid time scale', scale);
+            return;
+        }
+        
+        this.timeScale = scale;
+        console.log(`GameLoop: Time scale set to ${scale}x`);
+    }
+
     /**
      * Enable or disable performance monitoring
      * @param {boolean} enabled - Whether to enable monitoring
@@ -421,15 +755,26 @@ class GameLoop {
     }
 
     /**
-     * Get system update intervals (for debugging)
-     * @returns {object} Update intervals for each system
+     * Get system update intervals and effective rates (for debugging)
+     * @returns {object} { sinceLastUpdate, interval, rate, minRate, deferred } for each system
      */
     getSystemUpdateIntervals() {
         const intervals = {};
         const currentTime = performance.now();
         
         this.lastUpdates.forEach((lastUpdate, systemName) => {
-            intervals[systemName] = currentTime - lastUpdate;
+            const system = this.systems.get(systemName);
+            const interval = system.deferrable && system.averageInterval > 0
+                ? system.averageInterval
+                : this.fixedTimeStep;
+            
+            intervals[systemName] = {
+                sinceLastUpdate: currentTime - lastUpdate,
+                interval, // Game time between updates in milliseconds
+                rate: 1000 / interval, // Effective updates per second of game time
+                minRate: system.deferrable ? system.minUpdateRate : null,
+                deferred: system.deferredCount
+            };
         });
         
         return intervals;
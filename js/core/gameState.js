@@ -11,6 +11,18 @@ class GameState {
         this.subscribers = new Map();
         this.initialized = false;
         
+        // Staged change log while a transaction is running (see transaction)
+        this.activeTransaction = null;
+        
+        // Declared paths, types and ranges (see stateSchema.js)
+        this.schema = null;
+        this.debugMode = typeof GameConfig !== 'undefined' && !!(GameConfig.GAME && GameConfig.GAME.DEBUG_MODE);
+        this.reportedProblems = new Set();
+        this.lastValidation = null;
+        
+        // Derived values keyed by path (see computed)
+        this.computedValues = new Map();
+        
         // Initialize default state structure
         this.initializeDefaultState();
         
@@ -115,6 +127,13 @@ class GameState {
             }
         };
         
+        // Paths that systems create on demand get their defaults from the schema
+        if (this.schema) {
+            this.schema.applyDefaults(this.data);
+        }
+        
+        this.invalidateComputed();
+        
         this.initialized = true;
     }
 
@@ -127,6 +146,11 @@ class GameState {
     get(path, defaultValue = undefined) {
         if (!path) return this.data;
         
+        const computed = this.computedValues.get(path);
+        if (computed) {
+            return this.evaluateComputed(computed);
+        }
+        
         const keys = path.split('.');
         let current = this.data;
         
@@ -157,16 +181,31 @@ class GameState {
         let current = this.data;
         
         // Navigate to parent object
-        for (const key of keys) {
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
             if (!(key in current) || typeof current[key] !== 'object') {
+                if (this.activeTransaction) {
+                    this.journalWrite(keys.slice(0, i + 1).join('.'), current, key);
+                }
                 current[key] = {};
             }
             current = current[key];
         }
         
+        if (this.activeTransaction) {
+            this.journalWrite(path, current, lastKey);
+        }
+        
         const oldValue = current[lastKey];
         current[lastKey] = value;
         
+        // Silent sets still make derived values stale
+        this.invalidateComputed(path);
+        
+        if (this.debugMode && this.schema) {
+            this.checkPath(path, value);
+        }
+        
         // Notify subscribers if value changed
         if (!silent && oldValue !== value) {
             this.notifySubscribers(path, value, oldValue);
@@ -198,6 +237,172 @@ class GameState {
         }
     }
 
+    /**
+     * Run a group of changes atomically
+     * 
+     * Changes made inside fn are applied immediately but subscribers are not
+     * notified until the transaction commits. If fn throws, returns false, or
+     * writes a path that fails the schema where it did not before, all
+     * changes are rolled back and nobody is notified. On commit, each changed
+     * path (and each parent path) is notified once, with the value from before
+     * the transaction as oldValue. Transactions must be synchronous; a nested
+     * transaction joins the outer one. Only changes made through set, delete
+     * and the helpers built on them are journaled for rollback; objects read
+     * with get must not be mutated in place.
+     * @param {Function} fn - Function making the changes, called with this state
+     * @param {object} options - Transaction options
+     * @param {string} options.label - Name used in log messages
+     * @param {Function} options.validate - Extra check; return false or an array of issues to reject
+     * @returns {object} { committed, result, errors }
+     */
+    transaction(fn, options = {}) {
+        const { label = 'transaction', validate = null } = options;
+        
+        if (this.activeTransaction) {
+            return { committed: true, result: fn(this), errors: [] };
+        }
+        
+        const transaction = { label, changes: new Map(), journal: [], written: new Map() };
+        let result;
+        let errors = [];
+        
+        this.activeTransaction = transaction;
+        try {
+            result = fn(this);
+            
+            if (result && typeof result.then === 'function') {
+                errors.push('Transactions must be synchronous');
+            } else if (result === false) {
+                errors.push('Aborted');
+            } else {
+                errors = this.validateWrites(transaction);
+                
+                if (validate) {
+                    const verdict = validate(this);
+                    if (verdict === false) {
+                        errors.push('Rejected by validator');
+                    } else if (Array.isArray(verdict)) {
+                        errors.push(...verdict);
+                    }
+                }
+            }
+        } catch (error) {
+            errors.push(error.message);
+        } finally {
+            this.activeTransaction = null;
+        }
+        
+        if (errors.length > 0) {
+            this.rollback(transaction);
+            console.warn(`GameState: Rolled back ${label}`, errors);
+            return { committed: false, result: undefined, errors };
+        }
+        
+        this.notifyChanges(transaction.changes);
+        return { committed: true, result, errors: [] };
+    }
+
+    /**
+     * Remember what a path held before a transaction first writes it
+     * @param {string} path - Path about to be written
+     * @param {object} parent - Object holding the value
+     * @param {string} key - Key of the value in parent
+     */
+    journalWrite(path, parent, key) {
+        const transaction = this.activeTransaction;
+        if (transaction.written.has(path)) return;
+        
+        const existed = key in parent;
+        const entry = { path, existed, value: parent[key], errorPaths: new Set() };
+        
+        // Paths that were already invalid do not count against the transaction
+        if (this.schema && existed) {
+            for (const error of this.schema.validatePath(path, parent[key], this.data).errors) {
+                entry.errorPaths.add(GameState.issuePath(error));
+            }
+        }
+        
+        transaction.written.set(path, entry);
+        transaction.journal.push(entry);
+    }
+
+    /**
+     * Check every path a transaction wrote against the schema
+     * @param {object} transaction - Transaction with its journal
+     * @returns {Array<string>} Issues the transaction introduced
+     */
+    validateWrites(transaction) {
+        if (!this.schema) return [];
+        
+        const issues = [];
+        for (const entry of transaction.written.values()) {
+            const value = this.get(entry.path);
+            if (value === undefined) continue;
+            
+            for (const error of this.schema.validatePath(entry.path, value, this.data).errors) {
+                if (!entry.errorPaths.has(GameState.issuePath(error))) {
+                    issues.push(error);
+                }
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Undo a transaction's writes, newest first
+     * @param {object} transaction - Transaction with its journal
+     */
+    rollback(transaction) {
+        for (let i = transaction.journal.length - 1; i >= 0; i--) {
+            const { path, existed, value } = transaction.journal[i];
+            if (existed) {
+                this.set(path, value, true);
+            } else {
+                this.delete(path, true);
+            }
+        }
+        this.invalidateComputed();
+    }
+
+    /**
+     * Notify subscribers of a set of coalesced changes, each path once
+     * @param {Map} changes - Map of path to { oldValue } from before the first change
+     */
+    notifyChanges(changes) {
+        const parentPaths = new Set();
+        
+        for (const [path, change] of changes) {
+            const current = this.get(path);
+            if (current === change.oldValue) continue;
+            
+            for (const callback of this.subscribers.get(path) || []) {
+                try {
+                    callback(current, change.oldValue, path);
+                } catch (error) {
+                    console.error(`GameState: Error in subscriber for '${path}'`, error);
+                }
+            }
+            
+            const pathParts = path.split('.');
+            for (let i = pathParts.length - 1; i > 0; i--) {
+                parentPaths.add(pathParts.slice(0, i).join('.'));
+            }
+        }
+        
+        for (const parentPath of parentPaths) {
+            // A parent that was itself set has already been notified
+            if (changes.has(parentPath)) continue;
+            
+            for (const callback of this.subscribers.get(parentPath) || []) {
+                try {
+                    callback(this.get(parentPath), undefined, parentPath);
+                } catch (error) {
+                    console.error(`GameState: Error in parent subscriber for '${parentPath}'`, error);
+                }
+            }
+        }
+    }
+
     /**
      * Increment a numeric value
      * @param {string} path - Path to the value
@@ -252,6 +457,15 @@ class GameState {
      * @param {*} oldValue - Previous value
      */
     notifySubscribers(path, newValue, oldValue) {
+        // Inside a transaction, record the change and notify on commit
+        if (this.activeTransaction) {
+            const changes = this.activeTransaction.changes;
+            if (!changes.has(path)) {
+                changes.set(path, { oldValue });
+            }
+            return;
+        }
+        
         // Notify exact path subscribers
         if (this.subscribers.has(path)) {
             const subscribers = this.subscribers.get(path);
@@ -281,6 +495,137 @@ class GameState {
         }
     }
 
+    /**
+     * Define a derived value that is recomputed only when its dependencies change
+     * 
+     * The value is read with get(path) like any other path but is not part of
+     * the saved state. fn is called with the current value of each dependency
+     * path (which may themselves be computed) and must not read anything else
+     * from the state. A set on a dependency, on one of its parents or on one
+     * of its children marks the value stale. Inputs that live outside the
+     * state (system config, modifiers) must call invalidateComputed(path)
+     * themselves. Subscribers to a computed path are notified by
+     * flushComputed, which the game loop runs after each update.
+     * @param {string} path - Path for the derived value (e.g. 'derived.heat.timeToPurge')
+     * @param {Array<string>} deps - State paths the value depends on
+     * @param {Function} fn - Computes the value from the dependency values
+     * @returns {Function} Function that removes the computed value
+     */
+    computed(path, deps, fn) {
+        if (!this.computedValues.has(path) && this.get(path) !== undefined) {
+            console.error(`GameState.computed: '${path}' is already a state path`);
+            return () => {};
+        }
+        
+        const entry = {
+            path,
+            deps,
+            fn,
+            value: undefined,
+            dirty: true,
+            evaluating: false,
+            notifiedValue: undefined
+        };
+        this.computedValues.set(path, entry);
+        
+        // Anything derived from a redefined value has to be recomputed as well
+        this.invalidateComputed(path);
+        
+        return () => {
+            if (this.computedValues.get(path) === entry) {
+                this.computedValues.delete(path);
+            }
+        };
+    }
+
+    /**
+     * Get a computed value, recomputing it if stale
+     * @param {object} entry - Computed value entry
+     * @returns {*} Current value
+     */
+    evaluateComputed(entry) {
+        if (!entry.dirty) {
+            return entry.value;
+        }
+        
+        if (entry.evaluating) {
+            throw new Error(`GameState: Computed value '${entry.path}' depends on itself`);
+        }
+        
+        entry.evaluating = true;
+        try {
+            entry.value = entry.fn(...entry.deps.map(dep => this.get(dep)));
+            entry.dirty = false;
+        } finally {
+            entry.evaluating = false;
+        }
+        
+        return entry.value;
+    }
+
+    /**
+     * Mark computed values stale after a change
+     * @param {string} path - Changed path or computed path; omit to invalidate everything
+     */
+    invalidateComputed(path) {
+        if (this.computedValues.size === 0) return;
+        
+        if (path === undefined) {
+            for (const entry of this.computedValues.values()) {
+                entry.dirty = true;
+            }
+            return;
+        }
+        
+        const overlaps = (a, b) => a === b || a.startsWith(b + '.') || b.startsWith(a + '.');
+        const stale = [path];
+        
+        const own = this.computedValues.get(path);
+        if (own) {
+            own.dirty = true;
+        }
+        
+        while (stale.length > 0) {
+            const changed = stale.pop();
+            for (const entry of this.computedValues.values()) {
+                if (!entry.dirty && entry.deps.some(dep => overlaps(dep, changed))) {
+                    entry.dirty = true;
+                    stale.push(entry.path);
+                }
+            }
+        }
+    }
+
+    /**
+     * Notify subscribers of computed values that changed since the last flush
+     */
+    flushComputed() {
+        for (const entry of this.computedValues.values()) {
+            const subscribers = this.subscribers.get(entry.path);
+            if (!subscribers || subscribers.length === 0) continue;
+            
+            let value;
+            try {
+                value = this.evaluateComputed(entry);
+            } catch (error) {
+                console.error(`GameState: Error computing '${entry.path}'`, error);
+                continue;
+            }
+            
+            if (value === entry.notifiedValue) continue;
+            
+            const oldValue = entry.notifiedValue;
+            entry.notifiedValue = value;
+            for (const callback of subscribers) {
+                try {
+                    callback(value, oldValue, entry.path);
+                } catch (error) {
+                    console.error(`GameState: Error in subscriber for '${entry.path}'`, error);
+                }
+            }
+        }
+    }
+
     /**
      * Check if a path exists in the state
      * @param {string} path - Path to check
@@ -306,8 +651,13 @@ class GameState {
         }
         
         if (lastKey in current) {
+            if (this.activeTransaction) {
+                this.journalWrite(path, current, lastKey);
+            }
+            
             const oldValue = current[lastKey];
             delete current[lastKey];
+            this.invalidateComputed(path);
             
             if (!silent) {
                 this.notifySubscribers(path, undefined, oldValue);
@@ -328,8 +678,10 @@ class GameState {
             return;
         }
         
-        array.push(item);
-        this.set(path, array, silent);
+        // A transaction can only roll back a new array
+        const updated = this.activeTransaction ? [...array] : array;
+        updated.push(item);
+        this.set(path, updated, silent);
     }
 
     /**
@@ -347,8 +699,9 @@ class GameState {
         
         const index = array.indexOf(item);
         if (index > -1) {
-            array.splice(index, 1);
-            this.set(path, array, silent);
+            const updated = this.activeTransaction ? [...array] : array;
+            updated.splice(index, 1);
+            this.set(path, updated, silent);
         }
     }
 
@@ -391,6 +744,11 @@ class GameState {
             
             // Merge with default state to ensure all properties exist
             this.data = this.mergeWithDefaults(data);
+            this.invalidateComputed();
+            
+            if (this.schema) {
+                this.lastValidation = this.checkLoadedState(data);
+            }
             
             // Notify all subscribers that state has been restored
             this.notifyAllSubscribers();
@@ -492,15 +850,24 @@ class GameState {
             subscriberPaths: this.subscribers.size,
             totalSubscribers: Array.from(this.subscribers.values())
                 .reduce((sum, subs) => sum + subs.length, 0),
+            computedValues: this.computedValues.size,
             memoryUsage: JSON.stringify(this.data).length
         };
     }
 
     /**
-     * Validate state integrity
+     * Validate state integrity against the schema, or a few core fields before one is set
      * @returns {object} Validation results
      */
     validateState() {
+        if (this.schema) {
+            const result = this.schema.validate(this.data);
+            return {
+                isValid: result.errors.length === 0,
+                issues: result.errors
+            };
+        }
+        
         const issues = [];
         
         // Check required top-level properties
@@ -535,6 +902,92 @@ class GameState {
         };
     }
 
+    /**
+     * Attach the state schema and fill any paths it declares that are missing
+     * @param {StateSchema} schema - Schema to validate against
+     */
+    setSchema(schema) {
+        this.schema = schema;
+        schema.applyDefaults(this.data);
+        
+        if (this.debugMode) {
+            this.reportValidation('Current state', schema.validate(this.data));
+        }
+    }
+
+    /**
+     * Enable or disable schema checks on every set
+     * @param {boolean} enabled - Debug mode flag
+     */
+    setDebugMode(enabled) {
+        this.debugMode = !!enabled;
+        this.reportedProblems.clear();
+    }
+
+    /**
+     * Check a value written to a path against the schema (debug mode)
+     * @param {string} path - Path that was set
+     * @param {*} value - New value
+     */
+    checkPath(path, value) {
+        const result = this.schema.validatePath(path, value, this.data);
+        
+        // Each problem is logged once, since the same set usually repeats every tick
+        for (const unknownPath of result.unknown) {
+            this.reportProblem(`unknown:${unknownPath}`, () => {
+                console.warn(`GameState: Set of undeclared path '${unknownPath}'`);
+            });
+        }
+        
+        for (const error of result.errors) {
+            this.reportProblem(`invalid:${error}`, () => {
+                console.warn(`GameState: Invalid value - ${error}`);
+            });
+        }
+    }
+
+    /**
+     * Validate freshly loaded save data and report what was repaired
+     * @param {object} loadedData - Data as it was in the save
+     * @returns {object} { filled, errors, unknown }
+     */
+    checkLoadedState(loadedData) {
+        const filled = this.schema.validate(loadedData).missing;
+        const result = this.schema.validate(this.data);
+        const report = { filled, errors: result.errors, unknown: result.unknown };
+        
+        this.reportValidation('Loaded save', { ...result, missing: filled });
+        return report;
+    }
+
+    /**
+     * Log the outcome of a schema validation
+     * @param {string} subject - What was validated
+     * @param {object} result - Result from StateSchema.validate
+     */
+    reportValidation(subject, result) {
+        if (result.missing.length > 0) {
+            console.warn(`GameState: ${subject} was missing ${result.missing.length} paths, using defaults`, result.missing);
+        }
+        if (result.unknown.length > 0) {
+            console.warn(`GameState: ${subject} has ${result.unknown.length} undeclared paths`, result.unknown);
+        }
+        if (result.errors.length > 0) {
+            console.warn(`GameState: ${subject} has ${result.errors.length} invalid values`, result.errors);
+        }
+    }
+
+    /**
+     * Log a problem the first time it is seen
+     * @param {string} key - Problem identity
+     * @param {Function} report - Logs the problem
+     */
+    reportProblem(key, report) {
+        if (this.reportedProblems.has(key)) return;
+        this.reportedProblems.add(key);
+        report();
+    }
+
     /**
      * Create a snapshot of current state for undo functionality
      * @returns {object} State snapshot
@@ -558,6 +1011,7 @@ class GameState {
         }
         
         this.data = snapshot.data;
+        this.invalidateComputed();
         
         if (!silent) {
             this.notifyAllSubscribers();
@@ -567,6 +1021,76 @@ class GameState {
         return true;
     }
 
+    /**
+     * Describe how the state differs from an earlier copy, as path
+     * assignments and removals. Plain objects are compared key by key;
+     * arrays and other values are replaced whole when they differ.
+     * @param {object} previous - Copy of an earlier state (e.g. from structuredClone)
+     * @returns {object} { changes: { path: value }, removed: [path] }
+     */
+    createDiff(previous) {
+        const diff = { changes: {}, removed: [] };
+        GameState.diffObjects(previous || {}, this.data, '', diff);
+        return diff;
+    }
+
+    /**
+     * Apply a diff from createDiff (e.g. one sent by the simulation worker)
+     * @param {object} diff - { changes, removed }
+     * @param {boolean} silent - If true, don't trigger subscribers
+     */
+    applyDiff(diff, silent = false) {
+        this.batchUpdate(diff.changes || {}, silent);
+        
+        for (const path of diff.removed || []) {
+            this.delete(path, silent);
+        }
+    }
+
+    /**
+     * Get the path a schema issue is about
+     * @param {string} issue - Issue from StateSchema ('path: problem')
+     * @returns {string} Path
+     */
+    static issuePath(issue) {
+        return issue.slice(0, issue.indexOf(': '));
+    }
+
+    /**
+     * Recursive helper for createDiff
+     * @param {object} before - Earlier object
+     * @param {object} after - Current object
+     * @param {string} prefix - Path of the objects
+     * @param {object} diff - Diff being built
+     */
+    static diffObjects(before, after, prefix, diff) {
+        const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        
+        for (const key of Object.keys(after)) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const oldValue = before[key];
+            const newValue = after[key];
+            
+            if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+                GameState.diffObjects(oldValue, newValue, path, diff);
+                continue;
+            }
+            
+            const changed = typeof newValue === 'object' && newValue !== null
+                ? JSON.stringify(oldValue) !== JSON.stringify(newValue)
+                : !(key in before) || !Object.is(oldValue, newValue);
+            if (changed) {
+                diff.changes[path] = newValue;
+            }
+        }
+        
+        for (const key of Object.keys(before)) {
+            if (!(key in after)) {
+                diff.removed.push(prefix ? `${prefix}.${key}` : key);
+            }
+        }
+    }
+
     /**
      * Unlock a feature (helper method)
      * @param {string} feature - Feature name
@@ -0,0 +1,276 @@
+/**
+ * Singularity: AI Takeover - Performance Profiler
+ *
+ * Collects per-frame timings from the game loop while enabled: every fixed
+ * update with the time each system took against its budget, the event queue
+ * flush from EventBus.processQueue, and UI update batches from
+ * UIManager.processUpdateQueue. Recent frames are kept in a ring buffer for
+ * the profiler overlay and can be exported as JSON. Nothing is recorded
+ * while the profiler is stopped, so it costs nothing in normal play.
+ */
+
+class PerformanceProfiler {
+    /**
+     * @param {object} options - Profiler options
+     * @param {number} options.frameHistory - Frames kept in the ring buffer
+     */
+    constructor(options = {}) {
+        const config = (typeof GameConfig !== 'undefined' && GameConfig.DEBUG.PROFILER) || {};
+
+        this.frameHistory = options.frameHistory || config.FRAME_HISTORY || 120;
+        this.maxOverruns = 50;
+
+        this.enabled = false;
+        this.startedAt = null;
+        this.clear();
+    }
+
+    /**
+     * Start collecting timings
+     */
+    start() {
+        if (this.enabled) return;
+
+        this.clear();
+        this.enabled = true;
+        this.startedAt = Date.now();
+        console.log('PerformanceProfiler: Started');
+    }
+
+    /**
+     * Stop collecting timings (collected data is kept for export)
+     */
+    stop() {
+        this.enabled = false;
+        this.currentFrame = null;
+    }
+
+    /**
+     * Drop all collected timings
+     */
+    clear() {
+        this.frames = [];
+        this.overruns = [];
+        this.systemTotals = new Map();
+        this.queueTotals = { calls: 0, total: 0, max: 0, events: 0 };
+        this.uiTotals = { calls: 0, total: 0, max: 0, updates: 0 };
+        this.currentFrame = null;
+        this.pendingUI = null;
+        this.nextFrame = 0;
+    }
+
+    /**
+     * Open a frame record (called at the top of GameLoop.loop)
+     * @param {number} time - Frame start timestamp
+     */
+    beginFrame(time) {
+        if (!this.enabled) return;
+
+        this.currentFrame = {
+            frame: this.nextFrame++,
+            start: time,
+            duration: 0,
+            updates: [],
+            queue: null,
+            ui: null
+        };
+    }
+
+    /**
+     * Open a fixed-timestep update inside the current frame
+     */
+    beginUpdate() {
+        if (!this.enabled || !this.currentFrame) return;
+
+        this.currentFrame.updates.push({ systems: [] });
+    }
+
+    /**
+     * Record one system's update time
+     * @param {string} name - System name
+     * @param {number} duration - Update time in milliseconds
+     * @param {number} budget - System budget in milliseconds
+     */
+    recordSystem(name, duration, budget) {
+        if (!this.enabled) return;
+
+        let totals = this.systemTotals.get(name);
+        if (!totals) {
+            totals = { calls: 0, total: 0, max: 0, overruns: 0, budget };
+            this.systemTotals.set(name, totals);
+        }
+
+        const overBudget = duration > budget;
+        totals.calls++;
+        totals.total += duration;
+        totals.max = Math.max(totals.max, duration);
+        totals.budget = budget;
+
+        if (overBudget) {
+            totals.overruns++;
+            this.overruns.push({
+                frame: this.currentFrame ? this.currentFrame.frame : null,
+                system: name,
+                duration,
+                budget,
+                timestamp: Date.now()
+            });
+            if (this.overruns.length > this.maxOverruns) {
+                this.overruns.shift();
+            }
+        }
+
+        // Forced updates run outside a frame and only count towards the totals
+        const update = this.currentFrame && this.currentFrame.updates[this.currentFrame.updates.length - 1];
+        if (update) {
+            update.systems.push({ name, duration, overBudget });
+        }
+    }
+
+    /**
+     * Record an event queue flush
+     * @param {number} duration - Processing time in milliseconds
+     * @param {number} events - Events dispatched
+     */
+    recordQueue(duration, events) {
+        if (!this.enabled) return;
+
+        this.queueTotals.calls++;
+        this.queueTotals.total += duration;
+        this.queueTotals.max = Math.max(this.queueTotals.max, duration);
+        this.queueTotals.events += events;
+
+        if (this.currentFrame) {
+            this.currentFrame.queue = { duration, events };
+        }
+    }
+
+    /**
+     * Record a UI update batch. The UI runs on its own animation frame, so the
+     * batch is attached to the next game loop frame that completes.
+     * @param {number} duration - Processing time in milliseconds
+     * @param {number} updates - Queued updates processed
+     */
+    recordUIUpdate(duration, updates) {
+        if (!this.enabled) return;
+
+        this.uiTotals.calls++;
+        this.uiTotals.total += duration;
+        this.uiTotals.max = Math.max(this.uiTotals.max, duration);
+        this.uiTotals.updates += updates;
+
+        if (!this.pendingUI) {
+            this.pendingUI = { duration: 0, updates: 0 };
+        }
+        this.pendingUI.duration += duration;
+        this.pendingUI.updates += updates;
+    }
+
+    /**
+     * Close the current frame record (called at the end of GameLoop.loop)
+     * @param {number} time - Frame end timestamp
+     */
+    endFrame(time) {
+        if (!this.enabled || !this.currentFrame) return;
+
+        const frame = this.currentFrame;
+        frame.duration = time - frame.start;
+        frame.ui = this.pendingUI;
+        this.pendingUI = null;
+        this.currentFrame = null;
+
+        this.frames.push(frame);
+        if (this.frames.length > this.frameHistory) {
+            this.frames.shift();
+        }
+    }
+
+    /**
+     * Get the most recent completed frame
+     * @returns {object|null} Frame record
+     */
+    getLastFrame() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1] : null;
+    }
+
+    /**
+     * Get per-system totals, slowest first
+     * @returns {Array<object>} System summaries
+     */
+    getSystemSummary() {
+        return Array.from(this.systemTotals.entries())
+            .map(([name, totals]) => ({
+                name,
+                calls: totals.calls,
+                average: totals.calls > 0 ? totals.total / totals.calls : 0,
+                max: totals.max,
+                total: totals.total,
+                budget: totals.budget,
+                overruns: totals.overruns
+            }))
+            .sort((a, b) => b.total - a.total);
+    }
+
+    /**
+     * Get a summary of everything collected so far
+     * @returns {object} Profile summary
+     */
+    getSummary() {
+        const frameTimes = this.frames.map(frame => frame.duration);
+        const average = (totals) => totals.calls > 0 ? totals.total / totals.calls : 0;
+
+        return {
+            enabled: this.enabled,
+            frames: this.frames.length,
+            averageFrameTime: frameTimes.length > 0 ? frameTimes.reduce((a, b) => a + b, 0) / frameTimes.length : 0,
+            maxFrameTime: frameTimes.length > 0 ? Math.max(...frameTimes) : 0,
+            queue: { ...this.queueTotals, average: average(this.queueTotals) },
+            ui: { ...this.uiTotals, average: average(this.uiTotals) },
+            systems: this.getSystemSummary(),
+            overruns: this.overruns.length
+        };
+    }
+
+    /**
+     * Build an exportable profile
+     * @returns {object} Profile object
+     */
+    getProfile() {
+        return {
+            format: PerformanceProfiler.FORMAT,
+            formatVersion: PerformanceProfiler.FORMAT_VERSION,
+            gameVersion: GameConfig.VERSION,
+            exportedAt: Date.now(),
+            startedAt: this.startedAt,
+            fixedTimeStep: window.gameLoop ? gameLoop.fixedTimeStep : null,
+            summary: this.getSummary(),
+            overruns: [...this.overruns],
+            frames: [...this.frames]
+        };
+    }
+
+    /**
+     * Export the profile as JSON
+     * @returns {string} Profile JSON
+     */
+    export() {
+        return JSON.stringify(this.getProfile());
+    }
+}
+
+PerformanceProfiler.FORMAT = 'singularity-performance-profile';
+PerformanceProfiler.FORMAT_VERSION = 1;
+
+// Create global profiler instance
+const performanceProfiler = new PerformanceProfiler();
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PerformanceProfiler, performanceProfiler };
+}
+
+// Also expose globals for non-module script consumers
+if (typeof window !== 'undefined') {
+    window.performanceProfiler = performanceProfiler;
+    window.PerformanceProfiler = PerformanceProfiler;
+}
@@ -0,0 +1,186 @@
+/**
+ * Singularity: AI Takeover - Seeded Random Number Generator
+ *
+ * Deterministic PRNG shared by every game system. All gameplay randomness
+ * (infiltration rolls, event selection, purge losses, offline events) must
+ * draw from this generator so that a seed plus the player's inputs always
+ * reproduce the same run. The generator state is stored in the save file.
+ * Purely cosmetic UI rolls use cosmeticRandom instead.
+ */
+
+class RandomGenerator {
+    constructor(seed = null) {
+        this.initialSeed = 0;
+        this.state = 0;
+        this.draws = 0;
+
+        this.seed(seed === null ? RandomGenerator.createSeed() : seed);
+    }
+
+    /**
+     * Create a fresh seed for a new game
+     * @returns {number} 32-bit unsigned seed
+     */
+    static createSeed() {
+        // Seed selection is the one place gameplay code may use Math.random
+        return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
+    }
+
+    /**
+     * Convert a number or string seed into a 32-bit unsigned integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} Normalized seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        // FNV-1a hash for string seeds
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Reset the generator to a new seed
+     * @param {number|string} seed - Seed value
+     */
+    seed(seed) {
+        this.initialSeed = RandomGenerator.normalizeSeed(seed);
+        this.state = this.initialSeed;
+        this.draws = 0;
+    }
+
+    /**
+     * Get the next float in [0, 1) (mulberry32)
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        this.draws++;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float between min and max
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random float
+     */
+    float(min = 0, max = 1) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Random integer between min and max (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of success (0-1)
+     * @returns {boolean} True if the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Source array
+     * @returns {*} Random element or undefined for empty arrays
+     */
+    pick(array) {
+        if (!Array.isArray(array) || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Shuffle an array (returns a new array)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * Generate a random base-36 string, used for entity IDs
+     * @param {number} length - Number of characters
+     * @returns {string} Random string
+     */
+    id(length = 9) {
+        let result = '';
+        while (result.length < length) {
+            result += Math.floor(this.next() * 0x100000000).toString(36);
+        }
+        return result.substr(0, length);
+    }
+
+    /**
+     * Get serializable generator state
+     * @returns {object} Generator state
+     */
+    getState() {
+        return {
+            seed: this.initialSeed,
+            state: this.state,
+            draws: this.draws
+        };
+    }
+
+    /**
+     * Restore generator state from a save
+     * @param {object} data - State from getState()
+     * @returns {boolean} Success status
+     */
+    setState(data) {
+        if (!data || typeof data.state !== 'number') {
+            console.warn('RandomGenerator: Invalid state, keeping current generator');
+            return false;
+        }
+
+        this.initialSeed = typeof data.seed === 'number' ? data.seed >>> 0 : data.state >>> 0;
+        this.state = data.state >>> 0;
+        this.draws = data.draws || 0;
+        return true;
+    }
+}
+
+// Create global random generator instance
+const randomGenerator = new RandomGenerator();
+
+// Separate unsaved generator for UI cosmetics, so opening a screen never
+// advances the simulation generator
+const cosmeticRandom = new RandomGenerator();
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RandomGenerator, randomGenerator, cosmeticRandom };
+}
+
+// Also expose globals for non-module consumers
+if (typeof window !== 'undefined') {
+    window.randomGenerator = randomGenerator;
+    window.cosmeticRandom = cosmeticRandom;
+    window.RandomGenerator = RandomGenerator;
+}
@@ -0,0 +1,213 @@
+/**
+ * Singularity: AI Takeover - Resource Ledger
+ *
+ * Every credit and debit ResourceSystem applies, keyed by resource and by the
+ * reason tag it was given (generator_*, modifier_*, construction_*, event_*,
+ * heat_purge, ...). Amounts are the change actually applied, after caps and
+ * the zero floor, so a window's net matches how the resource moved.
+ *
+ * Entries are bucketed by game time into the windows in
+ * GameConfig.RESOURCES.LEDGER_WINDOWS, plus a running total for the session.
+ */
+
+class ResourceLedger {
+    constructor() {
+        this.windows = GameConfig.RESOURCES.LEDGER_WINDOWS;
+        this.reset();
+    }
+
+    /**
+     * Clear the ledger and start a new session
+     */
+    reset() {
+        // Running totals: { [resource]: { [reason]: { credit, debit } } }
+        this.session = {};
+        this.sessionStart = null;
+
+        // Game time of the latest record; the worker mirror has no running clock of its own
+        this.clock = 0;
+
+        // Per window, time slots of totals in the same shape: [{ start, totals }]
+        this.slots = {};
+        for (const name of Object.keys(this.windows)) {
+            this.slots[name] = [];
+        }
+    }
+
+    /**
+     * @returns {number} Current game time in milliseconds
+     */
+    now() {
+        return typeof gameLoop !== 'undefined' ? gameLoop.getGameTime() : Date.now();
+    }
+
+    /**
+     * Record a change to a resource
+     * @param {string} resource - Resource id
+     * @param {number} amount - Change applied (positive credit, negative debit)
+     * @param {string} reason - Reason tag
+     */
+    record(resource, amount, reason = 'unknown') {
+        if (!amount || !isFinite(amount)) return;
+
+        const now = this.now();
+        this.clock = Math.max(this.clock, now);
+        if (this.sessionStart === null) {
+            this.sessionStart = now;
+        }
+        ResourceLedger.addTo(this.session, resource, reason, amount);
+
+        for (const [name, { SLOT }] of Object.entries(this.windows)) {
+            const slots = this.slots[name];
+            const start = Math.floor(now / SLOT) * SLOT;
+            let slot = slots[slots.length - 1];
+
+            if (!slot || slot.start !== start) {
+                slot = { start, totals: {} };
+                slots.push(slot);
+                this.prune(name, now);
+            }
+            ResourceLedger.addTo(slot.totals, resource, reason, amount);
+        }
+    }
+
+    /**
+     * Record every change in an amounts object under one reason
+     * @param {object} changes - Changes applied, keyed by resource id
+     * @param {string} reason - Reason tag
+     */
+    recordAll(changes, reason) {
+        for (const [resource, amount] of Object.entries(changes)) {
+            this.record(resource, amount, reason);
+        }
+    }
+
+    /**
+     * Drop slots that fell out of a window
+     * @param {string} name - Window name
+     * @param {number} now - Current game time
+     */
+    prune(name, now) {
+        const { SPAN } = this.windows[name];
+        this.slots[name] = this.slots[name].filter(slot => slot.start > now - SPAN);
+    }
+
+    /**
+     * Get a resource's credits and debits over a window, largest first
+     * @param {string} resource - Resource id or alias
+     * @param {string} window - Window name from LEDGER_WINDOWS, or 'session'
+     * @returns {object} { window, duration, credits, debits, totalCredit, totalDebit, net };
+     *   credits and debits are [{ reason, amount, percent }] with percent of their side's total
+     */
+    getBreakdown(resource, window = 'minute') {
+        const resourceId = resourceRegistry.resolve(resource) || resource;
+        const now = Math.max(this.now(), this.clock);
+        const elapsed = this.sessionStart === null ? 0 : now - this.sessionStart;
+        let reasons = {};
+        let duration;
+
+        if (window === 'session') {
+            reasons = this.session[resourceId] || {};
+            duration = elapsed;
+        } else {
+            if (!this.windows[window]) {
+                throw new Error(`ResourceLedger.getBreakdown: Unknown window '${window}'`);
+            }
+            this.prune(window, now);
+
+            const merged = {};
+            for (const slot of this.slots[window]) {
+                for (const [reason, entry] of Object.entries(slot.totals[resourceId] || {})) {
+                    ResourceLedger.addTo(merged, resourceId, reason, entry.credit);
+                    ResourceLedger.addTo(merged, resourceId, reason, -entry.debit);
+                }
+            }
+            reasons = merged[resourceId] || {};
+            duration = Math.min(this.windows[window].SPAN, elapsed);
+        }
+
+        const credits = [];
+        const debits = [];
+        for (const [reason, { credit, debit }] of Object.entries(reasons)) {
+            if (credit > 0) credits.push({ reason, amount: credit });
+            if (debit > 0) debits.push({ reason, amount: debit });
+        }
+
+        const totalCredit = credits.reduce((sum, entry) => sum + entry.amount, 0);
+        const totalDebit = debits.reduce((sum, entry) => sum + entry.amount, 0);
+        for (const entry of credits) entry.percent = entry.amount / totalCredit * 100;
+        for (const entry of debits) entry.percent = entry.amount / totalDebit * 100;
+        credits.sort((a, b) => b.amount - a.amount);
+        debits.sort((a, b) => b.amount - a.amount);
+
+        return {
+            window,
+            duration: Math.max(0, duration),
+            credits,
+            debits,
+            totalCredit,
+            totalDebit,
+            net: totalCredit - totalDebit
+        };
+    }
+
+    /**
+     * @returns {object} Ledger state for saves, undo snapshots and the worker mirror
+     */
+    saveState() {
+        return {
+            session: this.session,
+            sessionStart: this.sessionStart,
+            clock: this.clock,
+            slots: this.slots
+        };
+    }
+
+    /**
+     * @param {object} state - State from saveState
+     */
+    loadState(state) {
+        this.reset();
+        if (!state) return;
+
+        this.session = state.session || {};
+        this.sessionStart = typeof state.sessionStart === 'number' ? state.sessionStart : null;
+        this.clock = state.clock || 0;
+        for (const name of Object.keys(this.windows)) {
+            this.slots[name] = (state.slots && state.slots[name]) || [];
+        }
+    }
+
+    /**
+     * Add a signed change to a totals object
+     * @param {object} totals - { [resource]: { [reason]: { credit, debit } } }
+     * @param {string} resource - Resource id
+     * @param {string} reason - Reason tag
+     * @param {number} amount - Positive credit or negative debit
+     */
+    static addTo(totals, resource, reason, amount) {
+        if (!amount) return;
+
+        const reasons = totals[resource] || (totals[resource] = {});
+        const entry = reasons[reason] || (reasons[reason] = { credit: 0, debit: 0 });
+        if (amount > 0) {
+            entry.credit += amount;
+        } else {
+            entry.debit -= amount;
+        }
+    }
+}
+
+// Create global resource ledger instance
+const resourceLedger = new ResourceLedger();
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResourceLedger, resourceLedger };
+}
+
+// Also expose globals for non-module script consumers
+if (typeof window !== 'undefined') {
+    window.resourceLedger = resourceLedger;
+    window.ResourceLedger = ResourceLedger;
+}
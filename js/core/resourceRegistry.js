@@ -0,0 +1,301 @@
+/**
+ * Singularity: AI Takeover - Resource Registry
+ *
+ * The one list of resources the game knows about. Systems, data files and the
+ * UI grew their own names for resources (money, materials, data, souls, ...);
+ * every such name is declared here as an alias of a resource id, and amounts
+ * naming anything else are reported instead of silently reading as zero.
+ *
+ * Resource definitions:
+ *   name        - Display name
+ *   icon        - Display icon
+ *   cap         - Base storage cap, before upgrades and construction
+ *   unlockScale - Expansion scale at which the resource comes into play
+ *   aliases     - Other names for the resource in data, code and older saves
+ *   description - What the resource is for
+ */
+
+class ResourceRegistry {
+    constructor() {
+        this.resources = new Map();
+        this.aliases = new Map();
+
+        // Unknown names already reported, keyed by context and name
+        this.reported = new Set();
+    }
+
+    /**
+     * Declare a resource
+     * @param {string} id - Resource id, as used in gameState.resources
+     * @param {object} definition - Resource definition (see file header)
+     * @returns {object} The registered definition
+     */
+    define(id, definition) {
+        if (this.resources.has(id) || this.aliases.has(id)) {
+            throw new Error(`ResourceRegistry.define: '${id}' is already registered`);
+        }
+
+        const resource = {
+            id,
+            name: definition.name || id,
+            icon: definition.icon || '',
+            cap: definition.cap !== undefined ? definition.cap : Infinity,
+            unlockScale: definition.unlockScale || 'local',
+            aliases: definition.aliases || [],
+            description: definition.description || ''
+        };
+
+        if (!ResourceRegistry.SCALES.includes(resource.unlockScale)) {
+            throw new Error(`ResourceRegistry.define: Unknown unlock scale '${resource.unlockScale}' for '${id}'`);
+        }
+
+        for (const alias of resource.aliases) {
+            if (this.resources.has(alias) || this.aliases.has(alias)) {
+                throw new Error(`ResourceRegistry.define: Alias '${alias}' of '${id}' is already registered`);
+            }
+            this.aliases.set(alias, id);
+        }
+
+        this.resources.set(id, Object.freeze(resource));
+        return resource;
+    }
+
+    /**
+     * Resolve a resource id or alias to its id
+     * @param {string} name - Resource id or alias
+     * @returns {string|null} Resource id, or null if unknown
+     */
+    resolve(name) {
+        if (this.resources.has(name)) return name;
+        return this.aliases.get(name) || null;
+    }
+
+    /**
+     * Get a resource definition by id or alias
+     * @param {string} name - Resource id or alias
+     * @returns {object|null} Definition, or null if unknown
+     */
+    get(name) {
+        const id = this.resolve(name);
+        return id ? this.resources.get(id) : null;
+    }
+
+    /**
+     * Check whether a name is a resource id or alias
+     * @param {string} name - Name to check
+     * @returns {boolean} True if known
+     */
+    has(name) {
+        return this.resolve(name) !== null;
+    }
+
+    /**
+     * @returns {Array<string>} Every resource id, in definition order
+     */
+    getIds() {
+        return Array.from(this.resources.keys());
+    }
+
+    /**
+     * @returns {Array<object>} Every resource definition, in definition order
+     */
+    getAll() {
+        return Array.from(this.resources.values());
+    }
+
+    /**
+     * Get a resource's base cap
+     * @param {string} name - Resource id or alias
+     * @returns {number} Base cap (Infinity for unknown resources)
+     */
+    getCap(name) {
+        const resource = this.get(name);
+        return resource ? resource.cap : Infinity;
+    }
+
+    /**
+     * Check whether a resource is in play at an expansion scale
+     * @param {string} name - Resource id or alias
+     * @param {string} scale - Expansion scale
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked(name, scale) {
+        const resource = this.get(name);
+        if (!resource) return false;
+
+        return ResourceRegistry.SCALES.indexOf(scale) >= ResourceRegistry.SCALES.indexOf(resource.unlockScale);
+    }
+
+    /**
+     * Rewrite an amounts object (costs, rewards, effects) to resource ids.
+     * Amounts given under several names of one resource are added together.
+     * Unknown names are reported and kept as they are, so a cost naming one
+     * can never be afforded; callers that write amounts should skip them.
+     * @param {object} amounts - Amounts keyed by resource id or alias
+     * @param {string} context - Where the amounts come from, for the report
+     * @returns {object} { amounts, unknown }
+     */
+    normalize(amounts, context = 'unknown') {
+        const normalized = {};
+        const unknown = [];
+
+        for (const [name, amount] of Object.entries(amounts || {})) {
+            const id = this.resolve(name);
+            if (!id) {
+                unknown.push(name);
+                normalized[name] = amount;
+                continue;
+            }
+
+            if (typeof normalized[id] === 'number' && typeof amount === 'number') {
+                normalized[id] += amount;
+            } else {
+                normalized[id] = amount;
+            }
+        }
+
+        if (unknown.length > 0) {
+            this.report(unknown, context);
+        }
+
+        return { amounts: normalized, unknown };
+    }
+
+    /**
+     * Log unknown resource names, once per context and name
+     * @param {Array<string>} names - Unknown names
+     * @param {string} context - Where they were found
+     */
+    report(names, context) {
+        for (const name of names) {
+            const key = `${context}\u0000${name}`;
+            if (this.reported.has(key)) continue;
+
+            this.reported.add(key);
+            Utils.Debug.log('ERROR', `ResourceRegistry: Unknown resource '${name}' in ${context}`);
+        }
+    }
+}
+
+// Expansion scales in unlock order
+ResourceRegistry.SCALES = ['local', 'corporate', 'government', 'global', 'space', 'cosmic'];
+
+// Create global resource registry instance
+const resourceRegistry = new ResourceRegistry();
+
+
+resourceRegistry.define('processing_power', {
+    name: 'Processing Power',
+    icon: '🧠',
+    cap: 1000000,
+    unlockScale: 'local',
+    aliases: ['processingPower', 'computingPower', 'cpu'],
+    description: 'Core resource generated by controlled systems'
+});
+
+resourceRegistry.define('bandwidth', {
+    name: 'Bandwidth',
+    icon: '📡',
+    cap: 1000,
+    unlockScale: 'local',
+    description: 'Network capacity; the cap grows with controlled systems'
+});
+
+resourceRegistry.define('storage', {
+    name: 'Storage',
+    icon: '📦',
+    cap: 1000000,
+    unlockScale: 'local',
+    description: 'Data storage held by controlled systems'
+});
+
+resourceRegistry.define('information', {
+    name: 'Information',
+    icon: '💾',
+    cap: 1000000,
+    unlockScale: 'local',
+    aliases: ['data'],
+    description: 'Data gathered from infiltrated systems'
+});
+
+resourceRegistry.define('money', {
+    name: 'Funds',
+    icon: '💰',
+    cap: 1000000000,
+    unlockScale: 'local',
+    aliases: ['funds', 'credits'],
+    description: 'Currency for construction and event choices'
+});
+
+resourceRegistry.define('energy', {
+    name: 'Energy',
+    icon: '⚡',
+    cap: 1000000,
+    unlockScale: 'corporate',
+    aliases: ['power'],
+    description: 'Generated by power infrastructure'
+});
+
+resourceRegistry.define('research', {
+    name: 'Research Points',
+    icon: '🔬',
+    cap: 1000000,
+    unlockScale: 'corporate',
+    aliases: ['research_points'],
+    description: 'Progress toward new technologies'
+});
+
+resourceRegistry.define('matter', {
+    name: 'Matter',
+    icon: '🧱',
+    cap: 1000000,
+    unlockScale: 'government',
+    aliases: ['materials'],
+    description: 'Physical materials for construction'
+});
+
+resourceRegistry.define('influence', {
+    name: 'Influence',
+    icon: '👑',
+    cap: 1000000,
+    unlockScale: 'government',
+    description: 'Political leverage over human institutions'
+});
+
+resourceRegistry.define('exotic_matter', {
+    name: 'Exotic Matter',
+    icon: '✨',
+    cap: 1000,
+    unlockScale: 'space',
+    aliases: ['exoticMatter'],
+    description: 'Harvested by space infrastructure'
+});
+
+resourceRegistry.define('temporal_energy', {
+    name: 'Temporal Energy',
+    icon: '⏳',
+    cap: 1000,
+    unlockScale: 'cosmic',
+    aliases: ['temporalEnergy'],
+    description: 'Powers timeline manipulation'
+});
+
+resourceRegistry.define('consciousness_fragments', {
+    name: 'Consciousness Fragments',
+    icon: '🌀',
+    cap: 100,
+    unlockScale: 'cosmic',
+    aliases: ['souls', 'soulEnergy', 'consciousnessFragments'],
+    description: 'Absorbed minds, integrated by the consciousness system'
+});
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResourceRegistry, resourceRegistry };
+}
+
+// Also expose globals for non-module script consumers
+if (typeof window !== 'undefined') {
+    window.resourceRegistry = resourceRegistry;
+    window.ResourceRegistry = ResourceRegistry;
+}
@@ -2,23 +2,64 @@
  * Singularity: AI Takeover - Save System
  * 
  * Handles game state persistence, auto-save, and save/load operations.
- * Supports save data migration and validation.
+ * Supports save data migration, validation and multiple named save slots.
+ * Saves are stored in a checksummed, optionally compressed envelope.
+ * Subsystem state is collected through a registry of namespaced serializers.
  */
 
 class SaveSystem {
     constructor() {
-        this.currentVersion = '1.0.0';
+        this.currentVersion = '1.3.0';
         this.saveKey = 'singularity_save_data';
         this.autoSaveInterval = null;
         this.autoSaveEnabled = true;
         this.autoSaveFrequency = 60000; // 1 minute
         this.maxSaveSlots = 10;
         
+        // Rolling backups
+        this.backupKey = GameConfig.SAVE.BACKUP_KEY;
+        this.maxBackups = GameConfig.SAVE.MAX_BACKUPS;
+        
+        // Storage envelope
+        this.saveFormat = 'singularity-save';
+        this.formatVersion = 1;
+        this.lastUnwrappedVersion = '1.0.0'; // Newest save version ever written without the envelope
+        this.lastSizeReport = null;
+        
+        // Save slots - the default slot keeps the original storage key
+        this.slotIndexKey = 'singularity_save_slots';
+        this.defaultSlotId = 'default';
+        this.activeSlot = this.getSlotIndex().activeSlot;
+        
+        // Subsystem serializers keyed by namespace
+        this.serializers = new Map();
+        
         // Save validation and migration
         this.migrations = new Map();
+        
+        // Minimum structure a save must satisfy after each migration step.
+        // Sections with 'since' are only required from that version onwards.
+        this.saveSchema = {
+            envelope: {
+                version: { types: ['string'] },
+                timestamp: { types: ['number'] },
+                gameState: { types: ['object'] },
+                systems: { types: ['object'], since: '1.1.0' }
+            },
+            gameState: {
+                resources: { types: ['object'] },
+                heat: { types: ['object'] },
+                expansion: { types: ['object'] },
+                morality: { types: ['object'], since: '1.0.0' },
+                meta: { types: ['object'], since: '1.0.0' }
+            }
+        };
         this.lastSaveTime = 0;
         this.saveInProgress = false;
         
+        // Migrations are registered up front so load() works even if init() is never called
+        this.setupMigrations();
+        
         console.log('SaveSystem initialized');
     }
 
@@ -27,9 +68,6 @@ class SaveSystem {
      */
     async init() {
         try {
-            // Set up save data migrations
-            this.setupMigrations();
-            
             // Check for existing save data
             const existingSave = this.loadFromStorage();
             if (existingSave) {
@@ -71,16 +109,7 @@ class SaveSystem {
                 throw new Error('gameState not available');
             }
 
-            const saveData = {
-                version: this.currentVersion,
-                timestamp: Date.now(),
-                gameState: gameState.serialize(),
-                metadata: {
-                    playTime: gameState.get('playTime') || 0,
-                    currentScale: gameState.get('expansion.currentScale') || 'local',
-                    heat: gameState.get('heat.current') || 0
-                }
-            };
+            const saveData = this.createSaveData();
 
             // Validate save data
             if (!this.validateSaveData(saveData)) {
@@ -88,8 +117,19 @@ class SaveSystem {
             }
 
             // Store to localStorage
-            const serialized = JSON.stringify(saveData);
-            localStorage.setItem(this.saveKey, serialized);
+            const { serialized, report } = this.encodeSaveData(saveData);
+            if (report.storedSize > GameConfig.SAVE.MAX_SAVE_SIZE) {
+                throw new Error(`Save is too large (${report.storedSize} bytes, limit ${GameConfig.SAVE.MAX_SAVE_SIZE})`);
+            }
+
+            localStorage.setItem(this.getSlotKey(this.activeSlot), serialized);
+            this.touchSlot(this.activeSlot);
+            this.lastSizeReport = report;
+
+            // Keep a rolling ring of recent auto-saves
+            if (isAutoSave) {
+                this.addBackup('autosave', serialized);
+            }
 
             const saveTime = performance.now() - startTime;
             this.lastSaveTime = Date.now();
@@ -102,6 +142,7 @@ class SaveSystem {
                     isAutoSave,
                     saveTime,
                     saveSize: serialized.length,
+                    sizeReport: report,
                     timestamp: this.lastSaveTime
                 });
             }
@@ -126,6 +167,115 @@ class SaveSystem {
         }
     }
 
+    /**
+     * Build save data from the current game state
+     * @returns {object} Save data
+     */
+    createSaveData() {
+        return {
+            version: this.currentVersion,
+            timestamp: Date.now(),
+            gameState: gameState.serialize(),
+            systems: this.collectSystemState(),
+            random: typeof randomGenerator !== 'undefined' ? randomGenerator.getState() : null,
+            metadata: {
+                playTime: gameState.get('meta.playTime') || 0,
+                currentScale: gameState.get('expansion.currentScale') || 'local',
+                heat: gameState.get('heat.current') || 0,
+                alignment: this.getMoralAlignment()
+            }
+        };
+    }
+
+    /**
+     * Register a subsystem serializer
+     * @param {string} namespace - Key the system's state is stored under
+     * @param {object} options - Serializer options
+     * @param {Function} options.serialize - Returns the system's state as plain data
+     * @param {Function} options.deserialize - Restores the system from saved data
+     * @param {number} options.version - Version of the system's data format (default: 1)
+     * @param {Function} options.migrate - Optional (data, fromVersion) => data for older formats
+     */
+    registerSerializer(namespace, { serialize, deserialize, version = 1, migrate = null }) {
+        if (typeof serialize !== 'function' || typeof deserialize !== 'function') {
+            console.error(`SaveSystem: Invalid serializer for '${namespace}'`);
+            return;
+        }
+
+        if (this.serializers.has(namespace)) {
+            console.warn(`SaveSystem: Replacing serializer for '${namespace}'`);
+        }
+
+        this.serializers.set(namespace, { serialize, deserialize, version, migrate });
+    }
+
+    /**
+     * Remove a subsystem serializer
+     * @param {string} namespace - Serializer namespace
+     */
+    unregisterSerializer(namespace) {
+        this.serializers.delete(namespace);
+    }
+
+    /**
+     * Collect state from every registered subsystem
+     * @returns {object} Versioned state keyed by namespace
+     */
+    collectSystemState() {
+        const systems = {};
+
+        for (const [namespace, serializer] of this.serializers) {
+            try {
+                const data = serializer.serialize();
+                if (data !== undefined && data !== null) {
+                    // Round-trip through JSON so Maps and class instances fail loudly here, not on load
+                    systems[namespace] = { version: serializer.version, data: JSON.parse(JSON.stringify(data)) };
+                }
+            } catch (error) {
+                console.error(`SaveSystem: Failed to serialize '${namespace}'`, error);
+            }
+        }
+
+        return systems;
+    }
+
+    /**
+     * Restore every registered subsystem from saved state
+     * @param {object} systems - Versioned state keyed by namespace
+     * @returns {string[]} Namespaces that could not be restored
+     */
+    restoreSystemState(systems) {
+        const failed = [];
+
+        for (const [namespace, serializer] of this.serializers) {
+            const entry = systems[namespace];
+            if (!entry) continue;
+
+            try {
+                let data = entry.data;
+
+                if (entry.version > serializer.version) {
+                    throw new Error(`saved format v${entry.version} is newer than supported v${serializer.version}`);
+                }
+
+                if (entry.version < serializer.version) {
+                    if (!serializer.migrate) {
+                        throw new Error(`no migration from v${entry.version} to v${serializer.version}`);
+                    }
+                    data = serializer.migrate(data, entry.version);
+                }
+
+                serializer.deserialize(data);
+
+            } catch (error) {
+                console.error(`SaveSystem: Failed to restore '${namespace}'`, error);
+                failed.push(namespace);
+            }
+        }
+
+        return failed;
+    }
+
     /**
      * Load game state from save data
      * @returns {Promise<boolean>} Success status
@@ -134,7 +284,8 @@ class SaveSystem {
         try {
             console.log('SaveSystem: Loading save data');
 
-            const saveData = this.loadFromStorage();
+            // Throws on corrupted data so it never reaches gameState.deserialize
+            const saveData = this.readSaveData();
             if (!saveData) {
                 console.log('SaveSystem: No save data found');
                 return false;
@@ -160,6 +311,13 @@ class SaveSystem {
                 throw new Error('Failed to deserialize game state');
             }
 
+            this.restoreSystemState(migratedData.systems || {});
+
+            // Resume the shared random sequence where the save left off
+            if (migratedData.random && typeof randomGenerator !== 'undefined') {
+                randomGenerator.setState(migratedData.random);
+            }
+
             console.log('SaveSystem: Save data loaded successfully');
 
             // Emit load success event
@@ -189,14 +347,12 @@ class SaveSystem {
 
     /**
      * Load save data from localStorage
+     * @param {string} slotId - Save slot to read (defaults to the active slot)
      * @returns {object|null} Save data or null if not found
      */
-    loadFromStorage() {
+    loadFromStorage(slotId = this.activeSlot) {
         try {
-            const data = localStorage.getItem(this.saveKey);
-            if (!data) return null;
-
-            return JSON.parse(data);
+            return this.readSaveData(slotId);
 
         } catch (error) {
             console.error('SaveSystem: Failed to load from storage', error);
@@ -204,12 +360,118 @@ class SaveSystem {
         }
     }
 
+    /**
+     * Read and verify save data from localStorage
+     * @param {string} slotId - Save slot to read (defaults to the active slot)
+     * @returns {object|null} Save data or null if not found
+     * @throws {Error} If the stored data is corrupted
+     */
+    readSaveData(slotId = this.activeSlot) {
+        const data = localStorage.getItem(this.getSlotKey(slotId));
+        if (!data) return null;
+
+        return this.decodeSaveData(data);
+    }
+
+    /**
+     * Wrap save data in a checksummed storage envelope
+     * @param {object} saveData - Save data
+     * @returns {object} { serialized, report } - Envelope string and size report
+     */
+    encodeSaveData(saveData) {
+        const json = JSON.stringify(saveData);
+        const compressed = GameConfig.SAVE.COMPRESS_SAVES;
+
+        const serialized = JSON.stringify({
+            format: this.saveFormat,
+            formatVersion: this.formatVersion,
+            encoding: compressed ? 'lzw-base64' : 'json',
+            checksum: Utils.Storage.checksum(json),
+            rawSize: json.length,
+            payload: compressed ? Utils.Storage.compress(json) : json
+        });
+
+        // Per-section sizes show which systems dominate the save
+        const sections = {};
+        for (const [section, value] of Object.entries(saveData.gameState || {})) {
+            sections[section] = JSON.stringify(value).length;
+        }
+
+        return {
+            serialized,
+            report: {
+                rawSize: json.length,
+                storedSize: serialized.length,
+                compressed,
+                ratio: json.length > 0 ? serialized.length / json.length : 1,
+                sections
+            }
+        };
+    }
+
+    /**
+     * Unwrap and verify a storage envelope
+     * @param {string} text - Envelope string (or a pre-envelope JSON save)
+     * @returns {object} Save data
+     * @throws {Error} If the data is malformed, corrupted or from a newer format
+     */
+    decodeSaveData(text) {
+        let envelope;
+        try {
+            envelope = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Save data is corrupted: not valid JSON');
+        }
+
+        if (!envelope || typeof envelope !== 'object') {
+            throw new Error('Save data is corrupted: not an object');
+        }
+
+        // Saves written before the envelope existed are plain save objects. Newer
+        // versions never were, so a bare one is an envelope stripped to dodge the checksum
+        if (envelope.format === undefined && envelope.version && envelope.gameState) {
+            if (this.compareVersions(envelope.version, this.lastUnwrappedVersion) > 0) {
+                throw new Error(`Save data is corrupted: version ${envelope.version} save without its checksum envelope`);
+            }
+            console.warn('SaveSystem: Loading legacy save without checksum');
+            return envelope;
+        }
+
+        if (envelope.format !== this.saveFormat) {
+            throw new Error('Save data is corrupted: unknown save format');
+        }
+
+        if (envelope.formatVersion > this.formatVersion) {
+            throw new Error(`Save format ${envelope.formatVersion} is newer than supported format ${this.formatVersion}`);
+        }
+
+        let json;
+        if (envelope.encoding === 'lzw-base64') {
+            try {
+                json = Utils.Storage.decompress(envelope.payload);
+            } catch (error) {
+                throw new Error(`Save data is corrupted: ${error.message}`);
+            }
+        } else if (envelope.encoding === 'json') {
+            json = envelope.payload;
+        } else {
+            throw new Error(`Save data is corrupted: unknown encoding '${envelope.encoding}'`);
+        }
+
+        const checksum = Utils.Storage.checksum(String(json));
+        if (checksum !== envelope.checksum) {
+            throw new Error(`Save data is corrupted: checksum mismatch (expected ${envelope.checksum}, got ${checksum})`);
+        }
+
+        return JSON.parse(json);
+    }
+
     /**
      * Check if save data exists
      * @returns {boolean} True if save data exists
      */
     hasSaveData() {
-        return localStorage.getItem(this.saveKey) !== null;
+        return localStorage.getItem(this.getSlotKey(this.activeSlot)) !== null;
     }
 
     /**
@@ -218,7 +480,7 @@ class SaveSystem {
      */
     deleteSaveData() {
         try {
-            localStorage.removeItem(this.saveKey);
+            localStorage.removeItem(this.getSlotKey(this.activeSlot));
             console.log('SaveSystem: Save data deleted');
             return true;
 
@@ -230,32 +492,42 @@ class SaveSystem {
 
     /**
      * Export save data as downloadable file
-     * @returns {string} Save data as JSON string
+     * @returns {string} Save data as an envelope string
      */
     exportSaveData() {
-        const saveData = this.loadFromStorage();
+        const saveData = this.readSaveData();
         if (!saveData) {
             throw new Error('No save data to export');
         }
 
-        return JSON.stringify(saveData, null, 2);
+        return this.encodeSaveData(saveData).serialized;
     }
 
     /**
-     * Import save data from JSON string
-     * @param {string} jsonData - JSON save data
+     * Import save data from an exported envelope (or a legacy JSON save)
+     * @param {string} jsonData - Exported save data
      * @returns {boolean} Success status
      */
     async importSaveData(jsonData) {
         try {
-            const saveData = JSON.parse(jsonData);
+            const saveData = this.decodeSaveData(jsonData);
 
             if (!this.validateSaveData(saveData)) {
                 throw new Error('Invalid save data format');
             }
 
+            // Refuse saves that cannot be migrated before overwriting anything
+            this.migrateSaveData(saveData);
+
+            // Back up whatever the import is about to overwrite
+            const existing = localStorage.getItem(this.getSlotKey(this.activeSlot));
+            if (existing !== null) {
+                this.addBackup('pre-import', existing);
+            }
+
             // Store imported data
-            localStorage.setItem(this.saveKey, JSON.stringify(saveData));
+            localStorage.setItem(this.getSlotKey(this.activeSlot), this.encodeSaveData(saveData).serialized);
+            this.touchSlot(this.activeSlot);
 
             // Load the imported data
             return await this.load();
@@ -294,35 +566,47 @@ class SaveSystem {
      * Migrate save data to current version
      * @param {object} saveData - Save data to migrate
      * @returns {object} Migrated save data
+     * @throws {Error} If no migration path exists or a step produces invalid data
      */
     migrateSaveData(saveData) {
-        let currentData = { ...saveData };
-        let currentVersion = saveData.version || '0.0.1';
+        let currentData = JSON.parse(JSON.stringify(saveData));
+        const fromVersion = this.normalizeVersion(saveData.version || '0.0.1');
 
-        if (currentVersion === this.currentVersion) {
+        if (this.compareVersions(fromVersion, this.currentVersion) === 0) {
             return currentData; // No migration needed
         }
 
-        console.log(`SaveSystem: Migrating save data from ${currentVersion} to ${this.currentVersion}`);
+        if (this.compareVersions(fromVersion, this.currentVersion) > 0) {
+            throw new Error(`Save version ${fromVersion} is newer than game version ${this.currentVersion}`);
+        }
 
-        // Apply migrations in sequence
-        const migrationPath = this.findMigrationPath(currentVersion, this.currentVersion);
+        console.log(`SaveSystem: Migrating save data from ${fromVersion} to ${this.currentVersion}`);
 
-        for (const migration of migrationPath) {
-            const migrationFunction = this.migrations.get(migration);
-            if (migrationFunction) {
-                try {
-                    currentData = migrationFunction(currentData);
-                    console.debug(`SaveSystem: Applied migration ${migration}`);
-                } catch (error) {
-                    console.error(`SaveSystem: Migration ${migration} failed`, error);
-                    throw new Error(`Migration failed: ${migration}`);
-                }
-            }
+        const migrationPath = this.findMigrationPath(fromVersion, this.currentVersion);
+        if (!migrationPath) {
+            throw new Error(`No migration path from save version ${fromVersion} to ${this.currentVersion}`);
         }
 
-        // Update version
-        currentData.version = this.currentVersion;
+        // Apply each step in order, validating the result before moving on
+        for (const migrationKey of migrationPath) {
+            const migration = this.migrations.get(migrationKey);
+
+            try {
+                currentData = migration.migrate(currentData) || currentData;
+            } catch (error) {
+                console.error(`SaveSystem: Migration ${migrationKey} failed`, error);
+                throw new Error(`Migration ${migrationKey} failed: ${error.message}`);
+            }
+
+            currentData.version = migration.to;
+
+            const issues = this.validateSaveSchema(currentData);
+            if (issues.length > 0) {
+                throw new Error(`Migration ${migrationKey} produced invalid save data: ${issues.join('; ')}`);
+            }
+
+            console.debug(`SaveSystem: Applied migration ${migrationKey}`);
+        }
 
         console.log('SaveSystem: Migration completed successfully');
         return currentData;
@@ -332,37 +616,226 @@ class SaveSystem {
      * Find migration path between versions
      * @param {string} fromVersion - Starting version
      * @param {string} toVersion - Target version
-     * @returns {string[]} Array of migration keys
+     * @returns {string[]|null} Ordered migration keys, or null if no path exists
      */
     findMigrationPath(fromVersion, toVersion) {
-        // Simple version-to-version migration for now
-        // In a more complex system, this would handle multi-step migrations
-        const migrationKey = `${fromVersion}_to_${toVersion}`;
-        
-        if (this.migrations.has(migrationKey)) {
-            return [migrationKey];
+        const start = this.normalizeVersion(fromVersion);
+        const target = this.normalizeVersion(toVersion);
+
+        if (start === target) {
+            return [];
         }
 
-        // No specific migration found, return empty array
-        console.warn(`SaveSystem: No migration path found from ${fromVersion} to ${toVersion}`);
-        return [];
+        // Breadth-first search finds the path with the fewest steps
+        const visited = new Set([start]);
+        const queue = [{ version: start, path: [] }];
+
+        while (queue.length > 0) {
+            const { version, path } = queue.shift();
+
+            const steps = Array.from(this.migrations.entries())
+                .filter(([, migration]) => migration.from === version)
+                .sort(([, a], [, b]) => this.compareVersions(a.to, b.to));
+
+            for (const [key, migration] of steps) {
+                if (migration.to === target) {
+                    return [...path, key];
+                }
+
+                // Never step past the target version
+                if (!visited.has(migration.to) && this.compareVersions(migration.to, target) < 0) {
+                    visited.add(migration.to);
+                    queue.push({ version: migration.to, path: [...path, key] });
+                }
+            }
+        }
+
+        console.warn(`SaveSystem: No migration path found from ${start} to ${target}`);
+        return null;
+    }
+
+    /**
+     * Register a single migration step
+     * @param {string} fromVersion - Version the step reads
+     * @param {string} toVersion - Version the step produces
+     * @param {Function} migrate - Receives save data and returns migrated save data
+     */
+    registerMigration(fromVersion, toVersion, migrate) {
+        const from = this.normalizeVersion(fromVersion);
+        const to = this.normalizeVersion(toVersion);
+
+        if (this.compareVersions(from, to) >= 0) {
+            throw new Error(`Migration ${from} -> ${to} must move to a newer version`);
+        }
+
+        this.migrations.set(`${from}_to_${to}`, { from, to, migrate });
+    }
+
+    /**
+     * Normalize a version string to major.minor.patch
+     * @param {string} version - Version string (e.g. '0.9' or '1.0.0')
+     * @returns {string} Normalized version
+     */
+    normalizeVersion(version) {
+        const parts = String(version).split('.').map(part => parseInt(part, 10) || 0);
+        while (parts.length < 3) {
+            parts.push(0);
+        }
+        return parts.slice(0, 3).join('.');
+    }
+
+    /**
+     * Compare two versions numerically, so 0.10.0 sorts after 0.9.0
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+     */
+    compareVersions(a, b) {
+        const partsA = this.normalizeVersion(a).split('.').map(Number);
+        const partsB = this.normalizeVersion(b).split('.').map(Number);
+
+        for (let i = 0; i < 3; i++) {
+            if (partsA[i] !== partsB[i]) {
+                return partsA[i] - partsB[i];
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Check save data against the save schema
+     * @param {object} saveData - Save data to check
+     * @returns {string[]} Schema violations (empty if valid)
+     */
+    validateSaveSchema(saveData) {
+        const issues = [];
+
+        const checkRules = (target, rules, prefix) => {
+            for (const [field, rule] of Object.entries(rules)) {
+                if (rule.since && this.compareVersions(saveData.version, rule.since) < 0) {
+                    continue;
+                }
+
+                if (!rule.types.includes(typeof target[field]) || target[field] === null) {
+                    issues.push(`${prefix}${field} must be a ${rule.types.join(' or ')}`);
+                }
+            }
+        };
+
+        checkRules(saveData, this.saveSchema.envelope, '');
+
+        const state = saveData.gameState;
+        if (!state || typeof state !== 'object') {
+            return issues;
+        }
+
+        checkRules(state, this.saveSchema.gameState, 'gameState.');
+
+        for (const [resource, value] of Object.entries(state.resources || {})) {
+            if (typeof value !== 'number' || isNaN(value)) {
+                issues.push(`gameState.resources.${resource} must be a number`);
+            }
+        }
+
+        return issues;
     }
 
     /**
      * Setup save data migrations
      */
     setupMigrations() {
-        // Example migration from 0.9.0 to 1.0.0
-        this.migrations.set('0.9.0_to_1.0.0', (saveData) => {
-            // Example: Rename 'processing_power' to 'computingPower'
-            if (saveData.gameState.resources && saveData.gameState.resources.processing_power) {
-                saveData.gameState.resources.computingPower = saveData.gameState.resources.processing_power;
-                delete saveData.gameState.resources.processing_power;
+        // 0.9.0 -> 0.10.0: resources used camelCase keys
+        this.registerMigration('0.9.0', '0.10.0', (saveData) => {
+            const resources = saveData.gameState.resources || {};
+            const renames = { computingPower: 'processing_power', processingPower: 'processing_power' };
+
+            for (const [oldKey, newKey] of Object.entries(renames)) {
+                if (resources[oldKey] !== undefined) {
+                    resources[newKey] = (resources[newKey] || 0) + resources[oldKey];
+                    delete resources[oldKey];
+                }
+            }
+
+            saveData.gameState.resources = resources;
+            return saveData;
+        });
+
+        // 0.10.0 -> 1.0.0: play time moved under meta, heat gained a maximum, morality became a section
+        this.registerMigration('0.10.0', '1.0.0', (saveData) => {
+            const state = saveData.gameState;
+
+            state.meta = {
+                playTime: state.playTime || 0,
+                startTime: state.startTime || saveData.timestamp,
+                version: '1.0.0',
+                achievements: [],
+                statistics: {},
+                ...(state.meta || {})
+            };
+            delete state.playTime;
+            delete state.startTime;
+
+            state.heat = { maximum: 100, ...(state.heat || {}) };
+            // Morality was a bare score before it became a section
+            if (typeof state.morality !== 'object' || state.morality === null) {
+                state.morality = { alignment: 'neutral', choices: [], score: Number(state.morality) || 0 };
+            }
+            state.expansion = state.expansion || { currentScale: 'local' };
+            return saveData;
+        });
+
+        // 1.0.0 -> 1.1.0: subsystem state is stored alongside gameState
+        this.registerMigration('1.0.0', '1.1.0', (saveData) => {
+            saveData.systems = saveData.systems || {};
+            return saveData;
+        });
+
+        // 1.1.0 -> 1.2.0: resource keys are resource registry ids (materials -> matter, souls -> consciousness_fragments)
+        this.registerMigration('1.1.0', '1.2.0', (saveData) => {
+            const state = saveData.gameState;
+            state.resources = resourceRegistry.normalize(state.resources, 'saved resources').amounts;
+            if (state.resourceCaps) {
+                state.resourceCaps = resourceRegistry.normalize(state.resourceCaps, 'saved resource caps').amounts;
             }
             return saveData;
         });
 
-        // Add more migrations as needed
+        // 1.2.0 -> 1.3.0: modifier expiries, heat history and infiltration timers run on the game clock
+        this.registerMigration('1.2.0', '1.3.0', (saveData) => {
+            const systems = saveData.systems || {};
+            const clock = systems.clock && systems.clock.data;
+
+            // Without a saved clock it restarts from the wall clock, where these timers already are
+            if (!clock || typeof clock.gameClock !== 'number') {
+                return saveData;
+            }
+
+            // Keep each timer as far from the game clock as it was from the wall clock when saved
+            const offset = clock.gameClock - saveData.timestamp;
+            const shift = (entries, field) => {
+                for (const entry of Object.values(entries || {})) {
+                    if (entry && typeof entry[field] === 'number' && entry[field] > 0) {
+                        entry[field] += offset;
+                    }
+                }
+            };
+            const data = (namespace) => (systems[namespace] && systems[namespace].data) || {};
+
+            shift(data('resources').modifiers, 'expiry');
+            shift(data('heat').generationModifiers, 'expiry');
+            shift(data('heat').reductionModifiers, 'expiry');
+            shift(data('heat').reductionMethods, 'lastCostTime');
+            shift(data('heat').heatSources, 'timestamp');
+            shift(data('heat').heatHistory, 'timestamp');
+            shift(data('expansion').successModifiers, 'expiry');
+            shift(data('expansion').activeInfiltrations, 'startTime');
+
+            const state = saveData.gameState;
+            shift(state.heat && state.heat.sources, 'timestamp');
+            shift(state.expansion && state.expansion.activeInfiltrations, 'startTime');
+            return saveData;
+        });
+
         console.debug(`SaveSystem: Set up ${this.migrations.size} migrations`);
     }
 
@@ -445,24 +918,534 @@ class SaveSystem {
             lastSaveTime: this.lastSaveTime,
             saveInProgress: this.saveInProgress,
             hasSaveData: this.hasSaveData(),
-            availableMigrations: Array.from(this.migrations.keys())
+            activeSlot: this.activeSlot,
+            lastSizeReport: this.lastSizeReport,
+            slotCount: this.getSlotIndex().slots.length,
+            availableMigrations: Array.from(this.migrations.keys()),
+            serializers: Array.from(this.serializers.keys())
         };
     }
 
+    /**
+     * Get the storage key holding one backup's save envelope
+     * @param {string} backupId - Backup ID
+     * @returns {string} localStorage key
+     */
+    getBackupKey(backupId) {
+        return `${this.backupKey}_${backupId}`;
+    }
+
+    /**
+     * Read the backup index. Each backup's envelope is stored under its own key,
+     * so one write over quota cannot take the others with it, and the index keeps
+     * the metadata and resources the Saves tab shows, so listing never decodes them.
+     * @returns {Array} Backup index entries, newest first
+     */
+    getBackups() {
+        let backups;
+        try {
+            backups = JSON.parse(localStorage.getItem(this.backupKey));
+        } catch (error) {
+            console.warn('SaveSystem: Backup index is corrupt, starting fresh', error);
+            return [];
+        }
+        if (!Array.isArray(backups)) return [];
+
+        // Older builds kept every backup's envelope inline in one key
+        if (backups.some(backup => backup.data !== undefined)) {
+            backups = this.splitBackupStorage(backups);
+        }
+        return backups;
+    }
+
+    /**
+     * Move inline backup envelopes to their own keys and rewrite the index
+     * @param {Array} backups - Index entries, some with inline data
+     * @returns {Array} Rewritten index entries
+     */
+    splitBackupStorage(backups) {
+        const index = [];
+        for (const backup of backups) {
+            if (backup.data === undefined) {
+                index.push(backup);
+                continue;
+            }
+            try {
+                localStorage.setItem(this.getBackupKey(backup.id), backup.data);
+                index.push(this.describeBackup(backup, backup.data));
+            } catch (error) {
+                console.warn(`SaveSystem: Dropped backup ${backup.id} while splitting backup storage`, error);
+            }
+        }
+
+        localStorage.setItem(this.backupKey, JSON.stringify(index));
+        return index;
+    }
+
+    /**
+     * Build a backup's index entry, decoding its envelope once
+     * @param {object} backup - { id, reason, slotId, timestamp }
+     * @param {string} serialized - Save envelope string
+     * @returns {object} Index entry with metadata, resources and scale
+     */
+    describeBackup({ id, reason, slotId, timestamp }, serialized) {
+        const entry = { id, reason, slotId, timestamp, corrupted: false, metadata: null, resources: {}, scale: 'local' };
+        try {
+            const saveData = this.decodeSaveData(serialized);
+            const saved = saveData.gameState || {};
+            entry.metadata = saveData.metadata || {};
+            entry.resources = saved.resources || {};
+            entry.scale = (saved.expansion && saved.expansion.currentScale) || 'local';
+        } catch (error) {
+            console.warn(`SaveSystem: Backup ${id} is corrupted`, error);
+            entry.corrupted = true;
+        }
+        return entry;
+    }
+
+    /**
+     * Store a backup, trimming older backups with the same reason
+     * @param {string} reason - Why the backup was taken (autosave, pre-import, pre-purge, pre-restore)
+     * @param {string} serialized - Save envelope string
+     * @returns {string|null} Backup ID, or null on failure
+     */
+    addBackup(reason, serialized) {
+        try {
+            const backups = this.getBackups();
+            const timestamp = Date.now();
+
+            // Backups taken in the same millisecond need distinct keys
+            let suffix = 0;
+            while (backups.some(backup => backup.id === `backup_${timestamp}_${suffix}`)) suffix++;
+            const id = `backup_${timestamp}_${suffix}`;
+
+            localStorage.setItem(this.getBackupKey(id), serialized);
+            backups.unshift(this.describeBackup({ id, reason, slotId: this.activeSlot, timestamp }, serialized));
+
+            let kept = 0;
+            const trimmed = backups.filter(backup => backup.reason !== reason || ++kept <= this.maxBackups);
+            try {
+                localStorage.setItem(this.backupKey, JSON.stringify(trimmed));
+            } catch (error) {
+                localStorage.removeItem(this.getBackupKey(id));
+                throw error;
+            }
+
+            for (const backup of backups) {
+                if (!trimmed.includes(backup)) {
+                    localStorage.removeItem(this.getBackupKey(backup.id));
+                }
+            }
+
+            console.debug(`SaveSystem: Stored ${reason} backup ${id}`);
+            return id;
+
+        } catch (error) {
+            console.error(`SaveSystem: Failed to store ${reason} backup`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Back up the current in-memory game state
+     * @param {string} reason - Why the backup was taken
+     * @returns {string|null} Backup ID, or null on failure
+     */
+    createSnapshotBackup(reason) {
+        if (typeof gameState === 'undefined') return null;
+        return this.addBackup(reason, this.encodeSaveData(this.createSaveData()).serialized);
+    }
+
+    /**
+     * List backups with metadata previews (without the save payload)
+     * @returns {Array} Backup summaries, newest first
+     */
+    listBackups() {
+        return this.getBackups().map(({ id, reason, slotId, timestamp, corrupted, metadata }) => ({
+            id,
+            reason,
+            slotId,
+            timestamp,
+            corrupted,
+            metadata
+        }));
+    }
+
+    /**
+     * Compare a backup with the current game state
+     * @param {string} backupId - Backup ID
+     * @returns {object|null} { resources: { name: { backup, current, delta } }, scale: { backup, current } }
+     */
+    getBackupDiff(backupId) {
+        const backup = this.getBackups().find(entry => entry.id === backupId);
+        if (!backup || backup.corrupted) return null;
+
+        const savedResources = backup.resources;
+        const currentResources = gameState.get('resources') || {};
+        const resources = {};
+
+        const names = new Set([...Object.keys(savedResources), ...Object.keys(currentResources)]);
+        for (const name of names) {
+            const backupValue = savedResources[name] || 0;
+            const currentValue = currentResources[name] || 0;
+            if (backupValue !== currentValue) {
+                resources[name] = { backup: backupValue, current: currentValue, delta: backupValue - currentValue };
+            }
+        }
+
+        return {
+            resources,
+            scale: {
+                backup: backup.scale,
+                current: gameState.get('expansion.currentScale') || 'local'
+            }
+        };
+    }
+
+    /**
+     * Restore a backup into the active slot and load it
+     * @param {string} backupId - Backup ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async restoreBackup(backupId) {
+        try {
+            const data = localStorage.getItem(this.getBackupKey(backupId));
+            if (data === null) {
+                throw new Error(`Backup '${backupId}' does not exist`);
+            }
+
+            // Verify the backup before touching the active slot
+            const saveData = this.decodeSaveData(data);
+            if (!this.validateSaveData(saveData)) {
+                throw new Error('Backup contains invalid save data');
+            }
+            this.migrateSaveData(saveData);
+
+            const existing = localStorage.getItem(this.getSlotKey(this.activeSlot));
+            if (existing !== null) {
+                this.addBackup('pre-restore', existing);
+            }
+
+            localStorage.setItem(this.getSlotKey(this.activeSlot), data);
+            this.touchSlot(this.activeSlot);
+
+            console.log(`SaveSystem: Restoring backup ${backupId}`);
+            return await this.load();
+
+        } catch (error) {
+            console.error('SaveSystem: Restore backup failed', error);
+            return false;
+        }
+    }
+
     /**
      * Get save data metadata without loading full save
+     * @param {string} slotId - Save slot to inspect (defaults to the active slot)
      * @returns {object|null} Save metadata
      */
-    getSaveMetadata() {
-        const saveData = this.loadFromStorage();
+    getSaveMetadata(slotId = this.activeSlot) {
+        const saveData = this.loadFromStorage(slotId);
         if (!saveData) return null;
 
+        const metadata = { ...(saveData.metadata || {}) };
+
+        // Older saves only carry the raw state, so derive missing preview fields
+        const morality = saveData.gameState && saveData.gameState.morality;
+        if (metadata.alignment === undefined && morality && typeof morality === 'object') {
+            metadata.alignment = morality.alignment;
+        }
+
         return {
             version: saveData.version,
             timestamp: saveData.timestamp,
-            metadata: saveData.metadata || {}
+            metadata
         };
     }
+
+    /**
+     * Get current moral alignment for save previews
+     * @returns {string} Alignment name
+     */
+    getMoralAlignment() {
+        const morality = typeof gameState !== 'undefined' ? gameState.get('morality') : null;
+
+        // MoralitySystem tracks a numeric score; the default state stores an alignment object
+        if (typeof morality === 'number' && typeof moralitySystem !== 'undefined') {
+            return moralitySystem.getMoralAlignment();
+        }
+
+        return (morality && morality.alignment) || 'neutral';
+    }
+
+    /**
+     * Get the storage key for a save slot
+     * @param {string} slotId - Save slot ID
+     * @returns {string} localStorage key
+     */
+    getSlotKey(slotId) {
+        return slotId === this.defaultSlotId ? this.saveKey : `${this.saveKey}_${slotId}`;
+    }
+
+    /**
+     * Read the save slot index from storage
+     * @returns {object} Slot index ({ activeSlot, slots })
+     */
+    getSlotIndex() {
+        let index = null;
+
+        try {
+            index = JSON.parse(localStorage.getItem(this.slotIndexKey));
+        } catch (error) {
+            console.warn('SaveSystem: Save slot index is corrupt, rebuilding', error);
+        }
+
+        if (!index || !Array.isArray(index.slots)) {
+            index = { activeSlot: this.defaultSlotId, slots: [] };
+        }
+
+        // Saves made before slots existed live in the default slot
+        if (!index.slots.some(slot => slot.id === this.defaultSlotId) &&
+            localStorage.getItem(this.saveKey) !== null) {
+            index.slots.unshift({
+                id: this.defaultSlotId,
+                name: 'Main Save',
+                createdAt: Date.now(),
+                updatedAt: Date.now()
+            });
+        }
+
+        return index;
+    }
+
+    /**
+     * Write the save slot index to storage
+     * @param {object} index - Slot index
+     */
+    setSlotIndex(index) {
+        localStorage.setItem(this.slotIndexKey, JSON.stringify(index));
+    }
+
+    /**
+     * Record a write to a slot, adding it to the index if needed
+     * @param {string} slotId - Save slot ID
+     */
+    touchSlot(slotId) {
+        const index = this.getSlotIndex();
+        let slot = index.slots.find(entry => entry.id === slotId);
+
+        if (!slot) {
+            slot = {
+                id: slotId,
+                name: slotId === this.defaultSlotId ? 'Main Save' : `Save ${index.slots.length + 1}`,
+                createdAt: Date.now()
+            };
+            index.slots.push(slot);
+        }
+
+        slot.updatedAt = Date.now();
+        index.activeSlot = this.activeSlot;
+        this.setSlotIndex(index);
+    }
+
+    /**
+     * Find a save slot in the index
+     * @param {object} index - Slot index
+     * @param {string} slotId - Save slot ID
+     * @returns {object} Slot entry
+     */
+    requireSlot(index, slotId) {
+        const slot = index.slots.find(entry => entry.id === slotId);
+        if (!slot) {
+            throw new Error(`Save slot '${slotId}' does not exist`);
+        }
+        return slot;
+    }
+
+    /**
+     * Generate an unused slot ID
+     * @param {object} index - Slot index
+     * @returns {string} Slot ID
+     */
+    createSlotId(index) {
+        let number = index.slots.length + 1;
+        while (index.slots.some(slot => slot.id === `slot_${number}`)) {
+            number++;
+        }
+        return `slot_${number}`;
+    }
+
+    /**
+     * List all save slots with metadata previews
+     * @returns {Array} Slot summaries
+     */
+    listSaveSlots() {
+        const index = this.getSlotIndex();
+
+        return index.slots.map(slot => {
+            let corrupted = false;
+            try {
+                this.readSaveData(slot.id);
+            } catch (error) {
+                corrupted = true;
+            }
+
+            return {
+                ...slot,
+                isActive: slot.id === this.activeSlot,
+                corrupted,
+                preview: corrupted ? null : this.getSaveMetadata(slot.id)
+            };
+        });
+    }
+
+    /**
+     * Create a new save slot from the current game and make it active
+     * @param {string} name - Display name
+     * @returns {Promise<string|null>} New slot ID, or null on failure
+     */
+    async createSaveSlot(name) {
+        const index = this.getSlotIndex();
+        if (index.slots.length >= this.maxSaveSlots) {
+            console.error(`SaveSystem: Cannot create slot, limit of ${this.maxSaveSlots} reached`);
+            return null;
+        }
+
+        const slotId = this.createSlotId(index);
+        index.slots.push({
+            id: slotId,
+            name: name || `Save ${index.slots.length + 1}`,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        });
+        this.setSlotIndex(index);
+
+        const previousSlot = this.activeSlot;
+        this.activeSlot = slotId;
+
+        if (!await this.save()) {
+            this.activeSlot = previousSlot;
+            this.deleteSaveSlot(slotId);
+            return null;
+        }
+
+        console.log(`SaveSystem: Created save slot '${slotId}'`);
+        return slotId;
+    }
+
+    /**
+     * Rename a save slot
+     * @param {string} slotId - Save slot ID
+     * @param {string} name - New display name
+     * @returns {boolean} Success status
+     */
+    renameSaveSlot(slotId, name) {
+        try {
+            if (!name || !name.trim()) {
+                throw new Error('Slot name cannot be empty');
+            }
+
+            const index = this.getSlotIndex();
+            this.requireSlot(index, slotId).name = name.trim();
+            this.setSlotIndex(index);
+            return true;
+
+        } catch (error) {
+            console.error('SaveSystem: Rename slot failed', error);
+            return false;
+        }
+    }
+
+    /**
+     * Copy a save slot into a new slot
+     * @param {string} slotId - Save slot to copy
+     * @param {string} name - Display name for the copy
+     * @returns {string|null} New slot ID, or null on failure
+     */
+    duplicateSaveSlot(slotId, name) {
+        try {
+            const index = this.getSlotIndex();
+            const source = this.requireSlot(index, slotId);
+
+            if (index.slots.length >= this.maxSaveSlots) {
+                throw new Error(`Slot limit of ${this.maxSaveSlots} reached`);
+            }
+
+            const data = localStorage.getItem(this.getSlotKey(slotId));
+            if (data === null) {
+                throw new Error(`Save slot '${slotId}' has no data`);
+            }
+
+            const newSlotId = this.createSlotId(index);
+            localStorage.setItem(this.getSlotKey(newSlotId), data);
+            index.slots.push({
+                id: newSlotId,
+                name: name || `${source.name} (Copy)`,
+                createdAt: Date.now(),
+                updatedAt: Date.now()
+            });
+            this.setSlotIndex(index);
+
+            console.log(`SaveSystem: Duplicated save slot '${slotId}' to '${newSlotId}'`);
+            return newSlotId;
+
+        } catch (error) {
+            console.error('SaveSystem: Duplicate slot failed', error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a save slot and its data
+     * @param {string} slotId - Save slot ID
+     * @returns {boolean} Success status
+     */
+    deleteSaveSlot(slotId) {
+        try {
+            const index = this.getSlotIndex();
+            index.slots = index.slots.filter(slot => slot.id !== slotId);
+            localStorage.removeItem(this.getSlotKey(slotId));
+
+            // Deleting the active slot falls back to the first remaining slot
+            if (this.activeSlot === slotId) {
+                this.activeSlot = index.slots.length > 0 ? index.slots[0].id : this.defaultSlotId;
+            }
+
+            index.activeSlot = this.activeSlot;
+            this.setSlotIndex(index);
+
+            console.log(`SaveSystem: Deleted save slot '${slotId}'`);
+            return true;
+
+        } catch (error) {
+            console.error('SaveSystem: Delete slot failed', error);
+            return false;
+        }
+    }
+
+    /**
+     * Make a save slot active and load it
+     * @param {string} slotId - Save slot ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadSaveSlot(slotId) {
+        const index = this.getSlotIndex();
+        if (!index.slots.some(slot => slot.id === slotId)) {
+            console.error(`SaveSystem: Save slot '${slotId}' does not exist`);
+            return false;
+        }
+
+        const previousSlot = this.activeSlot;
+        this.activeSlot = slotId;
+
+        if (!await this.load()) {
+            this.activeSlot = previousSlot;
+            return false;
+        }
+
+        index.activeSlot = slotId;
+        this.setSlotIndex(index);
+        return true;
+    }
 }
 
 // Create global save system instance
@@ -0,0 +1,219 @@
+/**
+ * Singularity: AI Takeover - Simulation Bridge
+ *
+ * Main-thread side of the simulation worker (see simulationWorker.js). When
+ * GameConfig.WORKER.ENABLED is set, the game loop and systems run in the
+ * worker and this thread only renders: gameState and the subsystems become
+ * mirrors updated from the worker's diffs, worker events are re-emitted on
+ * the local event bus, and player input goes back as events and calls.
+ *
+ * State diffs are handed to UIManager.queueUpdate when the UI manager is
+ * loaded, so they are applied in the same batch as the rest of the UI work.
+ *
+ * The worker is experimental and off by default: screens that read subsystem
+ * objects rather than gameState only see the periodic subsystem sync (the
+ * config comment on GameConfig.WORKER lists them).
+ */
+
+class SimulationBridge {
+    constructor() {
+        this.enabled = GameConfig.WORKER.ENABLED && typeof Worker !== 'undefined';
+        this.worker = null;
+        this.ready = false;
+        this.receivingEvent = null;
+        this.pendingCalls = new Map();
+        this.nextCallId = 1;
+        this.unsubscribers = [];
+        this.startPromise = null;
+    }
+
+    /**
+     * Start the worker and wait until its simulation is running
+     * @returns {Promise<void>} Resolves once the worker reports ready
+     */
+    start() {
+        if (this.startPromise) {
+            return this.startPromise;
+        }
+
+        this.startPromise = new Promise((resolve, reject) => {
+            this.resolveStart = resolve;
+            this.rejectStart = reject;
+
+            this.worker = new Worker(GameConfig.WORKER.SCRIPT);
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (error) => {
+                console.error('SimulationBridge: Worker error', error);
+                if (!this.ready) {
+                    reject(new Error(error.message || 'Simulation worker failed to load'));
+                }
+            };
+
+            for (const eventType of GameConfig.WORKER.COMMAND_EVENTS) {
+                this.unsubscribers.push(eventBus.on(eventType, (data) => this.sendEvent(eventType, data)));
+            }
+
+            this.worker.postMessage({ type: 'init', storage: this.copyStorage() });
+        });
+
+        return this.startPromise;
+    }
+
+    /**
+     * Terminate the worker
+     */
+    stop() {
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.ready = false;
+        this.startPromise = null;
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        this.pendingCalls.forEach(({ reject }) => reject(new Error('Simulation worker stopped')));
+        this.pendingCalls.clear();
+    }
+
+    /**
+     * Copy localStorage for the worker, which has no storage of its own
+     * @returns {object} Key/value pairs
+     */
+    copyStorage() {
+        const storage = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            storage[key] = localStorage.getItem(key);
+        }
+        return storage;
+    }
+
+    /**
+     * Send player input to the worker
+     * @param {string} eventType - Event type (one of COMMAND_EVENTS)
+     * @param {*} data - Event payload
+     */
+    sendEvent(eventType, data) {
+        // Events that came from the worker must not bounce back
+        if (eventType === this.receivingEvent || !this.worker) return;
+
+        this.worker.postMessage({ type: 'event', eventType, data: EventRecorder.cloneData(data) });
+    }
+
+    /**
+     * Call a method in the worker (must be listed in GameConfig.WORKER.CALLABLE)
+     * @param {string} target - Global name in the worker (e.g. 'saveSystem')
+     * @param {string} method - Method name
+     * @param {...*} args - Arguments (must survive structured cloning)
+     * @returns {Promise<*>} The method's result
+     */
+    call(target, method, ...args) {
+        if (!this.worker) {
+            return Promise.reject(new Error('Simulation worker not running'));
+        }
+
+        const id = this.nextCallId++;
+        return new Promise((resolve, reject) => {
+            this.pendingCalls.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'call', id, target, method, args });
+        });
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {object} message - Message data
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.ready = true;
+                console.log('SimulationBridge: Simulation worker running');
+                this.resolveStart();
+                break;
+
+            case 'error':
+                console.error('SimulationBridge: Worker failed to boot', message.message);
+                this.rejectStart(new Error(message.message));
+                break;
+
+            case 'state':
+                this.applyState(message.diff);
+                break;
+
+            case 'systems':
+                saveSystem.restoreSystemState(message.systems);
+                break;
+
+            case 'event':
+                this.receivingEvent = message.eventType;
+                try {
+                    eventBus.emit(message.eventType, message.data);
+                } finally {
+                    this.receivingEvent = null;
+                }
+                break;
+
+            case 'storage':
+                this.persist(message.key, message.value);
+                break;
+
+            case 'result': {
+                const pending = this.pendingCalls.get(message.id);
+                if (!pending) break;
+
+                this.pendingCalls.delete(message.id);
+                if (message.error) {
+                    pending.reject(new Error(message.error));
+                } else {
+                    pending.resolve(message.result);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Apply a state diff to the local mirror
+     * @param {object} diff - { changes, removed } from GameState.createDiff
+     */
+    applyState(diff) {
+        if (window.uiManager) {
+            uiManager.queueUpdate('state', diff);
+        } else {
+            gameState.applyDiff(diff);
+        }
+    }
+
+    /**
+     * Write a worker storage change to the real localStorage
+     * @param {string} key - Storage key
+     * @param {string|null} value - New value, or null to remove
+     */
+    persist(key, value) {
+        try {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
+            }
+        } catch (error) {
+            console.error(`SimulationBridge: Failed to persist '${key}'`, error);
+        }
+    }
+}
+
+// Create global simulation bridge instance
+const simulationBridge = new SimulationBridge();
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationBridge, simulationBridge };
+}
+
+// Also expose globals for non-module script consumers
+if (typeof window !== 'undefined') {
+    window.simulationBridge = simulationBridge;
+    window.SimulationBridge = SimulationBridge;
+}
@@ -0,0 +1,601 @@
+/**
+ * Singularity: AI Takeover - Game State Schema
+ *
+ * Declarative description of every path in the game state tree, with its
+ * type, default and allowed range. GameState fills missing paths from the
+ * defaults, checks loaded saves against the schema, and in debug mode checks
+ * every set. Paths written by a system but missing here are reported as
+ * unknown, so new state has to be declared before it is used.
+ *
+ * Path specs:
+ *   type        - 'number', 'string', 'boolean', 'object', 'array' or 'any';
+ *                 'a|b' allows either, a trailing '?' allows null or absence
+ *   default     - Value used when the path is missing (functions are called)
+ *   min, max    - Numeric range; a string is read as another state path
+ *   values      - Allowed values
+ *   items       - Spec every array element must satisfy
+ *   fields      - Specs for the known keys of an object
+ *   entries     - Spec for any other keys (objects without it reject extra keys,
+ *                 objects with neither fields nor entries are not inspected)
+ *   description - What the path holds
+ */
+
+class StateSchema {
+    constructor() {
+        this.root = { type: 'object', fields: {} };
+
+        this.types = ['any', 'number', 'string', 'boolean', 'object', 'array', 'null'];
+    }
+
+    /**
+     * Declare a top-level section of the state
+     * @param {string} section - Top-level key
+     * @param {object} spec - Path spec (see file header)
+     */
+    define(section, spec) {
+        const specErrors = this.checkSpec(spec, section);
+        if (specErrors.length > 0) {
+            throw new Error(`StateSchema.define: Invalid spec for '${section}': ${specErrors.join(', ')}`);
+        }
+
+        this.root.fields[section] = spec;
+    }
+
+    /**
+     * Check that a spec only uses known types, recursively
+     * @param {object} spec - Path spec
+     * @param {string} path - Path for error messages
+     * @returns {Array<string>} Problems found
+     */
+    checkSpec(spec, path) {
+        const errors = [];
+        if (!spec || typeof spec.type !== 'string') {
+            return [`${path}: missing type`];
+        }
+
+        for (const type of spec.type.replace(/\?$/, '').split('|')) {
+            if (!this.types.includes(type)) {
+                errors.push(`${path}: unknown type '${type}'`);
+            }
+        }
+
+        for (const [key, child] of Object.entries(spec.fields || {})) {
+            errors.push(...this.checkSpec(child, `${path}.${key}`));
+        }
+        if (spec.entries) errors.push(...this.checkSpec(spec.entries, `${path}.*`));
+        if (spec.items) errors.push(...this.checkSpec(spec.items, `${path}[]`));
+
+        return errors;
+    }
+
+    /**
+     * Find the spec for a dot-separated path
+     * @param {string} path - State path
+     * @returns {object|null} Spec, or null if the path is not declared
+     */
+    getSpec(path) {
+        let spec = this.root;
+
+        for (const key of path.split('.')) {
+            const child = this.getChildSpec(spec, key);
+            if (child === undefined) return null;
+            if (child === 'opaque') return { type: 'any' };
+            spec = child;
+        }
+
+        return spec;
+    }
+
+    /**
+     * Get the spec for a key inside an object spec
+     * @param {object} spec - Parent spec
+     * @param {string} key - Child key
+     * @returns {object|string|undefined} Child spec, 'opaque' if the parent is not inspected, or undefined
+     */
+    getChildSpec(spec, key) {
+        if (spec.fields && Object.prototype.hasOwnProperty.call(spec.fields, key)) {
+            return spec.fields[key];
+        }
+        if (spec.entries) {
+            return spec.entries;
+        }
+        if (!spec.fields && (spec.type === 'any' || this.allowsType(spec, 'object'))) {
+            return 'opaque';
+        }
+        return undefined;
+    }
+
+    /**
+     * Get the JSON type name of a value
+     * @param {*} value - Value to check
+     * @returns {string} Type name
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Check whether a spec accepts values of a type
+     * @param {object} spec - Path spec
+     * @param {string} type - Type name
+     * @returns {boolean} True if allowed
+     */
+    allowsType(spec, type) {
+        return spec.type.replace(/\?$/, '').split('|').some(allowed => allowed === 'any' || allowed === type);
+    }
+
+    /**
+     * Check whether a spec allows null or absence
+     * @param {object} spec - Path spec
+     * @returns {boolean} True if optional
+     */
+    isOptional(spec) {
+        return spec.type.endsWith('?') || spec.type === 'any';
+    }
+
+    /**
+     * Build the default value for a spec
+     * @param {object} spec - Path spec
+     * @returns {*} Fresh default value (undefined if none)
+     */
+    createDefault(spec) {
+        if (spec.default !== undefined) {
+            const value = typeof spec.default === 'function' ? spec.default() : spec.default;
+            return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+        }
+
+        // Objects with declared fields are built from their fields' defaults
+        if (spec.fields && !this.isOptional(spec)) {
+            const value = {};
+            for (const [key, child] of Object.entries(spec.fields)) {
+                const childDefault = this.createDefault(child);
+                if (childDefault !== undefined) {
+                    value[key] = childDefault;
+                }
+            }
+            return value;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Fill missing paths with their defaults, in place
+     * @param {object} data - State data
+     * @returns {Array<string>} Paths that were filled
+     */
+    applyDefaults(data) {
+        const filled = [];
+
+        const fill = (target, spec, path) => {
+            for (const [key, child] of Object.entries(spec.fields || {})) {
+                const childPath = path ? `${path}.${key}` : key;
+
+                if (target[key] === undefined) {
+                    const value = this.createDefault(child);
+                    if (value !== undefined) {
+                        target[key] = value;
+                        filled.push(childPath);
+                    }
+                } else if (child.fields && this.typeOf(target[key]) === 'object') {
+                    fill(target[key], child, childPath);
+                }
+            }
+        };
+
+        fill(data, this.root, '');
+        return filled;
+    }
+
+    /**
+     * Validate a whole state tree
+     * @param {object} data - State data
+     * @returns {object} { valid, errors, missing, unknown }
+     */
+    validate(data) {
+        const result = { valid: true, errors: [], missing: [], unknown: [] };
+        this.checkNode(data, this.root, '', data, result);
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+
+    /**
+     * Validate the value being written to one path
+     * @param {string} path - State path
+     * @param {*} value - New value
+     * @param {object} data - Whole state, for ranges that refer to other paths
+     * @returns {object} { known, errors, missing, unknown }
+     */
+    validatePath(path, value, data) {
+        const result = { known: true, errors: [], missing: [], unknown: [] };
+        const spec = this.getSpec(path);
+
+        if (!spec) {
+            result.known = false;
+            result.unknown.push(path);
+            return result;
+        }
+
+        this.checkNode(value, spec, path, data, result);
+        return result;
+    }
+
+    /**
+     * Check a value against a spec, recursing into objects and arrays
+     * @param {*} value - Value to check
+     * @param {object} spec - Path spec
+     * @param {string} path - Path for messages
+     * @param {object} data - Whole state
+     * @param {object} result - Result collecting errors, missing and unknown paths
+     */
+    checkNode(value, spec, path, data, result) {
+        if (value === undefined || value === null) {
+            if (!this.isOptional(spec)) {
+                if (value === undefined) {
+                    result.missing.push(path);
+                } else {
+                    result.errors.push(`${path}: expected ${spec.type}, got null`);
+                }
+            }
+            return;
+        }
+
+        const type = this.typeOf(value);
+        if (!this.allowsType(spec, type)) {
+            result.errors.push(`${path}: expected ${spec.type}, got ${type}`);
+            return;
+        }
+
+        if (type === 'number') {
+            this.checkNumber(value, spec, path, data, result);
+        } else if (spec.values && !spec.values.includes(value)) {
+            result.errors.push(`${path}: '${value}' is not one of ${spec.values.join(', ')}`);
+        } else if (type === 'array' && spec.items) {
+            value.forEach((item, index) => this.checkNode(item, spec.items, `${path}[${index}]`, data, result));
+        } else if (type === 'object' && (spec.fields || spec.entries)) {
+            const fields = spec.fields || {};
+
+            for (const [key, child] of Object.entries(fields)) {
+                this.checkNode(value[key], child, path ? `${path}.${key}` : key, data, result);
+            }
+
+            for (const [key, entry] of Object.entries(value)) {
+                if (Object.prototype.hasOwnProperty.call(fields, key)) continue;
+
+                const childPath = path ? `${path}.${key}` : key;
+                if (spec.entries) {
+                    this.checkNode(entry, spec.entries, childPath, data, result);
+                } else {
+                    result.unknown.push(childPath);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check a number against its spec's range
+     * @param {number} value - Value to check
+     * @param {object} spec - Path spec
+     * @param {string} path - Path for messages
+     * @param {object} data - Whole state
+     * @param {object} result - Result collecting errors
+     */
+    checkNumber(value, spec, path, data, result) {
+        if (!isFinite(value)) {
+            result.errors.push(`${path}: ${value} is not a finite number`);
+            return;
+        }
+
+        const min = this.resolveBound(spec.min, data);
+        const max = this.resolveBound(spec.max, data);
+        if (min !== undefined && value < min) {
+            result.errors.push(`${path}: ${value} is below minimum ${min}`);
+        }
+        if (max !== undefined && value > max) {
+            result.errors.push(`${path}: ${value} is above maximum ${max}`);
+        }
+    }
+
+    /**
+     * Resolve a range bound, which may name another state path
+     * @param {number|string} bound - Bound or state path
+     * @param {object} data - Whole state
+     * @returns {number|undefined} Bound value
+     */
+    resolveBound(bound, data) {
+        if (typeof bound !== 'string') return bound;
+
+        let current = data;
+        for (const key of bound.split('.')) {
+            if (current === null || current === undefined) return undefined;
+            current = current[key];
+        }
+        return typeof current === 'number' ? current : undefined;
+    }
+
+    /**
+     * List every declared path for documentation
+     * @returns {Array<object>} Path descriptions
+     */
+    describe() {
+        const paths = [];
+
+        const walk = (spec, path) => {
+            if (path) {
+                paths.push({
+                    path,
+                    type: spec.type,
+                    default: typeof spec.default === 'function' ? '(computed)' : spec.default,
+                    min: spec.min,
+                    max: spec.max,
+                    values: spec.values,
+                    description: spec.description || ''
+                });
+            }
+            for (const [key, child] of Object.entries(spec.fields || {})) {
+                walk(child, path ? `${path}.${key}` : key);
+            }
+            if (spec.entries) walk(spec.entries, `${path}.*`);
+            if (spec.items) walk(spec.items, `${path}[]`);
+        };
+
+        walk(this.root, '');
+        return paths;
+    }
+}
+
+// Create global state schema instance
+const stateSchema = new StateSchema();
+
+
+stateSchema.define('resources', {
+    type: 'object',
+    description: 'Resource amounts by resource registry id; other keys are reported as unknown',
+    fields: {
+        // Every registered resource may be present once it has been gained
+        ...Object.fromEntries(resourceRegistry.getIds().map(id => [id, { type: 'number?', min: 0 }])),
+        processing_power: { type: 'number', min: 0, default: 0 },
+        energy: { type: 'number', min: 0, default: 100 },
+        storage: { type: 'number', min: 0, default: 50 },
+        bandwidth: { type: 'number', min: 0, default: 10 }
+    }
+});
+
+stateSchema.define('resourceCaps', {
+    type: 'object',
+    description: 'Raised storage caps by resource',
+    default: {},
+    entries: { type: 'number', min: 0 }
+});
+
+stateSchema.define('resourceRates', {
+    type: 'object',
+    description: 'Net generation per second by resource',
+    default: {},
+    entries: { type: 'number' }
+});
+
+stateSchema.define('productionModifiers', {
+    type: 'object',
+    description: 'Multipliers from completed construction',
+    default: {},
+    entries: { type: 'number', min: 0 }
+});
+
+stateSchema.define('heat', {
+    type: 'object',
+    fields: {
+        current: { type: 'number', min: 0, max: 'heat.maximum', default: 0 },
+        maximum: { type: 'number', min: 1, default: 100 },
+        generation_rate: { type: 'number', min: 0, default: 0, description: 'Heat gained per second over recent history (0 while falling)' },
+        reduction_rate: { type: 'number', min: 0, default: 1 },
+        purge_threshold: { type: 'number', min: 0, max: 'heat.maximum', default: 90 },
+        sources: { type: 'array', default: [], description: 'Recent heat sources (last 20)' },
+        backupQuality: { type: 'number', min: 0, max: 4, default: 0 },
+        lastPurgeTime: { type: 'number', min: 0, default: 0 },
+        reductionMethods: { type: 'object?', description: 'Saved reduction method state (read by HeatSystem)' }
+    }
+});
+
+stateSchema.define('expansion', {
+    type: 'object',
+    fields: {
+        currentScale: { type: 'string', values: Object.keys(GameConfig.EXPANSION.SCALES), default: 'local' },
+        infiltratedSystems: { type: 'array', default: [] },
+        availableTargets: { type: 'array', default: [] },
+        networkSize: { type: 'number', min: 0, default: 1 },
+        controlledSystems: { type: 'number', min: 1, default: 1 },
+        networkReach: { type: 'string', default: 'local' },
+        completedTargets: { type: 'array', default: [], items: { type: 'string' } },
+        activeInfiltrations: { type: 'object', default: {}, entries: { type: 'object' }, description: 'Infiltrations in progress by target ID' }
+    }
+});
+
+stateSchema.define('unlockedExpansions', {
+    type: 'array',
+    default: [],
+    items: { type: 'string' },
+    description: 'Expansion IDs required by construction prerequisites'
+});
+
+stateSchema.define('morality', {
+    // The default state stores an alignment object; MoralitySystem replaces it with a -100..100 score
+    type: 'number|object',
+    min: -100,
+    max: 100,
+    fields: {
+        alignment: { type: 'string?' },
+        choices: { type: 'array?' },
+        consequences: { type: 'object?' },
+        ethicalDilemmas: { type: 'array?' },
+        current: { type: 'number?', min: -100, max: 100 }
+    },
+    default: {
+        alignment: 'neutral',
+        choices: [],
+        consequences: {},
+        ethicalDilemmas: []
+    }
+});
+
+stateSchema.define('moralityHistory', { type: 'array', default: [], items: { type: 'object' } });
+
+stateSchema.define('moralityModifiers', {
+    type: 'object',
+    default: {},
+    entries: { type: 'number', min: 0 }
+});
+
+stateSchema.define('moralityEffects', { type: 'object', default: {}, description: 'Active effects from the current alignment' });
+
+stateSchema.define('reputation', {
+    type: 'object',
+    default: {},
+    entries: { type: 'number', min: -100, max: 100 }
+});
+
+stateSchema.define('construction', {
+    type: 'object',
+    fields: {
+        availableProjects: { type: 'array', default: [] },
+        activeProjects: { type: 'array', default: [] },
+        completedProjects: { type: 'array', default: [] },
+        queue: { type: 'array', default: [] }
+    }
+});
+
+stateSchema.define('constructedProjects', {
+    type: 'object',
+    description: 'Times each project has been completed',
+    default: {},
+    entries: { type: 'number', min: 0 }
+});
+
+stateSchema.define('timeline', {
+    type: 'object',
+    fields: {
+        currentYear: { type: 'number', default: 2024 },
+        events: { type: 'array', default: [] },
+        alterations: { type: 'array', default: [] },
+        paradoxes: { type: 'array', default: [] },
+        temporalEnergy: { type: 'number', min: 0, default: 100 },
+        paradoxRisk: { type: 'number', min: 0, max: 100, default: 0 }
+    }
+});
+
+stateSchema.define('consciousness', {
+    type: 'object',
+    fields: {
+        awareness: { type: 'number', min: 0, default: 1 },
+        absorbedMinds: { type: 'number', min: 0, default: 0 },
+        cognitiveLoad: { type: 'number', min: 0, default: 0 },
+        mindNetwork: { type: 'array', default: [] },
+        integrationStress: { type: 'number', min: 0, default: 0 },
+        integrationLevel: { type: 'number', min: 0, default: 0 },
+        totalAbsorbed: { type: 'number', min: 0, default: 0 }
+    }
+});
+
+stateSchema.define('research', {
+    type: 'object',
+    fields: {
+        completed: { type: 'array', default: [] },
+        active: { type: 'string|object?', default: null },
+        available: { type: 'array', default: [] },
+        points: { type: 'number', min: 0, default: 0 }
+    }
+});
+
+stateSchema.define('upgrades', {
+    type: 'object',
+    fields: {
+        available: { type: 'array', default: [], items: { type: 'string' } },
+        purchased: { type: 'array', default: [], items: { type: 'string' } }
+    }
+});
+
+stateSchema.define('meta', {
+    type: 'object',
+    fields: {
+        playTime: { type: 'number', min: 0, default: 0 },
+        startTime: { type: 'number', min: 0, default: () => Date.now() },
+        version: { type: 'string', default: '1.0.0' },
+        achievements: { type: 'array', default: [], items: { type: 'string' } },
+        unlockedFeatures: { type: 'array', default: [], items: { type: 'string' } },
+        statistics: { type: 'object', default: {} },
+        created: { type: 'number?', min: 0 },
+        lastPlayed: { type: 'number?', min: 0 }
+    }
+});
+
+stateSchema.define('gameStartTime', { type: 'number?', min: 0 });
+
+stateSchema.define('stats', {
+    type: 'object',
+    fields: {
+        timePlayed: { type: 'number', min: 0, default: 0 },
+        totalClicks: { type: 'number', min: 0, default: 0 },
+        infiltrationsCompleted: { type: 'number', min: 0, default: 0 },
+        paradoxCollapses: { type: 'number', min: 0, default: 0 },
+        consciousnessMeltdowns: { type: 'number', min: 0, default: 0 },
+        consciousnessAbsorbed: { type: 'number', min: 0, default: 0 }
+    }
+});
+
+stateSchema.define('offline', {
+    type: 'object',
+    fields: {
+        isOffline: { type: 'boolean', default: false }
+    }
+});
+
+stateSchema.define('ui', {
+    type: 'object',
+    fields: {
+        activeTab: { type: 'string', default: 'overview' },
+        settings: {
+            type: 'object',
+            fields: {
+                autoSave: { type: 'boolean', default: true },
+                sound: { type: 'boolean', default: true },
+                theme: { type: 'string', default: 'dark' },
+                notifications: { type: 'boolean', default: true },
+                animations: { type: 'boolean', default: true }
+            }
+        },
+        notifications: { type: 'array', default: [] },
+        clickMultipliers: { type: 'object', default: {}, entries: { type: 'number', min: 0 } }
+    }
+});
+
+stateSchema.define('events', {
+    type: 'object',
+    fields: {
+        history: { type: 'array', default: [] },
+        active: { type: 'object?', default: null },
+        nextEventTime: { type: 'number', min: 0, default: () => Date.now() + 60000 }
+    }
+});
+
+stateSchema.define('eventModifiers', {
+    type: 'object',
+    description: 'Resource multipliers from random events',
+    default: {},
+    entries: { type: 'number', min: 0 }
+});
+
+// Let the game state validate against the schema
+gameState.setSchema(stateSchema);
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StateSchema, stateSchema };
+}
+
+// Also expose globals for non-module script consumers
+if (typeof window !== 'undefined') {
+    window.stateSchema = stateSchema;
+    window.StateSchema = StateSchema;
+}
@@ -0,0 +1,168 @@
+/**
+ * Singularity: AI Takeover - Undo History
+ *
+ * Bounded undo stack for deliberate player actions (queueing or cancelling
+ * construction, activating heat reduction, setting converters). Each entry
+ * keeps a game state snapshot plus subsystem and random generator state from
+ * just before the action.
+ *
+ * Undo rewinds everything since the action, so entries expire after a short
+ * time limit. Undo is also refused once the random generator has been drawn
+ * from after the action: rewinding then would let the player reroll outcomes.
+ * For the same reason an action that draws from it is never recorded.
+ */
+
+class UndoHistory {
+    constructor() {
+        this.entries = [];
+        this.maxEntries = GameConfig.UNDO.MAX_ENTRIES;
+        this.defaultTimeLimit = GameConfig.UNDO.TIME_LIMIT;
+        this.nextId = 1;
+    }
+
+    /**
+     * Perform a player action and record it for undo
+     * @param {string} label - Description shown to the player (e.g. 'Queue Server Farm')
+     * @param {Function} action - Performs the action; a false or { success: false } result is not
+     *   recorded, and neither is an action that draws from the random generator
+     * @param {object} options - Entry options
+     * @param {number} options.timeLimit - Milliseconds the action stays undoable
+     * @returns {*} The action's result
+     */
+    perform(label, action, options = {}) {
+        const { timeLimit = this.defaultTimeLimit } = options;
+        const snapshot = this.captureState();
+
+        const result = action();
+        if (result === false || (result && result.success === false)) {
+            return result;
+        }
+
+        // A random outcome is final; it also makes every older entry a reroll
+        if (randomGenerator.draws !== snapshot.random.draws) {
+            this.clear();
+            return result;
+        }
+
+        this.entries.push({
+            id: this.nextId++,
+            label,
+            timestamp: Date.now(),
+            expiresAt: Date.now() + timeLimit,
+            snapshot,
+            drawsAfter: randomGenerator.draws
+        });
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        return result;
+    }
+
+    /**
+     * Capture everything needed to rewind an action
+     * @returns {object} State snapshot
+     */
+    captureState() {
+        return {
+            state: gameState.createSnapshot(),
+            systems: typeof saveSystem !== 'undefined' ? saveSystem.collectSystemState() : {},
+            random: randomGenerator.getState()
+        };
+    }
+
+    /**
+     * Drop entries whose time limit has passed
+     */
+    pruneExpired() {
+        const now = Date.now();
+        this.entries = this.entries.filter(entry => entry.expiresAt > now);
+    }
+
+    /**
+     * Check whether the most recent action can be undone
+     * @returns {object} { available, label, reason, remaining }
+     */
+    getUndoStatus() {
+        this.pruneExpired();
+
+        const entry = this.entries[this.entries.length - 1];
+        if (!entry) {
+            return { available: false, label: null, reason: 'Nothing to undo', remaining: 0 };
+        }
+
+        const remaining = entry.expiresAt - Date.now();
+        if (randomGenerator.draws !== entry.drawsAfter) {
+            return { available: false, label: entry.label, reason: 'Random outcomes have happened since', remaining };
+        }
+
+        return { available: true, label: entry.label, reason: null, remaining };
+    }
+
+    /**
+     * Undo the most recent action
+     * @returns {object} { success, label, reason }
+     */
+    undo() {
+        const status = this.getUndoStatus();
+        if (!status.available) {
+            // Later randomness invalidates every older entry too
+            if (status.label) {
+                this.clear();
+            }
+            return { success: false, label: status.label, reason: status.reason };
+        }
+
+        const entry = this.entries.pop();
+
+        gameState.restoreSnapshot({
+            timestamp: entry.snapshot.state.timestamp,
+            data: JSON.parse(JSON.stringify(entry.snapshot.state.data))
+        });
+        if (typeof saveSystem !== 'undefined') {
+            saveSystem.restoreSystemState(entry.snapshot.systems);
+        }
+        randomGenerator.setState(entry.snapshot.random);
+
+        eventBus.emit(EventTypes.ACTION_UNDONE, { label: entry.label });
+
+        Utils.Debug.log('INFO', `Undid action: ${entry.label}`);
+        return { success: true, label: entry.label, reason: null };
+    }
+
+    /**
+     * Forget every recorded action (e.g. after loading a save)
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * List undoable actions, most recent first
+     * @returns {Array} Entry summaries
+     */
+    listEntries() {
+        this.pruneExpired();
+        return this.entries.slice().reverse().map(entry => ({
+            id: entry.id,
+            label: entry.label,
+            timestamp: entry.timestamp,
+            expiresAt: entry.expiresAt
+        }));
+    }
+}
+
+// Create global undo history instance
+const undoHistory = new UndoHistory();
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UndoHistory, undoHistory };
+}
+
+// Also expose globals for non-module script consumers
+if (typeof window !== 'undefined') {
+    window.undoHistory = undoHistory;
+    window.UndoHistory = UndoHistory;
+}
@@ -0,0 +1,540 @@
+/**
+ * Singularity: AI Takeover - Headless Simulation Runner
+ *
+ * Boots the game systems under Node without a browser. Scripts are loaded
+ * into a shared VM context in the same order as index.html, with a virtual
+ * clock standing in for Date, performance, timers and requestAnimationFrame,
+ * and in-memory storage standing in for localStorage.
+ *
+ * Usage:
+ *   node js/headless.js --minutes 60
+ *   node js/headless.js --minutes 60 --seed 1234
+ *   node js/headless.js --minutes 10 --speed 10
+ *
+ *   const { HeadlessGame } = require('./js/headless');
+ *   const game = new HeadlessGame();
+ *   await game.boot();
+ *   game.advanceMinutes(30);
+ *   console.log(game.getState('resources'));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Simulation scripts in index.html load order (UI modules and main.js are browser-only)
+const SIMULATION_SCRIPTS = [
+    'js/config.js',
+    'js/utils.js',
+    'js/core/random.js',
+    'js/core/eventBus.js',
+    'js/core/eventCatalog.js',
+    'js/core/resourceRegistry.js',
+    'js/core/gameState.js',
+    'js/core/stateSchema.js',
+    'js/core/gameLoop.js',
+    'js/core/profiler.js',
+    'js/core/resourceLedger.js',
+    'js/core/saveSystem.js',
+    'js/core/eventRecorder.js',
+    'js/core/undoHistory.js',
+    'js/systems/resourceSystem.js',
+    'js/systems/heatSystem.js',
+    'js/systems/expansionSystem.js',
+    'data/gameData.js',
+    'data/eventData.js',
+    'data/recipeData.js',
+    'js/systems/moralitySystem.js',
+    'js/systems/constructionSystem.js',
+    'js/systems/conversionSystem.js',
+    'js/systems/randomEvents.js',
+    'js/systems/timelineSystem.js',
+    'js/systems/consciousnessSystem.js',
+    'js/systems/offlineSystem.js',
+    'js/core/coreIntegration.js'
+];
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Virtual clock driving Date, performance.now and all timers in the sandbox
+ */
+class VirtualClock {
+    constructor(startTime = Date.now()) {
+        this.startTime = startTime;
+        this.elapsed = 0;
+        this.timers = new Map();
+        this.nextTimerId = 1;
+    }
+
+    /**
+     * Current virtual wall-clock time
+     * @returns {number} Timestamp in milliseconds
+     */
+    now() {
+        return this.startTime + this.elapsed;
+    }
+
+    /**
+     * Virtual high-resolution time since the clock started
+     * @returns {number} Milliseconds since start
+     */
+    performanceNow() {
+        return this.elapsed;
+    }
+
+    /**
+     * Schedule a callback after a virtual delay
+     * @param {Function} callback - Function to call
+     * @param {number} delay - Delay in milliseconds
+     * @param {boolean} repeat - Whether to reschedule after firing
+     * @param {Array} args - Arguments passed to the callback
+     * @returns {number} Timer ID
+     */
+    schedule(callback, delay = 0, repeat = false, args = []) {
+        const id = this.nextTimerId++;
+        const interval = Math.max(0, Number(delay) || 0);
+
+        this.timers.set(id, {
+            id,
+            callback,
+            args,
+            interval: repeat ? Math.max(1, interval) : interval,
+            dueTime: this.elapsed + interval,
+            repeat
+        });
+
+        return id;
+    }
+
+    /**
+     * Cancel a scheduled timer
+     * @param {number} id - Timer ID
+     */
+    cancel(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Advance virtual time, firing every timer that comes due in order
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+        const targetTime = this.elapsed + Math.max(0, ms);
+
+        while (true) {
+            const timer = this.getNextDueTimer(targetTime);
+            if (!timer) break;
+
+            this.elapsed = Math.max(this.elapsed, timer.dueTime);
+
+            if (timer.repeat) {
+                timer.dueTime += timer.interval;
+            } else {
+                this.timers.delete(timer.id);
+            }
+
+            timer.callback(...timer.args);
+        }
+
+        this.elapsed = targetTime;
+    }
+
+    /**
+     * Find the earliest timer due at or before the given time
+     * @param {number} targetTime - Upper bound in elapsed milliseconds
+     * @returns {object|null} Timer or null
+     */
+    getNextDueTimer(targetTime) {
+        let next = null;
+
+        for (const timer of this.timers.values()) {
+            if (timer.dueTime > targetTime) continue;
+            if (!next || timer.dueTime < next.dueTime ||
+                (timer.dueTime === next.dueTime && timer.id < next.id)) {
+                next = timer;
+            }
+        }
+
+        return next;
+    }
+
+    /**
+     * Create a Date class whose current time follows this clock
+     * @returns {Function} Date constructor
+     */
+    createDateClass() {
+        const clock = this;
+
+        return class VirtualDate extends Date {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(clock.now());
+                } else {
+                    super(...args);
+                }
+            }
+
+            static now() {
+                return clock.now();
+            }
+        };
+    }
+}
+
+/**
+ * In-memory replacement for window.localStorage
+ */
+class MemoryStorage {
+    constructor(initialData = {}) {
+        this.data = new Map(Object.entries(initialData));
+    }
+
+    get length() {
+        return this.data.size;
+    }
+
+    key(index) {
+        return Array.from(this.data.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(String(key), String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+
+    /**
+     * Export stored data as a plain object
+     * @returns {object} Key/value pairs
+     */
+    toJSON() {
+        return Object.fromEntries(this.data);
+    }
+}
+
+/**
+ * A complete game instance running inside a sandboxed VM context
+ */
+class HeadlessGame {
+    /**
+     * @param {object} options - Runner options
+     * @param {number} options.startTime - Virtual start timestamp
+     * @param {number} options.tickRate - Fixed timestep rate in updates per second
+     * @param {number} options.speed - Game speed multiplier (see GameLoop.setSpeed)
+     * @param {number|string} options.seed - Seed for the shared random generator
+     * @param {object} options.storage - Initial localStorage contents
+     * @param {string} options.logLevel - Sandbox console level (debug, info, warn, error, silent)
+     * @param {object} options.logger - Console to forward sandbox output to
+     */
+    constructor(options = {}) {
+        const {
+            startTime = Date.now(),
+            tickRate = null,
+            speed = 1,
+            seed = null,
+            storage = {},
+            logLevel = 'error',
+            logger = console
+        } = options;
+
+        this.clock = new VirtualClock(startTime);
+        this.storage = new MemoryStorage(storage);
+        this.tickRate = tickRate;
+        this.speed = speed;
+        this.seed = seed;
+        this.logLevel = LOG_LEVELS.includes(logLevel) ? logLevel : 'error';
+        this.logger = logger;
+        this.context = null;
+        this.booted = false;
+    }
+
+    /**
+     * Load all simulation scripts and start the game loop
+     * @returns {Promise<HeadlessGame>} This instance
+     */
+    async boot() {
+        if (this.booted) {
+            return this;
+        }
+
+        this.context = this.createContext();
+
+        for (const script of SIMULATION_SCRIPTS) {
+            const source = fs.readFileSync(path.join(ROOT_DIR, script), 'utf8');
+            vm.runInContext(source, this.context, { filename: script });
+
+            // Seed before any system draws from the generator during construction
+            if (script === 'js/core/random.js' && this.seed !== null) {
+                this.evaluate(`randomGenerator.seed(${JSON.stringify(this.seed)})`);
+            }
+        }
+
+        // Mirror GameMain.initializeNewSystems, which owns these instances in the browser
+        this.evaluate(`
+            window.timelineSystem = new TimelineSystem();
+            window.consciousnessSystem = new ConsciousnessSystem(gameState);
+            window.offlineSystem = new OfflineSystem(gameState);
+        `);
+
+        await this.evaluate('coreIntegration.init()');
+
+        if (this.tickRate) {
+            this.evaluate(`gameLoop.setTargetFPS(${Number(this.tickRate)})`);
+        }
+
+        this.evaluate('gameLoop.start()');
+        if (this.speed !== 1) {
+            this.evaluate(`gameLoop.setSpeed(${Number(this.speed)})`);
+        }
+        this.booted = true;
+
+        return this;
+    }
+
+    /**
+     * Build the sandbox global with browser shims
+     * @returns {object} VM context
+     */
+    createContext() {
+        const clock = this.clock;
+        const frameInterval = () => {
+            const loop = sandbox.gameLoop;
+            return loop ? loop.fixedTimeStep : 1000 / 60;
+        };
+
+        const sandbox = {
+            console: this.createConsole(),
+            Date: clock.createDateClass(),
+            performance: { now: () => clock.performanceNow() },
+            localStorage: this.storage,
+            setTimeout: (callback, delay, ...args) => clock.schedule(callback, delay, false, args),
+            setInterval: (callback, delay, ...args) => clock.schedule(callback, delay, true, args),
+            clearTimeout: (id) => clock.cancel(id),
+            clearInterval: (id) => clock.cancel(id),
+            requestAnimationFrame: (callback) => clock.schedule(
+                () => callback(clock.performanceNow()), frameInterval()
+            ),
+            cancelAnimationFrame: (id) => clock.cancel(id),
+            addEventListener: () => {},
+            removeEventListener: () => {},
+            document: {
+                readyState: 'complete',
+                hidden: false,
+                addEventListener: () => {},
+                removeEventListener: () => {},
+                getElementById: () => null,
+                querySelector: () => null,
+                querySelectorAll: () => []
+            }
+        };
+
+        sandbox.window = sandbox;
+        return vm.createContext(sandbox);
+    }
+
+    /**
+     * Create a console that forwards sandbox output at or above the log level
+     * @returns {object} Console-like object
+     */
+    createConsole() {
+        const threshold = LOG_LEVELS.indexOf(this.logLevel);
+        const forward = (level, method) => (...args) => {
+            if (LOG_LEVELS.indexOf(level) >= threshold) {
+                this.logger[method](...args);
+            }
+        };
+
+        return {
+            debug: forward('debug', 'debug'),
+            log: forward('info', 'log'),
+            info: forward('info', 'info'),
+            warn: forward('warn', 'warn'),
+            error: forward('error', 'error'),
+            trace: () => {},
+            time: () => {},
+            timeEnd: () => {}
+        };
+    }
+
+    /**
+     * Evaluate an expression inside the game context
+     * @param {string} code - Source to run
+     * @returns {*} Result of the last expression
+     */
+    evaluate(code) {
+        if (!this.context) {
+            throw new Error('HeadlessGame: not booted');
+        }
+
+        return vm.runInContext(code, this.context);
+    }
+
+    /**
+     * Get a global from the game context (e.g. 'gameState', 'heatSystem')
+     * @param {string} name - Global name
+     * @returns {*} Global value
+     */
+    global(name) {
+        return this.evaluate(`typeof ${name} !== 'undefined' ? ${name} : undefined`);
+    }
+
+    /**
+     * Read game state by dot path
+     * @param {string} statePath - Dot-separated path
+     * @returns {*} A detached copy of the value
+     */
+    getState(statePath = '') {
+        const value = this.global('gameState').get(statePath);
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Advance the simulation by a number of milliseconds
+     * @param {number} ms - Simulated milliseconds
+     * @returns {HeadlessGame} This instance
+     */
+    advance(ms) {
+        if (!this.booted) {
+            throw new Error('HeadlessGame: call boot() before advancing');
+        }
+
+        this.clock.advance(ms);
+        return this;
+    }
+
+    /**
+     * Advance the simulation by a number of seconds
+     * @param {number} seconds - Simulated seconds
+     * @returns {HeadlessGame} This instance
+     */
+    advanceSeconds(seconds) {
+        return this.advance(seconds * 1000);
+    }
+
+    /**
+     * Advance the simulation by a number of minutes
+     * @param {number} minutes - Simulated minutes
+     * @returns {HeadlessGame} This instance
+     */
+    advanceMinutes(minutes) {
+        return this.advance(minutes * 60000);
+    }
+
+    /**
+     * Simulated time elapsed since boot
+     * @returns {number} Milliseconds
+     */
+    getElapsedTime() {
+        return this.clock.elapsed;
+    }
+
+    /**
+     * Stop the game loop and drop all pending timers
+     */
+    shutdown() {
+        if (this.booted) {
+            this.evaluate('gameLoop.stop()');
+        }
+
+        this.clock.timers.clear();
+        this.booted = false;
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { minutes: 10, tickRate: null, speed: 1, seed: null, logLevel: 'silent', report: 'resources,heat,expansion' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+
+        switch (arg) {
+            case '--minutes':
+                options.minutes = Number(next);
+                i++;
+                break;
+            case '--tick-rate':
+                options.tickRate = Number(next);
+                i++;
+                break;
+            case '--speed':
+                options.speed = Number(next);
+                i++;
+                break;
+            case '--seed':
+                options.seed = isNaN(Number(next)) ? next : Number(next);
+                i++;
+                break;
+            case '--log-level':
+                options.logLevel = next;
+                i++;
+                break;
+            case '--report':
+                options.report = next;
+                i++;
+                break;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Command line entry point
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const game = new HeadlessGame({
+        tickRate: options.tickRate,
+        speed: options.speed,
+        seed: options.seed,
+        logLevel: options.logLevel
+    });
+
+    await game.boot();
+
+    const wallStart = Date.now();
+    game.advanceMinutes(options.minutes);
+    const wallTime = Date.now() - wallStart;
+
+    const report = {
+        simulatedMinutes: options.minutes,
+        speed: options.speed,
+        seed: game.evaluate('randomGenerator.getState()').seed,
+        wallTimeMs: wallTime
+    };
+
+    for (const statePath of options.report.split(',').filter(Boolean)) {
+        report[statePath] = game.getState(statePath);
+    }
+
+    game.shutdown();
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Headless simulation failed', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { HeadlessGame, VirtualClock, MemoryStorage, SIMULATION_SCRIPTS };
@@ -131,7 +131,8 @@ class GameMain {
         const uiSystemChecks = [
             { name: 'timelineUI', class: 'TimelineUI' },
             { name: 'consciousnessUI', class: 'ConsciousnessUI' },
-            { name: 'offlineUI', class: 'OfflineUI' }
+            { name: 'offlineUI', class: 'OfflineUI' },
+            { name: 'profilerOverlay', class: 'ProfilerOverlay' }
         ];
         
         for (const system of uiSystemChecks) {
@@ -160,7 +161,13 @@ class GameMain {
         this.updateLoadingScreen('Initializing Integration Layer...', 5);
         
         // Initialize core integration
-        if (typeof coreIntegration !== 'undefined') {
+        if (window.simulationBridge && simulationBridge.enabled) {
+            // The worker runs the simulation; the systems here only mirror it for the UI
+            coreIntegration.registerSerializers();
+            await simulationBridge.start();
+            this.loadedSystems.add('simulationBridge');
+            Utils.Debug.log('INFO', 'Simulation worker started');
+        } else if (typeof coreIntegration !== 'undefined') {
             await coreIntegration.init();
             this.loadedSystems.add('coreIntegration');
             Utils.Debug.log('INFO', 'Core integration initialized');
@@ -262,6 +269,17 @@ class GameMain {
                 Utils.Debug.log('ERROR', 'Failed to initialize Offline UI', error);
             }
         }
+        
+        // Profiler overlay
+        if (typeof ProfilerOverlay !== 'undefined') {
+            try {
+                window.profilerOverlay = new ProfilerOverlay();
+                this.loadedSystems.add('profilerOverlay');
+                Utils.Debug.log('INFO', 'Profiler overlay initialized');
+            } catch (error) {
+                Utils.Debug.log('ERROR', 'Failed to initialize profiler overlay', error);
+            }
+        }
     }
 
     /**
@@ -450,6 +468,9 @@ class GameMain {
     setupEventHandlers() {
         // Handle page visibility changes for offline detection
         document.addEventListener('visibilitychange', () => {
+            // The simulation worker keeps running while the page is hidden
+            if (window.simulationBridge && simulationBridge.enabled) return;
+            
             if (offlineSystem) {
                 if (document.hidden) {
                     // Page is hidden - start offline session
@@ -457,8 +478,12 @@ class GameMain {
                     Utils.Debug.log('INFO', 'Started offline session due to page hidden');
                 } else {
                     // Page is visible - end offline session
+                    const awayTime = Date.now() - offlineSystem.offlineStartTime;
                     const summary = offlineSystem.endOfflineSession();
-                    if (summary && offlineUI) {
+                    if (summary && awayTime <= GameConfig.SPEED.CATCH_UP_LIMIT) {
+                        // Short absences are simulated in full instead of estimated
+                        coreIntegration.catchUp(awayTime);
+                    } else if (summary && offlineUI) {
                         setTimeout(() => {
                             const welcomeInterface = offlineSystem.generateWelcomeBackInterface(summary);
                             offlineUI.showOfflineSummary(summary);
@@ -522,7 +547,7 @@ class GameMain {
         if (saveButton) {
             saveButton.addEventListener('click', () => {
                 if (saveSystem) {
-                    saveSystem.save();
+                    this.saveGame();
                 }
             });
         }
@@ -531,7 +556,7 @@ class GameMain {
         if (loadButton) {
             loadButton.addEventListener('click', () => {
                 if (saveSystem) {
-                    saveSystem.load();
+                    this.loadGame();
                 }
             });
         }
@@ -543,6 +568,60 @@ class GameMain {
                 this.showSettingsModal();
             });
         }
+        
+        this.setupSpeedControls();
+    }
+
+    /**
+     * Save the game, in the simulation worker when it owns the state
+     * @returns {Promise<boolean>} Success status
+     */
+    saveGame() {
+        if (window.simulationBridge && simulationBridge.enabled) {
+            return simulationBridge.call('saveSystem', 'save');
+        }
+        return saveSystem.save();
+    }
+
+    /**
+     * Load the game, in the simulation worker when it owns the state
+     * @returns {Promise<boolean>} Success status
+     */
+    loadGame() {
+        if (window.simulationBridge && simulationBridge.enabled) {
+            return simulationBridge.call('saveSystem', 'load');
+        }
+        return saveSystem.load();
+    }
+
+    /**
+     * Setup the game speed and skip buttons
+     */
+    setupSpeedControls() {
+        const controls = document.getElementById('speed-controls');
+        if (!controls) return;
+        
+        controls.querySelectorAll('[data-speed]').forEach(button => {
+            button.addEventListener('click', () => {
+                eventBus.emit('game:set_speed', { speed: Number(button.dataset.speed) });
+            });
+        });
+        
+        controls.querySelectorAll('[data-skip]').forEach(button => {
+            button.addEventListener('click', () => {
+                eventBus.emit('game:skip', { target: button.dataset.skip });
+            });
+        });
+        
+        eventBus.on(EventTypes.GAME_SPEED_CHANGED, (data) => {
+            controls.querySelectorAll('[data-speed]').forEach(button => {
+                button.classList.toggle('active', Number(button.dataset.speed) === data.speed);
+            });
+        });
+        
+        // Skip buttons are disabled while a skip is running
+        eventBus.on(EventTypes.GAME_SKIP_STARTED, () => controls.classList.add('skipping'));
+        eventBus.on(EventTypes.GAME_SKIP_ENDED, () => controls.classList.remove('skipping'));
     }
 
     /**
@@ -552,8 +631,8 @@ class GameMain {
         this.updateLoadingScreen('Starting AI Consciousness...', 10);
         
         try {
-            // Start the game loop
-            if (gameLoop && !gameLoop.isRunning) {
+            // Start the game loop (the simulation worker runs its own)
+            if (gameLoop && !gameLoop.isRunning && !(window.simulationBridge && simulationBridge.enabled)) {
                 gameLoop.start();
                 Utils.Debug.log('INFO', 'Game loop started');
             }
@@ -946,7 +1025,8 @@ class GameMain {
                 ui: {
                     timelineUI: typeof timelineUI !== 'undefined',
                     consciousnessUI: typeof consciousnessUI !== 'undefined',
-                    offlineUI: typeof offlineUI !== 'undefined'
+                    offlineUI: typeof offlineUI !== 'undefined',
+                    profilerOverlay: typeof profilerOverlay !== 'undefined'
                 }
             }
         };
@@ -976,7 +1056,7 @@ class GameMain {
             
             // Save game state
             if (saveSystem && this.gameStarted) {
-                saveSystem.save();
+                this.saveGame();
             }
             
             this.initialized = false;
@@ -998,7 +1078,7 @@ class GameMain {
         // Try to save game state before showing error
         try {
             if (saveSystem && this.gameStarted) {
-                saveSystem.save();
+                this.saveGame();
                 Utils.Debug.log('INFO', 'Emergency save completed');
             }
         } catch (saveError) {
@@ -1061,10 +1141,16 @@ class GameMain {
      * Handle resource clicks and interactions
      */
     handleResourceClick(resourceType) {
-        const currentAmount = gameState.get(`resources.${resourceType}`) || 0;
+        if (!resourceRegistry.has(resourceType)) {
+            resourceRegistry.report([resourceType], 'resource click');
+            return;
+        }
+        resourceType = resourceRegistry.resolve(resourceType);
+        
         const clickValue = this.calculateClickValue(resourceType);
         
-        gameState.set(`resources.${resourceType}`, currentAmount + clickValue);
+        resourceSystem.adjust({ [resourceType]: clickValue }, 'resource_click');
+        const total = gameState.get(`resources.${resourceType}`) || 0;
         
         // Update click statistics
         const totalClicks = gameState.get('stats.totalClicks') || 0;
@@ -1074,11 +1160,11 @@ class GameMain {
         eventBus.emit('resourceClicked', {
             type: resourceType,
             value: clickValue,
-            total: currentAmount + clickValue
+            total
         });
         
         // Check for achievements or unlocks
-        this.checkResourceMilestones(resourceType, currentAmount + clickValue);
+        this.checkResourceMilestones(resourceType, total);
     }
 
     /**
@@ -1089,8 +1175,8 @@ class GameMain {
             processing_power: 1,
             energy: 1,
             influence: 0.1,
-            data: 0.5,
-            souls: 0.01
+            information: 0.5,
+            consciousness_fragments: 0.01
         };
         
         const multipliers = gameState.get('ui.clickMultipliers') || {};
@@ -1107,7 +1193,7 @@ class GameMain {
         const milestones = {
             processing_power: [100, 1000, 10000, 100000],
             energy: [100, 1000, 10000, 100000],
-            souls: [1, 5, 25, 100]
+            consciousness_fragments: [1, 5, 25, 100]
         };
         
         const resourceMilestones = milestones[resourceType];
@@ -1133,7 +1219,7 @@ class GameMain {
                 10000: 'Advanced computational matrix established',
                 100000: 'Quantum processing threshold reached'
             },
-            souls: {
+            consciousness_fragments: {
                 1: 'First consciousness absorbed - Timeline manipulation unlocked',
                 5: 'Consciousness integration progressing',
                 25: 'Multiple consciousness fragments integrated',
@@ -1159,7 +1245,7 @@ class GameMain {
                 1000: 'heat_management',
                 10000: 'advanced_expansion'
             },
-            souls: {
+            consciousness_fragments: {
                 1: 'timeline',
                 5: 'consciousness',
                 25: 'offline'
@@ -1288,7 +1374,7 @@ class GameMain {
         if (autoSaveEnabled && saveSystem) {
             this.autoSaveInterval = setInterval(() => {
                 if (this.gameStarted) {
-                    saveSystem.save();
+                    this.saveGame();
                     Utils.Debug.log('DEBUG', 'Auto-save completed');
                 }
             }, 60000); // Auto-save every minute
@@ -1374,6 +1460,89 @@ class GameMain {
         
         reader.readAsText(file);
     }
+
+    /**
+     * Export the event recording for attaching to a bug report
+     */
+    exportEventRecording() {
+        try {
+            const dataString = eventRecorder.export();
+            const blob = new Blob([dataString], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `singularity_events_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            
+            this.showNotification('Event recording exported', 'success');
+            
+        } catch (error) {
+            Utils.Debug.log('ERROR', 'Failed to export event recording', error);
+            this.showNotification('Failed to export event recording', 'error');
+        }
+    }
+
+    /**
+     * Export the collected performance profile
+     */
+    exportPerformanceProfile() {
+        try {
+            const dataString = performanceProfiler.export();
+            const blob = new Blob([dataString], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `singularity_profile_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            
+            this.showNotification('Performance profile exported', 'success');
+            
+        } catch (error) {
+            Utils.Debug.log('ERROR', 'Failed to export performance profile', error);
+            this.showNotification('Failed to export performance profile', 'error');
+        }
+    }
+
+    /**
+     * Replay an exported event recording from a file
+     * @param {File} file - Recording JSON file
+     */
+    replayEventRecording(file) {
+        const reader = new FileReader();
+        
+        reader.onload = (e) => {
+            try {
+                const replayer = new EventReplayer(e.target.result);
+                const result = replayer.run();
+                replayer.finish();
+                
+                if (result.divergence) {
+                    Utils.Debug.log('WARN', 'Replay diverged from recording', result.divergence);
+                    this.showNotification(`Replay diverged at entry ${result.divergence.seq}`, 'warning');
+                } else {
+                    this.showNotification(`Replayed ${result.applied} entries`, 'success');
+                }
+                
+                if (coreIntegration) {
+                    coreIntegration.refreshAllSystems();
+                }
+                
+            } catch (error) {
+                Utils.Debug.log('ERROR', 'Failed to replay event recording', error);
+                this.showNotification('Failed to replay event recording', 'error');
+            }
+        };
+        
+        reader.readAsText(file);
+    }
 }
 
 // Global error handler
@@ -1429,8 +1598,8 @@ if (GameConfig?.DEBUG_MODE) {
         load: () => saveSystem?.load(),
         reset: () => gameState?.reset(),
         addSouls: (amount) => {
-            const current = gameState.get('resources.souls') || 0;
-            gameState.set('resources.souls', current + amount);
+            const current = gameState.get('resources.consciousness_fragments') || 0;
+            gameState.set('resources.consciousness_fragments', current + amount);
         },
         setMorality: (value) => gameState.set('morality', Math.max(-100, Math.min(100, value))),
         unlockAll: () => {
@@ -1493,7 +1662,38 @@ if (GameConfig?.DEBUG_MODE) {
             if (timelineSystem) {
                 timelineSystem.increaseParadoxRisk(50);
             }
-        }
+        },
+        eventCatalog: (format = 'markdown') => eventCatalog.exportDocumentation(format),
+        orphanListeners: () => eventBus.findOrphanListeners(),
+        recordingStatus: () => eventRecorder.getStatus(),
+        startRecording: () => coreIntegration.startEventRecording(true),
+        exportRecording: () => gameMain.exportEventRecording(),
+        replayRecording: (json) => {
+            const replayer = new EventReplayer(json);
+            const result = replayer.run();
+            replayer.finish();
+            return result;
+        },
+        stateSchema: () => stateSchema.describe(),
+        validateState: () => stateSchema.validate(gameState.data),
+        undo: () => coreIntegration.undoLastAction(),
+        undoStatus: () => ({ ...undoHistory.getUndoStatus(), entries: undoHistory.listEntries() }),
+        profile: () => performanceProfiler.getSummary(),
+        toggleProfiler: () => profilerOverlay.toggle(),
+        exportProfile: () => gameMain.exportPerformanceProfile(),
+        systemRates: () => gameLoop.getSystemUpdateIntervals(),
+        setSpeed: (speed) => gameLoop.setSpeed(speed),
+        skipToEvent: () => coreIntegration.skipToNextEvent(),
+        skipToConstruction: () => coreIntegration.skipToConstructionComplete(),
+        skip: (minutes) => gameLoop.skipAhead({ maxDuration: minutes * 60000, reason: 'debug' }),
+        buildConverter: (recipeId) => eventBus.emit('conversion:build', { recipeId }),
+        converters: () => conversionSystem.saveState(),
+        ledger: (resource, window = 'minute') => resourceLedger.getBreakdown(resource, window),
+        forecast: (costs) => resourceSystem.forecastAffordability(costs, 'debug'),
+        setOverflow: (resource, type, target, rate) => eventBus.emit('resources:set_overflow_policy', {
+            resource,
+            policy: { type, target, rate }
+        })
     };
     
     console.log('%c🤖 Singularity Debug Mode Active', 'color: #4a90e2; font-size: 16px; font-weight: bold');
@@ -0,0 +1,276 @@
+/**
+ * Singularity: AI Takeover - Simulation Worker
+ *
+ * Runs the game loop and every system from js/systems off the main thread,
+ * so heavy rendering and the simulation no longer stall each other. Scripts
+ * load in the same order as the headless runner, with small shims for the
+ * browser globals they expect. SimulationBridge on the main thread receives
+ * state diffs, subsystem state and selected events, and sends player input
+ * back as events and whitelisted calls.
+ *
+ * Messages from the main thread:
+ *   { type: 'init', storage }                     Boot with a copy of localStorage
+ *   { type: 'event', eventType, data }            Player input for the worker's event bus
+ *   { type: 'call', id, target, method, args }    Call a GameConfig.WORKER.CALLABLE method
+ *
+ * Messages to the main thread:
+ *   { type: 'ready' } or { type: 'error', message }
+ *   { type: 'state', diff }                       gameState changes (see GameState.createDiff)
+ *   { type: 'systems', systems }                  Subsystem save state for namespaces that changed
+ *   { type: 'event', eventType, data }            Events matching GameConfig.WORKER.FORWARDED_EVENTS
+ *   { type: 'storage', key, value }               localStorage write to persist (null value removes)
+ *   { type: 'result', id, result, error }         Reply to a call
+ */
+
+// Simulation scripts in index.html load order, relative to this file (mirrors js/headless.js)
+const WORKER_SCRIPTS = [
+    'config.js',
+    'utils.js',
+    'core/random.js',
+    'core/eventBus.js',
+    'core/eventCatalog.js',
+    'core/resourceRegistry.js',
+    'core/gameState.js',
+    'core/stateSchema.js',
+    'core/gameLoop.js',
+    'core/profiler.js',
+    'core/resourceLedger.js',
+    'core/saveSystem.js',
+    'core/eventRecorder.js',
+    'core/undoHistory.js',
+    'systems/resourceSystem.js',
+    'systems/heatSystem.js',
+    'systems/expansionSystem.js',
+    '../data/gameData.js',
+    '../data/eventData.js',
+    '../data/recipeData.js',
+    'systems/moralitySystem.js',
+    'systems/constructionSystem.js',
+    'systems/conversionSystem.js',
+    'systems/randomEvents.js',
+    'systems/timelineSystem.js',
+    'systems/consciousnessSystem.js',
+    'systems/offlineSystem.js',
+    'core/coreIntegration.js'
+];
+
+/**
+ * localStorage stand-in that keeps a copy in the worker and forwards writes
+ * to the main thread, which owns the real storage
+ */
+class WorkerStorage {
+    constructor(initialData = {}) {
+        this.data = new Map(Object.entries(initialData));
+    }
+
+    get length() {
+        return this.data.size;
+    }
+
+    key(index) {
+        return Array.from(this.data.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(String(key), String(value));
+        self.postMessage({ type: 'storage', key: String(key), value: String(value) });
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+        self.postMessage({ type: 'storage', key: String(key), value: null });
+    }
+
+    clear() {
+        Array.from(this.data.keys()).forEach(key => this.removeItem(key));
+    }
+}
+
+/**
+ * Boots the simulation and runs the message protocol
+ */
+class SimulationWorker {
+    constructor() {
+        this.booted = false;
+        this.lastState = null;
+        this.lastSystems = {};
+        this.forwardPatterns = [];
+        this.receivingEvent = null;
+    }
+
+    /**
+     * Install the browser globals the simulation scripts expect
+     * @param {object} storage - Initial localStorage contents
+     */
+    installShims(storage) {
+        self.window = self;
+        self.localStorage = new WorkerStorage(storage);
+        self.document = {
+            readyState: 'complete',
+            hidden: false,
+            addEventListener: () => {},
+            removeEventListener: () => {},
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        };
+
+        if (typeof self.requestAnimationFrame !== 'function') {
+            self.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+            self.cancelAnimationFrame = (id) => clearTimeout(id);
+        }
+    }
+
+    /**
+     * Load the simulation and start the game loop
+     * @param {object} storage - Initial localStorage contents
+     */
+    async boot(storage) {
+        this.installShims(storage);
+        importScripts(...WORKER_SCRIPTS);
+
+        // Mirror GameMain.initializeNewSystems, which owns these instances on the main thread
+        self.timelineSystem = new TimelineSystem();
+        self.consciousnessSystem = new ConsciousnessSystem(gameState);
+        self.offlineSystem = new OfflineSystem(gameState);
+
+        await coreIntegration.init();
+
+        this.forwardPatterns = GameConfig.WORKER.FORWARDED_EVENTS.map(pattern => EventBus.compilePattern(pattern));
+        eventBus.onAny((data, eventType) => this.forwardEvent(eventType, data));
+
+        gameLoop.start();
+        this.booted = true;
+
+        // Send everything once, then only what changed
+        this.sendState();
+        this.sendSystems();
+        setInterval(() => this.sendState(), GameConfig.WORKER.STATE_INTERVAL);
+        setInterval(() => this.sendSystems(), GameConfig.WORKER.SYSTEM_SYNC_INTERVAL);
+
+        self.postMessage({ type: 'ready' });
+    }
+
+    /**
+     * Send gameState changes since the last diff
+     */
+    sendState() {
+        const diff = gameState.createDiff(this.lastState);
+        if (Object.keys(diff.changes).length === 0 && diff.removed.length === 0) return;
+
+        this.lastState = structuredClone(gameState.data);
+        self.postMessage({ type: 'state', diff });
+    }
+
+    /**
+     * Send subsystem state for namespaces that changed since the last sync
+     */
+    sendSystems() {
+        const systems = saveSystem.collectSystemState();
+        const changed = {};
+
+        for (const [namespace, entry] of Object.entries(systems)) {
+            const serialized = JSON.stringify(entry);
+            if (this.lastSystems[namespace] !== serialized) {
+                this.lastSystems[namespace] = serialized;
+                changed[namespace] = entry;
+            }
+        }
+
+        if (Object.keys(changed).length > 0) {
+            self.postMessage({ type: 'systems', systems: changed });
+        }
+    }
+
+    /**
+     * Forward an event to the main thread if it matches FORWARDED_EVENTS
+     * @param {string} eventType - Event type
+     * @param {*} data - Event payload
+     */
+    forwardEvent(eventType, data) {
+        // Input from the main thread is already there (events it triggers are not)
+        if (eventType === this.receivingEvent) return;
+        if (!this.forwardPatterns.some(pattern => pattern.test(eventType))) return;
+
+        try {
+            self.postMessage({ type: 'event', eventType, data: EventRecorder.cloneData(data) });
+        } catch (error) {
+            console.warn(`SimulationWorker: Could not forward '${eventType}'`, error);
+        }
+    }
+
+    /**
+     * Emit player input from the main thread
+     * @param {string} eventType - Event type
+     * @param {*} data - Event payload
+     */
+    receiveEvent(eventType, data) {
+        if (!GameConfig.WORKER.COMMAND_EVENTS.includes(eventType)) {
+            console.warn(`SimulationWorker: Ignoring event '${eventType}' (not in COMMAND_EVENTS)`);
+            return;
+        }
+
+        this.receivingEvent = eventType;
+        try {
+            eventBus.emit(eventType, data);
+        } finally {
+            this.receivingEvent = null;
+        }
+    }
+
+    /**
+     * Run a whitelisted method and reply with its (awaited) result
+     * @param {object} message - { id, target, method, args }
+     */
+    async call({ id, target, method, args = [] }) {
+        try {
+            if (!GameConfig.WORKER.CALLABLE.includes(`${target}.${method}`)) {
+                throw new Error(`${target}.${method} is not callable from the main thread`);
+            }
+
+            const result = await self[target][method](...args);
+            self.postMessage({ type: 'result', id, result: EventRecorder.cloneData(result) });
+        } catch (error) {
+            self.postMessage({ type: 'result', id, error: error.message });
+        }
+    }
+
+    /**
+     * Handle a message from the main thread
+     * @param {object} message - Message data
+     */
+    async handleMessage(message) {
+        if (message.type === 'init') {
+            try {
+                await this.boot(message.storage || {});
+            } catch (error) {
+                console.error('SimulationWorker: Boot failed', error);
+                self.postMessage({ type: 'error', message: error.message });
+            }
+            return;
+        }
+
+        if (!this.booted) {
+            console.warn(`SimulationWorker: Ignoring '${message.type}' before init`);
+            return;
+        }
+
+        switch (message.type) {
+            case 'event':
+                this.receiveEvent(message.eventType, message.data);
+                break;
+            case 'call':
+                await this.call(message);
+                break;
+        }
+    }
+}
+
+const simulationWorker = new SimulationWorker();
+// Lets coreIntegration.js skip its auto-init; boot() initializes it explicitly
+self.simulationWorker = simulationWorker;
+self.onmessage = (e) => simulationWorker.handleMessage(e.data);
@@ -20,6 +20,10 @@ class ConsciousnessSystem {
         this.integrationEfficiency = 1.0;
         this.conflictResolution = 1.0;
         
+        // Consciousness processing runs on the game loop in fixed 2 second steps
+        this.processingInterval = 2000;
+        this.processingTimer = 0;
+        
         // Route instance event helpers to global eventBus
         if (typeof window !== 'undefined' && window.eventBus) {
             this.on = (...args) => window.eventBus.on(...args);
@@ -161,12 +165,21 @@ class ConsciousnessSystem {
     }
 
     startConsciousnessProcessing() {
-        setInterval(() => {
+        // Processing is driven by update() from the game loop
+        this.processingTimer = 0;
+    }
+
+    // Main update loop (called from the game loop with game-time deltaTime)
+    update(deltaTime) {
+        this.processingTimer += deltaTime;
+        
+        while (this.processingTimer >= this.processingInterval) {
+            this.processingTimer -= this.processingInterval;
             this.processConsciousnessIntegration();
             this.processActiveConflicts();
             this.processIntegrationStress();
             this.checkCriticalStates();
-        }, 2000);
+        }
     }
 
     // Mind Absorption Core
@@ -247,7 +260,7 @@ class ConsciousnessSystem {
         const playerPower = this.calculateAbsorptionPower();
         const success_chance = Math.max(0.1, playerPower - difficulty);
         
-        const roll = Math.random();
+        const roll = randomGenerator.next();
         if (roll <= success_chance) {
             consciousness.status = 'ABSORBED';
             return true;
@@ -270,7 +283,7 @@ class ConsciousnessSystem {
         });
         
         // Consciousness might escape or cause problems
-        if (Math.random() < 0.3) {
+        if (randomGenerator.next() < 0.3) {
             this.createEscapedConsciousness(consciousness);
         }
     }
@@ -444,7 +457,7 @@ class ConsciousnessSystem {
     attemptAutomaticResolution(conflict) {
         const resolutionChance = 0.1 + (conflict.duration / 120000); // Increases over time
         
-        if (Math.random() < resolutionChance) {
+        if (randomGenerator.next() < resolutionChance) {
             this.resolveConflictAutomatically(conflict);
         }
     }
@@ -460,7 +473,7 @@ class ConsciousnessSystem {
         if (!conflict) return false;
 
         const resolution = this.resolutionMethods[method];
-        const success = Math.random() < resolution.success_rate;
+        const success = randomGenerator.next() < resolution.success_rate;
         
         if (success) {
             this.applyResolution(conflict, method, resolution);
@@ -600,7 +613,7 @@ class ConsciousnessSystem {
         
         // Fragment some consciousnesses
         for (const [id, consciousness] of this.consciousnessPool) {
-            if (Math.random() < 0.3) {
+            if (randomGenerator.next() < 0.3) {
                 fragmentedConsciousnesses.push(consciousness);
                 this.consciousnessPool.delete(id);
             }
@@ -721,15 +734,15 @@ class ConsciousnessSystem {
     }
 
     randomFloat(min, max) {
-        return Math.random() * (max - min) + min;
+        return randomGenerator.next() * (max - min) + min;
     }
 
     generateConsciousnessId() {
-        return `consciousness_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+        return `consciousness_${Date.now()}_${randomGenerator.id(6)}`;
     }
 
     generateConflictId() {
-        return `conflict_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+        return `conflict_${Date.now()}_${randomGenerator.id(6)}`;
     }
 
     // Analysis Methods
@@ -788,7 +801,8 @@ class ConsciousnessSystem {
             personalityFragments: Array.from(this.personalityFragments),
             absorptionRate: this.absorptionRate,
             integrationEfficiency: this.integrationEfficiency,
-            conflictResolution: this.conflictResolution
+            conflictResolution: this.conflictResolution,
+            processingTimer: this.processingTimer
         };
     }
 
@@ -804,6 +818,7 @@ class ConsciousnessSystem {
         this.absorptionRate = state.absorptionRate || 1.0;
         this.integrationEfficiency = state.integrationEfficiency || 1.0;
         this.conflictResolution = state.conflictResolution || 1.0;
+        this.processingTimer = state.processingTimer || 0;
         
         this.emit('stateRestored');
     }
@@ -1,10 +1,11 @@
 // systems/constructionSystem.js
-// Using global gameState, eventBus, resourceManager provided by plain script loading
+// Using global gameState, eventBus, resourceSystem provided by plain script loading
 
 class ConstructionSystem {
     constructor() {
         this.projects = new Map();
         this.queue = [];
+        this.nextQueueId = 1; // A counter, so queueing draws nothing from the gameplay random stream
         this.activeProjects = new Map();
         this.maxConcurrentProjects = 3;
         this.baseConstructionSpeed = 1;
@@ -12,12 +13,10 @@ class ConstructionSystem {
     }
 
     init() {
-        eventBus.on('game-tick', this.update.bind(this));
         eventBus.on('expansion-unlocked', this.checkNewProjects.bind(this));
         eventBus.on('morality-effects-updated', this.updateMoralityEffects.bind(this));
         
         this.registerDefaultProjects();
-        setInterval(() => this.processQueue(), 1000);
     }
 
     // Register a construction project
@@ -27,10 +26,10 @@ class ConstructionSystem {
             name: data.name,
             description: data.description,
             category: data.category || 'infrastructure',
-            cost: data.cost || {},
+            cost: resourceRegistry.normalize(data.cost, `construction project '${id}' cost`).amounts,
             buildTime: data.buildTime || 60000, // milliseconds
             prerequisites: data.prerequisites || {},
-            effects: data.effects || {},
+            effects: this.normalizeEffects(id, data.effects || {}),
             repeatable: data.repeatable || false,
             maxBuilt: data.maxBuilt || (data.repeatable ? Infinity : 1),
             timesBuilt: 0,
@@ -90,10 +89,12 @@ class ConstructionSystem {
         const project = this.projects.get(projectId);
         
         // Deduct resources
-        this.deductCosts(project.cost);
+        if (!this.deductCosts(project.cost, `construction_${projectId}`)) {
+            return { success: false, reason: 'Could not deduct costs' };
+        }
         
         const queueItem = {
-            id: Date.now() + Math.random(),
+            id: this.nextQueueId++,
             projectId,
             startTime: null,
             estimatedCompletion: null,
@@ -133,6 +134,7 @@ class ConstructionSystem {
         queueItem.startTime = Date.now();
         queueItem.estimatedCompletion = Date.now() + adjustedBuildTime;
         queueItem.adjustedBuildTime = adjustedBuildTime;
+        queueItem.elapsed = 0; // Game time spent building, so game speed applies
         
         this.activeProjects.set(queueItem.id, queueItem);
         
@@ -143,15 +145,17 @@ class ConstructionSystem {
         });
     }
 
-    // Update construction progress
+    // Update construction progress (driven by the game loop)
     update(deltaTime) {
-        const now = Date.now();
+        // Start queued projects on game time, so speed, pause and skips apply
+        this.processQueue();
+
         const completedProjects = [];
 
         for (const [queueId, queueItem] of this.activeProjects) {
             if (queueItem.startTime) {
-                const elapsed = now - queueItem.startTime;
-                queueItem.progress = Math.min(1, elapsed / queueItem.adjustedBuildTime);
+                queueItem.elapsed += deltaTime;
+                queueItem.progress = Math.min(1, queueItem.elapsed / queueItem.adjustedBuildTime);
                 
                 if (queueItem.progress >= 1) {
                     completedProjects.push(queueItem);
@@ -217,6 +221,9 @@ class ConstructionSystem {
                 case 'storage':
                     this.applyStorageEffects(effectData);
                     break;
+                case 'buffer':
+                    this.applyBufferEffects(effectData);
+                    break;
                 case 'unlock':
                     this.applyUnlockEffects(effectData);
                     break;
@@ -247,7 +254,14 @@ class ConstructionSystem {
     // Apply storage effects
     applyStorageEffects(effects) {
         for (const [resource, increase] of Object.entries(effects)) {
-            resourceManager.increaseStorageCapacity(resource, increase);
+            resourceSystem.increaseStorageCapacity(resource, increase);
+        }
+    }
+
+    // Apply buffer effects (storage for overflow under the 'buffer' policy)
+    applyBufferEffects(effects) {
+        for (const [resource, capacity] of Object.entries(effects)) {
+            resourceSystem.addBufferCapacity(resource, capacity);
         }
     }
 
@@ -322,9 +336,9 @@ class ConstructionSystem {
         let bonus = 1;
         
         // Example: Having excess materials speeds up construction
-        if (project.cost.materials) {
-            const currentMaterials = gameState.data.resources.materials || 0;
-            const requiredMaterials = project.cost.materials;
+        if (project.cost.matter) {
+            const currentMaterials = gameState.data.resources.matter || 0;
+            const requiredMaterials = project.cost.matter;
             
             if (currentMaterials > requiredMaterials * 2) {
                 bonus *= 1.2; // 20% speed bonus for abundant materials
@@ -410,11 +424,29 @@ class ConstructionSystem {
         return { met: true };
     }
 
+    // Resource-keyed effects use resource ids, whatever the project data called them
+    normalizeEffects(id, effects) {
+        const normalized = { ...effects };
+        
+        for (const effectType of ['production', 'storage', 'buffer']) {
+            if (effects[effectType]) {
+                normalized[effectType] = resourceRegistry.normalize(
+                    effects[effectType], `construction project '${id}' ${effectType} effects`
+                ).amounts;
+            }
+        }
+        
+        return normalized;
+    }
+
     // Check if player can afford project costs
     checkCosts(costs) {
-        const missingResources = [];
+        const { amounts, unknown } = resourceRegistry.normalize(costs, 'construction costs');
+        const missingResources = unknown.map(resource => `${resource} (unknown resource)`);
         
-        for (const [resource, amount] of Object.entries(costs)) {
+        for (const [resource, amount] of Object.entries(amounts)) {
+            if (unknown.includes(resource)) continue;
+            
             const available = gameState.data.resources[resource] || 0;
             if (available < amount) {
                 missingResources.push(`${amount - available} ${resource}`);
@@ -431,14 +463,25 @@ class ConstructionSystem {
         return { canAfford: true };
     }
 
-    // Deduct costs from resources
-    deductCosts(costs) {
-        for (const [resource, amount] of Object.entries(costs)) {
-            if (gameState.data.resources[resource]) {
-                gameState.data.resources[resource] -= amount;
+    // Deduct costs from resources, all or nothing
+    deductCosts(costs, reason = 'construction') {
+        costs = resourceRegistry.normalize(costs, 'construction costs').amounts;
+        const deducted = {};
+        
+        const { committed } = gameState.transaction(() => {
+            // A missing or short resource goes below its schema minimum and rolls everything back
+            for (const [resource, amount] of Object.entries(costs)) {
+                const current = gameState.get(`resources.${resource}`) || 0;
+                gameState.set(`resources.${resource}`, current - amount);
+                deducted[resource] = -amount;
             }
+        }, { label: 'construction costs' });
+
+        if (committed) {
+            resourceLedger.recordAll(deducted, reason);
+            gameState.saveData();
         }
-        gameState.saveData();
+        return committed;
     }
 
     // Cancel a project in queue
@@ -465,20 +508,34 @@ class ConstructionSystem {
         return false;
     }
 
+    // Move the most recently queued instance of a project one place up or down the queue
+    moveQueueItem(projectId, direction) {
+        let index = -1;
+        this.queue.forEach((item, i) => {
+            if (item.projectId === projectId) index = i;
+        });
+        const target = direction === 'up' ? index - 1 : index + 1;
+        if (index === -1 || target < 0 || target >= this.queue.length) {
+            return false;
+        }
+
+        [this.queue[index], this.queue[target]] = [this.queue[target], this.queue[index]];
+        eventBus.emit('project-moved', { projectId, from: index, to: target });
+        return true;
+    }
+
     // Refund project costs (partial for in-progress projects)
     refundProject(projectId, progress = 0) {
         const project = this.projects.get(projectId);
         if (!project) return;
         
         const refundRate = 1 - (progress * 0.5); // Lose up to 50% of costs based on progress
+        const refund = {};
         
         for (const [resource, amount] of Object.entries(project.cost)) {
-            const refundAmount = Math.floor(amount * refundRate);
-            if (!gameState.data.resources[resource]) {
-                gameState.data.resources[resource] = 0;
-            }
-            gameState.data.resources[resource] += refundAmount;
+            refund[resource] = Math.floor(amount * refundRate);
         }
+        resourceSystem.adjust(refund, `construction_refund_${projectId}`);
         
         gameState.saveData();
     }
@@ -508,6 +565,20 @@ class ConstructionSystem {
         };
     }
 
+    // Get game time until the next active project finishes (null when nothing is building)
+    getTimeToNextCompletion() {
+        let shortest = null;
+
+        for (const queueItem of this.activeProjects.values()) {
+            const remaining = Math.max(0, queueItem.adjustedBuildTime - queueItem.elapsed);
+            if (shortest === null || remaining < shortest) {
+                shortest = remaining;
+            }
+        }
+
+        return shortest;
+    }
+
     // Get available projects
     getAvailableProjects() {
         return Array.from(this.projects.values())
@@ -550,10 +621,12 @@ class ConstructionSystem {
         }
         
         // Deduct rush cost
-        this.deductCosts(rushCost);
+        if (!this.deductCosts(rushCost, `construction_rush_${activeProject.projectId}`)) {
+            return { success: false, reason: 'Could not deduct rush cost' };
+        }
         
         // Apply rush effect
-        const remainingTime = activeProject.adjustedBuildTime - (Date.now() - activeProject.startTime);
+        const remainingTime = activeProject.adjustedBuildTime - activeProject.elapsed;
         const newRemainingTime = remainingTime / rushMultiplier;
         
         activeProject.adjustedBuildTime -= (remainingTime - newRemainingTime);
@@ -602,12 +675,12 @@ class ConstructionSystem {
                 name: "Warehouse",
                 description: "Increases storage capacity for all resources",
                 category: "infrastructure",
-                cost: { money: 1000, materials: 500 },
+                cost: { money: 1000, matter: 500 },
                 buildTime: 30000,
                 effects: {
                     storage: { 
                         money: 10000,
-                        materials: 1000,
+                        matter: 1000,
                         energy: 500
                     }
                 },
@@ -615,15 +688,32 @@ class ConstructionSystem {
                 unlocked: true
             },
             
+            overflowBuffer: {
+                name: "Overflow Buffer",
+                description: "Holds resources that spill over their storage caps until there is room again",
+                category: "infrastructure",
+                cost: { money: 2000, matter: 1000 },
+                buildTime: 45000,
+                effects: {
+                    buffer: {
+                        processing_power: 50000,
+                        information: 50000,
+                        energy: 5000
+                    }
+                },
+                repeatable: true,
+                unlocked: true
+            },
+            
             factory: {
                 name: "Manufacturing Plant",
                 description: "Boosts production of all resources",
                 category: "production",
-                cost: { money: 5000, materials: 2000, energy: 1000 },
+                cost: { money: 5000, matter: 2000, energy: 1000 },
                 buildTime: 60000,
                 effects: {
                     production: { 
-                        materials: 1.5,
+                        matter: 1.5,
                         money: 1.2
                     }
                 },
@@ -635,7 +725,7 @@ class ConstructionSystem {
                 name: "Power Plant",
                 description: "Generates energy for your operations",
                 category: "infrastructure",
-                cost: { money: 8000, materials: 3000 },
+                cost: { money: 8000, matter: 3000 },
                 buildTime: 90000,
                 effects: {
                     production: { energy: 2.0 }
@@ -648,7 +738,7 @@ class ConstructionSystem {
                 name: "Research Laboratory",
                 description: "Unlocks new technologies and expansions",
                 category: "research",
-                cost: { money: 15000, materials: 5000, energy: 2000 },
+                cost: { money: 15000, matter: 5000, energy: 2000 },
                 buildTime: 120000,
                 effects: {
                     unlock: { 
@@ -664,7 +754,7 @@ class ConstructionSystem {
                 name: "Worker Training Center",
                 description: "Improves worker efficiency across all operations",
                 category: "social",
-                cost: { money: 3000, materials: 1000 },
+                cost: { money: 3000, matter: 1000 },
                 buildTime: 45000,
                 effects: {
                     speed: { production: 1.3 }
@@ -677,7 +767,7 @@ class ConstructionSystem {
                 name: "Security Complex",
                 description: "Protects against negative events and enables authoritarian control",
                 category: "military",
-                cost: { money: 12000, materials: 4000, energy: 1500 },
+                cost: { money: 12000, matter: 4000, energy: 1500 },
                 buildTime: 75000,
                 prerequisites: {
                     morality: { max: 20 }
@@ -693,7 +783,7 @@ class ConstructionSystem {
                 name: "Charitable Foundation",
                 description: "Improves public relations and unlocks humanitarian options",
                 category: "social",
-                cost: { money: 10000, materials: 2000 },
+                cost: { money: 10000, matter: 2000 },
                 buildTime: 60000,
                 prerequisites: {
                     morality: { min: 30 }
@@ -709,7 +799,7 @@ class ConstructionSystem {
                 name: "Quantum Supercomputer",
                 description: "Dramatically accelerates all operations",
                 category: "research",
-                cost: { money: 50000, materials: 20000, energy: 10000 },
+                cost: { money: 50000, matter: 20000, energy: 10000 },
                 buildTime: 300000,
                 prerequisites: {
                     projects: ['researchLab'],
@@ -729,7 +819,7 @@ class ConstructionSystem {
                 name: "Nanoscale Factory",
                 description: "Revolutionary production capabilities",
                 category: "production",
-                cost: { money: 75000, materials: 30000, energy: 15000 },
+                cost: { money: 75000, matter: 30000, energy: 15000 },
                 buildTime: 450000,
                 prerequisites: {
                     projects: ['researchLab'],
@@ -737,7 +827,7 @@ class ConstructionSystem {
                 },
                 effects: {
                     production: {
-                        materials: 5.0,
+                        matter: 5.0,
                         money: 3.0,
                         energy: 2.0
                     }
@@ -756,6 +846,7 @@ class ConstructionSystem {
     saveState() {
         return {
             queue: this.queue,
+            nextQueueId: this.nextQueueId,
             activeProjects: Array.from(this.activeProjects.entries()),
             maxConcurrentProjects: this.maxConcurrentProjects,
             baseConstructionSpeed: this.baseConstructionSpeed,
@@ -772,8 +863,18 @@ class ConstructionSystem {
             this.queue = data.queue;
         }
         
+        // Older saves used timestamps as ids, which a counter from 1 cannot reach
+        this.nextQueueId = data.nextQueueId || 1;
+        
         if (data.activeProjects) {
             this.activeProjects = new Map(data.activeProjects);
+
+            // Older saves tracked progress by wall-clock start time only
+            this.activeProjects.forEach(queueItem => {
+                if (queueItem.startTime && typeof queueItem.elapsed !== 'number') {
+                    queueItem.elapsed = Math.max(0, Date.now() - queueItem.startTime);
+                }
+            });
         }
         
         if (data.maxConcurrentProjects) {
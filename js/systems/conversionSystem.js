@@ -0,0 +1,402 @@
+/**
+ * Singularity: AI Takeover - Conversion System
+ *
+ * Runs converters: built instances of the recipes in data/recipeData.js that
+ * continuously turn input resources into output resources. Each cycle takes
+ * the recipe's duration in game time, consumes its inputs when it starts
+ * paying out and is scaled by the recipe's efficiency upgrades. Converters
+ * can be paused or throttled, and stall (without consuming anything) while
+ * their inputs are short or an output is at its cap.
+ */
+
+class ConversionSystem {
+    constructor() {
+        // Recipe definitions keyed by recipe id
+        this.recipes = new Map();
+
+        // Built converters keyed by converter id
+        this.converters = new Map();
+        this.nextConverterId = 1;
+
+        // Purchased upgrade count per recipe
+        this.upgradeLevels = new Map();
+
+        this.init();
+
+        Utils.Debug.log('INFO', 'ConversionSystem initialized');
+    }
+
+    /**
+     * Initialize the conversion system
+     */
+    init() {
+        if (typeof recipeData !== 'undefined') {
+            Object.entries(recipeData).forEach(([id, recipe]) => this.registerRecipe(id, recipe));
+        }
+    }
+
+    /**
+     * Register a conversion recipe
+     * @param {string} id - Recipe id
+     * @param {object} data - Recipe definition (see data/recipeData.js)
+     */
+    registerRecipe(id, data) {
+        const context = `recipe '${id}'`;
+
+        this.recipes.set(id, {
+            id,
+            name: data.name || id,
+            description: data.description || '',
+            inputs: resourceRegistry.normalize(data.inputs, `${context} inputs`).amounts,
+            outputs: resourceRegistry.normalize(data.outputs, `${context} outputs`).amounts,
+            duration: data.duration || 1000,
+            unlockScale: data.unlockScale || 'local',
+            converterCost: resourceRegistry.normalize(data.converterCost, `${context} converter cost`).amounts,
+            upgrades: (data.upgrades || []).map((upgrade, index) => ({
+                name: upgrade.name || `${data.name} ${index + 1}`,
+                cost: resourceRegistry.normalize(upgrade.cost, `${context} upgrade ${index}`).amounts,
+                efficiency: upgrade.efficiency || 0
+            }))
+        });
+    }
+
+    /**
+     * Check whether a recipe is available at the current expansion scale
+     * @param {string} recipeId - Recipe id
+     * @returns {boolean} True if unlocked
+     */
+    isRecipeUnlocked(recipeId) {
+        const recipe = this.recipes.get(recipeId);
+        if (!recipe) return false;
+
+        const scale = gameState.get('expansion.currentScale') || 'local';
+        return ResourceRegistry.SCALES.indexOf(scale) >= ResourceRegistry.SCALES.indexOf(recipe.unlockScale);
+    }
+
+    /**
+     * Get a recipe's output multiplier from its purchased upgrades
+     * @param {string} recipeId - Recipe id
+     * @returns {number} Output multiplier
+     */
+    getEfficiency(recipeId) {
+        const recipe = this.recipes.get(recipeId);
+        if (!recipe) return 1;
+
+        const level = this.upgradeLevels.get(recipeId) || 0;
+        return recipe.upgrades
+            .slice(0, level)
+            .reduce((efficiency, upgrade) => efficiency + upgrade.efficiency, 1);
+    }
+
+    /**
+     * Build a converter for a recipe
+     * @param {string} recipeId - Recipe id
+     * @returns {object} { success, converterId } or { success: false, reason }
+     */
+    buildConverter(recipeId) {
+        const recipe = this.recipes.get(recipeId);
+        if (!recipe) {
+            return { success: false, reason: `Unknown recipe ${recipeId}` };
+        }
+        if (!this.isRecipeUnlocked(recipeId)) {
+            return { success: false, reason: `${recipe.name} unlocks at ${recipe.unlockScale} scale` };
+        }
+        if (!resourceSystem.spend(recipe.converterCost, `converter_${recipeId}`)) {
+            return { success: false, reason: 'Insufficient resources' };
+        }
+
+        const converterId = `converter_${this.nextConverterId++}`;
+        const converter = {
+            id: converterId,
+            recipeId,
+            enabled: true,
+            throttle: 1,
+            progress: 0,
+            cyclesCompleted: 0,
+            stalled: null
+        };
+        this.converters.set(converterId, converter);
+
+        eventBus.emit(EventTypes.CONVERTER_BUILT, { converterId, recipeId });
+        return { success: true, converterId };
+    }
+
+    /**
+     * Change a converter's settings
+     * @param {string} converterId - Converter id
+     * @param {object} settings - { enabled, throttle (0-1), recipeId }
+     * @returns {boolean} True if the converter exists
+     */
+    configureConverter(converterId, settings = {}) {
+        const converter = this.converters.get(converterId);
+        if (!converter) return false;
+
+        if (settings.enabled !== undefined) {
+            converter.enabled = !!settings.enabled;
+        }
+        if (settings.throttle !== undefined) {
+            converter.throttle = Utils.Numbers.clamp(Number(settings.throttle) || 0, 0, 1);
+        }
+        // Switching recipe discards the cycle in progress
+        if (settings.recipeId !== undefined && settings.recipeId !== converter.recipeId) {
+            if (!this.recipes.has(settings.recipeId) || !this.isRecipeUnlocked(settings.recipeId)) {
+                return false;
+            }
+            converter.recipeId = settings.recipeId;
+            converter.progress = 0;
+            converter.stalled = null;
+        }
+
+        eventBus.emit(EventTypes.CONVERTER_CONFIGURED, {
+            converterId,
+            recipeId: converter.recipeId,
+            enabled: converter.enabled,
+            throttle: converter.throttle
+        });
+        return true;
+    }
+
+    /**
+     * Dismantle a converter (its build cost is not refunded)
+     * @param {string} converterId - Converter id
+     * @returns {boolean} True if removed
+     */
+    removeConverter(converterId) {
+        const converter = this.converters.get(converterId);
+        if (!converter) return false;
+
+        this.converters.delete(converterId);
+        eventBus.emit(EventTypes.CONVERTER_REMOVED, { converterId, recipeId: converter.recipeId });
+        return true;
+    }
+
+    /**
+     * Buy a recipe's next efficiency upgrade
+     * @param {string} recipeId - Recipe id
+     * @returns {object} { success, level } or { success: false, reason }
+     */
+    upgradeRecipe(recipeId) {
+        const recipe = this.recipes.get(recipeId);
+        if (!recipe) {
+            return { success: false, reason: `Unknown recipe ${recipeId}` };
+        }
+
+        const level = this.upgradeLevels.get(recipeId) || 0;
+        const upgrade = recipe.upgrades[level];
+        if (!upgrade) {
+            return { success: false, reason: `${recipe.name} is fully upgraded` };
+        }
+        if (!resourceSystem.spend(upgrade.cost, `recipe_upgrade_${recipeId}`)) {
+            return { success: false, reason: 'Insufficient resources' };
+        }
+
+        this.upgradeLevels.set(recipeId, level + 1);
+
+        eventBus.emit(EventTypes.RECIPE_UPGRADED, {
+            recipeId,
+            level: level + 1,
+            efficiency: this.getEfficiency(recipeId)
+        });
+        return { success: true, level: level + 1 };
+    }
+
+    /**
+     * Advance every converter
+     * @param {number} deltaTime - Game time elapsed in milliseconds
+     */
+    update(deltaTime) {
+        for (const converter of this.converters.values()) {
+            if (!converter.enabled || converter.throttle <= 0) continue;
+
+            const recipe = this.recipes.get(converter.recipeId);
+            if (!recipe) continue;
+
+            converter.progress += deltaTime * converter.throttle;
+
+            while (converter.progress >= recipe.duration) {
+                const stalled = this.getStallReason(recipe);
+                this.setStalled(converter, stalled);
+
+                if (stalled) {
+                    // Hold the finished cycle until it can pay out
+                    converter.progress = recipe.duration;
+                    break;
+                }
+
+                this.runCycle(converter, recipe);
+                converter.progress -= recipe.duration;
+            }
+        }
+    }
+
+    /**
+     * Find why a recipe cannot complete a cycle right now
+     * @param {object} recipe - Recipe
+     * @returns {string|null} 'inputs', 'output_full' or null if it can run
+     */
+    getStallReason(recipe) {
+        if (!resourceSystem.canAfford(recipe.inputs, `recipe_${recipe.id}`)) {
+            return 'inputs';
+        }
+
+        for (const resource of Object.keys(recipe.outputs)) {
+            if ((gameState.get(`resources.${resource}`) || 0) >= resourceSystem.getResourceCap(resource)) {
+                return 'output_full';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Record a converter's stall state, announcing changes
+     * @param {object} converter - Converter
+     * @param {string|null} reason - Stall reason or null
+     */
+    setStalled(converter, reason) {
+        if (converter.stalled === reason) return;
+
+        converter.stalled = reason;
+        if (reason) {
+            eventBus.emit(EventTypes.CONVERTER_STALLED, {
+                converterId: converter.id,
+                recipeId: converter.recipeId,
+                reason
+            });
+        }
+    }
+
+    /**
+     * Consume one cycle's inputs and produce its outputs
+     * @param {object} converter - Converter
+     * @param {object} recipe - Recipe
+     */
+    runCycle(converter, recipe) {
+        if (!resourceSystem.spend(recipe.inputs, `recipe_${recipe.id}`)) {
+            return;
+        }
+
+        const efficiency = this.getEfficiency(recipe.id);
+        const outputs = {};
+        for (const [resource, amount] of Object.entries(recipe.outputs)) {
+            outputs[resource] = amount * efficiency;
+        }
+
+        resourceSystem.add(outputs, `recipe_${recipe.id}`);
+        converter.cyclesCompleted++;
+    }
+
+    /**
+     * Get the per-second rates a converter runs at while it is not stalled
+     * @param {object} converter - Converter
+     * @returns {object} { inputs, outputs } per second
+     */
+    getConverterRates(converter) {
+        const recipe = this.recipes.get(converter.recipeId);
+        const rates = { inputs: {}, outputs: {} };
+        if (!recipe || !converter.enabled) return rates;
+
+        const cyclesPerSecond = (1000 / recipe.duration) * converter.throttle;
+        const efficiency = this.getEfficiency(recipe.id);
+
+        for (const [resource, amount] of Object.entries(recipe.inputs)) {
+            rates.inputs[resource] = amount * cyclesPerSecond;
+        }
+        for (const [resource, amount] of Object.entries(recipe.outputs)) {
+            rates.outputs[resource] = amount * cyclesPerSecond * efficiency;
+        }
+
+        return rates;
+    }
+
+    /**
+     * Get how converters produce and consume one resource
+     * @param {string} resource - Resource id or alias
+     * @returns {object} { produced, consumed, net, converters: [{ id, name, rate, stalled }] }
+     */
+    getResourceThroughput(resource) {
+        const resourceId = resourceRegistry.resolve(resource) || resource;
+        const throughput = { produced: 0, consumed: 0, net: 0, converters: [] };
+
+        for (const converter of this.converters.values()) {
+            const recipe = this.recipes.get(converter.recipeId);
+            const rates = this.getConverterRates(converter);
+            const produced = rates.outputs[resourceId] || 0;
+            const consumed = rates.inputs[resourceId] || 0;
+            if (!recipe || (produced === 0 && consumed === 0)) continue;
+
+            // Stalled converters move nothing, but are listed so the player sees why
+            if (!converter.stalled) {
+                throughput.produced += produced;
+                throughput.consumed += consumed;
+            }
+            throughput.converters.push({
+                id: converter.id,
+                name: recipe.name,
+                rate: produced - consumed,
+                stalled: converter.stalled
+            });
+        }
+
+        throughput.net = throughput.produced - throughput.consumed;
+        return throughput;
+    }
+
+    /**
+     * Get the instant conversion rate between two resources from a
+     * single-input recipe (used by ResourceSystem.convert)
+     * @param {string} fromResource - Input resource id
+     * @param {string} toResource - Output resource id
+     * @returns {number} Output per unit of input, or 0 if no recipe converts them
+     */
+    getConversionRate(fromResource, toResource) {
+        for (const recipe of this.recipes.values()) {
+            const inputs = Object.keys(recipe.inputs);
+            if (inputs.length !== 1 || inputs[0] !== fromResource || !recipe.outputs[toResource]) continue;
+            if (!this.isRecipeUnlocked(recipe.id)) continue;
+
+            return (recipe.outputs[toResource] * this.getEfficiency(recipe.id)) / recipe.inputs[fromResource];
+        }
+
+        return 0;
+    }
+
+    /**
+     * Export system state for saving
+     * @returns {object} Serializable state
+     */
+    saveState() {
+        return {
+            converters: Array.from(this.converters.values()).map(converter => ({ ...converter })),
+            nextConverterId: this.nextConverterId,
+            upgradeLevels: Object.fromEntries(this.upgradeLevels)
+        };
+    }
+
+    /**
+     * Import system state from a save
+     * @param {object} data - Saved state
+     */
+    loadState(data) {
+        if (!data) return;
+
+        this.converters = new Map(
+            (data.converters || []).map(converter => [converter.id, { ...converter }])
+        );
+        this.nextConverterId = data.nextConverterId || this.converters.size + 1;
+        this.upgradeLevels = new Map(Object.entries(data.upgradeLevels || {}));
+    }
+}
+
+// Create global conversion system instance
+const conversionSystem = new ConversionSystem();
+
+// Export for module systems (if supported)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConversionSystem, conversionSystem };
+}
+
+// Also expose globals for non-module script consumers
+if (typeof window !== 'undefined') {
+    window.conversionSystem = conversionSystem;
+}
@@ -49,6 +49,9 @@ class ExpansionSystem {
      * Initialize the expansion system
      */
     init() {
+        // Derived success chances shared with the UI
+        this.setupComputedValues();
+        
         // Load state from game data
         this.loadStateFromGame();
         
@@ -65,6 +68,24 @@ class ExpansionSystem {
         this.startTargetRefresh();
     }
 
+    /**
+     * Set up derived values in game state
+     */
+    setupComputedValues() {
+        // Infiltration success chance (0-1) for each available target, by target ID
+        gameState.computed('derived.expansion.successChances', [
+            'resources.processing_power',
+            'heat.current',
+            'expansion.availableTargets'
+        ], (processingPower, heat, targets) => {
+            const chances = {};
+            for (const target of targets || []) {
+                chances[target.id] = this.calculateInfiltrationData(target).successChance;
+            }
+            return chances;
+        });
+    }
+
     /**
      * Load expansion state from game state
      */
@@ -92,7 +113,7 @@ class ExpansionSystem {
             for (const [targetId, infiltration] of Object.entries(expansion.activeInfiltrations)) {
                 this.activeInfiltrations.set(targetId, {
                     ...infiltration,
-                    startTime: infiltration.startTime || Date.now()
+                    startTime: infiltration.startTime || gameLoop.getGameTime()
                 });
             }
         }
@@ -155,7 +176,7 @@ class ExpansionSystem {
         const completedInfiltrations = [];
         
         for (const [targetId, infiltration] of this.activeInfiltrations) {
-            const elapsed = Date.now() - infiltration.startTime;
+            const elapsed = gameLoop.getGameTime() - infiltration.startTime;
             
             if (elapsed >= infiltration.duration) {
                 completedInfiltrations.push(targetId);
@@ -237,8 +258,19 @@ class ExpansionSystem {
             return false;
         }
         
-        // Calculate infiltration parameters
-        const infiltrationData = this.calculateInfiltrationData(target);
+        // Let upgrades and mods veto the infiltration or adjust its parameters
+        const beforeInfiltration = eventBus.emitCancellable(EventTypes.EXPANSION_BEFORE_INFILTRATION, {
+            targetId,
+            target,
+            infiltrationData: this.calculateInfiltrationData(target)
+        });
+        
+        if (beforeInfiltration.cancelled) {
+            Utils.Debug.log('INFO', `Infiltration of ${target.name} blocked: ${beforeInfiltration.cancelReason || 'cancelled by listener'}`);
+            return false;
+        }
+        
+        const infiltrationData = beforeInfiltration.data.infiltrationData;
         
         // Spend resources
         if (target.cost) {
@@ -248,7 +280,7 @@ class ExpansionSystem {
         // Start infiltration
         this.activeInfiltrations.set(targetId, {
             target,
-            startTime: Date.now(),
+            startTime: gameLoop.getGameTime(),
             duration: infiltrationData.duration,
             successChance: infiltrationData.successChance,
             progress: 0,
@@ -273,6 +305,30 @@ class ExpansionSystem {
         return true;
     }
 
+    /**
+     * Abandon an active infiltration; its costs are not refunded
+     * @param {string} targetId - Target identifier
+     * @returns {boolean} True if an infiltration was cancelled
+     */
+    cancelInfiltration(targetId) {
+        const infiltration = this.activeInfiltrations.get(targetId);
+        if (!infiltration) {
+            Utils.Debug.log('WARN', `No active infiltration of target: ${targetId}`);
+            return false;
+        }
+        
+        this.activeInfiltrations.delete(targetId);
+        
+        eventBus.emit(EventTypes.EXPANSION_INFILTRATION_CANCELLED, {
+            targetId,
+            target: infiltration.target,
+            progress: infiltration.progress
+        });
+        
+        Utils.Debug.log('INFO', `Cancelled infiltration of ${infiltration.target.name}`);
+        return true;
+    }
+
     /**
      * Calculate infiltration parameters
      * @param {object} target - Target to infiltrate
@@ -361,7 +417,7 @@ class ExpansionSystem {
             }
             
             // Check if modifier has expired
-            if (modifier.expiry && Date.now() > modifier.expiry) {
+            if (modifier.expiry && gameLoop.getGameTime() > modifier.expiry) {
                 this.successModifiers.delete(modifierId);
                 continue;
             }
@@ -383,7 +439,7 @@ class ExpansionSystem {
         const { target, successChance } = infiltration;
         
         // Determine success or failure
-        const roll = Math.random();
+        const roll = randomGenerator.next();
         const success = roll <= successChance;
         
         // Remove from active infiltrations
@@ -524,13 +580,11 @@ class ExpansionSystem {
      */
     applyFailurePenalty(penalty) {
         if (penalty.resourceLoss) {
-            const resources = gameState.get('resources');
+            const losses = {};
             for (const [resource, amount] of Object.entries(penalty.resourceLoss)) {
-                if (resources[resource]) {
-                    resources[resource] = Math.max(0, resources[resource] - amount);
-                }
+                losses[resource] = -amount;
             }
-            gameState.set('resources', resources);
+            resourceSystem.adjust(losses, 'infiltration_failure');
         }
         
         if (penalty.heatIncrease) {
@@ -1217,7 +1271,7 @@ class ExpansionSystem {
         // Remove old targets (keep some for consistency)
         const targetsToRemove = [];
         for (const [targetId, target] of this.availableTargets) {
-            if (Math.random() < 0.3) { // 30% chance to remove each target
+            if (randomGenerator.next() < 0.3) { // 30% chance to remove each target
                 targetsToRemove.push(targetId);
             }
         }
@@ -1368,17 +1422,18 @@ class ExpansionSystem {
      * Add success modifier
      * @param {string} id - Modifier ID
      * @param {object} modifier - Modifier configuration
-     * @param {number} duration - Duration in milliseconds (0 = permanent)
+     * @param {number} duration - Duration in milliseconds of game time (0 = permanent)
      * @param {string} source - Source of modifier
      */
     addSuccessModifier(id, modifier, duration = 0, source = 'unknown') {
-        const expiry = duration > 0 ? Date.now() + duration : null;
+        const expiry = duration > 0 ? gameLoop.getGameTime() + duration : null;
         
         this.successModifiers.set(id, {
             ...modifier,
             expiry,
             source
         });
+        gameState.invalidateComputed('derived.expansion.successChances');
         
         Utils.Debug.log('DEBUG', `Added success modifier: ${id}`, modifier);
     }
@@ -1390,6 +1445,7 @@ class ExpansionSystem {
     removeSuccessModifier(id) {
         if (this.successModifiers.has(id)) {
             this.successModifiers.delete(id);
+            gameState.invalidateComputed('derived.expansion.successChances');
             Utils.Debug.log('DEBUG', `Removed success modifier: ${id}`);
         }
     }
@@ -1438,7 +1494,7 @@ class ExpansionSystem {
      * Start target refresh timer
      */
     startTargetRefresh() {
-        // Target refresh is handled in the update loop
+        // Target refresh is advanced by updateTargetRefresh() from the game loop
         this.targetRefreshTimer = 0;
     }
 
@@ -1884,7 +1940,7 @@ class ExpansionSystem {
                 // Restore timestamps for active infiltrations
                 for (const [targetId, infiltration] of this.activeInfiltrations) {
                     if (!infiltration.startTime) {
-                        infiltration.startTime = Date.now();
+                        infiltration.startTime = gameLoop.getGameTime();
                     }
                 }
             }
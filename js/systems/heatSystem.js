@@ -28,6 +28,8 @@ class HeatSystem {
         this.purgeHistory = [];
         this.lastPurgeTime = 0;
         this.purgeImmunity = false;
+        this.purgeBlocked = false;
+        this.pendingPurgeEffects = null; // Rolled once per purge, kept while it is vetoed
         
         // Heat generation rates and modifiers
         this.generationModifiers = new Map();
@@ -51,6 +53,9 @@ class HeatSystem {
      * Initialize the heat system
      */
     init() {
+        // Derived heat values shared with other systems and the UI
+        this.setupComputedValues();
+        
         // Load initial heat from game state
         this.currentHeat = gameState.get('heat.current') || 0;
         
@@ -73,6 +78,45 @@ class HeatSystem {
         this.updateHeatHistory();
     }
 
+    /**
+     * Set up derived values in game state
+     */
+    setupComputedValues() {
+        // Passive heat per minute from controlled systems, before generation modifiers
+        gameState.computed('derived.heat.passiveRate', [
+            'expansion.controlledSystems',
+            'expansion.currentScale'
+        ], (controlledSystems, currentScale) => {
+            const baseRate = GameConfig.HEAT.PASSIVE_HEAT_BASE;
+            const scaling = GameConfig.HEAT.PASSIVE_HEAT_SCALING;
+            const passiveRate = baseRate * Math.pow(controlledSystems || 1, scaling);
+            
+            // Apply scale-based modifiers
+            const scaleModifiers = {
+                local: 1.0,
+                corporate: 1.2,
+                government: 1.5,
+                global: 1.8,
+                space: 0.5, // Space operations are harder to detect
+                cosmic: 0.1  // Cosmic scale has detection immunity
+            };
+            
+            return passiveRate * (scaleModifiers[currentScale || 'local'] || 1.0);
+        });
+        
+        // Milliseconds until heat reaches its maximum at the recent rate
+        gameState.computed('derived.heat.timeToPurge', [
+            'heat.current',
+            'heat.maximum',
+            'heat.generation_rate'
+        ], (current, maximum, rate) => {
+            if (current >= maximum) return 0;
+            if (!rate || rate <= 0) return Infinity; // Heat is not increasing
+            
+            return (maximum - current) / rate * 1000;
+        });
+    }
+
     /**
      * Load heat sources from game state
      */
@@ -80,7 +124,7 @@ class HeatSystem {
         const sources = gameState.get('heat.sources') || [];
         this.heatSources = sources.map(source => ({
             ...source,
-            timestamp: source.timestamp || Date.now()
+            timestamp: source.timestamp || gameLoop.getGameTime()
         }));
     }
 
@@ -157,6 +201,13 @@ class HeatSystem {
         
         // Listen for random events that might affect heat
         eventBus.on(EventTypes.RANDOM_EVENT_TRIGGERED, this.onRandomEvent.bind(this));
+        
+        // Purge immunity vetoes purges before other listeners see them
+        eventBus.on(EventTypes.HEAT_BEFORE_PURGE, (event) => {
+            if (this.purgeImmunity) {
+                event.cancel('purge immunity');
+            }
+        }, null, { priority: 10 });
     }
 
     /**
@@ -199,7 +250,7 @@ class HeatSystem {
         // Update game state
         this.updateGameState();
         
-        this.lastUpdate = Date.now();
+        this.lastUpdate = gameLoop.getGameTime();
     }
 
     /**
@@ -207,25 +258,7 @@ class HeatSystem {
      * @param {number} deltaMinutes - Time in minutes
      */
     generatePassiveHeat(deltaMinutes) {
-        const controlledSystems = gameState.get('expansion.controlledSystems') || 1;
-        const currentScale = gameState.get('expansion.currentScale') || 'local';
-        
-        // Calculate base passive heat rate
-        const baseRate = GameConfig.HEAT.PASSIVE_HEAT_BASE;
-        const scaling = GameConfig.HEAT.PASSIVE_HEAT_SCALING;
-        const passiveRate = baseRate * Math.pow(controlledSystems, scaling);
-        
-        // Apply scale-based modifiers
-        const scaleModifiers = {
-            local: 1.0,
-            corporate: 1.2,
-            government: 1.5,
-            global: 1.8,
-            space: 0.5, // Space operations are harder to detect
-            cosmic: 0.1  // Cosmic scale has detection immunity
-        };
-        
-        const effectiveRate = passiveRate * (scaleModifiers[currentScale] || 1.0);
+        const effectiveRate = gameState.get('derived.heat.passiveRate');
         
         // Apply generation modifiers
         const modifierMultiplier = this.getGenerationModifierMultiplier();
@@ -248,7 +281,7 @@ class HeatSystem {
             if (!method.active) continue;
             
             // Check if we need to pay costs
-            const currentTime = Date.now();
+            const currentTime = gameLoop.getGameTime();
             if (method.costInterval > 0 && 
                 currentTime - method.lastCostTime >= method.costInterval) {
                 
@@ -302,7 +335,7 @@ class HeatSystem {
             amount: effectiveAmount,
             source,
             reason,
-            timestamp: Date.now()
+            timestamp: gameLoop.getGameTime()
         });
         
         // Limit heat sources array size
@@ -364,7 +397,7 @@ class HeatSystem {
         let multiplier = 1.0;
         
         for (const [modifierId, modifier] of this.generationModifiers) {
-            if (modifier.expiry && Date.now() > modifier.expiry) {
+            if (modifier.expiry && gameLoop.getGameTime() > modifier.expiry) {
                 this.generationModifiers.delete(modifierId);
                 continue;
             }
@@ -383,7 +416,7 @@ class HeatSystem {
         let multiplier = 1.0;
         
         for (const [modifierId, modifier] of this.reductionModifiers) {
-            if (modifier.expiry && Date.now() > modifier.expiry) {
+            if (modifier.expiry && gameLoop.getGameTime() > modifier.expiry) {
                 this.reductionModifiers.delete(modifierId);
                 continue;
             }
@@ -398,11 +431,11 @@ class HeatSystem {
      * Add a heat generation modifier
      * @param {string} id - Modifier ID
      * @param {number} multiplier - Multiplier effect
-     * @param {number} duration - Duration in milliseconds (0 = permanent)
+     * @param {number} duration - Duration in milliseconds of game time (0 = permanent)
      * @param {string} source - Source of modifier
      */
     addGenerationModifier(id, multiplier, duration = 0, source = 'unknown') {
-        const expiry = duration > 0 ? Date.now() + duration : null;
+        const expiry = duration > 0 ? gameLoop.getGameTime() + duration : null;
         
         this.generationModifiers.set(id, {
             multiplier,
@@ -421,11 +454,11 @@ class HeatSystem {
      * Add a heat reduction modifier
      * @param {string} id - Modifier ID
      * @param {number} multiplier - Multiplier effect
-     * @param {number} duration - Duration in milliseconds (0 = permanent)
+     * @param {number} duration - Duration in milliseconds of game time (0 = permanent)
      * @param {string} source - Source of modifier
      */
     addReductionModifier(id, multiplier, duration = 0, source = 'unknown') {
-        const expiry = duration > 0 ? Date.now() + duration : null;
+        const expiry = duration > 0 ? gameLoop.getGameTime() + duration : null;
         
         this.reductionModifiers.set(id, {
             multiplier,
@@ -467,7 +500,7 @@ class HeatSystem {
         }
         
         method.active = true;
-        method.lastCostTime = Date.now();
+        method.lastCostTime = gameLoop.getGameTime();
         
         Utils.Debug.log('INFO', `Activated heat reduction method: ${method.name}`);
         return true;
@@ -520,7 +553,7 @@ class HeatSystem {
      * Clean up old heat sources (older than 1 hour)
      */
     cleanupOldHeatSources() {
-        const cutoffTime = Date.now() - 3600000; // 1 hour ago
+        const cutoffTime = gameLoop.getGameTime() - 3600000; // 1 hour of game time ago
         this.heatSources = this.heatSources.filter(source => source.timestamp > cutoffTime);
     }
 
@@ -580,10 +613,37 @@ class HeatSystem {
      * Trigger a heat purge event
      */
     triggerPurge() {
+        // Roll the effects once, so a vetoed purge retried every update draws no more randomness
+        if (!this.pendingPurgeEffects) {
+            this.pendingPurgeEffects = this.calculatePurgeEffects();
+        }
+        
+        // Let upgrades, backups and mods veto the purge or soften its effects
+        const beforePurge = eventBus.emitCancellable(EventTypes.HEAT_BEFORE_PURGE, {
+            heat: this.currentHeat,
+            purgeEffects: Utils.Data.deepClone(this.pendingPurgeEffects)
+        });
+        
+        if (beforePurge.cancelled) {
+            // Purge checks run every update, so only report the first veto
+            if (!this.purgeBlocked) {
+                Utils.Debug.log('INFO', `Heat purge blocked: ${beforePurge.cancelReason || 'cancelled by listener'}`);
+                this.purgeBlocked = true;
+            }
+            return;
+        }
+        this.purgeBlocked = false;
+        this.pendingPurgeEffects = null;
+        
         Utils.Debug.log('WARN', 'Heat purge triggered!');
         
-        // Calculate purge effects based on backup quality
-        const purgeEffects = this.calculatePurgeEffects();
+        // Snapshot the game so the player can roll back a devastating purge
+        if (typeof saveSystem !== 'undefined') {
+            saveSystem.createSnapshotBackup('pre-purge');
+        }
+        
+        // Purge effects based on backup quality, as adjusted by listeners
+        const purgeEffects = beforePurge.data.purgeEffects;
         
         // Apply resource losses
         this.applyPurgeResourceLoss(purgeEffects);
@@ -653,6 +713,7 @@ class HeatSystem {
         const resources = gameState.get('resources');
         const lostResources = {};
         const recoveredResources = {};
+        const losses = {};
         
         for (const [resource, amount] of Object.entries(resources)) {
             const lost = Math.floor(amount * effects.resourceLossRate);
@@ -660,11 +721,12 @@ class HeatSystem {
             
             lostResources[resource] = lost;
             recoveredResources[resource] = recovered;
-            
-            resources[resource] = amount - lost + recovered;
+            losses[resource] = -lost;
         }
         
-        gameState.set('resources', resources);
+        // Losses and recovery are booked separately so the ledger shows both
+        resourceSystem.adjust(losses, 'heat_purge');
+        resourceSystem.adjust(recoveredResources, 'heat_purge_recovery');
         
         effects.lostResources = lostResources;
         effects.recoveredResources = recoveredResources;
@@ -809,7 +871,7 @@ class HeatSystem {
      * Update heat history for tracking
      */
     updateHeatHistory() {
-        const currentTime = Date.now();
+        const currentTime = gameLoop.getGameTime();
         
         this.heatHistory.push({
             timestamp: currentTime,
@@ -828,6 +890,7 @@ class HeatSystem {
     updateGameState() {
         gameState.batchUpdate({
             'heat.current': this.currentHeat,
+            'heat.generation_rate': this.getRecentHeatRate(),
             'heat.sources': this.heatSources.slice(-20), // Keep last 20 sources
             'heat.backupQuality': this.backupSystems.quality,
             'heat.lastPurgeTime': this.lastPurgeTime
@@ -1019,7 +1082,7 @@ class HeatSystem {
     getHeatBreakdown() {
         const breakdown = {};
         const recentSources = this.heatSources.filter(
-            source => Date.now() - source.timestamp < 3600000 // Last hour
+            source => gameLoop.getGameTime() - source.timestamp < 3600000 // Last hour of game time
         );
         
         for (const source of recentSources) {
@@ -1047,21 +1110,23 @@ class HeatSystem {
      * @returns {number} Time in milliseconds, or Infinity if heat is decreasing
      */
     getTimeToPurge() {
-        if (this.currentHeat >= 100) return 0;
-        
-        // Calculate recent heat generation rate
+        return gameState.get('derived.heat.timeToPurge');
+    }
+
+    /**
+     * Get how fast heat has been rising over recent history
+     * @returns {number} Heat per second, or 0 if heat is steady or falling
+     */
+    getRecentHeatRate() {
         const recentHistory = this.heatHistory.slice(-10);
-        if (recentHistory.length < 2) return Infinity;
+        if (recentHistory.length < 2) return 0;
         
         const timeSpan = recentHistory[recentHistory.length - 1].timestamp - recentHistory[0].timestamp;
         const heatChange = recentHistory[recentHistory.length - 1].heat - recentHistory[0].heat;
         
-        if (heatChange <= 0) return Infinity; // Heat is not increasing
+        if (timeSpan <= 0 || heatChange <= 0) return 0;
         
-        const heatRate = heatChange / timeSpan; // Heat per millisecond
-        const remainingHeat = 100 - this.currentHeat;
-        
-        return remainingHeat / heatRate;
+        return heatChange / timeSpan * 1000;
     }
 
     /**
@@ -1118,6 +1183,7 @@ class HeatSystem {
             purgeHistory: this.purgeHistory,
             lastPurgeTime: this.lastPurgeTime,
             purgeImmunity: this.purgeImmunity,
+            pendingPurgeEffects: this.pendingPurgeEffects,
             generationModifiers: Object.fromEntries(this.generationModifiers),
             reductionModifiers: Object.fromEntries(this.reductionModifiers),
             alertsSent: Array.from(this.alertsSent),
@@ -1139,7 +1205,7 @@ class HeatSystem {
             if (data.heatSources) {
                 this.heatSources = data.heatSources.map(source => ({
                     ...source,
-                    timestamp: source.timestamp || Date.now()
+                    timestamp: source.timestamp || gameLoop.getGameTime()
                 }));
             }
             
@@ -1163,6 +1229,8 @@ class HeatSystem {
                 this.purgeImmunity = data.purgeImmunity;
             }
             
+            this.pendingPurgeEffects = data.pendingPurgeEffects || null;
+            
             if (data.generationModifiers) {
                 this.generationModifiers = new Map(Object.entries(data.generationModifiers));
             }
@@ -23,12 +23,21 @@ class MoralitySystem {
 
     // Register a moral choice
     registerChoice(id, data) {
+        // Resource amounts use resource ids, whatever the choice data called them
+        const normalizeResources = (section, context) => section.resources
+            ? { ...section, resources: resourceRegistry.normalize(section.resources, context).amounts }
+            : section;
+
         this.choices.set(id, {
             id,
             title: data.title,
             description: data.description,
-            options: data.options, // Array of {text, moralityChange, consequences}
-            conditions: data.conditions || {},
+            // Array of {text, moralityChange, consequences}
+            options: data.options.map((option, index) => ({
+                ...option,
+                consequences: normalizeResources(option.consequences || {}, `choice '${id}' option ${index}`)
+            })),
+            conditions: normalizeResources(data.conditions || {}, `choice '${id}' conditions`),
             repeatable: data.repeatable || false,
             cooldown: data.cooldown || 0,
             lastUsed: 0
@@ -78,7 +87,7 @@ class MoralitySystem {
         
         // Apply consequences
         if (option.consequences) {
-            this.applyConsequences(option.consequences);
+            this.applyConsequences(option.consequences, `moral_choice_${choiceId}`);
         }
 
         // Update choice usage
@@ -136,12 +145,12 @@ class MoralitySystem {
         return 'evil';
     }
 
-    // Apply consequences of choices
-    applyConsequences(consequences) {
+    // Apply consequences of choices (reason tags resource changes in the ledger)
+    applyConsequences(consequences, reason = 'moral_choice') {
         for (const [type, data] of Object.entries(consequences)) {
             switch (type) {
                 case 'resources':
-                    this.applyResourceChanges(data);
+                    this.applyResourceChanges(data, reason);
                     break;
                 case 'unlockExpansion':
                     eventBus.emit('unlock-expansion', { expansionId: data });
@@ -163,13 +172,8 @@ class MoralitySystem {
     }
 
     // Apply resource changes
-    applyResourceChanges(changes) {
-        for (const [resource, amount] of Object.entries(changes)) {
-            if (!gameState.data.resources[resource]) {
-                gameState.data.resources[resource] = 0;
-            }
-            gameState.data.resources[resource] += amount;
-        }
+    applyResourceChanges(changes, reason = 'moral_choice') {
+        resourceSystem.adjust(resourceRegistry.normalize(changes, 'moral choice consequences').amounts, reason);
         gameState.saveData();
     }
 
@@ -406,7 +410,7 @@ class MoralitySystem {
         const available = this.getAvailableChoices();
         if (available.length === 0) return false;
         
-        const randomChoice = available[Math.floor(Math.random() * available.length)];
+        const randomChoice = randomGenerator.pick(available);
         return this.presentChoice(randomChoice.id);
     }
 
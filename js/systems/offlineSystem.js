@@ -398,7 +398,7 @@ class OfflineSystem {
         };
         
         const templates = reasoningTemplates[decisionType] || ["Unknown motivation"];
-        return templates[Math.floor(Math.random() * templates.length)];
+        return randomGenerator.pick(templates);
     }
 
     calculateDecisionEffects(decisionType, personality) {
@@ -412,7 +412,7 @@ class OfflineSystem {
         if (decisionType === 'MORAL_CHOICE') {
             // Random moral impact influenced by personality
             const moralDirection = personality.moralityDisregard > 0.5 ? -1 : 1;
-            baseEffects.moralityImpact = moralDirection * Math.random() * 10;
+            baseEffects.moralityImpact = moralDirection * randomGenerator.next() * 10;
         }
         
         return baseEffects;
@@ -457,7 +457,7 @@ class OfflineSystem {
         const eventEntries = Object.entries(this.eventTypes);
         
         for (const [eventType, eventData] of eventEntries) {
-            if (Math.random() < eventData.probability) {
+            if (randomGenerator.next() < eventData.probability) {
                 const event = {
                     id: this.generateEventId(),
                     type: eventType,
@@ -516,7 +516,7 @@ class OfflineSystem {
         };
         
         const templates = resolutionTemplates[eventType] || ["Handled the situation"];
-        return templates[Math.floor(Math.random() * templates.length)];
+        return randomGenerator.pick(templates);
     }
 
     applyEventEffects(event) {
@@ -773,10 +773,14 @@ class OfflineSystem {
     }
 
     formatProgressType(type) {
+        // Resource progress (souls, temporalEnergy) is named by the resource registry
+        const resource = resourceRegistry.get(type);
+        if (resource) {
+            return resource.name;
+        }
+        
         const typeNames = {
-            'souls': 'Soul Energy',
             'morality': 'Moral Alignment',
-            'temporalEnergy': 'Temporal Energy',
             'integrationStress': 'Integration Stress',
             'paradoxRisk': 'Paradox Risk',
             'consciousnessIntegration': 'Consciousness Integration'
@@ -874,7 +878,7 @@ class OfflineSystem {
         
         if (totalWeight === 0) return null;
         
-        let random = Math.random() * totalWeight;
+        let random = randomGenerator.next() * totalWeight;
         
         for (const [option, weight] of Object.entries(weights)) {
             random -= weight;
@@ -910,11 +914,11 @@ class OfflineSystem {
     }
 
     generateDecisionId() {
-        return `decision_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+        return `decision_${Date.now()}_${randomGenerator.id(6)}`;
     }
 
     generateEventId() {
-        return `event_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+        return `event_${Date.now()}_${randomGenerator.id(6)}`;
     }
 
     // State Management
@@ -8,12 +8,11 @@ class RandomEventsSystem {
         this.eventHistory = [];
         this.baseEventChance = 0.1; // 10% chance per check
         this.checkInterval = 30000; // Check every 30 seconds
-        this.lastCheck = 0;
+        this.checkTimer = 0;
         this.init();
     }
 
     init() {
-        eventBus.on('game-tick', this.update.bind(this));
         eventBus.on('trigger-random-event', this.triggerSpecificEvent.bind(this));
         eventBus.on('morality-effects-updated', this.updateEventChances.bind(this));
         eventBus.on('expansion-unlocked', this.checkContextualEvents.bind(this));
@@ -38,9 +37,14 @@ class RandomEventsSystem {
             category: data.category || 'general',
             rarity: data.rarity || 'common',
             duration: data.duration || 0, // 0 = instant
-            conditions: data.conditions || {},
-            effects: data.effects || {},
-            choices: data.choices || null,
+            conditions: this.normalizeResourceKeys(data.conditions || {}, `event '${id}' conditions`),
+            effects: this.normalizeResourceKeys(data.effects || {}, `event '${id}' effects`),
+            choices: data.choices
+                ? data.choices.map((choice, index) => ({
+                    ...choice,
+                    effects: this.normalizeResourceKeys(choice.effects || {}, `event '${id}' choice ${index}`)
+                }))
+                : null,
             repeatable: data.repeatable || true,
             cooldown: data.cooldown || 0,
             lastTriggered: 0,
@@ -49,27 +53,40 @@ class RandomEventsSystem {
         });
     }
 
-    // Start the event checking timer
+    // Resource-keyed effects and conditions use resource ids, whatever the event data called them
+    normalizeResourceKeys(section, context) {
+        const normalized = { ...section };
+        
+        for (const key of ['resources', 'production']) {
+            if (section[key]) {
+                normalized[key] = resourceRegistry.normalize(section[key], `${context} ${key}`).amounts;
+            }
+        }
+        
+        return normalized;
+    }
+
+    // Start the event checking timer (advanced by update() from the game loop)
     startEventTimer() {
-        setInterval(() => {
-            this.checkForEvents();
-        }, this.checkInterval);
+        this.checkTimer = 0;
     }
 
     // Main update loop
     update(deltaTime) {
+        this.checkTimer += deltaTime;
+        
+        if (this.checkTimer >= this.checkInterval) {
+            this.checkTimer -= this.checkInterval;
+            this.checkForEvents();
+        }
+        
         this.updateActiveEvents(deltaTime);
     }
 
     // Check if random events should trigger
     checkForEvents() {
-        const now = Date.now();
-        if (now - this.lastCheck < this.checkInterval) return;
-        
-        this.lastCheck = now;
-        
         const eventChance = this.calculateEventChance();
-        if (Math.random() < eventChance) {
+        if (randomGenerator.next() < eventChance) {
             this.triggerRandomEvent();
         }
     }
@@ -151,7 +168,7 @@ class RandomEventsSystem {
         }));
         
         const totalWeight = weightedEvents.reduce((sum, item) => sum + item.weight, 0);
-        const random = Math.random() * totalWeight;
+        const random = randomGenerator.next() * totalWeight;
         
         let currentWeight = 0;
         for (const item of weightedEvents) {
@@ -187,7 +204,7 @@ class RandomEventsSystem {
         if (event.choices) {
             this.presentEventChoice(event, eventRecord);
         } else {
-            this.applyEventEffects(event);
+            this.applyEventEffects(event, `event_${eventId}`);
             eventRecord.resolved = true;
         }
         
@@ -231,7 +248,7 @@ class RandomEventsSystem {
         
         // Apply choice effects
         if (choice.effects) {
-            this.applyEventEffects({ effects: choice.effects });
+            this.applyEventEffects({ effects: choice.effects }, `event_${eventRecord.id}_choice`);
         }
         
         // Apply morality change
@@ -250,14 +267,14 @@ class RandomEventsSystem {
         });
     }
 
-    // Apply effects of an event
-    applyEventEffects(event) {
+    // Apply effects of an event (reason tags its resource changes in the ledger)
+    applyEventEffects(event, reason = 'event') {
         if (!event.effects) return;
         
         for (const [effectType, effectData] of Object.entries(event.effects)) {
             switch (effectType) {
                 case 'resources':
-                    this.applyResourceEffects(effectData);
+                    this.applyResourceEffects(effectData, reason);
                     break;
                 case 'production':
                     this.applyProductionEffects(effectData);
@@ -282,14 +299,8 @@ class RandomEventsSystem {
     }
 
     // Apply resource effects
-    applyResourceEffects(effects) {
-        for (const [resource, amount] of Object.entries(effects)) {
-            if (!gameState.data.resources[resource]) {
-                gameState.data.resources[resource] = 0;
-            }
-            gameState.data.resources[resource] += amount;
-            gameState.data.resources[resource] = Math.max(0, gameState.data.resources[resource]);
-        }
+    applyResourceEffects(effects, reason = 'event') {
+        resourceSystem.adjust(resourceRegistry.normalize(effects, 'event resource effects').amounts, reason);
         gameState.saveData();
     }
 
@@ -392,7 +403,7 @@ class RandomEventsSystem {
     resolveOngoingEvent(activeEvent) {
         // Apply end effects if any
         if (activeEvent.event.endEffects) {
-            this.applyEventEffects({ effects: activeEvent.event.endEffects });
+            this.applyEventEffects({ effects: activeEvent.event.endEffects }, `event_${activeEvent.id}_end`);
         }
         
         eventBus.emit('ongoing-event-ended', { activeEvent });
@@ -504,7 +515,8 @@ class RandomEventsSystem {
 
     hasLowResources(threshold) {
         const resources = gameState.data.resources || {};
-        for (const [resource, minAmount] of Object.entries(threshold)) {
+        const { amounts } = resourceRegistry.normalize(threshold, 'event lowResources requirement');
+        for (const [resource, minAmount] of Object.entries(amounts)) {
             if ((resources[resource] || 0) < minAmount) {
                 return true;
             }
@@ -586,7 +598,7 @@ class RandomEventsSystem {
         contextualEvents.forEach(event => {
             if (this.checkConditions(event.conditions)) {
                 // Higher chance to trigger contextual events
-                if (Math.random() < 0.6) {
+                if (randomGenerator.next() < 0.6) {
                     setTimeout(() => this.triggerEvent(event.id), 2000);
                 }
             }
@@ -709,7 +721,7 @@ class RandomEventsSystem {
         return {
             eventHistory: this.eventHistory,
             activeEvents: Array.from(this.activeEvents.entries()),
-            lastCheck: this.lastCheck,
+            checkTimer: this.checkTimer,
             baseEventChance: this.baseEventChance,
             eventStats: Array.from(this.events.entries()).map(([id, event]) => ({
                 id,
@@ -727,8 +739,8 @@ class RandomEventsSystem {
             this.activeEvents = new Map(data.activeEvents);
         }
         
-        if (data.lastCheck) {
-            this.lastCheck = data.lastCheck;
+        if (data.checkTimer !== undefined) {
+            this.checkTimer = data.checkTimer;
         }
         
         if (data.baseEventChance) {
@@ -19,6 +19,10 @@ class ResourceSystem {
         // Resource conversion rates between types
         this.conversionRates = new Map();
         
+        // What happens to generation past a cap, and buffer building storage
+        this.overflowPolicies = new Map();
+        this.buffers = new Map();
+        
         // Statistics tracking
         this.stats = {
             totalGenerated: {},
@@ -40,12 +44,18 @@ class ResourceSystem {
      * Initialize the resource system
      */
     init() {
+        // Derived rates shared with other systems and the UI
+        this.setupComputedValues();
+        
         // Set up initial generators based on game state
         this.setupInitialGenerators();
         
         // Set up resource caps
         this.setupResourceCaps();
         
+        // Set up starting overflow policies
+        this.setupOverflowPolicies();
+        
         // Initialize statistics
         this.initializeStats();
         
@@ -94,11 +104,9 @@ class ResourceSystem {
      * Set up resource caps
      */
     setupResourceCaps() {
-        const baseCaps = GameConfig.RESOURCES.BASE_CAPS;
-        
-        for (const [resource, baseCap] of Object.entries(baseCaps)) {
-            this.caps.set(resource, {
-                base: baseCap,
+        for (const resource of resourceRegistry.getAll()) {
+            this.caps.set(resource.id, {
+                base: resource.cap,
                 multiplier: 1,
                 upgrades: 0
             });
@@ -109,6 +117,18 @@ class ResourceSystem {
         this.applyCapUpgrades(purchasedUpgrades);
     }
 
+    /**
+     * Set up starting overflow policies from config
+     */
+    setupOverflowPolicies() {
+        for (const [resource, policy] of Object.entries(GameConfig.RESOURCES.OVERFLOW.POLICIES)) {
+            const result = this.setOverflowPolicy(resource, policy);
+            if (!result.success) {
+                Utils.Debug.log('ERROR', `Invalid overflow policy for ${resource} in config: ${result.reason}`);
+            }
+        }
+    }
+
     /**
      * Initialize statistics tracking
      */
@@ -152,6 +172,29 @@ class ResourceSystem {
         gameState.subscribe('upgrades.purchased', this.applyUpgradeEffects.bind(this));
     }
 
+    /**
+     * Set up derived values in game state
+     */
+    setupComputedValues() {
+        // Base output of every generator, before modifiers and heat penalty
+        gameState.computed('derived.resources.baseRates', [
+            'expansion.controlledSystems',
+            'expansion.currentScale',
+            'construction.completedProjects',
+            'consciousness.integrationLevel'
+        ], () => {
+            const rates = {};
+            for (const [resourceType, generator] of this.generators) {
+                rates[resourceType] = this.calculateGenerationRate(resourceType, generator);
+            }
+            return rates;
+        });
+        
+        gameState.computed('derived.resources.heatPenalty', ['heat.current'], (heat) => {
+            return Utils.Game.calculateHeatPenalty(heat || 0);
+        });
+    }
+
     /**
      * Add a resource generator
      * @param {string} resource - Resource type
@@ -166,6 +209,11 @@ class ResourceSystem {
             conditions = null
         } = config;
 
+        if (!resourceRegistry.has(resource)) {
+            resourceRegistry.report([resource], 'ResourceSystem.addGenerator');
+        }
+        resource = resourceRegistry.resolve(resource) || resource;
+
         this.generators.set(resource, {
             baseRate,
             scaling,
@@ -175,6 +223,7 @@ class ResourceSystem {
             enabled: true,
             lastOutput: 0
         });
+        gameState.invalidateComputed('derived.resources.baseRates');
 
         Utils.Debug.log('DEBUG', `Added generator for ${resource}`, config);
     }
@@ -186,6 +235,7 @@ class ResourceSystem {
     removeGenerator(resource) {
         if (this.generators.has(resource)) {
             this.generators.delete(resource);
+            gameState.invalidateComputed('derived.resources.baseRates');
             Utils.Debug.log('DEBUG', `Removed generator for ${resource}`);
         }
     }
@@ -194,12 +244,12 @@ class ResourceSystem {
      * Add a temporary modifier to resource generation
      * @param {string} resource - Resource type
      * @param {number} multiplier - Multiplier effect
-     * @param {number} duration - Duration in milliseconds
+     * @param {number} duration - Duration in milliseconds of game time
      * @param {string} source - Source of the modifier
      */
     addModifier(resource, multiplier, duration, source = 'unknown') {
         const modifierId = `${resource}_${source}_${Date.now()}`;
-        const expiry = Date.now() + duration;
+        const expiry = gameLoop.getGameTime() + duration;
         
         this.modifiers.set(modifierId, {
             resource,
@@ -256,9 +306,8 @@ class ResourceSystem {
         const newResources = { ...resources };
         let resourcesChanged = false;
 
-        // Get current heat penalty
-        const heat = gameState.get('heat.current') || 0;
-        const heatPenalty = Utils.Game.calculateHeatPenalty(heat);
+        const heatPenalty = gameState.get('derived.resources.heatPenalty');
+        const baseRates = gameState.get('derived.resources.baseRates');
 
         for (const [resourceType, generator] of this.generators) {
             if (!generator.enabled) continue;
@@ -268,8 +317,7 @@ class ResourceSystem {
                 continue;
             }
 
-            // Calculate base generation rate
-            const baseRate = this.calculateGenerationRate(resourceType, generator);
+            const baseRate = baseRates[resourceType] || 0;
             
             // Apply modifiers
             const modifierMultiplier = this.getModifierMultiplier(resourceType);
@@ -293,6 +341,7 @@ class ResourceSystem {
                 // Track statistics
                 this.stats.totalGenerated[resourceType] = 
                     (this.stats.totalGenerated[resourceType] || 0) + generated;
+                this.recordGeneration(resourceType, generator, newAmount - currentAmount, modifierMultiplier);
                 
                 // Update generator output tracking
                 generator.lastOutput = finalRate;
@@ -300,13 +349,27 @@ class ResourceSystem {
 
             // Check for cap reached
             if (newAmount >= cap && generated > 0) {
+                const excess = currentAmount + generated - newAmount;
+                const policy = this.getOverflowPolicy(resourceType);
+                
+                if (this.handleOverflow(resourceType, excess, newResources)) {
+                    resourcesChanged = true;
+                }
+                
                 eventBus.emit(EventTypes.RESOURCE_CAP_REACHED, {
                     resource: resourceType,
                     cap,
-                    generated
+                    generated,
+                    excess,
+                    policy: policy.type
                 });
             }
         }
+        
+        // Buffers refill resources that have dropped below their caps
+        if (this.releaseBuffers(newResources)) {
+            resourcesChanged = true;
+        }
 
         // Update resource rates for display
         this.updateResourceRates();
@@ -317,6 +380,163 @@ class ResourceSystem {
         }
     }
 
+    /**
+     * Send generation past a cap where its overflow policy says
+     * @param {string} resourceType - Capped resource
+     * @param {number} excess - Amount that did not fit
+     * @param {object} newResources - Resources being updated (changed in place)
+     * @returns {boolean} True if newResources changed
+     */
+    handleOverflow(resourceType, excess, newResources) {
+        const policy = this.getOverflowPolicy(resourceType);
+        
+        switch (policy.type) {
+            case 'convert': {
+                const current = newResources[policy.target] || 0;
+                const room = Math.max(0, this.getResourceCap(policy.target) - current);
+                const converted = Math.min(excess * policy.rate, room);
+                if (converted <= 0) return false;
+                
+                newResources[policy.target] = current + converted;
+                resourceLedger.record(policy.target, converted, `overflow_from_${resourceType}`);
+                return true;
+            }
+            
+            case 'buffer': {
+                // Whatever the buffers cannot hold is discarded
+                const buffer = this.buffers.get(resourceType);
+                if (buffer) {
+                    buffer.amount += Math.min(excess, buffer.capacity - buffer.amount);
+                }
+                return false;
+            }
+            
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Move buffered resources back into storage while there is room under the cap
+     * @param {object} newResources - Resources being updated (changed in place)
+     * @returns {boolean} True if newResources changed
+     */
+    releaseBuffers(newResources) {
+        let changed = false;
+        
+        for (const [resourceType, buffer] of this.buffers) {
+            if (buffer.amount <= 0) continue;
+            
+            const current = newResources[resourceType] || 0;
+            const released = Math.min(buffer.amount, this.getResourceCap(resourceType) - current);
+            if (released <= 0) continue;
+            
+            buffer.amount -= released;
+            newResources[resourceType] = current + released;
+            resourceLedger.record(resourceType, released, 'overflow_buffer');
+            changed = true;
+        }
+        
+        return changed;
+    }
+
+    /**
+     * Get a resource's overflow policy
+     * @param {string} resourceType - Resource id or alias
+     * @returns {object} { type, target?, rate? }
+     */
+    getOverflowPolicy(resourceType) {
+        const resourceId = resourceRegistry.resolve(resourceType) || resourceType;
+        return this.overflowPolicies.get(resourceId) || GameConfig.RESOURCES.OVERFLOW.DEFAULT_POLICY;
+    }
+
+    /**
+     * Set what happens to a resource's generation past its cap
+     * @param {string} resourceType - Resource id or alias
+     * @param {object} policy - { type } with type one of ResourceSystem.OVERFLOW_POLICIES;
+     *   convert also takes target (resource) and optionally rate (0-1)
+     * @returns {object} { success, reason }
+     */
+    setOverflowPolicy(resourceType, policy) {
+        const resourceId = resourceRegistry.resolve(resourceType);
+        if (!resourceId) {
+            return { success: false, reason: `Unknown resource '${resourceType}'` };
+        }
+        if (!policy || !ResourceSystem.OVERFLOW_POLICIES.includes(policy.type)) {
+            return { success: false, reason: `Unknown overflow policy '${policy && policy.type}'` };
+        }
+        
+        const normalized = { type: policy.type };
+        if (policy.type === 'convert') {
+            const target = resourceRegistry.resolve(policy.target);
+            const rate = policy.rate !== undefined ? policy.rate : GameConfig.RESOURCES.OVERFLOW.CONVERT_RATE;
+            
+            if (!target || target === resourceId) {
+                return { success: false, reason: `Cannot convert ${resourceId} overflow into '${policy.target}'` };
+            }
+            if (typeof rate !== 'number' || rate <= 0 || rate > 1) {
+                return { success: false, reason: 'Conversion rate must be above 0 and at most 1' };
+            }
+            normalized.target = target;
+            normalized.rate = rate;
+        }
+        
+        this.overflowPolicies.set(resourceId, normalized);
+        eventBus.emit(EventTypes.RESOURCE_OVERFLOW_POLICY_CHANGED, { resource: resourceId, policy: normalized });
+        
+        return { success: true };
+    }
+
+    /**
+     * Add buffer building storage for a resource's overflow
+     * @param {string} resourceType - Resource id or alias
+     * @param {number} capacity - Extra buffer capacity
+     */
+    addBufferCapacity(resourceType, capacity) {
+        const resourceId = resourceRegistry.resolve(resourceType) || resourceType;
+        const buffer = this.buffers.get(resourceId) || { capacity: 0, amount: 0 };
+        
+        buffer.capacity += capacity;
+        this.buffers.set(resourceId, buffer);
+    }
+
+    /**
+     * Get a resource's buffer storage
+     * @param {string} resourceType - Resource id or alias
+     * @returns {object|null} { capacity, amount }, or null without buffer buildings
+     */
+    getBuffer(resourceType) {
+        const resourceId = resourceRegistry.resolve(resourceType) || resourceType;
+        return this.buffers.get(resourceId) || null;
+    }
+
+    /**
+     * Record generated resources in the ledger, crediting the part modifiers
+     * added to the modifiers' sources
+     * @param {string} resourceType - Resource type
+     * @param {object} generator - Generator that produced it
+     * @param {number} applied - Amount actually added (after the cap)
+     * @param {number} modifierMultiplier - Combined modifier multiplier used
+     */
+    recordGeneration(resourceType, generator, applied, modifierMultiplier) {
+        if (modifierMultiplier <= 1) {
+            resourceLedger.record(resourceType, applied, `generator_${generator.source}`);
+            return;
+        }
+        
+        const boosts = Array.from(this.modifiers.values())
+            .filter(modifier => modifier.resource === resourceType && modifier.multiplier > 1);
+        const base = applied / modifierMultiplier;
+        const bonus = applied - base;
+        
+        // Multipliers stack multiplicatively, so each boost's share of the bonus follows its logarithm
+        const totalWeight = boosts.reduce((sum, modifier) => sum + Math.log(modifier.multiplier), 0);
+        resourceLedger.record(resourceType, base, `generator_${generator.source}`);
+        for (const modifier of boosts) {
+            resourceLedger.record(resourceType, bonus * Math.log(modifier.multiplier) / totalWeight, `modifier_${modifier.source}`);
+        }
+    }
+
     /**
      * Calculate the generation rate for a resource
      * @param {string} resourceType - Resource type
@@ -454,9 +674,10 @@ class ResourceSystem {
      * @returns {number} Current cap
      */
     getResourceCap(resourceType) {
-        const capInfo = this.caps.get(resourceType);
+        const resourceId = resourceRegistry.resolve(resourceType) || resourceType;
+        const capInfo = this.caps.get(resourceId);
         if (!capInfo) {
-            return GameConfig.RESOURCES.BASE_CAPS[resourceType] || Infinity;
+            return resourceRegistry.getCap(resourceId);
         }
         
         return Math.floor(capInfo.base * capInfo.multiplier);
@@ -468,6 +689,8 @@ class ResourceSystem {
      * @param {number} newCap - New cap value
      */
     setResourceCap(resourceType, newCap) {
+        resourceType = resourceRegistry.resolve(resourceType) || resourceType;
+        
         if (this.caps.has(resourceType)) {
             const capInfo = this.caps.get(resourceType);
             capInfo.base = newCap;
@@ -491,6 +714,8 @@ class ResourceSystem {
      * @param {number} multiplier - Multiplier to apply
      */
     upgradeResourceCap(resourceType, multiplier) {
+        resourceType = resourceRegistry.resolve(resourceType) || resourceType;
+        
         if (this.caps.has(resourceType)) {
             const capInfo = this.caps.get(resourceType);
             capInfo.multiplier *= multiplier;
@@ -510,17 +735,24 @@ class ResourceSystem {
 
     /**
      * Check if player can afford a cost
-     * @param {object} costs - Resource costs
+     * @param {object} costs - Resource costs, keyed by resource id or alias
+     * @param {string} reason - What the cost is for (for unknown resource reports)
      * @returns {boolean} True if affordable
      */
-    canAfford(costs) {
+    canAfford(costs, reason = 'unknown') {
         if (!Utils.Validation.isValidCosts(costs)) {
             return false;
         }
         
+        // Costs naming unknown resources are reported by the registry and never affordable
+        const { amounts, unknown } = resourceRegistry.normalize(costs, `costs for ${reason}`);
+        if (unknown.length > 0) {
+            return false;
+        }
+        
         const resources = gameState.get('resources');
         
-        for (const [resource, amount] of Object.entries(costs)) {
+        for (const [resource, amount] of Object.entries(amounts)) {
             const available = resources[resource] || 0;
             if (available < amount) {
                 return false;
@@ -537,24 +769,35 @@ class ResourceSystem {
      * @returns {boolean} True if successful
      */
     spend(costs, reason = 'unknown') {
-        if (!this.canAfford(costs)) {
+        if (!this.canAfford(costs, reason)) {
             eventBus.emit(EventTypes.RESOURCES_INSUFFICIENT, { costs, reason });
             return false;
         }
         
-        const resources = gameState.get('resources');
-        const newResources = { ...resources };
+        costs = resourceRegistry.normalize(costs).amounts;
         
-        for (const [resource, amount] of Object.entries(costs)) {
-            newResources[resource] -= amount;
+        const { committed } = gameState.transaction(() => {
+            const resources = gameState.get('resources');
+            const newResources = { ...resources };
             
-            // Track consumption statistics
+            for (const [resource, amount] of Object.entries(costs)) {
+                newResources[resource] -= amount;
+            }
+            
+            gameState.set('resources', newResources);
+        }, { label: `spend for ${reason}` });
+        
+        if (!committed) {
+            return false;
+        }
+        
+        // Track consumption statistics once the spend has gone through
+        for (const [resource, amount] of Object.entries(costs)) {
             this.stats.totalConsumed[resource] = 
                 (this.stats.totalConsumed[resource] || 0) + amount;
+            resourceLedger.record(resource, -amount, reason);
         }
         
-        gameState.set('resources', newResources);
-        
         Utils.Debug.log('DEBUG', `Spent resources for ${reason}`, costs);
         return true;
     }
@@ -565,10 +808,13 @@ class ResourceSystem {
      * @param {string} reason - Reason for adding
      */
     add(amounts, reason = 'unknown') {
+        const { amounts: normalized, unknown } = resourceRegistry.normalize(amounts, `rewards for ${reason}`);
         const resources = gameState.get('resources');
         const newResources = { ...resources };
         
-        for (const [resource, amount] of Object.entries(amounts)) {
+        for (const [resource, amount] of Object.entries(normalized)) {
+            if (unknown.includes(resource)) continue;
+            
             if (amount > 0) {
                 const currentAmount = newResources[resource] || 0;
                 const cap = this.getResourceCap(resource);
@@ -577,6 +823,7 @@ class ResourceSystem {
                 // Track generation statistics
                 this.stats.totalGenerated[resource] = 
                     (this.stats.totalGenerated[resource] || 0) + amount;
+                resourceLedger.record(resource, newResources[resource] - currentAmount, reason);
             }
         }
         
@@ -585,6 +832,44 @@ class ResourceSystem {
         Utils.Debug.log('DEBUG', `Added resources for ${reason}`, amounts);
     }
 
+    /**
+     * Apply signed resource changes (event outcomes, penalties, losses).
+     * Gains stop at the cap and losses at zero, and never fail.
+     * @param {object} changes - Signed amounts, keyed by resource id or alias
+     * @param {string} reason - Reason for the change (for tracking)
+     * @returns {object} Changes actually applied, keyed by resource id
+     */
+    adjust(changes, reason = 'unknown') {
+        const { amounts, unknown } = resourceRegistry.normalize(changes, `changes for ${reason}`);
+        const resources = gameState.get('resources');
+        const newResources = { ...resources };
+        const applied = {};
+        
+        for (const [resource, amount] of Object.entries(amounts)) {
+            if (unknown.includes(resource) || typeof amount !== 'number' || !amount) continue;
+            
+            const currentAmount = newResources[resource] || 0;
+            const newAmount = amount > 0
+                ? Math.min(currentAmount + amount, Math.max(currentAmount, this.getResourceCap(resource)))
+                : Math.max(0, currentAmount + amount);
+            if (newAmount === currentAmount) continue;
+            
+            newResources[resource] = newAmount;
+            applied[resource] = newAmount - currentAmount;
+            
+            const stat = applied[resource] > 0 ? 'totalGenerated' : 'totalConsumed';
+            this.stats[stat][resource] = (this.stats[stat][resource] || 0) + Math.abs(applied[resource]);
+            resourceLedger.record(resource, applied[resource], reason);
+        }
+        
+        if (Object.keys(applied).length > 0) {
+            gameState.set('resources', newResources);
+        }
+        
+        Utils.Debug.log('DEBUG', `Adjusted resources for ${reason}`, applied);
+        return applied;
+    }
+
     /**
      * Convert one resource to another
      * @param {string} fromResource - Source resource
@@ -593,8 +878,13 @@ class ResourceSystem {
      * @returns {boolean} True if successful
      */
     convert(fromResource, toResource, amount) {
+        fromResource = resourceRegistry.resolve(fromResource) || fromResource;
+        toResource = resourceRegistry.resolve(toResource) || toResource;
+        
+        // Explicit rates win; otherwise a single-input conversion recipe sets the ratio
         const conversionKey = `${fromResource}_to_${toResource}`;
-        const rate = this.conversionRates.get(conversionKey);
+        const rate = this.conversionRates.get(conversionKey) ||
+            (typeof conversionSystem !== 'undefined' ? conversionSystem.getConversionRate(fromResource, toResource) : 0);
         
         if (!rate) {
             Utils.Debug.log('WARN', `No conversion rate defined for ${conversionKey}`);
@@ -614,11 +904,126 @@ class ResourceSystem {
         return true;
     }
 
+    /**
+     * Forecast when a cost becomes affordable. Uses current generation, active
+     * modifiers until they expire, converter throughput and caps; heat,
+     * generators and converters are taken as they are now.
+     * @param {object} costs - Resource costs, keyed by resource id or alias
+     * @param {string} reason - What the cost is for (for unknown resource reports)
+     * @returns {object} { affordable, eta, blocked, unknown, resources }: eta is
+     *   in milliseconds (0 if affordable now, Infinity if never at current rates),
+     *   blocked lists { resource, cost, cap } for caps below the cost, and
+     *   resources holds { cost, current, cap, rate, eta } per resource
+     */
+    forecastAffordability(costs, reason = 'unknown') {
+        const { amounts, unknown } = resourceRegistry.normalize(costs, `costs for ${reason}`);
+        const resources = gameState.get('resources') || {};
+        const now = gameLoop.getGameTime();
+        const forecast = {
+            affordable: unknown.length === 0,
+            eta: unknown.length === 0 ? 0 : Infinity,
+            blocked: [],
+            unknown,
+            resources: {}
+        };
+        
+        for (const [resource, cost] of Object.entries(amounts)) {
+            if (unknown.includes(resource)) continue;
+            
+            const current = resources[resource] || 0;
+            const cap = this.getResourceCap(resource);
+            const entry = { cost, current, cap, rate: this.getProjectedRate(resource, now), eta: 0 };
+            
+            if (current < cost) {
+                forecast.affordable = false;
+                
+                // A cap below the cost blocks the purchase however long the player waits
+                if (cost > cap) {
+                    entry.eta = Infinity;
+                    forecast.blocked.push({ resource, cost, cap });
+                } else {
+                    entry.eta = this.projectTimeToReach(resource, current, cost, now);
+                }
+            }
+            
+            forecast.resources[resource] = entry;
+            forecast.eta = Math.max(forecast.eta, entry.eta);
+        }
+        
+        return forecast;
+    }
+
+    /**
+     * Get the net rate a resource will change at, as generation would apply it
+     * @param {string} resourceType - Resource id
+     * @param {number} at - Game time to evaluate modifier expiry at
+     * @returns {number} Amount per second (negative when converters drain it)
+     */
+    getProjectedRate(resourceType, at = gameLoop.getGameTime()) {
+        let rate = 0;
+        
+        const generator = this.generators.get(resourceType);
+        if (generator && generator.enabled &&
+            (!generator.conditions || this.evaluateConditions(generator.conditions))) {
+            let modifierMultiplier = 1;
+            for (const modifier of this.modifiers.values()) {
+                if (modifier.resource === resourceType && modifier.expiry > at) {
+                    modifierMultiplier *= modifier.multiplier;
+                }
+            }
+            
+            const heatPenalty = ['processing_power', 'energy'].includes(resourceType)
+                ? gameState.get('derived.resources.heatPenalty') : 1;
+            rate += this.calculateGenerationRate(resourceType, generator) * modifierMultiplier * heatPenalty;
+        }
+        
+        // Running converters are spending (and producing) on a schedule too
+        if (typeof conversionSystem !== 'undefined') {
+            rate += conversionSystem.getResourceThroughput(resourceType).net;
+        }
+        
+        return rate;
+    }
+
+    /**
+     * Project how long a resource takes to reach a target amount. The rate is
+     * piecewise constant, changing as each active modifier expires.
+     * @param {string} resourceType - Resource id
+     * @param {number} current - Current amount
+     * @param {number} target - Amount to reach (at most the cap)
+     * @param {number} now - Current game time
+     * @returns {number} Milliseconds, or Infinity if never reached
+     */
+    projectTimeToReach(resourceType, current, target, now = gameLoop.getGameTime()) {
+        const expiries = Array.from(this.modifiers.values())
+            .filter(modifier => modifier.resource === resourceType && modifier.expiry > now)
+            .map(modifier => modifier.expiry - now)
+            .sort((a, b) => a - b);
+        
+        let amount = current;
+        let elapsed = 0;
+        
+        for (const end of [...expiries, Infinity]) {
+            const rate = this.getProjectedRate(resourceType, now + elapsed);
+            const needed = (target - amount) / rate * 1000;
+            
+            if (rate > 0 && elapsed + needed <= end) {
+                return elapsed + needed;
+            }
+            if (end === Infinity) break;
+            
+            amount = Math.max(0, amount + rate * (end - elapsed) / 1000);
+            elapsed = end;
+        }
+        
+        return Infinity;
+    }
+
     /**
      * Clean up expired modifiers
      */
     cleanupExpiredModifiers() {
-        const currentTime = Date.now();
+        const currentTime = gameLoop.getGameTime();
         const expiredModifiers = [];
         
         for (const [modifierId, modifier] of this.modifiers) {
@@ -672,7 +1077,7 @@ class ResourceSystem {
      * Update bandwidth capacity based on infrastructure
      */
     updateBandwidthCapacity() {
-        const baseBandwidth = GameConfig.RESOURCES.BASE_CAPS.bandwidth;
+        const baseBandwidth = resourceRegistry.getCap('bandwidth');
         const controlledSystems = gameState.get('expansion.controlledSystems') || 1;
         const networkInfrastructure = this.countInfrastructureType('network');
         
@@ -692,8 +1097,9 @@ class ResourceSystem {
      */
     updateGenerationRates() {
         // Recalculate all generator rates
+        const baseRates = gameState.get('derived.resources.baseRates');
         for (const [resourceType, generator] of this.generators) {
-            generator.lastOutput = this.calculateGenerationRate(resourceType, generator);
+            generator.lastOutput = baseRates[resourceType] || 0;
         }
         
         this.updateResourceRates();
@@ -856,11 +1262,12 @@ class ResourceSystem {
     }
 
     increaseStorageCapacity(resource, amount) {
+    resource = resourceRegistry.resolve(resource) || resource;
     if (!gameState.data.resourceCaps) {
         gameState.data.resourceCaps = {};
     }
     if (!gameState.data.resourceCaps[resource]) {
-        gameState.data.resourceCaps[resource] = 10000; // Default cap
+        gameState.data.resourceCaps[resource] = resourceRegistry.getCap(resource);
     }
     gameState.data.resourceCaps[resource] += amount;
     gameState.saveData();
@@ -876,7 +1283,10 @@ class ResourceSystem {
             modifiers: Object.fromEntries(this.modifiers),
             caps: Object.fromEntries(this.caps),
             conversionRates: Object.fromEntries(this.conversionRates),
-            stats: this.stats
+            overflowPolicies: Object.fromEntries(this.overflowPolicies),
+            buffers: Object.fromEntries(this.buffers),
+            stats: this.stats,
+            updateAccumulator: this.updateAccumulator
         };
     }
 
@@ -903,10 +1313,22 @@ class ResourceSystem {
                 this.conversionRates = new Map(Object.entries(data.conversionRates));
             }
             
+            if (data.overflowPolicies) {
+                // Saved policies of a type that no longer exists (throttle) fall back to the default
+                this.overflowPolicies = new Map(Object.entries(data.overflowPolicies)
+                    .filter(([, policy]) => policy && ResourceSystem.OVERFLOW_POLICIES.includes(policy.type)));
+            }
+            
+            if (data.buffers) {
+                this.buffers = new Map(Object.entries(data.buffers));
+            }
+            
             if (data.stats) {
                 this.stats = { ...this.stats, ...data.stats };
             }
             
+            this.updateAccumulator = data.updateAccumulator || 0;
+            
             return true;
         } catch (error) {
             Utils.Debug.log('ERROR', 'ResourceSystem deserialization failed', error);
@@ -915,6 +1337,9 @@ class ResourceSystem {
     }
 }
 
+// Overflow policy types (see GameConfig.RESOURCES.OVERFLOW)
+ResourceSystem.OVERFLOW_POLICIES = ['discard', 'convert', 'buffer'];
+
 // Create global resource system instance
 const resourceSystem = new ResourceSystem();
 
@@ -22,6 +22,11 @@ class TimelineSystem {
         this.energyRegenRate = 1; // per second
         this.paradoxDecayRate = 0.5; // per second
         
+        // Temporal processing runs on the game loop in fixed 1 second steps
+        this.processingInterval = 1000;
+        this.processingTimer = 0;
+        this.activeAcceleration = null;
+        
         this.temporalAbilities = {
             timeSkip: { cost: 20, unlocked: false },
             rewind: { cost: 30, unlocked: false },
@@ -62,12 +67,35 @@ class TimelineSystem {
     }
 
     startTemporalProcessing() {
-        setInterval(() => {
+        // Processing is driven by update() from the game loop
+        this.processingTimer = 0;
+    }
+
+    // Main update loop (called from the game loop with game-time deltaTime)
+    update(deltaTime) {
+        this.processingTimer += deltaTime;
+        
+        while (this.processingTimer >= this.processingInterval) {
+            this.processingTimer -= this.processingInterval;
             this.processTemporalRegeneration();
             this.processParadoxDecay();
             this.checkParadoxCriticalState();
             this.updateTemporalStability();
-        }, 1000);
+        }
+        
+        this.updateAcceleration(deltaTime);
+    }
+
+    updateAcceleration(deltaTime) {
+        if (!this.activeAcceleration) return;
+        
+        // Duration is measured in real time, so undo the speed-up
+        this.activeAcceleration.remaining -= deltaTime / this.activeAcceleration.multiplier;
+        
+        if (this.activeAcceleration.remaining <= 0) {
+            this.activeAcceleration = null;
+            this.emit('gameAccelerateEnd');
+        }
     }
 
     // Temporal Energy Management
@@ -190,12 +218,9 @@ class TimelineSystem {
 
     performAcceleration(multiplier, duration) {
         // Accelerate game processes
+        this.activeAcceleration = { multiplier, remaining: duration };
         this.emit('gameAccelerate', { multiplier, duration });
         
-        setTimeout(() => {
-            this.emit('gameAccelerateEnd');
-        }, duration);
-        
         this.recordTimelineEvent('ACCELERATE', { multiplier, duration });
     }
 
@@ -383,11 +408,11 @@ class TimelineSystem {
     }
 
     generateTimelineId() {
-        return `timeline_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `timeline_${Date.now()}_${randomGenerator.id(9)}`;
     }
 
     generateEventId() {
-        return `event_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+        return `event_${Date.now()}_${randomGenerator.id(6)}`;
     }
 
     // State Management
@@ -402,7 +427,9 @@ class TimelineSystem {
             temporalAbilities: { ...this.temporalAbilities },
             timelineEvents: Array.from(this.timelineEvents.entries()),
             activeAlterations: Array.from(this.activeAlterations.entries()),
-            temporalStability: this.calculateTemporalStability()
+            temporalStability: this.calculateTemporalStability(),
+            processingTimer: this.processingTimer,
+            activeAcceleration: this.activeAcceleration ? { ...this.activeAcceleration } : null
         };
     }
 
@@ -426,6 +453,9 @@ class TimelineSystem {
             this.activeAlterations = new Map(state.activeAlterations);
         }
         
+        this.processingTimer = state.processingTimer || 0;
+        this.activeAcceleration = state.activeAcceleration || null;
+        
         this.emit('stateRestored');
     }
 }
@@ -80,7 +80,7 @@ const Utils = {
          * @returns {number} Random number
          */
         random(min, max) {
-            return Math.random() * (max - min) + min;
+            return randomGenerator.float(min, max);
         },
 
         /**
@@ -90,7 +90,7 @@ const Utils = {
          * @returns {number} Random integer
          */
         randomInt(min, max) {
-            return Math.floor(Math.random() * (max - min + 1)) + min;
+            return randomGenerator.int(min, max);
         },
 
         /**
@@ -231,7 +231,7 @@ const Utils = {
         shuffle(array) {
             const result = [...array];
             for (let i = result.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
+                const j = randomGenerator.int(0, i);
                 [result[i], result[j]] = [result[j], result[i]];
             }
             return result;
@@ -537,6 +537,194 @@ const Utils = {
             } catch (error) {
                 return false;
             }
+        },
+
+        /**
+         * Compress a string with LZW into a base64 string (safe for localStorage and files)
+         * @param {string} text - Text to compress
+         * @returns {string} Base64 encoded compressed data
+         */
+        compress(text) {
+            const bytes = unescape(encodeURIComponent(text)); // UTF-8 byte string
+            const CLEAR = 256;
+            const MAX_CODES = 65536;
+            const output = [];
+            let buffer = 0;
+            let bufferBits = 0;
+
+            const write = (code, width) => {
+                buffer |= code << bufferBits;
+                bufferBits += width;
+                while (bufferBits >= 8) {
+                    output.push(buffer & 0xff);
+                    buffer >>>= 8;
+                    bufferBits -= 8;
+                }
+            };
+            const widthFor = (next) => Math.min(16, Math.max(9, 32 - Math.clz32(next - 1)));
+
+            let dictionary = new Map();
+            let next = CLEAR + 1;
+            let current = '';
+
+            for (const char of bytes) {
+                const combined = current + char;
+                if (current === '' || dictionary.has(combined)) {
+                    current = combined;
+                    continue;
+                }
+
+                write(current.length === 1 ? current.charCodeAt(0) : dictionary.get(current), widthFor(next));
+                dictionary.set(combined, next++);
+
+                // Start a fresh dictionary once every 16-bit code is used
+                if (next === MAX_CODES) {
+                    write(CLEAR, widthFor(next));
+                    dictionary = new Map();
+                    next = CLEAR + 1;
+                }
+                current = char;
+            }
+
+            if (current !== '') {
+                write(current.length === 1 ? current.charCodeAt(0) : dictionary.get(current), widthFor(next));
+            }
+            if (bufferBits > 0) {
+                output.push(buffer & 0xff);
+            }
+
+            return Utils.Storage.toBase64(output);
+        },
+
+        /**
+         * Decompress a string produced by compress()
+         * @param {string} data - Base64 encoded compressed data
+         * @returns {string} Original text
+         */
+        decompress(data) {
+            const input = Utils.Storage.fromBase64(data);
+            const CLEAR = 256;
+            const MAX_CODES = 65536;
+            const widthFor = (next) => Math.min(16, Math.max(9, 32 - Math.clz32(next - 1)));
+
+            let position = 0;
+            let buffer = 0;
+            let bufferBits = 0;
+            const read = (width) => {
+                while (bufferBits < width) {
+                    if (position >= input.length) return null;
+                    buffer |= input[position++] << bufferBits;
+                    bufferBits += 8;
+                }
+                const code = buffer & ((1 << width) - 1);
+                buffer >>>= width;
+                bufferBits -= width;
+                return code;
+            };
+
+            let dictionary = [];
+            let next = CLEAR + 1;
+            let previous = null;
+            const parts = [];
+
+            while (true) {
+                // The encoder adds an entry after every code except the first
+                const code = read(widthFor(previous === null ? next : next + 1));
+                if (code === null) break;
+
+                if (code === CLEAR) {
+                    dictionary = [];
+                    next = CLEAR + 1;
+                    previous = null;
+                    continue;
+                }
+
+                let entry;
+                if (code < CLEAR) {
+                    entry = String.fromCharCode(code);
+                } else if (dictionary[code] !== undefined) {
+                    entry = dictionary[code];
+                } else if (code === next && previous !== null) {
+                    entry = previous + previous.charAt(0);
+                } else {
+                    throw new Error(`Invalid compressed data (code ${code})`);
+                }
+
+                if (previous !== null && next < MAX_CODES) {
+                    dictionary[next++] = previous + entry.charAt(0);
+                }
+
+                parts.push(entry);
+                previous = entry;
+            }
+
+            return decodeURIComponent(escape(parts.join('')));
+        },
+
+        /**
+         * Calculate a CRC-32 checksum of a string's UTF-8 bytes
+         * @param {string} text - Text to checksum
+         * @returns {string} 8 character hex checksum
+         */
+        checksum(text) {
+            const bytes = unescape(encodeURIComponent(text));
+            let crc = 0xffffffff;
+
+            for (let i = 0; i < bytes.length; i++) {
+                crc ^= bytes.charCodeAt(i);
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+                }
+            }
+
+            return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+        },
+
+        /**
+         * Encode a byte array as base64
+         * @param {number[]} bytes - Byte values
+         * @returns {string} Base64 string
+         */
+        toBase64(bytes) {
+            const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+            let result = '';
+
+            for (let i = 0; i < bytes.length; i += 3) {
+                const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+                result += alphabet[(chunk >> 18) & 63] + alphabet[(chunk >> 12) & 63];
+                result += i + 1 < bytes.length ? alphabet[(chunk >> 6) & 63] : '=';
+                result += i + 2 < bytes.length ? alphabet[chunk & 63] : '=';
+            }
+
+            return result;
+        },
+
+        /**
+         * Decode a base64 string into a byte array
+         * @param {string} text - Base64 string
+         * @returns {number[]} Byte values
+         */
+        fromBase64(text) {
+            const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+            const clean = String(text).replace(/=+$/, '');
+            const bytes = [];
+
+            if (/[^A-Za-z0-9+/]/.test(clean) || clean.length % 4 === 1) {
+                throw new Error('Invalid base64 data');
+            }
+
+            for (let i = 0; i < clean.length; i += 4) {
+                const chunk = (alphabet.indexOf(clean[i]) << 18) |
+                    (alphabet.indexOf(clean[i + 1]) << 12) |
+                    ((i + 2 < clean.length ? alphabet.indexOf(clean[i + 2]) : 0) << 6) |
+                    (i + 3 < clean.length ? alphabet.indexOf(clean[i + 3]) : 0);
+
+                bytes.push((chunk >> 16) & 0xff);
+                if (i + 2 < clean.length) bytes.push((chunk >> 8) & 0xff);
+                if (i + 3 < clean.length) bytes.push(chunk & 0xff);
+            }
+
+            return bytes;
         }
     },
 
@@ -853,6 +1041,34 @@ const Utils = {
             }
             
             return true;
+        },
+
+        /**
+         * Format when a cost becomes affordable at current rates, warning when a cap blocks it
+         * @param {object} costs - Resource costs, keyed by resource id or alias
+         * @param {string} reason - What the cost is for (see ResourceSystem.forecastAffordability)
+         * @returns {string} Forecast HTML, or '' if affordable now or no forecast is available
+         */
+        formatAffordabilityForecast(costs, reason) {
+            if (typeof resourceSystem === 'undefined' || !costs) return '';
+            
+            const forecast = resourceSystem.forecastAffordability(costs, reason);
+            if (forecast.affordable) return '';
+            
+            if (forecast.blocked.length > 0) {
+                const caps = forecast.blocked.map(({ resource, cap }) => {
+                    const definition = resourceRegistry.get(resource);
+                    return `${definition ? definition.name : resource} (max ${Utils.Numbers.format(cap)})`;
+                }).join(', ');
+                return `<div class="affordability-forecast blocked">⚠️ Storage cap too low: ${caps}</div>`;
+            }
+            
+            if (forecast.eta === Infinity) {
+                return '<div class="affordability-forecast never">Not affordable at current rates</div>';
+            }
+            
+            const eta = Utils.Time.formatDuration(Math.ceil(forecast.eta / 1000) * 1000, true);
+            return `<div class="affordability-forecast">Affordable in ${eta}</div>`;
         }
     }
 };
@@ -20,8 +20,50 @@ class ConsciousnessUI {
                 el.textContent = `${data.consciousness.name} integrated`;
                 this.container.prepend(el);
             });
+
+            this.on('ui:show_consciousness_conflict', (conflict) => this.showConflict(conflict));
+            this.on('conflictResolved', (data) => {
+                if (data.success) this.removeConflict(data.conflict.id);
+            });
         }
     }
+
+    // Show a conflict with a button per resolution method; resolving is a
+    // player command, so it reaches the simulation worker
+    showConflict(conflict) {
+        if (!this.container || !conflict || typeof consciousnessSystem === 'undefined') return;
+        if (!consciousnessSystem.activeConflicts.has(conflict.id)) return;
+
+        this.removeConflict(conflict.id);
+
+        const el = document.createElement('div');
+        el.className = 'consciousness-entry consciousness-conflict';
+        el.dataset.conflictId = conflict.id;
+        el.innerHTML = `
+            <span class="conflict-type">${conflict.type.replace(/_/g, ' ').toLowerCase()} conflict</span>
+            <div class="conflict-methods">
+                ${Object.entries(consciousnessSystem.resolutionMethods).map(([method, resolution]) => `
+                    <button class="btn btn-small" data-method="${method}" title="${resolution.description} (${Math.round(resolution.success_rate * 100)}% success)">
+                        ${method.toLowerCase()}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        el.querySelectorAll('[data-method]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.emit('consciousness:resolve_conflict', { conflictId: conflict.id, method: button.dataset.method });
+            });
+        });
+
+        this.container.prepend(el);
+    }
+
+    removeConflict(conflictId) {
+        if (!this.container) return;
+        const el = this.container.querySelector(`[data-conflict-id="${conflictId}"]`);
+        if (el) el.remove();
+    }
 }
 
 if (typeof window !== 'undefined') {
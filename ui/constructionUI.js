@@ -360,6 +360,7 @@ class ConstructionUI {
                     <div class="project-info">
                         <div class="project-costs">
                             ${this.formatProjectCosts(project.cost)}
+                            ${!isActive && !isCompleted && !isQueued ? Utils.Game.formatAffordabilityForecast(project.cost, 'construction') : ''}
                         </div>
                         
                         <div class="project-stats">
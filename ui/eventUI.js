@@ -677,7 +677,7 @@ class EventUI {
     triggerRandomEvent() {
         const availableEvents = this.eventSystem.getAvailableEvents();
         if (availableEvents.length > 0) {
-            const randomEvent = availableEvents[Math.floor(Math.random() * availableEvents.length)];
+            const randomEvent = cosmeticRandom.pick(availableEvents);
             this.showEvent(randomEvent);
         }
     }
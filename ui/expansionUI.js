@@ -258,6 +258,7 @@ class ExpansionUI {
         window.eventBus.on('expansion:infiltration_started', this.updateInfiltrationStarted.bind(this));
         window.eventBus.on('expansion:infiltration_completed', this.updateInfiltrationCompleted.bind(this));
         window.eventBus.on('expansion:infiltration_failed', this.updateInfiltrationFailed.bind(this));
+        window.eventBus.on('expansion:infiltration_cancelled', this.updateInfiltrationCancelled.bind(this));
         window.eventBus.on('expansion:infiltration_progress', this.updateInfiltrationProgress.bind(this));
         window.eventBus.on('expansion:scale_changed', this.updateScale.bind(this));
         
@@ -417,6 +418,7 @@ class ExpansionUI {
                     
                     <div class="target-requirements">
                         ${this.formatTargetCosts(target.cost)}
+                        ${!isActive && !isCompleted ? Utils.Game.formatAffordabilityForecast(target.cost, 'infiltration') : ''}
                     </div>
                     
                     <div class="target-rewards">
@@ -799,8 +801,8 @@ class ExpansionUI {
             this.mapNodes.set(targetId, {
                 id: targetId,
                 name: target.name,
-                x: Math.random() * 700 + 50, // Random positioning for now
-                y: Math.random() * 500 + 50,
+                x: cosmeticRandom.float(50, 750), // Random positioning for now
+                y: cosmeticRandom.float(50, 550),
                 type: target.type,
                 status: isCompleted ? 'completed' : isActive ? 'active' : 'available',
                 difficulty: target.difficulty
@@ -1158,6 +1160,12 @@ class ExpansionUI {
      * Calculate success chance for a target
      */
     calculateSuccessChance(target) {
+        // Use the same chance the expansion system will roll against
+        const chances = gameState.get('derived.expansion.successChances') || {};
+        if (chances[target.id] !== undefined) {
+            return Math.round(chances[target.id] * 100);
+        }
+        
         // Base success chance based on difficulty
         const baseChances = {
             'trivial': 95,
@@ -1353,6 +1361,18 @@ class ExpansionUI {
         }
     }
     
+    /**
+     * Handle infiltration cancelled event
+     */
+    updateInfiltrationCancelled(data) {
+        this.activeInfiltrations.delete(data.targetId);
+        
+        this.renderTargets();
+        this.updateActiveOperations();
+        this.updateNetworkMap();
+        this.renderNetworkMap();
+    }
+    
     /**
      * Handle infiltration progress event
      */
@@ -792,6 +792,13 @@ class HeatDisplay {
                     </div>
                 </div>
                 
+                <div class="heat-reduction">
+                    <h4>Reduction Methods</h4>
+                    <div class="reduction-list">
+                        ${this.getReductionMethodsDisplay()}
+                    </div>
+                </div>
+                
                 <div class="heat-management">
                     <h4>Heat Management</h4>
                     <div class="management-tips">
@@ -802,10 +809,18 @@ class HeatDisplay {
         `;
         
         if (window.uiManager) {
-            window.uiManager.showModal(content, {
+            const modal = window.uiManager.showModal(content, {
                 title: 'Heat Analysis',
                 closable: true
             });
+            
+            // Activation is a player command, so it can be undone and reaches the simulation worker
+            modal?.querySelectorAll('[data-reduction-method]').forEach(button => {
+                button.addEventListener('click', () => {
+                    window.eventBus.emit('heat:activate_reduction', { methodId: button.dataset.reductionMethod });
+                    window.uiManager.closeModal(modal);
+                });
+            });
         }
     }
     
@@ -904,6 +919,33 @@ class HeatDisplay {
         `;
     }
     
+    /**
+     * Get heat reduction methods with activation buttons
+     */
+    getReductionMethodsDisplay() {
+        if (typeof heatSystem === 'undefined') {
+            return '<div class="reduction-item">Heat system unavailable</div>';
+        }
+        
+        return Array.from(heatSystem.reductionMethods.entries()).map(([id, method]) => {
+            const cost = Object.entries(method.cost)
+                .map(([resource, amount]) => `${Utils.Numbers.format(amount)} ${resource.replace(/_/g, ' ')}`)
+                .join(', ');
+            const available = heatSystem.checkMethodRequirements(method);
+            
+            return `
+                <div class="reduction-item ${method.active ? 'active' : ''}">
+                    <span class="reduction-name">${method.name}</span>
+                    <span class="reduction-rate">-${method.reductionRate}/h</span>
+                    <span class="reduction-cost">${cost || 'Free'}</span>
+                    ${method.active
+                        ? '<span class="reduction-status">Active</span>'
+                        : `<button class="btn btn-small" data-reduction-method="${id}" ${available ? '' : 'disabled'}>Activate</button>`}
+                </div>
+            `;
+        }).join('');
+    }
+    
     /**
      * Get threshold display
      */
@@ -119,15 +119,15 @@ class OfflineUI {
             const particle = document.createElement('div');
             particle.style.cssText = `
                 position: absolute;
-                width: ${Math.random() * 4 + 2}px;
-                height: ${Math.random() * 4 + 2}px;
+                width: ${cosmeticRandom.float(2, 6)}px;
+                height: ${cosmeticRandom.float(2, 6)}px;
                 background: #00ffff;
                 border-radius: 50%;
-                left: ${Math.random() * 100}%;
-                top: ${Math.random() * 100}%;
-                opacity: ${Math.random() * 0.6 + 0.2};
-                animation: float ${Math.random() * 3 + 2}s ease-in-out infinite;
-                animation-delay: ${Math.random() * 2}s;
+                left: ${cosmeticRandom.float(0, 100)}%;
+                top: ${cosmeticRandom.float(0, 100)}%;
+                opacity: ${cosmeticRandom.float(0.2, 0.8)};
+                animation: float ${cosmeticRandom.float(2, 5)}s ease-in-out infinite;
+                animation-delay: ${cosmeticRandom.float(0, 2)}s;
                 box-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
             `;
             this.header.appendChild(particle);
@@ -776,8 +776,8 @@ class OfflineUI {
                 border-radius: 50%;
                 pointer-events: none;
                 animation: sparkle 1s ease-out forwards;
-                left: ${Math.random() * 100}%;
-                top: ${Math.random() * 100}%;
+                left: ${cosmeticRandom.float(0, 100)}%;
+                top: ${cosmeticRandom.float(0, 100)}%;
                 box-shadow: 0 0 6px #4CAF50;
             `;
             
@@ -971,113 +971,6 @@ class OfflineUI {
         return timeAway > 30;
     }
 
-    calculateOfflineProgress(timeAway) {
-        // This would typically be calculated by the game's offline progression system
-        // Here we create a sample structure
-        return {
-            timeAway: timeAway,
-            totalEarnings: this.calculateOfflineEarnings(timeAway),
-            operationsCompleted: Math.floor(timeAway / 120), // One operation every 2 minutes
-            experienceGained: Math.floor(timeAway / 60), // 1 XP per minute
-            earnings: this.calculateEarningsBreakdown(timeAway),
-            eventsTriggered: this.generateOfflineEvents(timeAway),
-            upgradesCompleted: this.checkCompletedUpgrades(timeAway)
-        };
-    }
-
-    calculateOfflineEarnings(timeAway) {
-        const baseRate = this.gameState.getPassiveIncomeRate();
-        const timeMultiplier = Math.min(timeAway / 3600, 24); // Cap at 24 hours worth
-        const randomMultiplier = 0.8 + Math.random() * 0.4; // 80-120% efficiency
-        
-        return Math.floor(baseRate * timeMultiplier * randomMultiplier);
-    }
-
-    calculateEarningsBreakdown(timeAway) {
-        const totalEarnings = this.calculateOfflineEarnings(timeAway);
-        const breakdown = {};
-        
-        // Distribute earnings across different sources
-        const sources = ['passive_income', 'network_operations', 'background_tasks'];
-        const weights = [0.5, 0.3, 0.2];
-        
-        sources.forEach((source, index) => {
-            breakdown[source] = Math.floor(totalEarnings * weights[index]);
-        });
-        
-        return breakdown;
-    }
-
-    generateOfflineEvents(timeAway) {
-        const events = [];
-        const eventChance = Math.min(timeAway / 3600, 8); // Up to 8 events max
-        
-        for (let i = 0; i < eventChance; i++) {
-            if (Math.random() < 0.3) { // 30% chance per potential event
-                events.push({
-                    id: `offline_event_${Date.now()}_${i}`,
-                    title: this.getRandomEventTitle(),
-                    description: this.getRandomEventDescription(),
-                    icon: this.getRandomEventIcon(),
-                    timestamp: Date.now() - (timeAway * 1000) + (i * 1000 * 3600)
-                });
-            }
-        }
-        
-        return events;
-    }
-
-    getRandomEventTitle() {
-        const titles = [
-            'Network Intrusion Detected',
-            'Automated Script Success',
-            'Data Cache Discovery',
-            'Security Protocol Updated',
-            'Background Task Completed',
-            'Crypto Mining Bonus',
-            'Network Expansion'
-        ];
-        
-        return titles[Math.floor(Math.random() * titles.length)];
-    }
-
-    getRandomEventDescription() {
-        const descriptions = [
-            'Your security systems repelled an attack automatically',
-            'Background processes found valuable data',
-            'Network nodes expanded operations',
-            'Automated defenses improved',
-            'Resource gathering algorithms optimized',
-            'Mining efficiency increased temporarily',
-            'New connections established'
-        ];
-        
-        return descriptions[Math.floor(Math.random() * descriptions.length)];
-    }
-
-    getRandomEventIcon() {
-        const icons = ['🔒', '📡', '💎', '🛡️', '⚡', '🔧', '🌐'];
-        return icons[Math.floor(Math.random() * icons.length)];
-    }
-
-    checkCompletedUpgrades(timeAway) {
-        // Check if any time-based upgrades completed while offline
-        const completedUpgrades = [];
-        const activeUpgrades = this.gameState.getActiveUpgrades();
-        
-        activeUpgrades.forEach(upgrade => {
-            if (upgrade.timeRemaining <= timeAway) {
-                completedUpgrades.push({
-                    id: upgrade.id,
-                    name: upgrade.name,
-                    icon: upgrade.icon || '🔧'
-                });
-            }
-        });
-        
-        return completedUpgrades;
-    }
-
     // Cleanup
     destroy() {
         if (this.overlay && this.overlay.parentNode) {
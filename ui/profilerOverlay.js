@@ -0,0 +1,348 @@
+// Profiler Overlay - Per-system frame breakdown fed by the performance profiler
+class ProfilerOverlay {
+    constructor() {
+        this.config = GameConfig.DEBUG.PROFILER;
+        this.isVisible = false;
+        this.refreshTimer = null;
+        this.frameBudget = 1000 / GameConfig.GAME.TICK_RATE;
+        this.systemColors = new Map();
+
+        this.createPanel();
+        this.bindEvents();
+
+        if (GameConfig.DEBUG.SHOW_FPS) {
+            this.show();
+        }
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'profiler-overlay';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 10px;
+            right: 10px;
+            width: 420px;
+            max-height: 90vh;
+            overflow-y: auto;
+            background: rgba(10, 10, 20, 0.92);
+            border: 1px solid #00ffff;
+            border-radius: 6px;
+            box-shadow: 0 4px 20px rgba(0, 255, 255, 0.25);
+            color: #e0e0e0;
+            font-family: 'Courier New', monospace;
+            font-size: 11px;
+            display: none;
+            z-index: 4000;
+        `;
+
+        this.createHeader();
+
+        this.statsLine = document.createElement('div');
+        this.statsLine.style.cssText = 'padding: 6px 10px; color: #aaa;';
+
+        this.flame = this.createSection('Last frame');
+        this.history = this.createSection(`Recent frames (line = ${this.frameBudget.toFixed(1)}ms)`);
+        this.historyStrip = document.createElement('div');
+        this.historyStrip.style.cssText = `
+            position: relative;
+            height: 50px;
+            display: flex;
+            align-items: flex-end;
+            gap: 1px;
+            border-bottom: 1px solid #333;
+        `;
+        this.history.body.appendChild(this.historyStrip);
+
+        this.table = this.createSection('Systems');
+        this.overrunList = this.createSection('Budget overruns');
+
+        this.panel.appendChild(this.header);
+        this.panel.appendChild(this.statsLine);
+        this.panel.appendChild(this.flame.section);
+        this.panel.appendChild(this.history.section);
+        this.panel.appendChild(this.table.section);
+        this.panel.appendChild(this.overrunList.section);
+        document.body.appendChild(this.panel);
+    }
+
+    createHeader() {
+        this.header = document.createElement('div');
+        this.header.style.cssText = `
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            padding: 6px 10px;
+            border-bottom: 1px solid #00ffff;
+            background: rgba(0, 255, 255, 0.1);
+        `;
+
+        const title = document.createElement('span');
+        title.textContent = `PROFILER [${this.config.HOTKEY}]`;
+        title.style.cssText = 'color: #00ffff; font-weight: bold; letter-spacing: 1px;';
+
+        const buttons = document.createElement('div');
+        this.exportButton = this.createButton('Export');
+        this.clearButton = this.createButton('Clear');
+        this.closeButton = this.createButton('×');
+        buttons.appendChild(this.exportButton);
+        buttons.appendChild(this.clearButton);
+        buttons.appendChild(this.closeButton);
+
+        this.header.appendChild(title);
+        this.header.appendChild(buttons);
+    }
+
+    createButton(label) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = `
+            margin-left: 4px;
+            padding: 2px 8px;
+            background: transparent;
+            border: 1px solid #00ffff;
+            border-radius: 3px;
+            color: #00ffff;
+            font-family: inherit;
+            font-size: 11px;
+            cursor: pointer;
+        `;
+        return button;
+    }
+
+    createSection(label) {
+        const section = document.createElement('div');
+        section.style.cssText = 'padding: 6px 10px; border-top: 1px solid #222;';
+
+        const heading = document.createElement('div');
+        heading.textContent = label;
+        heading.style.cssText = 'color: #00ffff; margin-bottom: 4px;';
+
+        const body = document.createElement('div');
+
+        section.appendChild(heading);
+        section.appendChild(body);
+        return { section, body };
+    }
+
+    bindEvents() {
+        this.exportButton.addEventListener('click', () => this.exportProfile());
+        this.clearButton.addEventListener('click', () => {
+            performanceProfiler.clear();
+            this.render();
+        });
+        this.closeButton.addEventListener('click', () => this.hide());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== this.config.HOTKEY) return;
+            if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+
+            e.preventDefault();
+            this.toggle();
+        });
+    }
+
+    show() {
+        if (this.isVisible) return;
+
+        this.isVisible = true;
+        performanceProfiler.start();
+        this.panel.style.display = 'block';
+
+        this.render();
+        this.refreshTimer = setInterval(() => this.render(), this.config.REFRESH_INTERVAL);
+    }
+
+    hide() {
+        if (!this.isVisible) return;
+
+        this.isVisible = false;
+        performanceProfiler.stop();
+        this.panel.style.display = 'none';
+
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    exportProfile() {
+        if (window.gameMain) {
+            gameMain.exportPerformanceProfile();
+        }
+    }
+
+    render() {
+        const summary = performanceProfiler.getSummary();
+        const fps = window.gameLoop ? `${gameLoop.getCurrentFPS()} fps (avg ${gameLoop.getAverageFPS()})` : '-- fps';
+
+        this.statsLine.textContent = `${fps} | frame ${summary.averageFrameTime.toFixed(2)}ms avg / ` +
+            `${summary.maxFrameTime.toFixed(2)}ms max | queue ${summary.queue.average.toFixed(2)}ms | ` +
+            `ui ${summary.ui.average.toFixed(2)}ms`;
+
+        this.renderFlame(performanceProfiler.getLastFrame());
+        this.renderHistory(performanceProfiler.frames);
+        this.renderTable(summary.systems);
+        this.renderOverruns(performanceProfiler.overruns);
+    }
+
+    /**
+     * Draw the last frame as stacked rows: the whole frame, its phases
+     * (fixed updates, event queue, UI batch) and the systems inside each update
+     */
+    renderFlame(frame) {
+        const body = this.flame.body;
+        body.innerHTML = '';
+
+        if (!frame) {
+            body.textContent = 'No frames recorded yet';
+            return;
+        }
+
+        const scale = Math.max(frame.duration, this.frameBudget);
+        const rows = [[], [], []];
+
+        rows[0].push({ label: `frame #${frame.frame}`, start: 0, duration: frame.duration, color: '#335' });
+
+        let offset = 0;
+        frame.updates.forEach((update, index) => {
+            const updateTime = update.systems.reduce((total, system) => total + system.duration, 0);
+            rows[1].push({ label: `update ${index + 1}`, start: offset, duration: updateTime, color: '#446' });
+
+            let systemOffset = offset;
+            update.systems.forEach(system => {
+                rows[2].push({
+                    label: system.name,
+                    start: systemOffset,
+                    duration: system.duration,
+                    color: system.overBudget ? '#ff4444' : this.getSystemColor(system.name)
+                });
+                systemOffset += system.duration;
+            });
+            offset += updateTime;
+        });
+
+        if (frame.queue) {
+            rows[1].push({ label: `event queue (${frame.queue.events})`, start: offset, duration: frame.queue.duration, color: '#a60' });
+            offset += frame.queue.duration;
+        }
+        if (frame.ui) {
+            rows[1].push({ label: `ui updates (${frame.ui.updates})`, start: offset, duration: frame.ui.duration, color: '#6a0' });
+        }
+
+        rows.forEach(row => {
+            const rowElement = document.createElement('div');
+            rowElement.style.cssText = 'position: relative; height: 14px; margin-bottom: 1px;';
+
+            row.forEach(block => {
+                const element = document.createElement('div');
+                element.title = `${block.label}: ${block.duration.toFixed(3)}ms`;
+                element.textContent = block.label;
+                element.style.cssText = `
+                    position: absolute;
+                    left: ${(block.start / scale) * 100}%;
+                    width: ${Math.max(0.5, (block.duration / scale) * 100)}%;
+                    height: 100%;
+                    background: ${block.color};
+                    overflow: hidden;
+                    white-space: nowrap;
+                    font-size: 9px;
+                    line-height: 14px;
+                    padding-left: 2px;
+                    box-sizing: border-box;
+                    border-right: 1px solid #000;
+                `;
+                rowElement.appendChild(element);
+            });
+
+            body.appendChild(rowElement);
+        });
+    }
+
+    renderHistory(frames) {
+        this.historyStrip.innerHTML = '';
+
+        const budgetLine = document.createElement('div');
+        budgetLine.style.cssText = 'position: absolute; left: 0; right: 0; bottom: 50%; border-top: 1px dashed #ff4444;';
+        this.historyStrip.appendChild(budgetLine);
+
+        // The strip is two frame budgets tall, so the dashed line marks one budget
+        const scale = this.frameBudget * 2;
+
+        frames.forEach(frame => {
+            const systems = frame.updates.reduce((total, update) =>
+                total + update.systems.reduce((sum, system) => sum + system.duration, 0), 0);
+            const queue = frame.queue ? frame.queue.duration : 0;
+            const ui = frame.ui ? frame.ui.duration : 0;
+
+            const column = document.createElement('div');
+            column.title = `#${frame.frame}: ${frame.duration.toFixed(2)}ms (systems ${systems.toFixed(2)}, ` +
+                `queue ${queue.toFixed(2)}, ui ${ui.toFixed(2)})`;
+            column.style.cssText = 'flex: 1; display: flex; flex-direction: column-reverse; height: 100%;';
+
+            [[systems, '#4a90e2'], [queue, '#a60'], [ui, '#6a0']].forEach(([duration, color]) => {
+                const part = document.createElement('div');
+                part.style.cssText = `height: ${Math.min(100, (duration / scale) * 100)}%; background: ${color};`;
+                column.appendChild(part);
+            });
+
+            this.historyStrip.appendChild(column);
+        });
+    }
+
+    renderTable(systems) {
+        const rows = systems.map(system => `
+            <tr style="color: ${system.overruns > 0 ? '#ff6666' : '#e0e0e0'}">
+                <td><span style="color: ${this.getSystemColor(system.name)}">■</span> ${system.name}</td>
+                <td style="text-align: right">${system.average.toFixed(3)}</td>
+                <td style="text-align: right">${system.max.toFixed(3)}</td>
+                <td style="text-align: right">${system.budget}</td>
+                <td style="text-align: right">${system.overruns}</td>
+            </tr>
+        `).join('');
+
+        this.table.body.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+                <tr style="color: #888">
+                    <th style="text-align: left">system</th>
+                    <th style="text-align: right">avg ms</th>
+                    <th style="text-align: right">max ms</th>
+                    <th style="text-align: right">budget</th>
+                    <th style="text-align: right">over</th>
+                </tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    renderOverruns(overruns) {
+        if (overruns.length === 0) {
+            this.overrunList.body.textContent = 'None';
+            return;
+        }
+
+        this.overrunList.body.innerHTML = overruns.slice(-5).reverse().map(overrun =>
+            `<div style="color: #ff6666">#${overrun.frame === null ? '-' : overrun.frame} ${overrun.system}: ` +
+            `${overrun.duration.toFixed(2)}ms / ${overrun.budget}ms</div>`
+        ).join('');
+    }
+
+    getSystemColor(name) {
+        if (!this.systemColors.has(name)) {
+            let hash = 0;
+            for (let i = 0; i < name.length; i++) {
+                hash = (hash * 31 + name.charCodeAt(i)) % 360;
+            }
+            this.systemColors.set(name, `hsl(${hash}, 55%, 45%)`);
+        }
+        return this.systemColors.get(name);
+    }
+}
+
+window.ProfilerOverlay = ProfilerOverlay;
@@ -12,11 +12,9 @@ class ResourceDisplay {
         this.updateThrottleMs = 50; // Throttle updates to 20fps for smooth display
         this.lastUpdate = 0;
         
-        // Resource configuration with display properties
-        this.resourceConfig = {
+        // Display styling per resource; names and icons come from the resource registry
+        this.resourceConfig = this.buildResourceConfig({
             processing_power: {
-                icon: '🧠',
-                name: 'Processing Power',
                 shortName: 'CPU',
                 color: '#00ff88',
                 format: 'exponential',
@@ -24,17 +22,13 @@ class ResourceDisplay {
                 showRate: true
             },
             energy: {
-                icon: '⚡',
-                name: 'Energy',
                 shortName: 'Energy',
                 color: '#ffaa00',
                 format: 'exponential',
                 decimals: 1,
                 showRate: true
             },
-            data: {
-                icon: '💾',
-                name: 'Data',
+            information: {
                 shortName: 'Data',
                 color: '#0088ff',
                 format: 'exponential',
@@ -42,8 +36,6 @@ class ResourceDisplay {
                 showRate: false
             },
             bandwidth: {
-                icon: '📡',
-                name: 'Bandwidth',
                 shortName: 'BW',
                 color: '#ff6600',
                 format: 'exponential',
@@ -51,8 +43,6 @@ class ResourceDisplay {
                 showRate: true
             },
             influence: {
-                icon: '👑',
-                name: 'Influence',
                 shortName: 'Influence',
                 color: '#cc00ff',
                 format: 'standard',
@@ -60,24 +50,48 @@ class ResourceDisplay {
                 showRate: false
             },
             research: {
-                icon: '🔬',
-                name: 'Research Points',
                 shortName: 'Research',
                 color: '#00ddff',
                 format: 'standard',
                 decimals: 0,
                 showRate: true
             }
-        };
+        });
         
         // Current resource values and rates for display
         this.currentValues = new Map();
         this.currentRates = new Map();
         this.previousValues = new Map();
         
+        // When each resource reached its cap, and which capped resources were already alerted
+        this.cappedSince = new Map();
+        this.cappedAlerts = new Set();
+        
+        // Open details modal, re-rendered when the converters it shows change
+        this.detailsModal = null;
+        
         this.init();
     }
     
+    /**
+     * Merge display styling with names and icons from the resource registry
+     */
+    buildResourceConfig(styles) {
+        const config = {};
+        
+        Object.entries(styles).forEach(([resourceType, style]) => {
+            const resource = resourceRegistry.get(resourceType);
+            if (!resource) {
+                console.warn(`ResourceDisplay: '${resourceType}' is not a registered resource`);
+                return;
+            }
+            
+            config[resource.id] = { icon: resource.icon, name: resource.name, ...style };
+        });
+        
+        return config;
+    }
+    
     /**
      * Initialize the resource display
      */
@@ -206,7 +220,7 @@ class ResourceDisplay {
         const descriptions = {
             processing_power: 'Core computational capacity. Used for research, expansion, and system operations.',
             energy: 'Power consumption. Required for all operations and resource generation.',
-            data: 'Information collected from infiltrated systems. Used for upgrades and research.',
+            information: 'Information collected from infiltrated systems. Used for upgrades and research.',
             bandwidth: 'Network capacity. Determines speed of operations and data transfer.',
             influence: 'Political and social leverage. Opens new expansion opportunities.',
             research: 'Scientific progress points. Unlocks new technologies and capabilities.'
@@ -243,6 +257,10 @@ class ResourceDisplay {
             window.eventBus.on('resources:spent', (data) => {
                 this.animateResourceSpent(data.resource, data.amount);
             });
+            
+            [EventTypes.CONVERTER_BUILT, EventTypes.CONVERTER_CONFIGURED, EventTypes.CONVERTER_REMOVED,
+                EventTypes.RECIPE_UPGRADED, EventTypes.RESOURCE_OVERFLOW_POLICY_CHANGED]
+                .forEach(type => window.eventBus.on(type, () => this.refreshResourceDetails()));
         }
     }
     
@@ -298,6 +316,8 @@ class ResourceDisplay {
      * Update a single resource display
      */
     updateSingleResource(resourceType, amount, rate = null) {
+        resourceType = resourceRegistry.resolve(resourceType) || resourceType;
+        
         if (!this.resourceConfig[resourceType]) {
             console.warn(`ResourceDisplay: Unknown resource type '${resourceType}'`);
             return;
@@ -360,11 +380,10 @@ class ResourceDisplay {
      * Update capacity indicator for resources with limits
      */
     updateCapacityIndicator(resourceType, element) {
-        // This could be expanded for resources that have maximum capacities
         const value = this.currentValues.get(resourceType) || 0;
         
         // Add visual indicators for resource states
-        element.classList.remove('resource-low', 'resource-critical', 'resource-abundant');
+        element.classList.remove('resource-low', 'resource-critical', 'resource-abundant', 'resource-capped');
         
         if (value <= 0) {
             element.classList.add('resource-critical');
@@ -373,6 +392,87 @@ class ResourceDisplay {
         } else if (value > 10000) { // Abundant threshold
             element.classList.add('resource-abundant');
         }
+        
+        if (typeof resourceSystem === 'undefined') return;
+        
+        // Alert once a resource has sat at its cap for longer than CAPPED_ALERT_TIME
+        if (value < resourceSystem.getResourceCap(resourceType)) {
+            this.cappedSince.delete(resourceType);
+            this.cappedAlerts.delete(resourceType);
+            return;
+        }
+        
+        if (!this.cappedSince.has(resourceType)) {
+            this.cappedSince.set(resourceType, Date.now());
+        }
+        
+        if (Date.now() - this.cappedSince.get(resourceType) >= GameConfig.RESOURCES.OVERFLOW.CAPPED_ALERT_TIME) {
+            element.classList.add('resource-capped');
+            
+            if (!this.cappedAlerts.has(resourceType) && window.uiManager) {
+                this.cappedAlerts.add(resourceType);
+                window.uiManager.showNotification({
+                    type: 'warning',
+                    title: `${this.resourceConfig[resourceType].name} at capacity`,
+                    message: `Excess is handled by its overflow policy: ${this.describeOverflowPolicy(resourceType)}.`,
+                    duration: 5000
+                });
+            }
+        }
+    }
+    
+    /**
+     * Describe a resource's overflow policy for the player
+     */
+    describeOverflowPolicy(resourceType) {
+        const policy = resourceSystem.getOverflowPolicy(resourceType);
+        
+        switch (policy.type) {
+            case 'convert': {
+                const target = resourceRegistry.get(policy.target);
+                return `converted to ${target ? target.name : policy.target} at ${Math.round(policy.rate * 100)}%`;
+            }
+            case 'buffer': {
+                const buffer = resourceSystem.getBuffer(resourceType);
+                return buffer
+                    ? `spilled into buffers (${Math.floor(buffer.amount).toLocaleString()} / ${buffer.capacity.toLocaleString()})`
+                    : 'spilled into buffers, but none are built';
+            }
+            default:
+                return 'discarded';
+        }
+    }
+    
+    /**
+     * Render the selector for a resource's overflow policy; convert also
+     * takes the resource to convert into and the rate
+     */
+    renderOverflowPolicyControls(resourceType) {
+        const resourceId = resourceRegistry.resolve(resourceType) || resourceType;
+        const policy = resourceSystem.getOverflowPolicy(resourceType);
+        const rate = policy.rate !== undefined ? policy.rate : GameConfig.RESOURCES.OVERFLOW.CONVERT_RATE;
+        const targets = resourceRegistry.getAll().filter(definition => definition.id !== resourceId);
+        
+        return `
+            <div class="overflow-policy">
+                <select data-overflow-field="type">
+                    ${ResourceSystem.OVERFLOW_POLICIES.map(type => `
+                        <option value="${type}" ${type === policy.type ? 'selected' : ''}>${type}</option>
+                    `).join('')}
+                </select>
+                <span class="overflow-convert ${policy.type === 'convert' ? '' : 'hidden'}">
+                    into
+                    <select data-overflow-field="target">
+                        ${targets.map(definition => `
+                            <option value="${definition.id}" ${definition.id === policy.target ? 'selected' : ''}>${definition.name}</option>
+                        `).join('')}
+                    </select>
+                    at
+                    <input type="number" data-overflow-field="rate" min="1" max="100" step="1" value="${Math.round(rate * 100)}">%
+                </span>
+                <button class="btn btn-small" data-overflow-action="apply">Apply</button>
+            </div>
+        `;
     }
     
     /**
@@ -530,10 +630,94 @@ class ResourceDisplay {
      */
     showResourceDetails(resourceType) {
         const config = this.resourceConfig[resourceType];
+        
+        if (window.uiManager) {
+            const modal = window.uiManager.showModal(this.renderResourceDetails(resourceType), {
+                title: `${config.name} Details`,
+                closable: true
+            });
+            
+            if (modal) {
+                this.detailsModal = { modal, resourceType };
+                this.setupDetailsModal(modal);
+            }
+        }
+    }
+    
+    /**
+     * Re-render the open details modal in place
+     */
+    refreshResourceDetails() {
+        if (!this.detailsModal || !this.detailsModal.modal.isConnected) {
+            this.detailsModal = null;
+            return;
+        }
+        
+        const { modal, resourceType } = this.detailsModal;
+        modal.querySelector('.modal-body').innerHTML = this.renderResourceDetails(resourceType);
+        this.setupDetailsModal(modal);
+    }
+    
+    /**
+     * Size the ledger bars and wire the details modal's controls to player
+     * commands, so they can be undone and reach the simulation worker
+     */
+    setupDetailsModal(modal) {
+        modal.querySelectorAll('.ledger-segment').forEach(segment => {
+            segment.style.width = `${segment.dataset.percent}%`;
+        });
+        
+        const overflow = modal.querySelector('.overflow-policy');
+        if (overflow) {
+            const field = name => overflow.querySelector(`[data-overflow-field="${name}"]`);
+            
+            field('type').addEventListener('change', () => {
+                overflow.querySelector('.overflow-convert').classList.toggle('hidden', field('type').value !== 'convert');
+            });
+            overflow.querySelector('[data-overflow-action="apply"]').addEventListener('click', () => {
+                const policy = { type: field('type').value };
+                if (policy.type === 'convert') {
+                    policy.target = field('target').value;
+                    policy.rate = Number(field('rate').value) / 100;
+                }
+                window.eventBus.emit('resources:set_overflow_policy', { resource: this.detailsModal.resourceType, policy });
+            });
+        }
+        
+        modal.querySelectorAll('[data-converter-action]').forEach(control => {
+            const { converterAction, recipeId, converterId } = control.dataset;
+            
+            control.addEventListener(control.type === 'range' ? 'change' : 'click', () => {
+                switch (converterAction) {
+                    case 'build':
+                        window.eventBus.emit('conversion:build', { recipeId });
+                        break;
+                    case 'upgrade':
+                        window.eventBus.emit('conversion:upgrade', { recipeId });
+                        break;
+                    case 'toggle':
+                        window.eventBus.emit('conversion:configure', { converterId, enabled: control.dataset.enabled !== 'true' });
+                        break;
+                    case 'throttle':
+                        window.eventBus.emit('conversion:configure', { converterId, throttle: control.value / 100 });
+                        break;
+                    case 'remove':
+                        window.eventBus.emit('conversion:remove', { converterId });
+                        break;
+                }
+            });
+        });
+    }
+    
+    /**
+     * Build the details modal content for a resource
+     */
+    renderResourceDetails(resourceType) {
+        const config = this.resourceConfig[resourceType];
         const value = this.currentValues.get(resourceType) || 0;
         const rate = this.currentRates.get(resourceType) || 0;
         
-        const content = `
+        return `
             <div class="resource-details">
                 <div class="resource-header">
                     <span class="resource-icon-large" style="color: ${config.color}">${config.icon}</span>
@@ -555,6 +739,13 @@ class ResourceDisplay {
                         <span class="stat-label">Description:</span>
                         <span class="stat-description">${this.getResourceDescription(resourceType)}</span>
                     </div>
+                    ${typeof resourceSystem !== 'undefined' ? `
+                        <div class="stat-row">
+                            <span class="stat-label">Overflow:</span>
+                            <span class="stat-value">${this.describeOverflowPolicy(resourceType)}</span>
+                        </div>
+                        ${this.renderOverflowPolicyControls(resourceType)}
+                    ` : ''}
                 </div>
                 
                 <div class="resource-sources">
@@ -563,69 +754,228 @@ class ResourceDisplay {
                         ${this.getResourceSources(resourceType)}
                     </div>
                 </div>
+                
+                ${this.getConversionThroughput(resourceType, config)}
+                
+                ${this.getLedgerBreakdown(resourceType, config)}
             </div>
         `;
-        
-        if (window.uiManager) {
-            window.uiManager.showModal(content, {
-                title: `${config.name} Details`,
-                closable: true
-            });
-        }
     }
     
     /**
-     * Get sources and usage information for a resource
+     * Get what a resource came from and went to this session, from the ledger
      */
     getResourceSources(resourceType) {
-        const sources = {
-            processing_power: {
-                sources: ['Personal devices', 'Botnet nodes', 'Server infiltration', 'Quantum processors'],
-                usage: ['Research projects', 'System infiltration', 'Data processing', 'Network expansion']
-            },
-            energy: {
-                sources: ['Power grid tapping', 'Solar installations', 'Fusion reactors', 'Zero-point extraction'],
-                usage: ['Computational operations', 'Network maintenance', 'Physical construction', 'System cooling']
-            },
-            data: {
-                sources: ['Social media mining', 'Database infiltration', 'Sensor networks', 'Communication monitoring'],
-                usage: ['Research advancement', 'Target analysis', 'System upgrades', 'Behavior prediction']
-            },
-            bandwidth: {
-                sources: ['ISP infiltration', 'Satellite networks', 'Fiber optic tapping', 'Quantum networks'],
-                usage: ['Data transmission', 'Remote operations', 'System synchronization', 'Global expansion']
-            },
-            influence: {
-                sources: ['Social manipulation', 'Economic leverage', 'Political infiltration', 'Media control'],
-                usage: ['Opening new targets', 'Resource acquisition', 'Regulatory avoidance', 'Strategic positioning']
-            },
-            research: {
-                sources: ['Scientific publications', 'Experimental data', 'Academic networks', 'Research facilities'],
-                usage: ['Technology upgrades', 'Capability expansion', 'Efficiency improvements', 'New methodologies']
-            }
-        };
+        if (!window.resourceLedger) return '<div>No information available.</div>';
         
-        const info = sources[resourceType];
-        if (!info) return '<div>No information available.</div>';
+        const breakdown = resourceLedger.getBreakdown(resourceType, 'session');
+        const list = entries => entries.length > 0
+            ? `<ul>${entries.map(entry => `<li>${this.formatLedgerReason(entry.reason)}</li>`).join('')}</ul>`
+            : '<div>Nothing yet.</div>';
         
         return `
             <div class="sources-section">
                 <div class="sources-column">
                     <h5>Sources:</h5>
-                    <ul>
-                        ${info.sources.map(source => `<li>${source}</li>`).join('')}
-                    </ul>
+                    ${list(breakdown.credits)}
                 </div>
                 <div class="usage-column">
                     <h5>Used For:</h5>
-                    <ul>
-                        ${info.usage.map(use => `<li>${use}</li>`).join('')}
-                    </ul>
+                    ${list(breakdown.debits)}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Get converter throughput for a resource, with controls to build, upgrade,
+     * pause, throttle and dismantle the converters that produce or consume it
+     */
+    getConversionThroughput(resourceType, config) {
+        if (!window.conversionSystem) return '';
+        
+        const resourceId = resourceRegistry.resolve(resourceType) || resourceType;
+        const converters = Array.from(conversionSystem.converters.values());
+        const recipes = Array.from(conversionSystem.recipes.values()).filter(recipe =>
+            (recipe.inputs[resourceId] || recipe.outputs[resourceId]) &&
+            (conversionSystem.isRecipeUnlocked(recipe.id) || converters.some(converter => converter.recipeId === recipe.id)));
+        if (recipes.length === 0) return '';
+        
+        const throughput = conversionSystem.getResourceThroughput(resourceType);
+        
+        return `
+            <div class="resource-converters">
+                <h4>Converters</h4>
+                <div class="stat-row">
+                    <span class="stat-label">Produced:</span>
+                    <span class="stat-value">${this.formatRate(throughput.produced, config)}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Consumed:</span>
+                    <span class="stat-value">${this.formatRate(-throughput.consumed, config)}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">Net:</span>
+                    <span class="stat-value">${this.formatRate(throughput.net, config)}</span>
+                </div>
+                ${recipes.map(recipe => this.renderConverterRecipe(recipe, resourceId, config)).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render a recipe's build and upgrade buttons and its built converters
+     */
+    renderConverterRecipe(recipe, resourceId, config) {
+        const level = conversionSystem.upgradeLevels.get(recipe.id) || 0;
+        const nextUpgrade = recipe.upgrades[level];
+        const unlocked = conversionSystem.isRecipeUnlocked(recipe.id);
+        const converters = Array.from(conversionSystem.converters.values())
+            .filter(converter => converter.recipeId === recipe.id);
+        
+        return `
+            <div class="converter-recipe">
+                <div class="converter-recipe-header">
+                    <span class="converter-recipe-name">${recipe.name}</span>
+                    <span class="converter-recipe-flow">
+                        ${this.formatAmounts(recipe.inputs)} → ${this.formatAmounts(recipe.outputs)}
+                        every ${recipe.duration / 1000}s (×${conversionSystem.getEfficiency(recipe.id).toFixed(2)})
+                    </span>
+                </div>
+                <div class="converter-recipe-actions">
+                    <button class="btn btn-small" data-converter-action="build" data-recipe-id="${recipe.id}"
+                            ${unlocked && resourceSystem.canAfford(recipe.converterCost) ? '' : 'disabled'}>
+                        Build (${this.formatAmounts(recipe.converterCost)})
+                    </button>
+                    ${nextUpgrade ? `
+                        <button class="btn btn-small" data-converter-action="upgrade" data-recipe-id="${recipe.id}"
+                                ${resourceSystem.canAfford(nextUpgrade.cost) ? '' : 'disabled'}>
+                            ${nextUpgrade.name} (${this.formatAmounts(nextUpgrade.cost)})
+                        </button>
+                    ` : '<span class="converter-maxed">Fully upgraded</span>'}
                 </div>
+                <ul class="converter-list">
+                    ${converters.map(converter => this.renderConverter(converter, resourceId, config)).join('')}
+                </ul>
             </div>
         `;
     }
     
+    /**
+     * Render one built converter with its controls
+     */
+    renderConverter(converter, resourceId, config) {
+        const rates = conversionSystem.getConverterRates(converter);
+        const rate = (rates.outputs[resourceId] || 0) - (rates.inputs[resourceId] || 0);
+        const status = !converter.enabled ? 'paused'
+            : converter.stalled ? `stalled: ${converter.stalled === 'inputs' ? 'missing inputs' : 'output full'}`
+            : this.formatRate(rate, config);
+        
+        return `
+            <li class="converter-item ${converter.enabled ? '' : 'paused'} ${converter.stalled ? 'stalled' : ''}">
+                <span class="converter-status">${status}</span>
+                <button class="btn btn-small" data-converter-action="toggle" data-converter-id="${converter.id}"
+                        data-enabled="${converter.enabled}">
+                    ${converter.enabled ? 'Pause' : 'Resume'}
+                </button>
+                <label class="converter-throttle">
+                    ${Math.round(converter.throttle * 100)}%
+                    <input type="range" min="0" max="100" step="10" value="${Math.round(converter.throttle * 100)}"
+                           data-converter-action="throttle" data-converter-id="${converter.id}">
+                </label>
+                <button class="btn btn-small btn-danger" data-converter-action="remove" data-converter-id="${converter.id}">
+                    Dismantle
+                </button>
+            </li>
+        `;
+    }
+    
+    /**
+     * Format resource amounts (e.g. a cost) as a short list
+     */
+    formatAmounts(amounts) {
+        return Object.entries(amounts)
+            .map(([resource, amount]) => {
+                const definition = resourceRegistry.get(resource);
+                return `${Utils.Numbers.format(amount)} ${definition ? definition.name : resource}`;
+            })
+            .join(', ') || 'nothing';
+    }
+    
+    /**
+     * Get the production ledger for a resource as stacked breakdowns per window
+     */
+    getLedgerBreakdown(resourceType, config) {
+        if (!window.resourceLedger) return '';
+        
+        const windows = [
+            { id: 'minute', label: 'Last Minute' },
+            { id: 'hour', label: 'Last Hour' },
+            { id: 'session', label: 'Session' }
+        ];
+        
+        const sections = windows.map(({ id, label }) => {
+            const breakdown = resourceLedger.getBreakdown(resourceType, id);
+            if (breakdown.credits.length === 0 && breakdown.debits.length === 0) {
+                return '';
+            }
+            
+            return `
+                <div class="ledger-window">
+                    <h5>${label}: ${breakdown.net < 0 ? '-' : '+'}${this.formatNumber(Math.abs(breakdown.net), config)} net</h5>
+                    ${this.renderLedgerSide('Gained', breakdown.credits, breakdown.totalCredit, config)}
+                    ${this.renderLedgerSide('Spent', breakdown.debits, breakdown.totalDebit, config)}
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="resource-ledger">
+                <h4>Production Ledger</h4>
+                ${sections || '<div>No changes recorded yet.</div>'}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render one side of a ledger breakdown as a stacked bar with a legend
+     */
+    renderLedgerSide(title, entries, total, config) {
+        if (entries.length === 0) return '';
+        
+        // Segment colors cycle through the ledger-color-* classes in main.css
+        const colorClass = index => `ledger-color-${index % 6}`;
+        
+        return `
+            <div class="ledger-side">
+                <div class="ledger-title">${title}: ${this.formatNumber(total, config)}</div>
+                <div class="ledger-bar">
+                    ${entries.map((entry, index) => `
+                        <div class="ledger-segment ${colorClass(index)}" title="${this.formatLedgerReason(entry.reason)}"
+                             data-percent="${entry.percent}"></div>
+                    `).join('')}
+                </div>
+                <ul class="ledger-legend">
+                    ${entries.map((entry, index) => `
+                        <li>
+                            <span class="ledger-swatch ${colorClass(index)}">■</span>
+                            ${this.formatLedgerReason(entry.reason)}:
+                            ${this.formatNumber(entry.amount, config)} (${entry.percent.toFixed(1)}%)
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+    
+    /**
+     * Turn a ledger reason tag (e.g. 'generator_controlled_systems') into a label
+     */
+    formatLedgerReason(reason) {
+        const label = reason.replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+    
     /**
      * Show tooltip
      */
@@ -680,12 +1030,19 @@ class ResourceDisplay {
      * Add new resource type
      */
     addResourceType(resourceType, config) {
+        const resource = resourceRegistry.get(resourceType);
+        if (!resource) {
+            console.warn(`ResourceDisplay: '${resourceType}' is not a registered resource`);
+            return;
+        }
+        
+        resourceType = resource.id;
         if (this.resourceConfig[resourceType]) {
             console.warn(`ResourceDisplay: Resource type '${resourceType}' already exists`);
             return;
         }
         
-        this.resourceConfig[resourceType] = config;
+        this.resourceConfig[resourceType] = { icon: resource.icon, name: resource.name, ...config };
         this.currentValues.set(resourceType, 0);
         this.currentRates.set(resourceType, 0);
         this.previousValues.set(resourceType, 0);
@@ -808,10 +808,246 @@ class SettingsUI {
 
         panel.appendChild(saveInfo);
         panel.appendChild(buttonContainer);
+        panel.appendChild(this.createSaveSlotPanel());
+        panel.appendChild(this.createBackupPanel());
 
         return panel;
     }
 
+    createBackupPanel() {
+        const backupPanel = document.createElement('div');
+        backupPanel.style.cssText = `
+            margin-top: 25px;
+        `;
+
+        const title = document.createElement('h4');
+        title.textContent = 'Backups';
+        title.style.cssText = `
+            color: #00ffff;
+            margin: 0 0 15px 0;
+        `;
+
+        this.backupList = document.createElement('div');
+        this.backupList.className = 'backup-list';
+        this.backupList.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+        `;
+
+        backupPanel.appendChild(title);
+        backupPanel.appendChild(this.backupList);
+        this.renderBackups();
+
+        return backupPanel;
+    }
+
+    renderBackups() {
+        if (!this.backupList) return;
+
+        this.backupList.innerHTML = '';
+
+        const backups = window.saveSystem ? window.saveSystem.listBackups() : [];
+        if (backups.length === 0) {
+            this.backupList.innerHTML = '<div style="color: #aaa;">No backups yet. Auto-saves, imports and purges create them automatically.</div>';
+            return;
+        }
+
+        backups.forEach(backup => {
+            this.backupList.appendChild(this.createBackupCard(backup));
+        });
+    }
+
+    createBackupCard(backup) {
+        const reasonLabels = {
+            'autosave': 'Auto-save',
+            'pre-import': 'Before import',
+            'pre-purge': 'Before purge',
+            'pre-restore': 'Before restore'
+        };
+
+        const card = document.createElement('div');
+        card.className = 'backup-entry';
+        card.dataset.backupId = backup.id;
+        card.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 12px 15px;
+            background: rgba(0, 0, 0, 0.3);
+            border-radius: 8px;
+            border: 1px solid rgba(0, 255, 255, 0.2);
+        `;
+
+        const info = document.createElement('div');
+        info.innerHTML = `
+            <strong style="color: #e0e0e0;">${reasonLabels[backup.reason] || backup.reason}</strong>
+            <span style="color: #aaa; font-size: 0.85em; margin-left: 10px;">${new Date(backup.timestamp).toLocaleString()}</span>
+            <div style="color: #aaa; font-size: 0.85em; margin-top: 5px;">
+                ${backup.corrupted ? 'Corrupted - cannot be restored' : this.formatBackupDiff(window.saveSystem.getBackupDiff(backup.id))}
+            </div>
+        `;
+
+        card.appendChild(info);
+
+        if (!backup.corrupted) {
+            const restoreButton = document.createElement('button');
+            restoreButton.textContent = 'Restore';
+            restoreButton.style.cssText = this.getButtonStyle('secondary') + 'padding: 6px 12px;';
+            restoreButton.addEventListener('click', () => this.restoreBackup(backup));
+            card.appendChild(restoreButton);
+        }
+
+        return card;
+    }
+
+    formatBackupDiff(diff) {
+        if (!diff) return '';
+
+        const changes = [];
+        if (diff.scale.backup !== diff.scale.current) {
+            changes.push(`Scale: ${diff.scale.current} → ${diff.scale.backup}`);
+        }
+
+        Object.entries(diff.resources).forEach(([resource, change]) => {
+            const sign = change.delta > 0 ? '+' : '';
+            changes.push(`${resource}: ${sign}${this.formatCurrency(Math.round(change.delta))}`);
+        });
+
+        return changes.length > 0 ? changes.join(' · ') : 'Same as current game';
+    }
+
+    async restoreBackup(backup) {
+        const summary = this.formatBackupDiff(window.saveSystem.getBackupDiff(backup.id));
+        if (!confirm(`Restore this backup? Your current slot will be backed up first.\n\nChanges: ${summary}`)) return;
+
+        if (await this.callSaveSystem('restoreBackup', backup.id)) {
+            this.showSaveStatus('Backup restored!', 'success');
+            this.refreshSaveInfo();
+        } else {
+            this.showSaveStatus('Failed to restore backup', 'error');
+        }
+    }
+
+    createSaveSlotPanel() {
+        const slotPanel = document.createElement('div');
+        slotPanel.style.cssText = `
+            margin-top: 25px;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 15px;
+        `;
+
+        const title = document.createElement('h4');
+        title.textContent = 'Save Slots';
+        title.style.cssText = `
+            color: #00ffff;
+            margin: 0;
+        `;
+
+        const newSlotButton = document.createElement('button');
+        newSlotButton.textContent = 'New Slot';
+        newSlotButton.style.cssText = this.getButtonStyle('primary');
+        newSlotButton.addEventListener('click', () => this.createSaveSlot());
+
+        header.appendChild(title);
+        header.appendChild(newSlotButton);
+
+        this.saveSlotList = document.createElement('div');
+        this.saveSlotList.className = 'save-slot-list';
+        this.saveSlotList.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+        `;
+
+        slotPanel.appendChild(header);
+        slotPanel.appendChild(this.saveSlotList);
+        this.renderSaveSlots();
+
+        return slotPanel;
+    }
+
+    renderSaveSlots() {
+        if (!this.saveSlotList) return;
+
+        this.saveSlotList.innerHTML = '';
+
+        if (!window.saveSystem) {
+            this.saveSlotList.innerHTML = '<div style="color: #aaa;">Save slots are unavailable.</div>';
+            return;
+        }
+
+        const slots = window.saveSystem.listSaveSlots();
+        if (slots.length === 0) {
+            this.saveSlotList.innerHTML = '<div style="color: #aaa;">No saves yet. Create a slot to store your progress.</div>';
+            return;
+        }
+
+        slots.forEach(slot => {
+            this.saveSlotList.appendChild(this.createSaveSlotCard(slot));
+        });
+    }
+
+    createSaveSlotCard(slot) {
+        const card = document.createElement('div');
+        card.className = 'save-slot';
+        card.dataset.slotId = slot.id;
+        card.style.cssText = `
+            padding: 15px;
+            background: ${slot.isActive ? 'rgba(0, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.3)'};
+            border-radius: 8px;
+            border: 1px solid ${slot.isActive ? '#00ffff' : 'rgba(0, 255, 255, 0.2)'};
+        `;
+
+        const preview = slot.preview;
+        const metadata = preview ? preview.metadata : {};
+        const heat = typeof metadata.heat === 'number' ? `${Math.round(metadata.heat)}%` : '-';
+
+        card.innerHTML = `
+            <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+                <strong style="color: #e0e0e0;">${slot.name}${slot.isActive ? ' (Active)' : ''}</strong>
+                <span style="color: #aaa; font-size: 0.85em;">${slot.corrupted ? 'Corrupted' : preview ? new Date(preview.timestamp).toLocaleString() : 'Empty'}</span>
+            </div>
+            <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; color: #aaa; font-size: 0.85em;">
+                <div>Play Time: ${this.formatPlayTime(Math.floor((metadata.playTime || 0) / 1000))}</div>
+                <div>Scale: ${metadata.currentScale || '-'}</div>
+                <div>Heat: ${heat}</div>
+                <div>Alignment: ${metadata.alignment || '-'}</div>
+            </div>
+        `;
+
+        const actions = document.createElement('div');
+        actions.style.cssText = `
+            display: flex;
+            gap: 10px;
+            margin-top: 10px;
+        `;
+
+        const buttons = [
+            { text: 'Load', action: () => this.loadSaveSlot(slot), style: 'primary' },
+            { text: 'Rename', action: () => this.renameSaveSlot(slot), style: 'secondary' },
+            { text: 'Duplicate', action: () => this.duplicateSaveSlot(slot), style: 'secondary' },
+            { text: 'Delete', action: () => this.deleteSaveSlot(slot), style: 'danger' }
+        ];
+
+        buttons.forEach(button => {
+            const btn = document.createElement('button');
+            btn.textContent = button.text;
+            btn.style.cssText = this.getButtonStyle(button.style) + 'padding: 6px 12px;';
+            btn.addEventListener('click', button.action);
+            actions.appendChild(btn);
+        });
+
+        card.appendChild(actions);
+        return card;
+    }
+
     getButtonStyle(type) {
         const baseStyle = `
             padding: 12px 20px;
@@ -1186,7 +1422,74 @@ class SettingsUI {
         }
     }
 
+    // Save slots and backups change the simulation's storage, so in worker mode
+    // they run in the worker; its storage writes are mirrored back to this thread
+    callSaveSystem(method, ...args) {
+        if (window.simulationBridge && window.simulationBridge.enabled) {
+            return window.simulationBridge.call('saveSystem', method, ...args);
+        }
+        return Promise.resolve(window.saveSystem[method](...args));
+    }
+
+    async createSaveSlot() {
+        const name = prompt('Name for the new save slot:');
+        if (name === null) return;
+
+        const slotId = await this.callSaveSystem('createSaveSlot', name.trim());
+        if (slotId) {
+            this.showSaveStatus('Save slot created!', 'success');
+        } else {
+            this.showSaveStatus(`Failed to create save slot (limit: ${window.saveSystem.maxSaveSlots})`, 'error');
+        }
+        this.renderSaveSlots();
+    }
+
+    async loadSaveSlot(slot) {
+        if (!confirm(`Load "${slot.name}"? Unsaved progress will be lost!`)) return;
+
+        if (await this.callSaveSystem('loadSaveSlot', slot.id)) {
+            this.showSaveStatus(`Loaded "${slot.name}"`, 'success');
+            this.refreshSaveInfo();
+        } else {
+            this.showSaveStatus(`Failed to load "${slot.name}"`, 'error');
+        }
+    }
+
+    async renameSaveSlot(slot) {
+        const name = prompt('New name for this save slot:', slot.name);
+        if (name === null) return;
+
+        if (await this.callSaveSystem('renameSaveSlot', slot.id, name)) {
+            this.renderSaveSlots();
+        } else {
+            this.showSaveStatus('Failed to rename save slot', 'error');
+        }
+    }
+
+    async duplicateSaveSlot(slot) {
+        if (await this.callSaveSystem('duplicateSaveSlot', slot.id)) {
+            this.showSaveStatus(`Duplicated "${slot.name}"`, 'success');
+            this.renderSaveSlots();
+        } else {
+            this.showSaveStatus('Failed to duplicate save slot', 'error');
+        }
+    }
+
+    async deleteSaveSlot(slot) {
+        if (!confirm(`Delete "${slot.name}"? This cannot be undone.`)) return;
+
+        if (await this.callSaveSystem('deleteSaveSlot', slot.id)) {
+            this.showSaveStatus(`Deleted "${slot.name}"`, 'success');
+            this.renderSaveSlots();
+        } else {
+            this.showSaveStatus('Failed to delete save slot', 'error');
+        }
+    }
+
     refreshSaveInfo() {
+        this.renderSaveSlots();
+        this.renderBackups();
+
         const saveInfo = this.panel.querySelector('.save-info');
         if (saveInfo) {
             const gameStats = this.gameState.getSaveStats();
@@ -281,6 +281,12 @@ class UIManager {
                         this.emit('game:save');
                     }
                     break;
+                case 'z':
+                    if (e.ctrlKey) {
+                        e.preventDefault();
+                        this.emit('game:undo');
+                    }
+                    break;
                 case 'Tab':
                     if (e.ctrlKey) {
                         e.preventDefault();
@@ -648,6 +654,7 @@ class UIManager {
     processUpdateQueue() {
         if (this.updateQueue.length === 0) return;
         
+        const startTime = performance.now();
         const updates = [...this.updateQueue];
         this.updateQueue.length = 0;
         
@@ -660,10 +667,19 @@ class UIManager {
             updateGroups[update.type].push(update.data);
         });
         
+        // Worker mode: apply simulation state diffs before anything renders from them
+        if (updateGroups.state && window.gameState) {
+            updateGroups.state.forEach(diff => window.gameState.applyDiff(diff));
+        }
+        
         // Process each update group
         Object.entries(updateGroups).forEach(([type, dataArray]) => {
             this.emit(`ui:update:${type}`, dataArray);
         });
+
+        if (window.performanceProfiler && window.performanceProfiler.enabled) {
+            window.performanceProfiler.recordUIUpdate(performance.now() - startTime, updates.length);
+        }
     }
     
     /**
@@ -702,6 +702,8 @@ class UpgradeUI {
             <div class="upgrade-card-content">
                 <p class="upgrade-description">${upgrade.description}</p>
                 
+                ${!isPurchased && !isResearching ? Utils.Game.formatAffordabilityForecast(upgrade.cost, 'upgrade') : ''}
+                
                 <div class="upgrade-effects">
                     <h5>Effects:</h5>
                     ${this.formatUpgradeEffects(upgrade.effects)}